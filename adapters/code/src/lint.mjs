@@ -4,7 +4,7 @@
  * Outputs: lint.json with exitCode and summary
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, readFileSync } from 'fs';
 import { join } from 'path';
 import { execSync } from 'child_process';
 
@@ -77,7 +77,7 @@ function detectLinters() {
 
     // Check for npm run lint
     try {
-        const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+        const packageJson = JSON.parse(readFileSync('package.json', 'utf8'));
         if (packageJson.scripts && packageJson.scripts.lint) {
             linters.push({ name: 'npm-lint', command: 'npm run lint', type: 'npm' });
         }
@@ -4,7 +4,7 @@
  * Outputs: tests.json with passed/total counts
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { execSync } from 'child_process';
 
@@ -70,7 +70,7 @@ export async function runTests(options) {
 function detectTestFramework() {
     // Check package.json for test script
     try {
-        const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+        const packageJson = JSON.parse(readFileSync('package.json', 'utf8'));
         if (packageJson.scripts && packageJson.scripts.test) {
             return {
                 framework: 'npm',
@@ -113,7 +113,7 @@ function detectTestFramework() {
     // Check for go test
     try {
         execSync('which go', { stdio: 'pipe' });
-        if (fs.existsSync('go.mod')) {
+        if (existsSync('go.mod')) {
             return {
                 framework: 'go',
                 command: 'go test -json ./...',
@@ -125,7 +125,7 @@ function detectTestFramework() {
     // Check for cargo test (Rust)
     try {
         execSync('which cargo', { stdio: 'pipe' });
-        if (fs.existsSync('Cargo.toml')) {
+        if (existsSync('Cargo.toml')) {
             return {
                 framework: 'cargo',
                 command: 'cargo test',
@@ -207,7 +207,7 @@ async function executeTests(testCommand) {
         } else if (testCommand.parser === 'pytest') {
             // Read pytest JSON report
             try {
-                const pytestReport = JSON.parse(fs.readFileSync('/tmp/pytest.json', 'utf8'));
+                const pytestReport = JSON.parse(readFileSync('/tmp/pytest.json', 'utf8'));
                 result.passed = pytestReport.summary.passed || 0;
                 result.failed = pytestReport.summary.failed || 0;
                 result.total = pytestReport.summary.total || 0;
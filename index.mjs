@@ -1,38 +1,60 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { registerVerifyTool } from "./src/verify.mjs";
-import { registerConsensusTool } from "./src/consensus.mjs";
+import { createAdjudicatorServer } from "./src/server.mjs";
+import { startHttpServer } from "./src/http-transport.mjs";
 
 /**
  * MCP Gemini Adjudicator Server
- * 
+ *
  * This MCP server provides AI-powered verification and consensus tools using
  * Google Gemini models to validate information and facilitate decision-making
+ *
+ * Transports:
+ *   stdio (default)           one process per client
+ *   --http or ADJUDICATOR_TRANSPORT=http
+ *                             one shared instance over Streamable HTTP / SSE,
+ *                             protected by ADJUDICATOR_HTTP_TOKEN
  */
 
-// Create MCP server instance
-const server = new McpServer({
-  name: "mcp-gemini-adjudicator",
-  version: "0.1.0",
-});
+const useHttp = process.argv.includes('--http') || process.env.ADJUDICATOR_TRANSPORT === 'http';
+
+let httpHandle = null;
+
+// Positive number from the environment, undefined to keep the default
+function positiveEnv(name) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value > 0 ? value : undefined;
+}
 
 /**
  * Initialize and start the MCP server
  */
 async function main() {
   try {
-    // Register tools
-    await registerVerifyTool(server);
-    await registerConsensusTool(server);
-    
-    console.error("✅ Tools registered successfully");
-    
+    if (useHttp) {
+      httpHandle = await startHttpServer(createAdjudicatorServer, {
+        token: process.env.ADJUDICATOR_HTTP_TOKEN,
+        port: Number(process.env.ADJUDICATOR_HTTP_PORT || 3040),
+        host: process.env.ADJUDICATOR_HTTP_HOST || '127.0.0.1',
+        maxSessions: positiveEnv('ADJUDICATOR_HTTP_MAX_SESSIONS'),
+        idleTimeoutMs: positiveEnv('ADJUDICATOR_HTTP_IDLE_SECONDS') && positiveEnv('ADJUDICATOR_HTTP_IDLE_SECONDS') * 1000
+      });
+
+      console.error("🚀 MCP Gemini Adjudicator server started");
+      console.error(`📡 Listening on ${httpHandle.url}/mcp (Streamable HTTP) and ${httpHandle.url}/sse (SSE)`);
+      return;
+    }
+
+    // Register tools, resources and prompts
+    const server = await createAdjudicatorServer();
+
+    console.error("✅ Tools, resources and prompts registered successfully");
+
     // Create and connect to stdio transport
     const transport = new StdioServerTransport();
     await server.connect(transport);
-    
+
     console.error("🚀 MCP Gemini Adjudicator server started");
     console.error("📡 Listening on stdio transport");
   } catch (error) {
@@ -41,19 +63,26 @@ async function main() {
   }
 }
 
+async function shutdown() {
+  if (httpHandle) {
+    await httpHandle.close();
+  }
+  process.exit(0);
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.error("\n🔄 Shutting down gracefully...");
-  process.exit(0);
+  await shutdown();
 });
 
 process.on('SIGTERM', async () => {
   console.error("🔄 Shutting down gracefully...");
-  process.exit(0);
+  await shutdown();
 });
 
 // Start the server
 main().catch((error) => {
   console.error("💥 Unhandled error:", error);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -10,6 +10,8 @@ import Database from 'better-sqlite3';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { buildLeaderboard } from '../src/reliability.mjs';
+import { summarizeUsageLog, dailyBudget } from '../src/usage.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -297,6 +299,79 @@ app.get('/api/stats/units/types', (req, res) => {
     }
 });
 
+// Source reliability leaderboard
+app.get('/api/reliability', (req, res) => {
+    try {
+        // The table is created by the MCP server on first use
+        const hasOutcomes = db.prepare(`
+            SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'source_outcomes'
+        `).get();
+
+        const rows = hasOutcomes
+            ? db.prepare(`
+                SELECT task_id, source, origin, score, over_claimed, note, created_at
+                FROM source_outcomes
+            `).all()
+            : [];
+
+        res.json(buildLeaderboard(rows));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Token usage and cost, with the daily budget
+app.get('/api/usage', (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+        // The table is created by the MCP server on first use
+        const hasUsage = db.prepare(`
+            SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'usage_log'
+        `).get();
+
+        const rows = hasUsage
+            ? db.prepare(`
+                SELECT task_id, tool, task, provider, model_id, calls, prompt_tokens, candidate_tokens, total_tokens, cost_usd, priced, created_at
+                FROM usage_log
+                WHERE created_at >= date('now', ?)
+            `).all(`-${days - 1} days`)
+            : [];
+
+        res.json({ days, ...summarizeUsageLog(rows, { budget: dailyBudget() }) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Token usage and cost of one task
+app.get('/api/tasks/:taskId/usage', (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        const hasUsage = db.prepare(`
+            SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'usage_log'
+        `).get();
+
+        const entries = hasUsage
+            ? db.prepare(`
+                SELECT tool, task, provider, model_id, calls, prompt_tokens, candidate_tokens, total_tokens, cost_usd, priced, created_at
+                FROM usage_log
+                WHERE task_id = ?
+                ORDER BY id
+            `).all(taskId)
+            : [];
+
+        res.json({
+            task_id: taskId,
+            entries,
+            totals: summarizeUsageLog(entries).totals
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     try {
@@ -325,5 +400,8 @@ app.listen(PORT, () => {
     console.log(`   - GET /api/tasks/:taskId/metrics`);
     console.log(`   - GET /api/stats`);
     console.log(`   - GET /api/stats/units/types`);
+    console.log(`   - GET /api/reliability`);
+    console.log(`   - GET /api/usage`);
+    console.log(`   - GET /api/tasks/:taskId/usage`);
     console.log(`   - GET /api/health`);
 });
\ No newline at end of file
@@ -0,0 +1,216 @@
+import { VerifyArgs, VerifyBatchArgs, inputShape } from './schemas.mjs';
+import { verifyArtifact, verificationError } from './verify.mjs';
+import { createRateLimiter, defaultRequestsPerMinute, sharedRateLimiter, withRateLimit } from './rate-limit.mjs';
+import { isCancelled, reportProgress, withCallControl, withRequestControl } from './progress.mjs';
+import { defineJobKind, submitJob } from './jobs.mjs';
+
+/**
+ * Batch verification
+ *
+ * verify_batch verifies many artifacts in one call. Items run `concurrency`
+ * at a time and their model calls go through the batch's own limiter
+ * (`requests_per_minute`) and the process-wide one shared by every batch and
+ * session, so neither a large batch nor several batches at once flood the
+ * provider. Each
+ * item is verified exactly as verify_with_gemini would verify it - cache and
+ * daily budget included, with usage recorded under verify_batch - and an
+ * item that fails is reported without stopping the others. Progress is
+ * reported per finished item (progress.mjs); once the call is cancelled no
+ * further item starts, and the items that did not finish are returned as
+ * cancelled next to those that did. With `async: true` the batch runs as a background
+ * job (jobs.mjs).
+ */
+
+const VERDICT_SEVERITY = { FAIL: 2, NEEDS_IMPROVEMENT: 1, PASS: 0 };
+
+// Risks listed in the summary
+const WORST_RISKS = 10;
+
+const round = (x) => Math.round(x * 1000) / 1000;
+
+/**
+ * Map over items with at most `limit` calls running at once
+ * Stops starting new items once the running tool call is cancelled; the
+ * results of items never started are left undefined.
+ * @param {Array} items
+ * @param {number} limit - Concurrency limit
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length && !isCancelled()) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Aggregate the item results of a batch
+ * @param {Array<Object>} items - Item results from runBatch()
+ * @returns {Object} { total, verified, errors, cancelled, by_verdict, all_passed, mean_confidence, needs_attention,
+ *   worst_risks, error_items, usage }
+ */
+export function summarizeBatch(items) {
+  const verified = items.filter(item => item.status === 'ok');
+  const failed = items.filter(item => item.status === 'error');
+
+  const byVerdict = { PASS: 0, FAIL: 0, NEEDS_IMPROVEMENT: 0 };
+  for (const item of verified) byVerdict[item.verdict] += 1;
+
+  // Same risk raised by several items is listed once
+  const risks = new Map();
+  for (const item of verified) {
+    for (const text of item.analysis?.risks || []) {
+      const key = text.trim().toLowerCase();
+      if (!key) continue;
+      if (!risks.has(key)) risks.set(key, { risk: text.trim(), verdict: item.verdict, items: [] });
+
+      const entry = risks.get(key);
+      if (!entry.items.includes(item.id)) entry.items.push(item.id);
+      if (VERDICT_SEVERITY[item.verdict] > VERDICT_SEVERITY[entry.verdict]) entry.verdict = item.verdict;
+    }
+  }
+
+  const usage = { calls: 0, prompt_tokens: 0, candidate_tokens: 0, total_tokens: 0, cost_usd: 0 };
+  for (const item of items) {
+    for (const field of Object.keys(usage)) usage[field] += item.usage?.[field] || 0;
+  }
+  usage.cost_usd = Math.round(usage.cost_usd * 1e6) / 1e6;
+
+  return {
+    total: items.length,
+    verified: verified.length,
+    errors: failed.length,
+    cancelled: items.filter(item => item.status === 'cancelled').length,
+    by_verdict: byVerdict,
+    all_passed: items.length > 0 && byVerdict.PASS === items.length,
+    mean_confidence: verified.length > 0
+      ? round(verified.reduce((sum, item) => sum + item.confidence, 0) / verified.length)
+      : null,
+    // Worst first: FAIL before NEEDS_IMPROVEMENT, then the most confident
+    needs_attention: verified
+      .filter(item => item.verdict !== 'PASS')
+      .sort((a, b) => VERDICT_SEVERITY[b.verdict] - VERDICT_SEVERITY[a.verdict] || b.confidence - a.confidence)
+      .map(({ id, task, verdict, confidence }) => ({ id, task, verdict, confidence })),
+    worst_risks: [...risks.values()]
+      .sort((a, b) => VERDICT_SEVERITY[b.verdict] - VERDICT_SEVERITY[a.verdict] || b.items.length - a.items.length)
+      .slice(0, WORST_RISKS),
+    error_items: failed.map(item => ({
+      id: item.id,
+      error: item.detailed_feedback,
+      ...(item.model_unavailable && { model_unavailable: true }),
+      ...(item.budget_exceeded && { budget_exceeded: true })
+    })),
+    usage
+  };
+}
+
+/**
+ * Verify every item of a batch
+ * @param {Object} validatedArgs - Arguments parsed with VerifyBatchArgs
+ * @returns {Promise<Object>} { summary, items, rate_limit, duration_ms, cancelled? }
+ */
+export async function runBatch(validatedArgs) {
+  const { items, concurrency, requests_per_minute, ...shared } = validatedArgs;
+  const processLimiter = sharedRateLimiter();
+  const limiter = createRateLimiter(requests_per_minute || defaultRequestsPerMinute(), concurrency);
+  const startTime = Date.now();
+  let done = 0;
+
+  await reportProgress(0, items.length, `Verifying ${items.length} artifact${items.length === 1 ? '' : 's'}, ${concurrency} at a time`);
+
+  const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const id = item.id || `item-${index + 1}`;
+    const itemStart = Date.now();
+
+    let result;
+    try {
+      const args = VerifyArgs.parse({ ...shared, ...item });
+      // Items report progress themselves, not per model call
+      const verdict = await withCallControl({ onProgress: null }, () =>
+        withRateLimit(processLimiter, () => withRateLimit(limiter, () => verifyArtifact(args, 'verify_batch'))));
+      result = { id, task: args.task, status: 'ok', ...verdict };
+    } catch (error) {
+      if (error.name === 'CancelledError') return { id, task: item.task, status: 'cancelled', duration_ms: Date.now() - itemStart };
+      console.error(`Error verifying batch item ${id}:`, error);
+      result = { id, task: item.task, status: 'error', ...verificationError(error) };
+    }
+    result.duration_ms = Date.now() - itemStart;
+
+    done += 1;
+    await reportProgress(done, items.length, `${id}: ${result.status === 'ok' ? result.verdict : 'error'} (${done}/${items.length})`);
+    return result;
+  });
+
+  // Items never started because the call was cancelled
+  for (const [index, item] of items.entries()) {
+    results[index] ??= { id: item.id || `item-${index + 1}`, task: item.task, status: 'cancelled' };
+  }
+
+  return {
+    summary: summarizeBatch(results),
+    items: results,
+    rate_limit: { ...limiter.stats(), shared: processLimiter.stats() },
+    duration_ms: Date.now() - startTime,
+    ...(isCancelled() && { cancelled: true })
+  };
+}
+
+/**
+ * verify_batch's response: the batch result, or an error-shaped result
+ * @param {Object} validatedArgs - Arguments parsed with VerifyBatchArgs
+ * @returns {Promise<Object>}
+ */
+async function batchResponse(validatedArgs) {
+  try {
+    return await runBatch(validatedArgs);
+  } catch (error) {
+    console.error('Error in verify_batch:', error);
+    return {
+      summary: null,
+      items: [],
+      error: `Error during batch verification: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Register the verify_batch tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerBatchTool(server) {
+  server.registerTool(
+    'verify_batch',
+    {
+      description: 'Verify many artifacts in one call, each with its own task type. Items run with bounded concurrency and share rate limiters with every other batch; progress is reported per item. Returns each item\'s verdict plus a summary: counts by verdict, items needing attention and the worst risks.',
+      inputSchema: inputShape(VerifyBatchArgs)
+    },
+    async (args, extra) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = VerifyBatchArgs.parse(args);
+
+      const result = validatedArgs.async
+        ? await submitJob('verify_batch', args)
+        : await withRequestControl(extra, () => batchResponse(validatedArgs));
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    }
+  );
+
+  defineJobKind('verify_batch', { schema: VerifyBatchArgs, run: batchResponse });
+}
@@ -0,0 +1,153 @@
+import { createHash } from 'crypto';
+import { InvalidateCacheArgs, inputShape } from './schemas.mjs';
+import { getServerStorage } from './storage-sqlite.mjs';
+
+/**
+ * Content-addressed result cache for verify_with_gemini and consensus_check
+ *
+ * Entries live in the verdict_cache table of the SQLite store. The key is a
+ * sha256 over the tool, the artifact hash, task, model id, prompt version,
+ * grounding flag and every other option that changes the result, so editing
+ * a prompt template (with a new version) or switching models never serves a
+ * stale verdict. Results whose parsing failed are not stored. Hits carry
+ * `cache.hit: true`; entries expire after their TTL and can be dropped with
+ * the invalidate_cache tool.
+ */
+
+/**
+ * sha256 hex digest of a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// JSON with sorted object keys, so option order does not change the key
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache identity of one call
+ * @param {Object} parts
+ * @param {string} parts.tool - Tool name
+ * @param {string} parts.artifact - Text the result is about (hashed)
+ * @param {string} parts.task - Task type
+ * @param {string} parts.model_id - Resolved model id
+ * @param {string} parts.prompt_version - Resolved prompt version
+ * @param {boolean} parts.grounded - Whether search grounding was on
+ * @param {Object} [parts.options] - Any other inputs that change the result
+ * @returns {Object} { cache_key, tool, artifact_hash, task, model_id, prompt_version, grounded }
+ */
+export function cacheIdentity({ tool, artifact, task, model_id, prompt_version, grounded, options = {} }) {
+  const artifact_hash = hashText(artifact);
+  const cache_key = hashText(canonical({ tool, artifact_hash, task, model_id, prompt_version, grounded: Boolean(grounded), options }));
+  return { cache_key, tool, artifact_hash, task, model_id, prompt_version, grounded: Boolean(grounded) };
+}
+
+/**
+ * Serve a result from the cache, or compute and store it
+ * Storage errors are reported in the cache marker and never fail the call.
+ * @param {Object} identity - From cacheIdentity()
+ * @param {Object} cacheOptions - Parsed CacheOptions { ttl_seconds, refresh }
+ * @param {Function} compute - Async function producing the result on a miss
+ * @returns {Promise<Object>} Result with a `cache` marker
+ */
+export async function withCache(identity, { ttl_seconds, refresh }, compute) {
+  const marker = { hit: false, key: identity.cache_key, artifact_hash: identity.artifact_hash };
+
+  let storage = null;
+  try {
+    storage = await getServerStorage();
+    if (!refresh) {
+      const cached = storage.getCachedResult(identity.cache_key);
+      if (cached) {
+        return {
+          ...cached.result,
+          cache: { ...marker, hit: true, created_at: cached.created_at, expires_at: cached.expires_at, hits: cached.hits }
+        };
+      }
+    }
+  } catch (storageError) {
+    console.error('Error reading verdict cache:', storageError);
+    marker.error = `Cache unavailable: ${storageError.message}`;
+  }
+
+  const result = await compute();
+
+  if (['failed', 'error'].includes(result.parse_status)) {
+    marker.stored = false;
+    marker.reason = `Not cached: parse_status is ${result.parse_status}`;
+  } else if (storage) {
+    try {
+      const { created_at, expires_at } = storage.putCachedResult({ ...identity, result }, ttl_seconds);
+      Object.assign(marker, { stored: true, created_at, expires_at });
+    } catch (storageError) {
+      console.error('Error writing verdict cache:', storageError);
+      marker.stored = false;
+      marker.error = `Not cached: ${storageError.message}`;
+    }
+  } else {
+    marker.stored = false;
+  }
+
+  if (refresh) marker.refreshed = true;
+
+  return { ...result, cache: marker };
+}
+
+/**
+ * Register the invalidate_cache tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerCacheTool(server) {
+  server.registerTool(
+    'invalidate_cache',
+    {
+      description: 'Drop cached verify_with_gemini and consensus_check results. Filters (artifact, artifact_hash, cache_key, tool, task, model_id, prompt_version) must all match; expired_only drops only entries past their TTL; all: true clears the cache.',
+      inputSchema: inputShape(InvalidateCacheArgs)
+    },
+    async (args) => {
+      // Validate arguments using Zod schema
+      const { artifact, all, ...filters } = InvalidateCacheArgs.parse(args);
+      if (artifact) {
+        filters.artifact_hash = hashText(artifact);
+      }
+
+      try {
+        const storage = await getServerStorage();
+        const removed = storage.invalidateCache(all ? { expired_only: filters.expired_only } : filters);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ removed, filters: all ? { all: true } : filters }, null, 2)
+            }
+          ]
+        };
+
+      } catch (error) {
+        console.error('Error in invalidate_cache:', error);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ removed: 0, error: `Invalidation failed: ${error.message}` }, null, 2)
+            }
+          ]
+        };
+      }
+    }
+  );
+}
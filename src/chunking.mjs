@@ -0,0 +1,174 @@
+/**
+ * Chunking helpers for map-reduce verification
+ *
+ * Large artifacts are split on the most meaningful boundary available
+ * (diff file, diff hunk, paragraph, line) so that each chunk fits the
+ * prompt slice, then per-chunk verdicts are merged back into one.
+ */
+
+/**
+ * Boundary splitters from coarsest to finest. Each returns pieces whose
+ * concatenation is exactly the input, so offsets stay accurate.
+ */
+const BOUNDARIES = [
+  { name: 'file', split: text => text.split(/(?=^diff --git )/m) },
+  { name: 'hunk', split: text => text.split(/(?=^@@ )/m) },
+  { name: 'paragraph', split: text => text.split(/(?<=\n[ \t]*\n)/) },
+  { name: 'line', split: text => text.split(/(?<=\n)/) }
+];
+
+export const VERDICT_RANK = { PASS: 0, NEEDS_IMPROVEMENT: 1, FAIL: 2 };
+
+/**
+ * Break text into pieces no longer than maxChars, recursing to finer
+ * boundaries only for pieces that are still too large
+ */
+function splitPieces(text, maxChars, level = 0) {
+  if (text.length <= maxChars) {
+    return [text];
+  }
+
+  if (level >= BOUNDARIES.length) {
+    // A single line longer than the slice - hard cut is the only option
+    const pieces = [];
+    for (let i = 0; i < text.length; i += maxChars) {
+      pieces.push(text.slice(i, i + maxChars));
+    }
+    return pieces;
+  }
+
+  const pieces = BOUNDARIES[level].split(text).filter(piece => piece.length > 0);
+  if (pieces.length === 1) {
+    return splitPieces(text, maxChars, level + 1);
+  }
+
+  return pieces.flatMap(piece => splitPieces(piece, maxChars, level + 1));
+}
+
+/**
+ * Count newlines before an offset (1-based line number at offset)
+ */
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Split an artifact into prompt-sized chunks on natural boundaries
+ * @param {string} text - Artifact text
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<Object>} Chunks: { index, text, start, end, start_line, end_line, files, label }
+ */
+export function splitArtifact(text, maxChars) {
+  const pieces = splitPieces(text, maxChars);
+
+  // Greedily pack consecutive pieces into chunks
+  const chunks = [];
+  let current = '';
+  let start = 0;
+  let offset = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && current.length + piece.length > maxChars) {
+      chunks.push({ text: current, start });
+      start = offset;
+      current = '';
+    }
+    current += piece;
+    offset += piece.length;
+  }
+  if (current.length > 0 || chunks.length === 0) {
+    chunks.push({ text: current, start });
+  }
+
+  return chunks.map((chunk, index) => {
+    const end = chunk.start + chunk.text.length;
+    const startLine = lineAt(text, chunk.start);
+    const endLine = startLine + (chunk.text.replace(/\n$/, '').match(/\n/g) || []).length;
+    const files = [...chunk.text.matchAll(/^diff --git a\/(\S+)/gm)].map(m => m[1]);
+
+    return {
+      index: index + 1,
+      text: chunk.text,
+      start: chunk.start,
+      end,
+      start_line: startLine,
+      end_line: endLine,
+      files,
+      label: files.length > 0
+        ? `${files.join(', ')} (lines ${startLine}-${endLine})`
+        : `lines ${startLine}-${endLine}`
+    };
+  });
+}
+
+/**
+ * Merge per-chunk verdicts into a single verdict
+ * The worst chunk verdict wins; confidence is the mean confidence of the
+ * chunks that produced the winning verdict.
+ * @param {Array<Object>} results - [{ chunk, verdict }] where verdict is a per-chunk verdict object
+ * @returns {Object} Merged verdict with a `chunks` breakdown of findings per chunk
+ */
+export function mergeChunkVerdicts(results) {
+  const total = results.length;
+  const worst = results.reduce(
+    (acc, r) => (VERDICT_RANK[r.verdict.verdict] > VERDICT_RANK[acc] ? r.verdict.verdict : acc),
+    'PASS'
+  );
+
+  const deciding = results.filter(r => r.verdict.verdict === worst);
+  const confidence = deciding.reduce((sum, r) => sum + (r.verdict.confidence || 0), 0) / deciding.length;
+
+  const union = (pick) => [...new Set(results.flatMap(r => pick(r.verdict) || []))];
+  const tag = (r) => `[chunk ${r.chunk.index}/${total} ${r.chunk.label}]`;
+
+  const citations = [];
+  const seenUrls = new Set();
+  for (const citation of results.flatMap(r => r.verdict.citations || [])) {
+    if (!seenUrls.has(citation.url)) {
+      seenUrls.add(citation.url);
+      citations.push(citation);
+    }
+  }
+
+  const statuses = results.map(r => r.verdict.parse_status);
+  const parseStatus = statuses.includes('failed')
+    ? 'failed'
+    : statuses.includes('repaired') ? 'repaired' : 'ok';
+
+  return {
+    verdict: worst,
+    confidence: Math.round(confidence * 1000) / 1000,
+    analysis: {
+      strengths: union(v => v.analysis?.strengths),
+      weaknesses: results.flatMap(r => (r.verdict.analysis?.weaknesses || []).map(w => `${tag(r)} ${w}`)),
+      risks: results.flatMap(r => (r.verdict.analysis?.risks || []).map(w => `${tag(r)} ${w}`))
+    },
+    recommendations: union(v => v.recommendations),
+    detailed_feedback: results
+      .map(r => `${tag(r)} ${r.verdict.verdict}: ${r.verdict.detailed_feedback || ''}`.trim())
+      .join('\n\n'),
+    test_coverage: {
+      scenarios_checked: union(v => v.test_coverage?.scenarios_checked),
+      scenarios_missing: union(v => v.test_coverage?.scenarios_missing)
+    },
+    citations,
+    parse_status: parseStatus,
+    chunks: results.map(r => ({
+      index: r.chunk.index,
+      label: r.chunk.label,
+      start_line: r.chunk.start_line,
+      end_line: r.chunk.end_line,
+      files: r.chunk.files,
+      verdict: r.verdict.verdict,
+      confidence: r.verdict.confidence,
+      parse_status: r.verdict.parse_status,
+      weaknesses: r.verdict.analysis?.weaknesses || [],
+      risks: r.verdict.analysis?.risks || [],
+      recommendations: r.verdict.recommendations || []
+    }))
+  };
+}
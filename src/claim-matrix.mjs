@@ -0,0 +1,211 @@
+import { tokenize } from './evidence.mjs';
+
+/**
+ * Deterministic claim x source matrix for consensus_check
+ *
+ * Each answer is split into atomic claims (sentences and list items). Claims
+ * are matched across sources by word overlap, ignoring numbers and negation,
+ * so "defaults to 5" and "does not default to 10" land on the same row.
+ * Within a row the reading shared by most sources (same polarity, no
+ * differing numbers) counts as `supports`; other readings are `contradicts`;
+ * sources without a matching claim are `absent`. agreement_ratio and
+ * consensus are computed from the matrix, so identical inputs always give
+ * identical numbers. Sources can carry vote weights (their recorded
+ * reliability); with equal weights every source counts the same.
+ */
+
+// Cosine similarity over content words needed to treat two claims as the same point
+const MATCH_THRESHOLD = 0.5;
+const MIN_CLAIM_TERMS = 3;
+
+// Consensus thresholds on agreement_ratio
+const AGREE_RATIO = 0.8;
+const DISAGREE_RATIO = 0.4;
+
+const NEGATION = /\b(?:not|no|never|none|cannot|neither|nor)\b|n't\b/i;
+const NEGATION_TERMS = new Set(['not', 'no', 'never', 'none', 'cannot', 'neither', 'nor']);
+
+/**
+ * Split an answer into atomic claims
+ * Fenced code blocks are ignored; list markers and headings are stripped.
+ * @param {string} content - Model answer
+ * @returns {Array<string>}
+ */
+export function splitClaims(content) {
+  const prose = content.replace(/```[\s\S]*?(?:```|$)/g, '\n');
+
+  return prose
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*+>]|#{1,6}|\d+[.)])\s+/, '').trim())
+    .filter(Boolean)
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/))
+    .map(claim => claim.trim())
+    .filter(claim => matchTerms(claim).size >= MIN_CLAIM_TERMS);
+}
+
+function matchTerms(text) {
+  return new Set(
+    tokenize(text)
+      .filter(t => !/^\d+$/.test(t) && !NEGATION_TERMS.has(t))
+      .map(t => (t.length > 3 && t.endsWith('s') ? t.slice(0, -1) : t))
+  );
+}
+
+/**
+ * The part of a claim that must match for two sources to agree
+ * @param {string} claim
+ * @returns {Object} { numbers, negated }
+ */
+function reading(claim) {
+  return {
+    numbers: new Set(claim.match(/\d+(?:\.\d+)?/g) || []),
+    negated: NEGATION.test(claim)
+  };
+}
+
+/**
+ * Same polarity, and one claim's numbers contain the other's
+ * ("Node 20 ships a test runner" is compatible with "it ships a test runner")
+ */
+function compatible(a, b) {
+  if (a.negated !== b.negated) return false;
+  const [small, large] = a.numbers.size <= b.numbers.size ? [a, b] : [b, a];
+  return [...small.numbers].every(n => large.numbers.has(n));
+}
+
+/**
+ * Whether a set of statements about one point agree with each other
+ * @param {Array<string>} statements
+ * @returns {boolean} True when every pair has the same polarity and no differing numbers
+ */
+export function statementsAgree(statements) {
+  const readings = statements.map(reading);
+  return readings.every((a, i) => readings.slice(i + 1).every(b => compatible(a, b)));
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / Math.sqrt(a.size * b.size || 1);
+}
+
+/**
+ * Build the claim x source matrix
+ * @param {Array<Object>} artifacts - [{ source, content }]
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - Vote weight per source name (default 1 each)
+ * @returns {Object} { sources, weights, claims: [{ id, text, cells: [{ source, status, text }] }], summary }
+ */
+export function buildClaimMatrix(artifacts, { weights = {} } = {}) {
+  const weightOf = artifacts.map(a => weights[a.source] ?? 1);
+  const totalWeight = weightOf.reduce((sum, w) => sum + w, 0);
+
+  const rows = [];
+
+  artifacts.forEach((artifact, sourceIndex) => {
+    for (const claim of splitClaims(artifact.content)) {
+      const terms = matchTerms(claim);
+
+      let best = null;
+      let bestScore = MATCH_THRESHOLD;
+      for (const row of rows) {
+        const score = similarity(terms, row.terms);
+        if (score >= bestScore && (!best || score > bestScore)) {
+          best = row;
+          bestScore = score;
+        }
+      }
+
+      if (!best) {
+        rows.push({ text: claim, terms, statements: new Map([[sourceIndex, claim]]) });
+      } else if (!best.statements.has(sourceIndex)) {
+        best.statements.set(sourceIndex, claim);
+      }
+      // A source restating a point it already made adds nothing
+    }
+  });
+
+  let supportWeight = 0;
+  let conflicts = 0;
+  let gaps = 0;
+
+  const claims = rows.map((row, i) => {
+    // The reading backed by the most vote weight wins; ties go to the first seen
+    const readings = new Map([...row.statements].map(([source, text]) => [source, reading(text)]));
+    let pivot = null;
+    let pivotWeight = -1;
+    for (const candidate of readings.values()) {
+      const weight = [...readings]
+        .filter(([, r]) => compatible(candidate, r))
+        .reduce((sum, [source]) => sum + weightOf[source], 0);
+      if (weight > pivotWeight) {
+        pivot = candidate;
+        pivotWeight = weight;
+      }
+    }
+
+    const cells = artifacts.map((artifact, sourceIndex) => {
+      const statement = row.statements.get(sourceIndex);
+      if (statement === undefined) {
+        return { source: artifact.source, status: 'absent', text: null };
+      }
+      return {
+        source: artifact.source,
+        status: compatible(readings.get(sourceIndex), pivot) ? 'supports' : 'contradicts',
+        text: statement
+      };
+    });
+
+    const supports = cells.filter(c => c.status === 'supports').length;
+    supportWeight += cells.reduce((sum, c, sourceIndex) => sum + (c.status === 'supports' ? weightOf[sourceIndex] : 0), 0);
+    if (cells.some(c => c.status === 'contradicts')) conflicts++;
+    else if (supports < artifacts.length) gaps++;
+
+    return { id: `C${i + 1}`, text: row.text, cells };
+  });
+
+  const agreementRatio = claims.length === 0 || totalWeight === 0
+    ? 0
+    : Math.round((supportWeight / (claims.length * totalWeight)) * 1000) / 1000;
+
+  const consensus = claims.length === 0
+    ? 'partial'
+    : agreementRatio >= AGREE_RATIO && conflicts === 0
+      ? 'agree'
+      : agreementRatio < DISAGREE_RATIO || conflicts * 2 >= claims.length
+        ? 'disagree'
+        : 'partial';
+
+  return {
+    sources: artifacts.map(a => a.source),
+    weights: Object.fromEntries(artifacts.map((a, i) => [a.source, weightOf[i]])),
+    claims,
+    summary: {
+      claims: claims.length,
+      agreed: claims.length - conflicts - gaps,
+      conflicts,
+      gaps,
+      agreement_ratio: agreementRatio,
+      consensus
+    }
+  };
+}
+
+/**
+ * Overwrite the model's self-reported agreement with the matrix values
+ * @param {Object} response - Consensus JSON (mutated)
+ * @param {Object} matrix - From buildClaimMatrix()
+ * @returns {Object} The same response
+ */
+export function applyClaimMatrix(response, matrix) {
+  response.model_reported = {
+    consensus: response.consensus,
+    agreement_ratio: response.agreement_ratio
+  };
+  response.consensus = matrix.summary.consensus;
+  response.agreement_ratio = matrix.summary.agreement_ratio;
+  response.claim_matrix = matrix;
+  return response;
+}
@@ -0,0 +1,270 @@
+import { CompareArgs, PairJudgementSchema, inputShape } from './schemas.mjs';
+import { getProvider } from './providers/index.mjs';
+import { modelCallReport } from './providers/resilient.mjs';
+import { generateStructured } from './structured-output.mjs';
+import { trackUsage } from './usage.mjs';
+import { tokenCounter, inputBudget, contextWindow, fitSections } from './token-budget.mjs';
+
+/**
+ * Pairwise A/B comparison with position-bias control
+ *
+ * Judges tend to favour whichever answer they read first (or last), so every
+ * comparison runs twice: once as (A, B) and once as (B, A), with the
+ * candidates shown only as RESPONSE 1 and RESPONSE 2. Each judgement is
+ * mapped back to a score for A in [-1, 1] (the judge's stated strength,
+ * negative when B wins) and the two orderings are averaged, so a pure
+ * position preference cancels out. When the orderings name different
+ * winners the result says so instead of averaging it away silently.
+ * Candidates too long for the context window are cut alike, by counted
+ * tokens, before either ordering runs (token-budget.mjs).
+ */
+
+// Averaged scores closer to zero than this count as a tie
+const TIE_MARGIN = 0.1;
+
+const ORDERINGS = [['a', 'b'], ['b', 'a']];
+
+const round = (x) => Math.round(x * 1000) / 1000;
+
+function compareInstructions({ question, criteria }) {
+  return `You are a pairwise judge comparing two responses to the same task.
+Judge only on the merits: the order the responses appear in and their length are not quality signals.
+
+Output ONLY valid JSON following this exact schema:
+{
+  "criteria": [{
+    "criterion": string,
+    "winner": "1" | "2" | "tie",
+    "strength": number (0.0-1.0, how clearly the winner is better),
+    "reasoning": string
+  }],
+  "overall": { "winner": "1" | "2" | "tie", "strength": number (0.0-1.0) },
+  "summary": string
+}
+
+Judge every one of these criteria, in this order: ${criteria.join(', ')}
+
+TASK: ${question || '(not provided)'}`;
+}
+
+function comparePrompt(instructions, first, second) {
+  return `${instructions}
+
+RESPONSE 1:
+${first}
+
+RESPONSE 2:
+${second}`;
+}
+
+/**
+ * Score for candidate A from a winner position in one ordering
+ * @param {string} winner - '1', '2' or 'tie'
+ * @param {number} strength - Judge's stated strength (0-1)
+ * @param {Array<string>} order - Which candidate sat in each position
+ * @returns {number} Positive favours A, negative favours B
+ */
+function scoreForA(winner, strength, order) {
+  if (winner === 'tie') return 0;
+  return order[Number(winner) - 1] === 'a' ? strength : -strength;
+}
+
+function sideOf(score, margin = 0) {
+  if (score > margin) return 'a';
+  if (score < -margin) return 'b';
+  return 'tie';
+}
+
+function findCriterion(judgement, criterion) {
+  const name = criterion.toLowerCase();
+  return judgement.criteria.find(c => c.criterion.trim().toLowerCase() === name) || null;
+}
+
+/**
+ * Combine the two orderings into one preference
+ * @param {Array<Object>} runs - [{ order, judgement }] where judgement is null when parsing failed
+ * @param {Object} options
+ * @param {Array<string>} options.criteria - Requested criteria
+ * @param {Object} options.labels - { a, b } display names
+ * @returns {Object} Comparison result
+ */
+export function combineOrderings(runs, { criteria, labels }) {
+  const valid = runs.filter(r => r.judgement);
+  const name = (side) => (side === 'tie' ? 'tie' : labels[side]);
+
+  const overallScores = valid.map(r => scoreForA(r.judgement.overall.winner, r.judgement.overall.strength, r.order));
+  const score = overallScores.reduce((sum, s) => sum + s, 0) / (overallScores.length || 1);
+
+  const criterionResults = criteria.map(criterion => {
+    const judged = valid
+      .map(r => ({ run: r, entry: findCriterion(r.judgement, criterion) }))
+      .filter(j => j.entry);
+    const scores = judged.map(j => scoreForA(j.entry.winner, j.entry.strength, j.run.order));
+    const mean = scores.reduce((sum, s) => sum + s, 0) / (scores.length || 1);
+    const sides = scores.map(s => sideOf(s));
+
+    return {
+      criterion,
+      winner: name(sideOf(mean, TIE_MARGIN)),
+      margin: round(Math.abs(mean)),
+      consistent: judged.length === runs.length && sides.every(side => side === sides[0]),
+      judged_in: judged.length,
+      reasoning: judged.map(j => j.entry.reasoning).filter(Boolean)
+    };
+  });
+
+  // Bias shows up as both orderings picking the same position
+  let disagree = null;
+  let positionBias = null;
+  if (valid.length === runs.length) {
+    const sides = overallScores.map(s => sideOf(s));
+    disagree = sides[0] !== sides[1];
+
+    const positions = valid.map(r => r.judgement.overall.winner);
+    if (disagree && positions[0] === positions[1] && positions[0] !== 'tie') {
+      positionBias = positions[0] === '1' ? 'first' : 'second';
+    }
+  }
+
+  return {
+    preference: name(sideOf(score, TIE_MARGIN)),
+    margin: round(Math.abs(score)),
+    criteria: criterionResults,
+    orderings_disagree: disagree,
+    position_bias: positionBias,
+    orderings: runs.map(r => ({
+      order: r.order.map(side => labels[side]),
+      winner: r.judgement ? name(sideOf(scoreForA(r.judgement.overall.winner, 1, r.order))) : null,
+      strength: r.judgement?.overall.strength ?? null,
+      summary: r.judgement?.summary ?? null,
+      parse_status: r.parse_status,
+      ...(r.errors && { parse_errors: r.errors })
+    }))
+  };
+}
+
+/**
+ * Run both orderings of a comparison
+ * @param {Object} validatedArgs - Arguments parsed with CompareArgs
+ * @returns {Promise<Object>} Comparison result
+ */
+export async function runComparison(validatedArgs) {
+  const { artifact_a, artifact_b, label_a, label_b, criteria, question, provider, model: modelOverride } = validatedArgs;
+  const { model, modelId } = getProvider({ provider, model: modelOverride });
+
+  const labels = { a: label_a, b: label_b };
+  const generationConfig = {
+    temperature: 0.2,
+    topP: 0.95,
+    maxOutputTokens: 4096,
+    responseMimeType: 'application/json'
+  };
+
+  // Fit both candidates once, sharing the room fairly, so both orderings read the same text
+  const counter = tokenCounter(model);
+  const budget = inputBudget(modelId, generationConfig.maxOutputTokens);
+  const instructions = compareInstructions({ question, criteria });
+  const fitted = await fitSections(counter, [
+    { name: 'instructions', text: comparePrompt(instructions, '', ''), priority: 0 },
+    { name: 'artifact_a', text: artifact_a, priority: 1 },
+    { name: 'artifact_b', text: artifact_b, priority: 1 }
+  ], budget);
+  const [, textA, textB] = fitted.texts;
+  const candidates = { a: textA, b: textB };
+
+  const runs = await Promise.all(ORDERINGS.map(async (order) => {
+    const [first, second] = order.map(side => candidates[side]);
+    const structured = await generateStructured(model, {
+      contents: [{ role: 'user', parts: [{ text: comparePrompt(instructions, first, second) }] }],
+      generationConfig
+    }, PairJudgementSchema);
+
+    return {
+      order,
+      judgement: structured.data,
+      parse_status: structured.parse_status,
+      ...(!structured.data && { errors: structured.errors })
+    };
+  }));
+
+  if (runs.every(r => !r.judgement)) {
+    throw new Error('Neither ordering produced a valid judgement');
+  }
+
+  const result = combineOrderings(runs, { criteria, labels });
+  const statuses = runs.map(r => r.parse_status);
+
+  return {
+    ...result,
+    parse_status: statuses.includes('failed') ? 'failed' : statuses.includes('repaired') ? 'repaired' : 'ok',
+    truncation: {
+      truncated: fitted.dropped.length > 0,
+      details: fitted.dropped
+    },
+    token_budget: {
+      context_window: contextWindow(modelId),
+      input_budget: budget,
+      counted_with: counter.method,
+      prompt_tokens: fitted.prompt_tokens
+    },
+    model_call: modelCallReport(model, modelId)
+  };
+}
+
+/**
+ * Register the compare_pair tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerCompareTool(server) {
+  server.registerTool(
+    'compare_pair',
+    {
+      description: 'Judge which of two artifacts is better against a list of criteria. Runs both orderings to cancel position bias and returns the preferred candidate with a margin, per-criterion winners, and a flag when the orderings disagree.',
+      inputSchema: inputShape(CompareArgs)
+    },
+    async (args) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = CompareArgs.parse(args);
+
+      try {
+        const { result, usage } = await trackUsage(
+          { tool: 'compare_pair', task: 'compare', task_id: validatedArgs.task_id },
+          () => runComparison(validatedArgs)
+        );
+        result.usage = usage;
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ]
+        };
+
+      } catch (error) {
+        console.error('Error in compare_pair:', error);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                preference: 'tie',
+                margin: 0,
+                criteria: [],
+                orderings_disagree: null,
+                position_bias: null,
+                orderings: [],
+                summary: `Error during comparison: ${error.message}`,
+                parse_status: 'error',
+                ...(error.model_call && { model_unavailable: true, model_call: error.model_call }),
+                ...(error.budget && { budget_exceeded: true, budget: error.budget })
+              }, null, 2)
+            }
+          ]
+        };
+      }
+    }
+  );
+}
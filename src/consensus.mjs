@@ -1,54 +1,147 @@
-import { ConsensusArgs } from './schemas.mjs';
-import { getGemini } from './gemini.mjs';
+import { ConsensusArgs, ConsensusResultSchema, inputShape } from './schemas.mjs';
+import { getProvider } from './providers/index.mjs';
+import { modelCallReport } from './providers/resilient.mjs';
+import { generateStructured } from './structured-output.mjs';
+import { searchTools, applyGrounding } from './grounding.mjs';
+import { buildClaimMatrix, applyClaimMatrix } from './claim-matrix.mjs';
+import { runDebate } from './debate.mjs';
+import { executePatches, formatExecution } from './execution.mjs';
+import { reliabilityWeights, outcomesFromMatrix } from './reliability.mjs';
+import { getServerStorage } from './storage-sqlite.mjs';
+import { cacheIdentity, withCache } from './cache.mjs';
+import { trackUsage } from './usage.mjs';
+import { tokenCounter, inputBudget, contextWindow, fitSections } from './token-budget.mjs';
+import { defineJobKind, submitJob } from './jobs.mjs';
+import { withRequestControl } from './progress.mjs';
+
+// Matrix rows shown to the model (the full matrix is always returned)
+const MATRIX_PROMPT_ROWS = 100;
+
+// Bump when the consensus prompt changes so cached results are not reused
+const CONSENSUS_PROMPT_VERSION = '1';
 
 /**
- * Register the consensus_check tool with the MCP server
- * @param {Object} server - MCP server instance
+ * Fit artifact contents into the context window
+ * The sources share the tokens the rest of the prompt leaves: short sources
+ * keep everything and the remainder is split evenly across the longer ones,
+ * after unchanged diff context has been dropped.
+ * @param {Object} counter - From tokenCounter()
+ * @param {Array<Object>} artifacts - [{ source, content }]
+ * @param {string} fixedText - The rest of the prompt
+ * @param {number} budget - Input tokens available
+ * @returns {Promise<Object>} { contents, truncation, prompt_tokens } where truncation lists cut sources
  */
-export async function registerConsensusTool(server) {
-  server.registerTool(
-    'consensus_check',
-    'Compare multiple model answers and return a structured consensus analysis with agreements, conflicts, gaps, and recommendations. Optionally triangulate by asking Gemini to produce its own answer.',
-    {
-      question: {
-        type: 'string',
-        description: 'Prompt or task under debate'
-      },
-      artifacts: {
-        type: 'array',
-        description: 'At least two model answers to compare',
-        items: {
-          type: 'object',
-          properties: {
-            source: { type: 'string', description: 'Source model name' },
-            content: { type: 'string', description: 'Model answer content' }
-          },
-          required: ['source', 'content']
-        },
-        minItems: 2
-      },
-      triangulate: {
-        type: 'boolean',
-        default: false,
-        description: 'Ask Gemini to produce its own answer and include it'
-      },
-      ground_with_search: {
-        type: 'boolean',
-        default: false,
-        description: 'Use Google Search for grounding'
-      }
-    },
-    async (args) => {
-      // Validate arguments using Zod schema
-      const validatedArgs = ConsensusArgs.parse(args);
-      
-      const { question, artifacts, triangulate, ground_with_search } = validatedArgs;
-      
-      try {
-        const { model, modelId } = getGemini();
-        
-        // Define the strict JSON schema for consensus response
-        const consensusPrompt = `You are a consensus analyzer comparing multiple AI model responses.
+async function fitSources(counter, artifacts, fixedText, budget) {
+  const fitted = await fitSections(counter, [
+    { name: 'instructions', text: fixedText, priority: 0 },
+    ...artifacts.map((a, i) => ({ name: `artifacts[${i}]`, text: a.content, priority: 1, meta: { source: a.source } }))
+  ], budget);
+  
+  return {
+    contents: fitted.texts.slice(1),
+    truncation: fitted.dropped,
+    prompt_tokens: fitted.prompt_tokens
+  };
+}
+
+/**
+ * Render the claim matrix compactly for the prompt
+ * @param {Object} matrix - From buildClaimMatrix()
+ * @returns {string}
+ */
+function formatMatrix(matrix) {
+  const rows = matrix.claims.slice(0, MATRIX_PROMPT_ROWS).map(claim => {
+    const cells = claim.cells.map(c => `${c.source}: ${c.status}`).join(', ');
+    return `${claim.id} [${cells}] ${claim.text}`;
+  });
+  if (matrix.claims.length > MATRIX_PROMPT_ROWS) {
+    rows.push(`... ${matrix.claims.length - MATRIX_PROMPT_ROWS} more claims`);
+  }
+  return rows.join('\n');
+}
+
+/**
+ * Cache identity of a consensus check
+ * @param {Object} validatedArgs - Arguments parsed with ConsensusArgs
+ * @param {string} modelId - Resolved model id
+ * @param {Object} [weights] - Reliability vote weights in effect
+ * @returns {Object} From cacheIdentity()
+ */
+function consensusCacheIdentity(validatedArgs, modelId, weights) {
+  const { question, artifacts, triangulate, ground_with_search, debate, weight_by_reliability } = validatedArgs;
+
+  return cacheIdentity({
+    tool: 'consensus_check',
+    artifact: JSON.stringify({ question: question || null, artifacts }),
+    task: 'consensus',
+    model_id: modelId,
+    prompt_version: CONSENSUS_PROMPT_VERSION,
+    grounded: ground_with_search,
+    options: { triangulate, debate, weight_by_reliability, weights }
+  });
+}
+
+/**
+ * Run a consensus check
+ * Errors are turned into an escalating consensus response, never thrown.
+ * @param {Object} validatedArgs - Arguments parsed with ConsensusArgs
+ * @returns {Promise<Object>} consensus_check response
+ */
+async function runConsensus(validatedArgs) {
+  const { question, artifacts, triangulate, ground_with_search, provider, model: modelOverride, debate, execute_patches, task_id, weight_by_reliability, cache } = validatedArgs;
+  const sources = artifacts.map(a => a.source);
+  
+  // Sources with a better track record get a bigger say in each claim
+  let reliability;
+  if (weight_by_reliability || task_id) {
+    reliability = { weighted: weight_by_reliability, task_id: task_id || null };
+  }
+  if (weight_by_reliability) {
+    try {
+      const storage = await getServerStorage();
+      reliability.sources = reliabilityWeights(storage.getSourceOutcomes(sources), sources);
+    } catch (storageError) {
+      console.error('Error loading source reliability:', storageError);
+      reliability.weighted = false;
+      reliability.error = `Reliability unavailable: ${storageError.message}`;
+    }
+  }
+  const weights = reliability?.sources
+    ? Object.fromEntries(Object.entries(reliability.sources).map(([source, r]) => [source, r.reliability]))
+    : undefined;
+  
+  // Agreement is measured on the claims themselves, not the model's self-report
+  const matrix = buildClaimMatrix(artifacts, { weights });
+  
+  if (task_id) {
+    try {
+      const storage = await getServerStorage();
+      const outcomes = outcomesFromMatrix(matrix);
+      storage.recordSourceOutcomes(task_id, 'consensus', outcomes);
+      reliability.recorded = outcomes.length;
+    } catch (storageError) {
+      console.error('Error recording source outcomes:', storageError);
+      reliability.recorded = 0;
+      reliability.error = `Outcomes not recorded: ${storageError.message}`;
+    }
+  }
+  
+  // Patches are judged on what happens when they run, not how they read
+  let execution;
+  if (execute_patches) {
+    try {
+      execution = await executePatches(artifacts, execute_patches);
+    } catch (executionError) {
+      execution = { error: `Patch execution failed: ${executionError.message}` };
+    }
+  }
+  
+  try {
+    const { model, modelId } = getProvider({ provider, model: modelOverride });
+    
+    const analyze = async () => {
+      // Define the strict JSON schema for consensus response
+      const consensusPrompt = `You are a consensus analyzer comparing multiple AI model responses.
         
 Output ONLY valid JSON following this exact schema:
 {
@@ -76,136 +169,233 @@ Analyze the provided artifacts for:
 - Gaps or missing information
 - Overall confidence in the consensus`;
 
-        // Format artifacts for analysis
-        const sourcesBlock = artifacts
-          .map((a, i) => `SOURCE_${i + 1} (${a.source}):\n${a.content}`)
-          .join('\n\n---\n\n');
+      // Configure generation
+      const generationConfig = {
+        temperature: 0.3,
+        topP: 0.95,
+        topK: 20,
+        maxOutputTokens: 8192,
+      };
+      
+      const questionText = `\nQUESTION: ${question || '(not provided)'}`;
+      const matrixText = `\nCLAIM MATRIX (computed from the artifacts; explain it, do not recount it):\n${formatMatrix(matrix)}`;
+      const triangulateText = `\nTRIANGULATE: ${triangulate}`;
+      const executionText = execution && !execution.error
+        ? `\nEXECUTION RESULTS (each patch applied and run; treat as ground truth):\n${formatExecution(execution)}`
+        : '';
+      
+      // Format artifacts for analysis, sharing the context window fairly so
+      // one long answer can't push the others out
+      const counter = tokenCounter(model);
+      const budget = inputBudget(modelId, generationConfig.maxOutputTokens);
+      const { contents: fitted, truncation, prompt_tokens } = await fitSources(
+        counter,
+        artifacts,
+        consensusPrompt + questionText + matrixText + triangulateText + executionText,
+        budget
+      );
+      const sourcesBlock = artifacts
+        .map((a, i) => `SOURCE_${i + 1} (${a.source}):\n${fitted[i]}`)
+        .join('\n\n---\n\n');
 
-        // Build the prompt parts
-        const parts = [
-          { text: consensusPrompt },
-          { text: `\nQUESTION: ${question || '(not provided)'}` },
-          { text: `\nARTIFACTS TO COMPARE:\n${sourcesBlock.slice(0, 160000)}` },
-          { text: `\nTRIANGULATE: ${triangulate}` }
-        ];
-        
-        // Configure generation
-        const generationConfig = {
-          temperature: 0.3,
-          topP: 0.95,
-          topK: 20,
-          maxOutputTokens: 8192,
-        };
-        
-        // Add Google Search if requested
-        const toolConfig = ground_with_search ? {
-          functionCallingConfig: {
-            mode: 'AUTO',
-            allowedFunctionNames: ['google_search']
-          }
-        } : undefined;
-        
-        // Generate consensus analysis
-        const result = await model.generateContent({
-          contents: [{ role: 'user', parts }],
-          generationConfig,
-          tools: ground_with_search ? [{ googleSearchRetrieval: {} }] : undefined,
-          toolConfig
-        });
-        
-        const response = result.response;
-        const text = response.text();
-        
-        // Parse JSON response
-        let jsonResponse;
-        try {
-          jsonResponse = JSON.parse(text);
-        } catch (parseError) {
-          // Fallback response if JSON parsing fails
-          jsonResponse = {
-            consensus: 'partial',
-            agreement_ratio: 0.5,
-            summary: 'Unable to parse consensus response properly',
-            findings: [
-              {
-                type: 'gap',
-                message: 'Response parsing failed, manual review needed',
-                severity: 'med'
-              }
-            ],
-            recommended_action: 'revise',
-            model_votes: artifacts.map(a => ({
-              source: a.source,
-              confidence: 0.5,
-              notes: 'Unable to determine due to parsing error'
-            })),
-            citations: []
-          };
-        }
-        
-        // If triangulate requested, get Gemini's own answer
-        if (triangulate && question) {
-          try {
-            const triangulationResult = await model.generateContent({
-              contents: [{
-                role: 'user',
-                parts: [{
-                  text: `Provide your own concise answer (max 250 words) to this question:\n\n${question}`
-                }]
-              }],
-              generationConfig: {
-                temperature: 0.5,
-                topP: 0.95,
-                maxOutputTokens: 1024,
-              }
-            });
-            
-            const geminiAnswer = triangulationResult.response.text();
-            jsonResponse.gemini_answer = geminiAnswer.slice(0, 2000);
-          } catch (triError) {
-            jsonResponse.gemini_answer = `Error getting Gemini answer: ${triError.message}`;
-          }
-        }
-        
-        return {
-          content: [
+      // Build the prompt parts
+      const parts = [
+        { text: consensusPrompt },
+        { text: questionText },
+        { text: `\nARTIFACTS TO COMPARE:\n${sourcesBlock}` },
+        { text: matrixText },
+        { text: triangulateText }
+      ];
+      if (executionText) {
+        parts.push({ text: executionText });
+      }
+      
+      // Generate consensus analysis and enforce the result schema
+      const structured = await generateStructured(model, {
+        contents: [{ role: 'user', parts }],
+        generationConfig: ground_with_search
+          ? generationConfig
+          : { ...generationConfig, responseMimeType: 'application/json' },
+        tools: ground_with_search ? searchTools(modelId) : undefined
+      }, ConsensusResultSchema);
+      
+      let jsonResponse;
+      if (structured.data) {
+        jsonResponse = applyClaimMatrix({
+          ...structured.data,
+          parse_status: structured.parse_status,
+          repair_attempts: structured.repair_attempts
+        }, matrix);
+      } else {
+        // Schema still not satisfied after repairs - say so explicitly
+        jsonResponse = {
+          consensus: matrix.summary.consensus,
+          agreement_ratio: matrix.summary.agreement_ratio,
+          summary: 'Consensus response did not match the required schema',
+          findings: [
             {
-              type: 'text',
-              text: JSON.stringify(jsonResponse, null, 2)
+              type: 'gap',
+              message: 'Response parsing failed, manual review needed',
+              severity: 'high'
             }
-          ]
+          ],
+          recommended_action: 'escalate',
+          model_votes: artifacts.map(a => ({
+            source: a.source,
+            confidence: 0,
+            notes: 'Unable to determine due to parsing error'
+          })),
+          citations: [],
+          parse_status: 'failed',
+          repair_attempts: structured.repair_attempts,
+          parse_errors: structured.errors,
+          raw_response: structured.raw.slice(0, 1000),
+          claim_matrix: matrix
         };
-        
-      } catch (error) {
-        console.error('Error in consensus_check:', error);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                consensus: 'partial',
-                agreement_ratio: 0,
-                summary: `Error during consensus analysis: ${error.message}`,
-                findings: [
-                  {
-                    type: 'gap',
-                    message: 'Consensus analysis failed',
-                    severity: 'high'
-                  }
-                ],
-                recommended_action: 'escalate',
-                model_votes: artifacts.map(a => ({
-                  source: a.source,
-                  confidence: 0,
-                  notes: 'Error during analysis'
-                })),
-                citations: []
-              }, null, 2)
+      }
+      
+      if (execution) {
+        jsonResponse.execution = execution;
+      }
+      
+      if (weights) {
+        for (const vote of jsonResponse.model_votes || []) {
+          vote.weight = weights[vote.source];
+        }
+      }
+      
+      // Citations are only trusted when a search actually retrieved them
+      applyGrounding(jsonResponse, structured.results, ground_with_search);
+      
+      jsonResponse.truncation = {
+        truncated: truncation.length > 0,
+        details: truncation
+      };
+      jsonResponse.token_budget = {
+        context_window: contextWindow(modelId),
+        input_budget: budget,
+        counted_with: counter.method,
+        prompt_tokens
+      };
+      
+      // If triangulate requested, get Gemini's own answer
+      if (triangulate && question) {
+        try {
+          const triangulationResult = await model.generateContent({
+            contents: [{
+              role: 'user',
+              parts: [{
+                text: `Provide your own concise answer (max 250 words) to this question:\n\n${question}`
+              }]
+            }],
+            generationConfig: {
+              temperature: 0.5,
+              topP: 0.95,
+              maxOutputTokens: 1024,
             }
-          ]
-        };
+          });
+          
+          const geminiAnswer = triangulationResult.response.text();
+          jsonResponse.gemini_answer = geminiAnswer.slice(0, 2000);
+        } catch (triError) {
+          jsonResponse.gemini_answer = `Error getting Gemini answer: ${triError.message}`;
+        }
+      }
+      
+      // Optional rebuttal rounds over the conflicting claims
+      if (debate) {
+        try {
+          jsonResponse.debate = await runDebate(model, { question, matrix, ...debate });
+        } catch (debateError) {
+          jsonResponse.debate = { error: `Debate failed: ${debateError.message}` };
+        }
+      }
+      
+      // Which model answered, after retries and fallbacks
+      const modelCall = modelCallReport(model, modelId);
+      if (modelCall) {
+        jsonResponse.model_call = modelCall;
       }
+      
+      return jsonResponse;
+    };
+    
+    // Patch results depend on the repository state, so those calls are never cached
+    const { result: jsonResponse, usage } = await trackUsage(
+      { tool: 'consensus_check', task: 'consensus', task_id },
+      () => cache && !execute_patches
+        ? withCache(consensusCacheIdentity(validatedArgs, modelId, weights), cache, analyze)
+        : analyze()
+    );
+    // Per call, like usage: a cached result may come from another task
+    if (reliability) {
+      jsonResponse.reliability = reliability;
+    }
+    jsonResponse.usage = usage;
+    
+    return jsonResponse;
+    
+  } catch (error) {
+    console.error('Error in consensus_check:', error);
+    
+    return {
+      consensus: matrix.summary.consensus,
+      agreement_ratio: matrix.summary.agreement_ratio,
+      summary: `Error during consensus analysis: ${error.message}`,
+      findings: [
+        {
+          type: 'gap',
+          message: 'Consensus analysis failed',
+          severity: 'high'
+        }
+      ],
+      recommended_action: 'escalate',
+      model_votes: artifacts.map(a => ({
+        source: a.source,
+        confidence: 0,
+        notes: 'Error during analysis'
+      })),
+      citations: [],
+      parse_status: 'error',
+      ...(error.model_call && { model_unavailable: true, model_call: error.model_call }),
+      ...(error.budget && { budget_exceeded: true, budget: error.budget }),
+      ...(error.name === 'CancelledError' && { cancelled: true }),
+      claim_matrix: matrix,
+      ...(execution && { execution }),
+      ...(reliability && { reliability })
+    };
+  }
+}
+
+/**
+ * Register the consensus_check tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerConsensusTool(server) {
+  server.registerTool(
+    'consensus_check',
+    {
+      description: 'Compare multiple model answers and return a structured consensus analysis with agreements, conflicts, gaps, and recommendations. Optionally triangulate by asking Gemini to produce its own answer.',
+      inputSchema: inputShape(ConsensusArgs)
+    },
+    async (args, extra) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = ConsensusArgs.parse(args);
+      
+      const jsonResponse = validatedArgs.async
+        ? await submitJob('consensus_check', args)
+        : await withRequestControl(extra, () => runConsensus(validatedArgs));
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(jsonResponse, null, 2)
+          }
+        ]
+      };
     }
   );
+  
+  defineJobKind('consensus_check', { schema: ConsensusArgs, run: runConsensus });
 }
\ No newline at end of file
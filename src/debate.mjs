@@ -0,0 +1,200 @@
+import { RebuttalSchema } from './schemas.mjs';
+import { generateStructured } from './structured-output.mjs';
+import { statementsAgree } from './claim-matrix.mjs';
+import { tokenCounter } from './token-budget.mjs';
+
+/**
+ * Debate / rebuttal rounds for consensus_check
+ *
+ * Every conflicting row of the claim matrix becomes a dispute. Each round,
+ * the model argues on behalf of each source still in a dispute: it sees the
+ * source's current statement and the opposing ones and must maintain,
+ * concede or revise. Positions are updated and each dispute is re-checked
+ * with the same deterministic rule the matrix uses. The debate stops when
+ * everything is resolved, the round cap is hit or the token budget is spent.
+ * Each turn's prompt is counted before it is sent and its output is capped
+ * at what remains of the budget, so the last turn cannot overrun it.
+ */
+
+const MAX_TURN_OUTPUT = 2048;
+
+// Smallest output budget a turn is worth sending for
+const MIN_TURN_OUTPUT = 256;
+
+/**
+ * Collect the disputed rows from a claim matrix
+ * @param {Object} matrix - From buildClaimMatrix()
+ * @returns {Array<Object>} [{ claim_id, text, positions: Map<source, statement> }]
+ */
+function disputesFrom(matrix) {
+  return matrix.claims
+    .filter(claim => claim.cells.some(c => c.status === 'contradicts'))
+    .map(claim => ({
+      claim_id: claim.id,
+      text: claim.text,
+      positions: new Map(claim.cells.filter(c => c.text !== null).map(c => [c.source, c.text]))
+    }));
+}
+
+function isResolved(dispute) {
+  return statementsAgree([...dispute.positions.values()]);
+}
+
+/**
+ * Prompt for one source's turn in a round
+ */
+function advocatePrompt(question, source, disputes, round, maxRounds) {
+  const points = disputes.map(d => {
+    const others = [...d.positions]
+      .filter(([other]) => other !== source)
+      .map(([other, statement]) => `  - ${other}: ${statement}`)
+      .join('\n');
+    return `${d.claim_id}\n  ${source} (your position): ${d.positions.get(source)}\n  Opposing positions:\n${others}`;
+  }).join('\n\n');
+
+  return `You are a debate advocate for SOURCE ${source} in round ${round} of ${maxRounds}.
+Argue honestly: defend the position only if the evidence supports it.
+
+QUESTION: ${question || '(not provided)'}
+
+DISPUTED POINTS:
+${points}
+
+For every disputed point choose one stance:
+- "maintain": keep the position and give the strongest argument for it
+- "concede": accept an opposing position (put the accepted statement in "statement")
+- "revise": replace the position with a corrected statement
+
+Output ONLY valid JSON:
+{ "rebuttals": [{ "claim_id": string, "stance": "maintain" | "concede" | "revise", "statement": string, "argument": string }] }`;
+}
+
+function tokensUsed(results) {
+  return results.reduce((sum, r) => sum + (r?.response?.usageMetadata?.totalTokenCount || 0), 0);
+}
+
+/**
+ * Run debate rounds over the conflicts in a claim matrix
+ * @param {Object} model - Provider model with generateContent()
+ * @param {Object} options
+ * @param {string} [options.question] - Question under debate
+ * @param {Object} options.matrix - From buildClaimMatrix()
+ * @param {number} options.rounds - Maximum rounds
+ * @param {number} options.token_budget - Maximum total tokens across all debate calls
+ * @returns {Promise<Object>} Debate record
+ */
+export async function runDebate(model, { question, matrix, rounds, token_budget }) {
+  const disputes = disputesFrom(matrix);
+  const record = {
+    max_rounds: rounds,
+    token_budget,
+    tokens_used: 0,
+    rounds_run: 0,
+    stopped_reason: null,
+    rounds: [],
+    position_shifts: [],
+    resolved: [],
+    unresolved: []
+  };
+
+  const counter = tokenCounter(model);
+  let open = disputes.filter(d => !isResolved(d));
+
+  for (let round = 1; round <= rounds && open.length > 0 && !record.stopped_reason; round++) {
+    const turns = [];
+    const sources = [...new Set(open.flatMap(d => [...d.positions.keys()]))];
+    let spoke = 0;
+
+    for (const source of sources) {
+      const mine = open.filter(d => d.positions.has(source));
+      const prompt = advocatePrompt(question, source, mine, round, rounds);
+
+      const remaining = token_budget - record.tokens_used;
+      const promptTokens = await counter.count(prompt);
+      const turnOutput = Math.min(MAX_TURN_OUTPUT, remaining - promptTokens);
+      if (turnOutput < MIN_TURN_OUTPUT) {
+        record.stopped_reason = 'token_budget';
+        break;
+      }
+
+      // Repairs resend the prompt and the rejected reply, so they are only
+      // allowed while the budget still covers several full turns
+      const canRepair = remaining >= 3 * (promptTokens + 2 * MAX_TURN_OUTPUT);
+      const structured = await generateStructured(model, {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: 0.3,
+          maxOutputTokens: turnOutput,
+          responseMimeType: 'application/json'
+        }
+      }, RebuttalSchema, canRepair ? {} : { maxRepairs: 0 });
+      record.tokens_used += tokensUsed(structured.results);
+      spoke += 1;
+
+      const known = new Map(mine.map(d => [d.claim_id, d]));
+      for (const rebuttal of structured.data?.rebuttals || []) {
+        const dispute = known.get(rebuttal.claim_id);
+        if (!dispute) continue;
+        turns.push({ source, ...rebuttal });
+      }
+    }
+
+    // Out of budget before anyone spoke: the round never happened
+    if (spoke === 0) break;
+
+    // Apply the round's moves together so every advocate saw the same positions
+    for (const turn of turns) {
+      if (turn.stance === 'maintain') continue;
+
+      const dispute = open.find(d => d.claim_id === turn.claim_id);
+      const from = dispute.positions.get(turn.source);
+      const opposing = [...dispute.positions].find(([other]) => other !== turn.source)?.[1];
+      const to = turn.statement || (turn.stance === 'concede' ? opposing : from);
+
+      if (to && to !== from) {
+        dispute.positions.set(turn.source, to);
+        record.position_shifts.push({
+          round,
+          source: turn.source,
+          claim_id: turn.claim_id,
+          stance: turn.stance,
+          from,
+          to
+        });
+      }
+    }
+
+    record.rounds.push({ round, rebuttals: turns });
+    record.rounds_run = round;
+
+    for (const dispute of open.filter(isResolved)) {
+      record.resolved.push({ claim_id: dispute.claim_id, round });
+    }
+    open = open.filter(d => !isResolved(d));
+  }
+
+  if (!record.stopped_reason) {
+    record.stopped_reason = disputes.length === 0
+      ? 'no_conflicts'
+      : open.length === 0 ? 'resolved' : 'max_rounds';
+  }
+  record.unresolved = open.map(d => ({
+    claim_id: d.claim_id,
+    text: d.text,
+    positions: [...d.positions].map(([source, statement]) => ({ source, statement }))
+  }));
+
+  // Agreement once resolved disputes stop counting as conflicts
+  const resolvedIds = new Set(record.resolved.map(r => r.claim_id));
+  const n = matrix.sources.length;
+  const supportCells = matrix.claims.reduce((sum, claim) => {
+    const present = claim.cells.filter(c => c.status !== 'absent').length;
+    const supports = claim.cells.filter(c => c.status === 'supports').length;
+    return sum + (resolvedIds.has(claim.id) ? present : supports);
+  }, 0);
+  record.post_debate_agreement_ratio = matrix.claims.length === 0
+    ? 0
+    : Math.round((supportCells / (matrix.claims.length * n)) * 1000) / 1000;
+
+  return record;
+}
@@ -0,0 +1,326 @@
+import { promises as fs } from 'fs';
+import { join, relative, resolve, isAbsolute, sep } from 'path';
+
+/**
+ * Local evidence retrieval for verify_with_gemini
+ *
+ * `grounding_sources` (file paths, directories or globs) are split into
+ * overlapping line windows and ranked against the artifact with BM25. The
+ * top passages are handed to the model as numbered evidence ([E1], [E2], ...)
+ * and the model cites them back by id and line range. Nothing leaves the
+ * machine.
+ */
+
+const WINDOW_LINES = 20;
+const WINDOW_STRIDE = 10;
+const TOP_K = 8;
+const MAX_FILES = 500;
+const MAX_FILE_BYTES = 1024 * 1024;
+const EVIDENCE_CHAR_LIMIT = 40000;
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with', 'we', 'our', 'you', 'not', 'but', 'can', 'all', 'if'
+]);
+
+/**
+ * Convert a glob to a regular expression over forward-slash paths
+ * Supports **, * and ?.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Whether `path` is `root` itself or inside it
+function isInside(root, path) {
+  const rel = relative(root, path);
+  return rel === '' || (rel.split(sep)[0] !== '..' && !isAbsolute(rel));
+}
+
+// Add a file unless the cap is reached; false once it is
+function collect(state, path) {
+  if (state.files.has(path)) return true;
+  if (state.files.size >= MAX_FILES) {
+    state.truncated = true;
+    return false;
+  }
+  state.files.add(path);
+  return true;
+}
+
+// Symbolic links are not followed, so a walk never leaves its directory
+async function walk(dir, match, state) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    if (state.truncated) return;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.has(entry.name)) await walk(path, match, state);
+    } else if (entry.isFile() && match(path)) {
+      if (!collect(state, path)) return;
+    }
+  }
+}
+
+/**
+ * Resolve paths, directories and globs to a sorted list of files
+ * Only files inside `root` are read: a source that resolves outside it,
+ * directly or through a symbolic link, is rejected. Globs are matched during
+ * the walk, and only matching files count toward the MAX_FILES cap.
+ * @param {Array<string>} patterns - grounding_sources entries
+ * @param {string} [root=process.cwd()] - Repository root; base for relative patterns
+ * @returns {Promise<Object>} { files: absolute paths (at most MAX_FILES), truncated }
+ * @throws {Error} When a source lies outside the root
+ */
+export async function expandSources(patterns, root = process.cwd()) {
+  const base = resolve(root);
+  const realBase = await fs.realpath(base).catch(() => base);
+  const state = { files: new Set(), truncated: false };
+
+  for (const pattern of patterns) {
+    const absolute = resolve(base, pattern);
+    if (!isInside(base, absolute)) {
+      throw new Error(`Grounding source outside the repository root: ${pattern}`);
+    }
+    if (state.truncated) break;
+
+    const path = absolute.split(sep).join('/');
+    if (!/[*?]/.test(path)) {
+      const real = await fs.realpath(absolute).catch(() => null);
+      if (!real) continue;
+      if (!isInside(realBase, real)) {
+        throw new Error(`Grounding source outside the repository root: ${pattern}`);
+      }
+
+      const stat = await fs.stat(real);
+      if (stat.isFile()) {
+        collect(state, absolute);
+      } else if (stat.isDirectory()) {
+        await walk(absolute, () => true, state);
+      }
+      continue;
+    }
+
+    // Walk from the deepest directory without wildcards
+    const segments = path.split('/');
+    const firstGlob = segments.findIndex(s => /[*?]/.test(s));
+    const matcher = globToRegExp(path);
+    const globBase = segments.slice(0, firstGlob).join('/') || '/';
+
+    // The fixed prefix may itself be a symbolic link out of the root
+    const realGlobBase = await fs.realpath(globBase).catch(() => null);
+    if (!realGlobBase) continue;
+    if (!isInside(realBase, realGlobBase)) {
+      throw new Error(`Grounding source outside the repository root: ${pattern}`);
+    }
+
+    await walk(globBase, f => matcher.test(f.split(sep).join('/')), state);
+  }
+
+  return { files: [...state.files].sort(), truncated: state.truncated };
+}
+
+/**
+ * Split text into lowercase search terms
+ * snake_case and camelCase identifiers also contribute their parts.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of text.match(/[A-Za-z0-9_]+/g) || []) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[_\s]+/)
+      .map(p => p.toLowerCase());
+    const whole = word.toLowerCase();
+    for (const term of new Set([whole, ...parts])) {
+      if (term.length > 1 && !STOPWORDS.has(term)) terms.push(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Cut a file into overlapping line windows
+ * @param {string} path - Display path
+ * @param {string} text - File contents
+ * @returns {Array<Object>} [{ path, start_line, end_line, text }]
+ */
+export function splitPassages(path, text) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  const passages = [];
+
+  for (let start = 0; start < lines.length; start += WINDOW_STRIDE) {
+    const end = Math.min(start + WINDOW_LINES, lines.length);
+    const body = lines.slice(start, end).join('\n');
+    if (body.trim()) {
+      passages.push({ path, start_line: start + 1, end_line: end, text: body });
+    }
+    if (end === lines.length) break;
+  }
+
+  return passages;
+}
+
+/**
+ * Rank passages against a query with BM25
+ * @param {Array<Object>} passages - From splitPassages()
+ * @param {string} query - Text whose claims need evidence
+ * @returns {Array<Object>} Passages with a `score`, best first, zero scores dropped
+ */
+export function rankPassages(passages, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const docs = passages.map(p => {
+    const counts = new Map();
+    const terms = tokenize(p.text);
+    terms.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    return { counts, length: terms.length };
+  });
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const docFreq = new Map();
+  for (const term of queryTerms) {
+    docFreq.set(term, docs.filter(d => d.counts.has(term)).length);
+  }
+
+  return passages
+    .map((passage, i) => {
+      const { counts, length } = docs[i];
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = counts.get(term) || 0;
+        if (!tf) continue;
+        const df = docFreq.get(term);
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / (avgLength || 1)));
+      }
+      return { ...passage, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter(p => p.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retrieve numbered evidence for an artifact
+ * Overlapping windows from the same file are skipped so each id adds new lines.
+ * @param {Array<string>} sources - grounding_sources entries
+ * @param {string} query - Artifact text
+ * @param {Object} [options]
+ * @param {string} [options.root] - Base for relative paths
+ * @param {number} [options.topK] - Passages to keep
+ * @returns {Promise<Object>} { evidence: [{ id, path, start_line, end_line, score, text }], files_searched,
+ *   files_truncated }
+ * @throws {Error} When a source lies outside the root
+ */
+export async function retrieveEvidence(sources, query, { root = process.cwd(), topK = TOP_K } = {}) {
+  const { files, truncated } = await expandSources(sources, root);
+  const passages = [];
+
+  for (const file of files) {
+    const stat = await fs.stat(file);
+    if (stat.size > MAX_FILE_BYTES) continue;
+
+    const text = await fs.readFile(file, 'utf8');
+    if (text.includes('\u0000')) continue; // binary
+
+    const display = relative(root, file).split(sep).join('/') || file;
+    passages.push(...splitPassages(display, text));
+  }
+
+  const selected = [];
+  let chars = 0;
+  for (const passage of rankPassages(passages, query)) {
+    if (selected.length >= topK) break;
+
+    const overlaps = selected.some(s =>
+      s.path === passage.path && s.start_line <= passage.end_line && passage.start_line <= s.end_line);
+    if (overlaps || chars + passage.text.length > EVIDENCE_CHAR_LIMIT) continue;
+
+    selected.push(passage);
+    chars += passage.text.length;
+  }
+
+  return {
+    evidence: selected.map((p, i) => ({ id: `E${i + 1}`, ...p })),
+    files_searched: files.length,
+    files_truncated: truncated
+  };
+}
+
+/**
+ * Render evidence for the prompt with line-numbered text
+ * @param {Array<Object>} evidence - From retrieveEvidence()
+ * @returns {string}
+ */
+export function formatEvidence(evidence) {
+  return evidence.map(e => {
+    const lines = e.text.split('\n').map((line, i) => `${e.start_line + i}: ${line}`);
+    return `[${e.id}] ${e.path} (lines ${e.start_line}-${e.end_line})\n${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Check the model's evidence citations against the evidence that was supplied
+ * Paths always come from the evidence table; line ranges are clamped to the
+ * cited passage. Unknown ids are kept with verified: false.
+ * @param {Array<Object>} citations - Model output `evidence_citations`
+ * @param {Array<Object>} evidence - From retrieveEvidence()
+ * @returns {Array<Object>}
+ */
+export function resolveEvidenceCitations(citations = [], evidence = []) {
+  const byId = new Map(evidence.map(e => [e.id, e]));
+
+  return citations.map(citation => {
+    const source = byId.get(String(citation.id).replace(/^\[|\]$/g, '').toUpperCase());
+    if (!source) {
+      return { ...citation, verified: false };
+    }
+
+    const clamp = (line, fallback) => {
+      const n = Number(line);
+      return Number.isInteger(n) && n >= source.start_line && n <= source.end_line ? n : fallback;
+    };
+    const start = clamp(citation.start_line, source.start_line);
+    const end = Math.max(start, clamp(citation.end_line, source.end_line));
+
+    return {
+      ...citation,
+      id: source.id,
+      path: source.path,
+      start_line: start,
+      end_line: end,
+      verified: true
+    };
+  });
+}
@@ -0,0 +1,304 @@
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { buildCapabilityIndex } from '../tools/resolve-adapter.js';
+import { runCapability, readJson } from './pipeline.mjs';
+
+/**
+ * Execution-based consensus for patch artifacts
+ *
+ * Each answer that contains a patch is applied to its own detached git
+ * worktree, and the code adapter's code:tests and code:lint capabilities run
+ * inside it. Candidates are ranked on what actually happened: patches that
+ * apply beat ones that don't, then fewer failing tests, more passing tests,
+ * fewer lint errors and fewer lint warnings. The first key that separates
+ * the top two candidates is reported as the reason the winner won.
+ */
+
+const execFileAsync = promisify(execFile);
+
+const EXECUTION_CAPABILITIES = ['code:tests', 'code:lint'];
+
+const GIT_TIMEOUT_MS = 30000;
+
+// Lexicographic ranking keys, most important first
+const RANKING_KEYS = [
+  { key: 'applied', better: 'higher', label: 'patch applies' },
+  { key: 'tests_failed', better: 'lower', label: 'failing tests' },
+  { key: 'tests_passed', better: 'higher', label: 'passing tests' },
+  { key: 'lint_errors', better: 'lower', label: 'lint errors' },
+  { key: 'lint_warnings', better: 'lower', label: 'lint warnings' }
+];
+
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: 10 * 1024 * 1024
+  });
+  return stdout.trim();
+}
+
+function gitError(error) {
+  return String(error.stderr || error.message).trim().split('\n').slice(0, 5).join('\n');
+}
+
+function looksLikePatch(text) {
+  return /^(?:diff --git |--- \S.*\n\+\+\+ \S)/m.test(text) && /^@@ /m.test(text);
+}
+
+/**
+ * Pull a unified diff out of a model answer
+ * Prefers a fenced block that holds a diff; otherwise takes everything from
+ * the first diff header on.
+ * @param {string} content - Model answer
+ * @returns {string|null} Patch text, or null when the answer has no patch
+ */
+export function extractPatch(content) {
+  for (const match of content.matchAll(/```[\w-]*\n([\s\S]*?)```/g)) {
+    if (looksLikePatch(match[1])) return match[1];
+  }
+
+  const start = content.search(/^(?:diff --git |--- \S)/m);
+  if (start === -1) return null;
+
+  const patch = content.slice(start);
+  if (!looksLikePatch(patch)) return null;
+  return patch.endsWith('\n') ? patch : `${patch}\n`;
+}
+
+/**
+ * Reduce adapter outputs to the numbers candidates are ranked on
+ */
+function summarizeTests(tests) {
+  if (!tests) return null;
+  return {
+    passed: tests.passed || 0,
+    failed: tests.failed || 0,
+    total: tests.total || 0,
+    skipped: tests.skipped || 0,
+    command: tests.test_command || null,
+    framework: tests.test_framework || null,
+    ...(tests.summary && { summary: tests.summary }),
+    ...(tests.error && { error: tests.error })
+  };
+}
+
+function summarizeLint(lint) {
+  if (!lint) return null;
+  return {
+    errors: lint.errors || 0,
+    warnings: lint.warnings || 0,
+    exit_code: lint.exitCode || 0,
+    summary: lint.summary || ''
+  };
+}
+
+/**
+ * Apply one candidate in a fresh worktree and run the adapters against it
+ * @returns {Promise<Object>} Candidate record
+ */
+async function executeCandidate(artifact, { repoRoot, commit, adapters }) {
+  const patch = extractPatch(artifact.content);
+  if (!patch) {
+    return { source: artifact.source, status: 'not_a_patch' };
+  }
+
+  const workDir = await fs.mkdtemp(join(tmpdir(), 'adjudicator-exec-'));
+  const worktree = join(workDir, 'worktree');
+  const taskDir = join(workDir, 'artifacts');
+  const patchPath = join(workDir, 'candidate.patch');
+  const startTime = Date.now();
+
+  try {
+    await fs.writeFile(patchPath, patch);
+    await git(repoRoot, ['worktree', 'add', '--detach', worktree, commit]);
+
+    // Dependencies are not tracked, so reuse the repository's installed ones
+    try {
+      await fs.access(join(repoRoot, 'node_modules'));
+      await fs.symlink(join(repoRoot, 'node_modules'), join(worktree, 'node_modules'), 'dir');
+    } catch {}
+
+    let files;
+    try {
+      files = (await git(worktree, ['apply', '--numstat', patchPath]))
+        .split('\n')
+        .filter(Boolean)
+        .map(line => line.split('\t')[2]);
+      await git(worktree, ['apply', '--whitespace=nowarn', patchPath]);
+    } catch (error) {
+      return {
+        source: artifact.source,
+        status: 'apply_failed',
+        apply_error: gitError(error),
+        duration_ms: Date.now() - startTime
+      };
+    }
+
+    await fs.mkdir(taskDir, { recursive: true });
+    const capabilities = [];
+    for (const capability of EXECUTION_CAPABILITIES) {
+      capabilities.push(await runCapability(capability, adapters, { taskDir, repoRoot: worktree }));
+    }
+
+    return {
+      source: artifact.source,
+      status: 'executed',
+      files,
+      tests: summarizeTests(await readJson(join(taskDir, 'tests.json'))),
+      lint: summarizeLint(await readJson(join(taskDir, 'lint.json'))),
+      capabilities,
+      duration_ms: Date.now() - startTime
+    };
+  } finally {
+    await git(repoRoot, ['worktree', 'remove', '--force', worktree]).catch(() => {});
+    await fs.rm(workDir, { recursive: true, force: true });
+    await git(repoRoot, ['worktree', 'prune']).catch(() => {});
+  }
+}
+
+/**
+ * Ranking values for a candidate; missing adapter output counts as worst
+ */
+function metrics(candidate) {
+  const applied = candidate.status === 'executed';
+  const { tests, lint } = candidate;
+  return {
+    applied: applied ? 1 : 0,
+    tests_failed: applied && tests ? tests.failed : Infinity,
+    tests_passed: applied && tests ? tests.passed : 0,
+    // A linter that exits non-zero without counting its errors still failed
+    lint_errors: applied && lint ? Math.max(lint.errors, lint.exit_code ? 1 : 0) : Infinity,
+    lint_warnings: applied && lint ? lint.warnings : Infinity
+  };
+}
+
+/**
+ * First ranking key on which `a` and `b` differ, as a sort comparison
+ * @returns {Object} { order, key } where order < 0 means `a` ranks higher
+ */
+function compareMetrics(a, b) {
+  for (const { key, better } of RANKING_KEYS) {
+    if (a[key] !== b[key]) {
+      const order = a[key] > b[key] ? -1 : 1;
+      return { order: better === 'higher' ? order : -order, key };
+    }
+  }
+  return { order: 0, key: null };
+}
+
+function describeTests(tests) {
+  if (!tests) return 'Tests produced no results';
+  if (tests.total === 0 && tests.failed === 0) return tests.summary || 'No tests were run';
+  const via = tests.command ? ` (${tests.command})` : '';
+  return `${tests.passed}/${tests.total} tests passed, ${tests.failed} failed${via}`;
+}
+
+function describeLint(lint) {
+  if (!lint) return 'Lint produced no results';
+  return `${lint.errors} lint errors, ${lint.warnings} warnings${lint.exit_code ? ` (exit code ${lint.exit_code})` : ''}`;
+}
+
+function formatValue(value) {
+  return value === Infinity ? 'n/a' : value;
+}
+
+/**
+ * Rank executed candidates and pick the winner
+ * @param {Array<Object>} candidates - Candidate records (mutated with `rank`)
+ * @returns {Object} { source, decided_by, evidence } or { source: null, reason, tied? }
+ */
+export function rankCandidates(candidates) {
+  const patches = candidates.filter(c => c.status !== 'not_a_patch');
+  if (patches.length === 0) {
+    return { source: null, reason: 'No artifact contained a patch' };
+  }
+
+  const scored = patches.map(candidate => ({ candidate, values: metrics(candidate) }));
+  scored.sort((a, b) => compareMetrics(a.values, b.values).order);
+  scored.forEach(({ candidate }, i) => { candidate.rank = i + 1; });
+
+  const [best, runnerUp] = scored;
+  if (!best.values.applied) {
+    return { source: null, reason: 'No patch applied cleanly' };
+  }
+
+  const evidence = [
+    `Applied cleanly (${best.candidate.files.length} files changed)`,
+    describeTests(best.candidate.tests),
+    describeLint(best.candidate.lint)
+  ];
+
+  if (!runnerUp) {
+    return { source: best.candidate.source, decided_by: 'only_patch', evidence };
+  }
+
+  const { key } = compareMetrics(best.values, runnerUp.values);
+  if (!key) {
+    const tied = scored
+      .filter(s => compareMetrics(s.values, best.values).order === 0)
+      .map(s => s.candidate.source);
+    return { source: null, reason: 'Top candidates tied on every execution result', tied };
+  }
+
+  const { label } = RANKING_KEYS.find(k => k.key === key);
+  evidence.push(key === 'applied'
+    ? `Only patch that applied; ${scored.filter(s => !s.values.applied).map(s => s.candidate.source).join(', ')} did not`
+    : `Beat ${runnerUp.candidate.source} on ${label}: ${formatValue(best.values[key])} vs ${formatValue(runnerUp.values[key])}`);
+
+  return { source: best.candidate.source, decided_by: key, evidence };
+}
+
+/**
+ * Apply every patch artifact and run tests and lint against each
+ * @param {Array<Object>} artifacts - [{ source, content }]
+ * @param {Object} options
+ * @param {string} [options.repo_root] - Git repository (defaults to the working directory)
+ * @param {string} [options.ref='HEAD'] - Commit the patches apply to
+ * @returns {Promise<Object>} { repo_root, ref, commit, candidates, winner }
+ */
+export async function executePatches(artifacts, { repo_root, ref = 'HEAD' } = {}) {
+  const repoRoot = resolve(repo_root || process.cwd());
+
+  let commit;
+  try {
+    commit = await git(repoRoot, ['rev-parse', '--verify', `${ref}^{commit}`]);
+  } catch (error) {
+    throw new Error(`Cannot resolve ${ref} in ${repoRoot}: ${gitError(error)}`);
+  }
+
+  const adapters = buildCapabilityIndex();
+
+  // One at a time: test suites often share ports, caches or fixtures
+  const candidates = [];
+  for (const artifact of artifacts) {
+    candidates.push(await executeCandidate(artifact, { repoRoot, commit, adapters }));
+  }
+
+  const winner = rankCandidates(candidates);
+
+  return { repo_root: repoRoot, ref, commit, candidates, winner };
+}
+
+/**
+ * Render execution results for the consensus prompt
+ * @param {Object} execution - From executePatches()
+ * @returns {string}
+ */
+export function formatExecution(execution) {
+  const lines = execution.candidates.map(c => {
+    if (c.status === 'not_a_patch') return `${c.source}: no patch found`;
+    if (c.status === 'apply_failed') return `${c.source}: patch did not apply (${c.apply_error.split('\n')[0]})`;
+    return `${c.source}: applied; ${describeTests(c.tests)}; ${describeLint(c.lint)}`;
+  });
+
+  const { winner } = execution;
+  lines.push(winner.source
+    ? `WINNER: ${winner.source} (${winner.evidence.join('; ')})`
+    : `WINNER: none (${winner.reason})`);
+
+  return lines.join('\n');
+}
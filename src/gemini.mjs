@@ -1,20 +1,36 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 
+// One client per API key, shared by every call
+const clients = new Map();
+
+/**
+ * Model used when no override is given
+ * @returns {string} GEMINI_MODEL, or gemini-2.0-flash-exp
+ */
+export function defaultGeminiModel() {
+  return process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp';
+}
+
 /**
  * Create Gemini client factory
+ * The underlying client is created once per API key and reused.
+ * @param {string} [modelOverride] - Model id to use instead of GEMINI_MODEL
  * @returns {Object} Object containing { ai, model, modelId }
  * @throws {Error} If GEMINI_API_KEY is not set
  */
-export function getGemini() {
+export function getGemini(modelOverride) {
   const apiKey = process.env.GEMINI_API_KEY;
   
   if (!apiKey) {
     throw new Error('GEMINI_API_KEY environment variable is required');
   }
 
-  const modelId = process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp';
+  const modelId = modelOverride || defaultGeminiModel();
   
-  const ai = new GoogleGenerativeAI(apiKey);
+  if (!clients.has(apiKey)) {
+    clients.set(apiKey, new GoogleGenerativeAI(apiKey));
+  }
+  const ai = clients.get(apiKey);
   const model = ai.getGenerativeModel({ model: modelId });
   
   return {
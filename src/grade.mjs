@@ -0,0 +1,321 @@
+import { isDeepStrictEqual } from 'util';
+import { GradeArgs, GradeJudgementSchema, inputShape } from './schemas.mjs';
+import { getProvider } from './providers/index.mjs';
+import { modelCallReport } from './providers/resilient.mjs';
+import { extractJson, generateStructured } from './structured-output.mjs';
+import { trackUsage } from './usage.mjs';
+import { tokenCounter, inputBudget, contextWindow, fitSections } from './token-budget.mjs';
+
+/**
+ * Grading against a gold reference answer
+ *
+ * Each rubric item is scored 0-1. Items carrying a `check` are scored by the
+ * check alone - 1 when it holds, 0 when it does not - so the same artifact
+ * always gets the same score on them:
+ *   exact       the value appears in the artifact as a whole token, or equals
+ *               the JSON value at `path`
+ *   regex       the pattern matches the artifact (or the JSON value at `path`)
+ *   json_equal  the artifact parses as JSON and deep-equals `value`, or the
+ *               reference parsed as JSON when no value is given
+ * The remaining items are scored by the model, which also lists the
+ * reference facts the artifact misses and the claims it adds. The overall
+ * score is the weighted mean of the item scores. A reference and artifact
+ * too long for the context window share it, cut by counted tokens
+ * (token-budget.mjs); the deterministic checks always see the full text.
+ */
+
+const round = (x) => Math.round(x * 1000) / 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const preview = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+/**
+ * Read a dotted path such as `result.items[0].id` out of a JSON value
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Path validated by GradeCheck
+ * @returns {*} The value at the path, or undefined when it is missing
+ */
+export function getPath(value, path) {
+  return path.match(/[^.[\]]+/g).reduce(
+    (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+    value
+  );
+}
+
+/**
+ * Parse text as JSON and optionally descend into it
+ * @returns {Object} { value } or { error }
+ */
+function jsonAt(text, path, label) {
+  const parsed = extractJson(text);
+  if (parsed.error) return { error: `${label} is not JSON (${parsed.error})` };
+  if (!path) return parsed;
+
+  const value = getPath(parsed.value, path);
+  return value === undefined ? { error: `${label} has no value at ${path}` } : { value };
+}
+
+/**
+ * Run one deterministic check
+ * @param {Object} check - Parsed GradeCheck
+ * @param {string} artifact - Artifact text
+ * @param {string} reference - Reference text
+ * @returns {Object} { passed, detail }
+ */
+export function runCheck(check, artifact, reference) {
+  const target = check.path ? jsonAt(artifact, check.path, 'Artifact') : { value: artifact };
+
+  switch (check.type) {
+    case 'exact': {
+      if (target.error) return { passed: false, detail: target.error };
+      const expected = String(check.value);
+
+      if (check.path) {
+        const actual = typeof target.value === 'string' ? target.value : JSON.stringify(target.value);
+        const passed = check.case_sensitive
+          ? actual.trim() === expected.trim()
+          : actual.trim().toLowerCase() === expected.trim().toLowerCase();
+        return { passed, detail: `${check.path} is ${preview(actual)}, expected ${preview(expected)}` };
+      }
+
+      // Whole token: 42 must not match inside 420 or 4.2, nor 3.14 inside 3.145
+      const token = new RegExp(`(?<![\\w.])${escapeRegex(expected)}(?![\\w]|\\.\\w)`, check.case_sensitive ? '' : 'i');
+      const passed = token.test(artifact);
+      return { passed, detail: `${preview(expected)} ${passed ? 'found' : 'not found'} in artifact` };
+    }
+
+    case 'regex': {
+      if (target.error) return { passed: false, detail: target.error };
+      const text = typeof target.value === 'string' ? target.value : JSON.stringify(target.value);
+      const match = new RegExp(check.pattern, check.flags).exec(text);
+      return {
+        passed: Boolean(match),
+        detail: match ? `/${check.pattern}/ matched ${preview(match[0])}` : `/${check.pattern}/ did not match`
+      };
+    }
+
+    case 'json_equal': {
+      const actual = jsonAt(artifact, check.path, 'Artifact');
+      if (actual.error) return { passed: false, detail: actual.error };
+
+      const expected = check.value !== undefined ? { value: check.value } : jsonAt(reference, check.path, 'Reference');
+      if (expected.error) return { passed: false, detail: expected.error };
+
+      const passed = isDeepStrictEqual(actual.value, expected.value);
+      return {
+        passed,
+        detail: passed
+          ? `${check.path || 'JSON'} equals the expected value`
+          : `${check.path || 'JSON'} is ${preview(actual.value)}, expected ${preview(expected.value)}`
+      };
+    }
+
+    default:
+      return { passed: false, detail: `Unknown check type: ${check.type}` };
+  }
+}
+
+function gradeInstructions({ question, modelItems, checkedItems }) {
+  const rubric = modelItems.length > 0
+    ? modelItems.map(item => `- ${item.id}: ${item.description}`).join('\n')
+    : '(none - every rubric item is checked deterministically)';
+  const checked = checkedItems.length > 0
+    ? checkedItems.map(item => `- ${item.id}: ${item.description} -> ${item.passed ? 'PASSED' : 'FAILED'} (${item.detail})`).join('\n')
+    : '(none)';
+
+  return `You are a reference grader scoring an answer against a gold reference answer.
+The reference is correct by definition. Score what the answer states, not how it is phrased.
+
+Output ONLY valid JSON following this exact schema:
+{
+  "items": [{
+    "id": string (rubric item id),
+    "score": number (0.0-1.0),
+    "reasoning": string
+  }],
+  "missing_facts": [string] (facts in the reference that the answer omits or contradicts),
+  "extra_facts": [string] (claims in the answer that the reference does not contain),
+  "summary": string
+}
+
+Score every one of these rubric items:
+${rubric}
+
+These items were already checked deterministically; do not score them, but take them into account:
+${checked}
+
+QUESTION: ${question || '(not provided)'}`;
+}
+
+function gradePrompt(instructions, reference, artifact) {
+  return `${instructions}
+
+REFERENCE ANSWER:
+${reference}
+
+ANSWER TO GRADE:
+${artifact}`;
+}
+
+/**
+ * Combine deterministic and model scores into a grade
+ * @param {Array<Object>} items - Rubric items with ids, each { check?, passed?, detail? }
+ * @param {Object|null} judgement - Parsed GradeJudgementSchema output, null when parsing failed
+ * @param {number} passThreshold - Weighted score needed to pass
+ * @returns {Object} Grade
+ */
+export function combineGrades(items, judgement, passThreshold) {
+  const byId = new Map((judgement?.items || []).map(entry => [entry.id, entry]));
+
+  const scored = items.map(item => {
+    const base = { id: item.id, description: item.description, weight: item.weight };
+    if (item.check) {
+      return { ...base, method: item.check.type, score: item.passed ? 1 : 0, graded: true, detail: item.detail };
+    }
+
+    // Ungraded items count as 0 so a failed model call cannot pass an artifact
+    const entry = byId.get(item.id);
+    return {
+      ...base,
+      method: 'model',
+      score: entry ? round(entry.score) : 0,
+      graded: Boolean(entry),
+      detail: entry ? entry.reasoning : 'Not scored by the model'
+    };
+  });
+
+  const totalWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+  const score = round(scored.reduce((sum, item) => sum + item.score * item.weight, 0) / totalWeight);
+
+  return {
+    score,
+    passed: score >= passThreshold,
+    pass_threshold: passThreshold,
+    items: scored,
+    missing_facts: judgement?.missing_facts || [],
+    extra_facts: judgement?.extra_facts || [],
+    summary: judgement?.summary || ''
+  };
+}
+
+/**
+ * Grade an artifact against a reference answer
+ * @param {Object} validatedArgs - Arguments parsed with GradeArgs
+ * @returns {Promise<Object>} Grade
+ */
+export async function runGrading(validatedArgs) {
+  const { artifact, reference, rubric, pass_threshold, question, provider, model: modelOverride } = validatedArgs;
+  const { model, modelId } = getProvider({ provider, model: modelOverride });
+
+  const items = rubric.map((item, i) => ({
+    ...item,
+    id: item.id || `item-${i + 1}`,
+    ...(item.check && runCheck(item.check, artifact, reference))
+  }));
+
+  const generationConfig = {
+    temperature: 0,
+    topP: 0.95,
+    maxOutputTokens: 4096,
+    responseMimeType: 'application/json'
+  };
+
+  const counter = tokenCounter(model);
+  const budget = inputBudget(modelId, generationConfig.maxOutputTokens);
+  const instructions = gradeInstructions({
+    question,
+    modelItems: items.filter(item => !item.check),
+    checkedItems: items.filter(item => item.check)
+  });
+  const fitted = await fitSections(counter, [
+    { name: 'instructions', text: gradePrompt(instructions, '', ''), priority: 0 },
+    { name: 'reference', text: reference, priority: 1 },
+    { name: 'artifact', text: artifact, priority: 1 }
+  ], budget);
+  const [, referenceText, artifactText] = fitted.texts;
+
+  const structured = await generateStructured(model, {
+    contents: [{ role: 'user', parts: [{ text: gradePrompt(instructions, referenceText, artifactText) }] }],
+    generationConfig
+  }, GradeJudgementSchema);
+
+  return {
+    ...combineGrades(items, structured.data, pass_threshold),
+    model: modelId,
+    parse_status: structured.parse_status,
+    ...(!structured.data && { parse_errors: structured.errors }),
+    truncation: {
+      truncated: fitted.dropped.length > 0,
+      details: fitted.dropped
+    },
+    token_budget: {
+      context_window: contextWindow(modelId),
+      input_budget: budget,
+      counted_with: counter.method,
+      prompt_tokens: fitted.prompt_tokens
+    },
+    model_call: modelCallReport(model, modelId)
+  };
+}
+
+/**
+ * Register the grade_against_reference tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerGradeTool(server) {
+  server.registerTool(
+    'grade_against_reference',
+    {
+      description: 'Grade an artifact against a gold reference answer and a weighted rubric. Rubric items with a check (exact value, regex, JSON equality) are scored deterministically; the rest are scored by the model. Returns per-item scores, an overall score and pass flag, and the facts the artifact misses or adds.',
+      inputSchema: inputShape(GradeArgs)
+    },
+    async (args) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = GradeArgs.parse(args);
+
+      try {
+        const { result, usage } = await trackUsage(
+          { tool: 'grade_against_reference', task: 'grade', task_id: validatedArgs.task_id },
+          () => runGrading(validatedArgs)
+        );
+        result.usage = usage;
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ]
+        };
+
+      } catch (error) {
+        console.error('Error in grade_against_reference:', error);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                score: 0,
+                passed: false,
+                pass_threshold: validatedArgs.pass_threshold,
+                items: [],
+                missing_facts: [],
+                extra_facts: [],
+                summary: `Error during grading: ${error.message}`,
+                parse_status: 'error',
+                ...(error.model_call && { model_unavailable: true, model_call: error.model_call }),
+                ...(error.budget && { budget_exceeded: true, budget: error.budget })
+              }, null, 2)
+            }
+          ]
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,143 @@
+/**
+ * Google Search grounding helpers
+ *
+ * Gemini returns the pages it actually retrieved in
+ * candidates[].groundingMetadata:
+ *   groundingChunks:   [{ web: { uri, title } }]
+ *   groundingSupports: [{ segment: { text }, groundingChunkIndices: [i] }]
+ *   webSearchQueries:  [string]
+ * Those become verified citations. Anything the model lists in its own JSON
+ * `citations` without a matching grounding chunk is kept but flagged
+ * unverified.
+ */
+
+const SNIPPET_CHAR_LIMIT = 500;
+
+/**
+ * Search tool declaration for a model
+ * Gemini 1.5 only understands the legacy retrieval tool; newer models use
+ * google_search.
+ * @param {string} modelId - Model id from the provider
+ * @returns {Array<Object>} Value for the request's `tools`
+ */
+export function searchTools(modelId = '') {
+  return /gemini-1\.5/.test(modelId)
+    ? [{ googleSearchRetrieval: {} }]
+    : [{ googleSearch: {} }];
+}
+
+/**
+ * Read grounding metadata from raw model results
+ * @param {Array<Object>} results - generateContent results (e.g. structured.results)
+ * @returns {Object} { citations, search_queries } with one verified citation per retrieved page
+ */
+export function extractGrounding(results) {
+  const byUrl = new Map();
+  const queries = new Set();
+
+  for (const result of results) {
+    for (const candidate of result?.response?.candidates || []) {
+      const metadata = candidate.groundingMetadata;
+      if (!metadata) continue;
+
+      (metadata.webSearchQueries || []).forEach(q => queries.add(q));
+
+      const chunks = metadata.groundingChunks || [];
+      const snippets = chunks.map(() => []);
+      for (const support of metadata.groundingSupports || []) {
+        const text = support.segment?.text;
+        if (!text) continue;
+        for (const index of support.groundingChunkIndices || []) {
+          if (snippets[index] && !snippets[index].includes(text)) {
+            snippets[index].push(text);
+          }
+        }
+      }
+
+      chunks.forEach((chunk, index) => {
+        const url = chunk.web?.uri;
+        if (!url) return;
+
+        const existing = byUrl.get(url);
+        const snippet = [existing?.snippet, ...snippets[index]].filter(Boolean).join(' … ');
+        byUrl.set(url, {
+          url,
+          title: chunk.web.title || existing?.title || '',
+          snippet: snippet.slice(0, SNIPPET_CHAR_LIMIT),
+          verified: true,
+          source: 'google_search'
+        });
+      });
+    }
+  }
+
+  return { citations: [...byUrl.values()], search_queries: [...queries] };
+}
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    return { host, key: `${host}${parsed.pathname.replace(/\/$/, '')}${parsed.search}` };
+  } catch {
+    return { host: '', key: String(url).trim().toLowerCase() };
+  }
+}
+
+/**
+ * Does a model-written citation refer to a grounded page?
+ * Grounding URIs are usually Google redirect links whose title is the
+ * site's domain, so a match on the domain counts as well as an exact URL.
+ * @param {Object} citation - { url } from the model JSON
+ * @param {Object} grounded - Verified citation from extractGrounding()
+ * @returns {boolean}
+ */
+function matchesGrounded(citation, grounded) {
+  const cited = normalizeUrl(citation.url);
+  if (cited.key === normalizeUrl(grounded.url).key) return true;
+
+  const domain = (grounded.title || '').toLowerCase().replace(/^www\./, '');
+  return Boolean(cited.host) && Boolean(domain) &&
+    (cited.host === domain || cited.host.endsWith(`.${domain}`));
+}
+
+/**
+ * Merge model citations with grounded ones
+ * @param {Array<Object>} modelCitations - `citations` from the model JSON
+ * @param {Array<Object>} grounded - Verified citations from extractGrounding()
+ * @returns {Array<Object>} Verified citations first, then unverified model citations
+ */
+export function reconcileCitations(modelCitations = [], grounded = []) {
+  const unverified = modelCitations
+    .filter(c => c && c.url && !grounded.some(g => matchesGrounded(c, g)))
+    .map(c => ({
+      ...c,
+      verified: false,
+      source: 'model'
+    }));
+
+  return [...grounded, ...unverified];
+}
+
+/**
+ * Replace a response's citations with reconciled ones and add a grounding summary
+ * @param {Object} response - Verdict or consensus JSON (mutated)
+ * @param {Array<Object>} results - Every raw result that contributed to it
+ * @param {boolean} requested - Whether ground_with_search was on
+ * @returns {Object} The same response
+ */
+export function applyGrounding(response, results, requested) {
+  const { citations: grounded, search_queries } = extractGrounding(results);
+  const citations = reconcileCitations(response.citations, grounded);
+
+  response.citations = citations;
+  response.grounding = {
+    requested: Boolean(requested),
+    searched: grounded.length > 0 || search_queries.length > 0,
+    search_queries,
+    verified_citations: grounded.length,
+    unverified_citations: citations.length - grounded.length
+  };
+
+  return response;
+}
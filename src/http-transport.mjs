@@ -0,0 +1,299 @@
+import express from 'express';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Shared HTTP transport for the adjudicator
+ *
+ *   POST/GET/DELETE /mcp     Streamable HTTP (current MCP spec)
+ *   GET /sse, POST /messages legacy HTTP+SSE for older clients
+ *   GET /health              unauthenticated liveness probe
+ *
+ * Every MCP route requires "Authorization: Bearer <token>". Each client
+ * session gets its own McpServer from the factory; they all share this
+ * process, its API key and its SQLite storage. Sessions without a request
+ * for `idleTimeoutMs` are closed, and once `maxSessions` are open a new
+ * session closes the least recently used one.
+ */
+
+const MONITOR_URL = 'http://localhost:4000/log';
+
+const MAX_SESSIONS = 100;
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const SWEEP_MS = 60 * 1000;
+
+function monitorUrl() {
+  const url = process.env.MONITOR_URL ?? MONITOR_URL;
+  return url === 'off' ? null : url;
+}
+
+/**
+ * Post an event to the monitoring server, never failing the request
+ * The dashboard groups entries by taskId, so HTTP events use the MCP
+ * session id (or "http-server" for server-wide events).
+ * @param {Object} event - { taskId, status, feedback, ...extra }
+ */
+export function logToMonitor({ taskId = 'http-server', status = 'INFO', attempt = 1, ...event }) {
+  const url = monitorUrl();
+  if (!url) return;
+
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      taskId,
+      attempt,
+      status,
+      worker: 'mcp-client',
+      adjudicator: 'adjudicator-http',
+      timestamp: new Date().toISOString(),
+      ...event
+    }),
+    signal: AbortSignal.timeout(1000)
+  }).catch(() => {
+    // Monitoring is optional - the dashboard may not be running
+  });
+}
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Express middleware checking the bearer token in constant time
+ * @param {string} token - Expected token
+ * @returns {Function} Middleware
+ */
+export function bearerAuth(token) {
+  const expected = digest(token);
+
+  return (req, res, next) => {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (match && timingSafeEqual(digest(match[1]), expected)) {
+      return next();
+    }
+
+    logToMonitor({ type: 'mcp_auth_failed', status: 'FAIL', feedback: `Rejected ${req.method} ${req.path} from ${req.ip}` });
+    res.set('WWW-Authenticate', 'Bearer realm="adjudicator"');
+    res.status(401).json({
+      jsonrpc: '2.0',
+      error: { code: -32001, message: 'Unauthorized' },
+      id: null
+    });
+  };
+}
+
+/**
+ * Describe a JSON-RPC body for the monitoring log
+ * @param {Object|Array} body - Parsed request body
+ * @returns {Array<Object>} One entry per request message
+ */
+function describeCalls(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages
+    .filter(m => m && typeof m.method === 'string')
+    .map(m => ({
+      method: m.method,
+      tool: m.method === 'tools/call' ? m.params?.name : undefined,
+      resource: m.method === 'resources/read' ? m.params?.uri : undefined,
+      prompt: m.method === 'prompts/get' ? m.params?.name : undefined
+    }));
+}
+
+/**
+ * Start the HTTP transport
+ * @param {Function} createServer - Async factory returning an unconnected McpServer
+ * @param {Object} options
+ * @param {string} options.token - Bearer token clients must send
+ * @param {number} [options.port=3040] - Port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {number} [options.maxSessions=100] - Sessions kept open at once
+ * @param {number} [options.idleTimeoutMs=1800000] - Idle time after which a session is closed
+ * @returns {Promise<Object>} { httpServer, url, close() }
+ * @throws {Error} If no token is configured
+ */
+export async function startHttpServer(createServer, {
+  token,
+  port = 3040,
+  host = '127.0.0.1',
+  maxSessions = MAX_SESSIONS,
+  idleTimeoutMs = IDLE_TIMEOUT_MS
+} = {}) {
+  if (!token) {
+    throw new Error('HTTP transport requires ADJUDICATOR_HTTP_TOKEN');
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  // Session id -> transport, for both transport flavours
+  const transports = new Map();
+
+  // Session id -> time of its last request, least recently used first
+  const lastSeen = new Map();
+  const touch = (id) => {
+    if (!transports.has(id)) return;
+    lastSeen.delete(id);
+    lastSeen.set(id, Date.now());
+  };
+
+  const evict = async (id, reason) => {
+    const transport = transports.get(id);
+    transports.delete(id);
+    lastSeen.delete(id);
+    requestCounts.delete(id);
+    logToMonitor({ type: 'mcp_session_evicted', taskId: `mcp-${id}`, feedback: `Session closed: ${reason}` });
+    await transport?.close().catch(() => {});
+  };
+
+  // Close the least recently used sessions until a new one fits
+  const makeRoom = async () => {
+    while (transports.size >= maxSessions && lastSeen.size > 0) {
+      const [oldest] = lastSeen.keys();
+      await evict(oldest, `more than ${maxSessions} sessions open`);
+    }
+  };
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [id, seen] of lastSeen) {
+      if (seen >= cutoff) break;
+      evict(id, `idle for ${Math.round(idleTimeoutMs / 1000)}s`);
+    }
+  }, Math.min(idleTimeoutMs, SWEEP_MS));
+  sweep.unref();
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', sessions: transports.size });
+  });
+
+  app.use(['/mcp', '/sse', '/messages'], bearerAuth(token));
+
+  // Log every JSON-RPC call once the response is done
+  const requestCounts = new Map();
+  app.use(['/mcp', '/messages'], (req, res, next) => {
+    touch(req.headers['mcp-session-id'] || req.query.sessionId);
+    if (req.method !== 'POST') return next();
+
+    const started = Date.now();
+    res.on('finish', () => {
+      const session = res.getHeader('mcp-session-id') || req.headers['mcp-session-id'] || req.query.sessionId;
+      for (const call of describeCalls(req.body)) {
+        const attempt = (requestCounts.get(session) || 0) + 1;
+        requestCounts.set(session, attempt);
+
+        const target = call.tool || call.resource || call.prompt;
+        logToMonitor({
+          type: 'mcp_request',
+          taskId: `mcp-${session || 'unknown'}`,
+          attempt,
+          status: res.statusCode < 400 ? 'INFO' : 'FAIL',
+          feedback: `${call.method}${target ? ` ${target}` : ''} -> HTTP ${res.statusCode} in ${Date.now() - started}ms`,
+          ...call
+        });
+      }
+    });
+    next();
+  });
+
+  app.post('/mcp', async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? transports.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        return res.status(400).json({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: 'Bad Request: no valid session ID provided' },
+          id: null
+        });
+      }
+
+      await makeRoom();
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          transports.set(id, transport);
+          touch(id);
+          logToMonitor({ type: 'mcp_session_opened', taskId: `mcp-${id}`, feedback: 'Streamable HTTP session opened' });
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          transports.delete(transport.sessionId);
+          lastSeen.delete(transport.sessionId);
+          requestCounts.delete(transport.sessionId);
+          logToMonitor({ type: 'mcp_session_closed', taskId: `mcp-${transport.sessionId}`, feedback: 'Session closed' });
+        }
+      };
+
+      const server = await createServer();
+      await server.connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // Server-to-client notifications and session teardown
+  const handleSessionRequest = async (req, res) => {
+    const transport = transports.get(req.headers['mcp-session-id']);
+    if (!(transport instanceof StreamableHTTPServerTransport)) {
+      return res.status(400).send('Invalid or missing session ID');
+    }
+    await transport.handleRequest(req, res);
+  };
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // Legacy HTTP+SSE transport
+  app.get('/sse', async (req, res) => {
+    await makeRoom();
+    const transport = new SSEServerTransport('/messages', res);
+    transports.set(transport.sessionId, transport);
+    touch(transport.sessionId);
+    logToMonitor({ type: 'mcp_session_opened', taskId: `mcp-${transport.sessionId}`, feedback: 'SSE session opened' });
+
+    res.on('close', () => {
+      transports.delete(transport.sessionId);
+      lastSeen.delete(transport.sessionId);
+      requestCounts.delete(transport.sessionId);
+      logToMonitor({ type: 'mcp_session_closed', taskId: `mcp-${transport.sessionId}`, feedback: 'Session closed' });
+    });
+
+    const server = await createServer();
+    await server.connect(transport);
+  });
+
+  app.post('/messages', async (req, res) => {
+    const transport = transports.get(req.query.sessionId);
+    if (!(transport instanceof SSEServerTransport)) {
+      return res.status(400).send('No SSE session for this sessionId');
+    }
+    await transport.handlePostMessage(req, res, req.body);
+  });
+
+  const httpServer = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, host, () => resolve(listener));
+    listener.on('error', reject);
+  });
+
+  const address = httpServer.address();
+  const url = `http://${host}:${address.port}`;
+
+  logToMonitor({ type: 'mcp_http_started', feedback: `Listening on ${url}` });
+
+  return {
+    httpServer,
+    url,
+    async close() {
+      clearInterval(sweep);
+      for (const transport of transports.values()) {
+        await transport.close().catch(() => {});
+      }
+      transports.clear();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,293 @@
+import { randomUUID } from 'crypto';
+import { GetVerificationResultArgs, CancelVerificationArgs, inputShape } from './schemas.mjs';
+import { getServerStorage } from './storage-sqlite.mjs';
+import { isCancelled, reportProgress, withCallControl, withRequestControl } from './progress.mjs';
+
+/**
+ * Background verification jobs
+ *
+ * verify_with_gemini, consensus_check and verify_batch accept `async: true`:
+ * the call returns a job id at once and the work runs in the background,
+ * out of reach of client timeouts. Jobs are rows in the jobs table of the
+ * SQLite store - arguments, progress and result - so they outlive the
+ * server that ran them:
+ *   queued -> running -> completed | failed | cancelled
+ * A completed job's result is exactly what the tool would have returned,
+ * error-shaped responses included; `failed` means the job could not run. A
+ * cancelled job keeps what its tool returned once stopped, e.g. the finished
+ * items of a batch.
+ *
+ * get_verification_result reports a job's status and progress, and its
+ * result once it is done. With wait_seconds it waits for the job and relays
+ * its progress as MCP progress notifications. cancel_verification stops a
+ * job at its next model call, also when another server process runs it.
+ *
+ * The server running a job refreshes its heartbeat every few seconds. A
+ * queued or running job whose heartbeat is older than STALE_SECONDS was left
+ * behind by a server that stopped; the next server to look at the jobs takes
+ * it over and runs it again from its stored arguments. Finished jobs are
+ * deleted after RETENTION_DAYS.
+ */
+
+const HEARTBEAT_MS = 5000;
+const STALE_SECONDS = 30;
+const RETENTION_DAYS = 7;
+const POLL_MS = 250;
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+// This server process, as the owner of the jobs it runs
+const OWNER = `${process.pid}-${randomUUID().slice(0, 8)}`;
+
+// Tool name -> { schema, run }
+const kinds = new Map();
+
+// Job id -> AbortController of jobs running in this process
+const running = new Map();
+
+/**
+ * Let a tool run as a job
+ * @param {string} tool - Tool name
+ * @param {Object} kind
+ * @param {Object} kind.schema - Zod schema of the tool's arguments
+ * @param {Function} kind.run - async (validatedArgs) => the tool's response object
+ */
+export function defineJobKind(tool, { schema, run }) {
+  kinds.set(tool, { schema, run });
+}
+
+/**
+ * Public view of a job row
+ * @param {Object} job - Row from getJob()
+ * @returns {Object} { job_id, tool, status, progress, attempts, created_at, started_at, finished_at, error?, result? }
+ */
+export function jobView(job) {
+  return {
+    job_id: job.job_id,
+    tool: job.tool,
+    status: job.status,
+    progress: {
+      progress: job.progress,
+      total: job.total,
+      message: job.progress_message
+    },
+    attempts: job.attempts,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    ...(job.error && { error: job.error }),
+    ...(job.result !== null && { result: job.result })
+  };
+}
+
+/**
+ * Run a job in this process
+ * Does nothing if another server claimed the job in the meantime.
+ * @param {Object} storage - Server storage
+ * @param {Object} job - Row from getJob()
+ * @returns {Promise<void>} Settles when the job has finished
+ */
+async function runJob(storage, job) {
+  if (!storage.startJob(job.job_id, OWNER)) return;
+
+  const controller = new AbortController();
+  running.set(job.job_id, controller);
+
+  // Cancellation by another server shows up in the job's status
+  const touch = (progress) => {
+    try {
+      if (storage.touchJob(job.job_id, OWNER, progress) === 'cancelled') controller.abort();
+    } catch (error) {
+      console.error(`Error updating job ${job.job_id}:`, error);
+    }
+  };
+  const heartbeat = setInterval(() => touch(), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    const kind = kinds.get(job.tool);
+    if (!kind) throw new Error(`${job.tool} cannot run as a job`);
+
+    const result = await withCallControl({
+      signal: controller.signal,
+      onProgress: async (progress, total, message) => touch({ progress, total, message })
+    }, () => kind.run(kind.schema.parse(job.args)));
+
+    storage.finishJob(job.job_id, OWNER, { status: controller.signal.aborted ? 'cancelled' : 'completed', result });
+  } catch (error) {
+    console.error(`Error in job ${job.job_id}:`, error);
+    if (!controller.signal.aborted) {
+      storage.finishJob(job.job_id, OWNER, { status: 'failed', error: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    running.delete(job.job_id);
+  }
+}
+
+/**
+ * Start a tool call as a background job
+ * @param {string} tool - Tool name, defined with defineJobKind()
+ * @param {Object} args - The tool's arguments as received
+ * @returns {Promise<Object>} { job_id, tool, status, message } or, when the job could not be stored,
+ *   { job_id: null, tool, status: 'failed', error }
+ */
+export async function submitJob(tool, args) {
+  try {
+    const storage = await getServerStorage();
+    const jobId = randomUUID();
+    storage.createJob({ job_id: jobId, tool, args, owner: OWNER });
+
+    runJob(storage, storage.getJob(jobId)).catch(error => console.error(`Error starting job ${jobId}:`, error));
+
+    return {
+      job_id: jobId,
+      tool,
+      status: 'queued',
+      message: 'Running in the background; poll get_verification_result with this job_id'
+    };
+  } catch (error) {
+    console.error('Error creating job:', error);
+    return { job_id: null, tool, status: 'failed', error: `Job not created: ${error.message}` };
+  }
+}
+
+/**
+ * Take over and rerun jobs left behind by servers that stopped
+ * Also deletes finished jobs past their retention.
+ * @returns {Promise<number>} Jobs taken over
+ */
+export async function recoverJobs() {
+  const storage = await getServerStorage();
+  storage.purgeJobs(RETENTION_DAYS);
+
+  const claimed = storage.claimStaleJobs(OWNER, STALE_SECONDS, [...kinds.keys()]);
+  for (const job of claimed) {
+    console.error(`Resuming job ${job.job_id} (${job.tool}) left behind by ${job.previous_owner}`);
+    runJob(storage, job).catch(error => console.error(`Error starting job ${job.job_id}:`, error));
+  }
+
+  return claimed.length;
+}
+
+/**
+ * Wait for a job to finish, relaying its progress
+ * Stops early when the waiting call is cancelled.
+ * @param {string} jobId
+ * @param {number} waitSeconds - Longest wait; 0 reads the job once
+ * @returns {Promise<Object|null>} Job row, or null when there is none
+ */
+export async function waitForJob(jobId, waitSeconds) {
+  const storage = await getServerStorage();
+  const deadline = Date.now() + waitSeconds * 1000;
+  let job = storage.getJob(jobId);
+  let relayed = -1;
+
+  while (job && !FINISHED.has(job.status) && Date.now() < deadline && !isCancelled()) {
+    if (job.progress > relayed) {
+      relayed = job.progress;
+      await reportProgress(job.progress, job.total ?? undefined, job.progress_message || `Job ${job.status}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(POLL_MS, Math.max(0, deadline - Date.now()))));
+    job = storage.getJob(jobId);
+  }
+
+  return job;
+}
+
+/**
+ * Cancel a job
+ * @param {string} jobId
+ * @returns {Promise<Object>} { job_id, cancelled, status, message? }
+ */
+export async function cancelJob(jobId) {
+  const storage = await getServerStorage();
+  const cancelled = storage.cancelJob(jobId);
+  running.get(jobId)?.abort();
+
+  const job = storage.getJob(jobId);
+  if (!job) return { job_id: jobId, cancelled: false, status: 'not_found', message: `No job with id ${jobId}` };
+
+  return {
+    job_id: jobId,
+    cancelled,
+    status: job.status,
+    ...(!cancelled && { message: `Job already ${job.status}` })
+  };
+}
+
+/**
+ * Register the get_verification_result and cancel_verification tools
+ * Call after the tools that run as jobs, so jobs left behind by a stopped
+ * server can be resumed right away.
+ * @param {Object} server - MCP server instance
+ */
+export async function registerJobTools(server) {
+  server.registerTool(
+    'get_verification_result',
+    {
+      description: 'Get the status, progress and - once finished - the result of a verification started with async: true. With wait_seconds, waits for the job and sends progress notifications meanwhile.',
+      inputSchema: inputShape(GetVerificationResultArgs)
+    },
+    async (args, extra) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = GetVerificationResultArgs.parse(args);
+
+      let result;
+      try {
+        await recoverJobs();
+        const job = await withRequestControl(extra, () => waitForJob(validatedArgs.job_id, validatedArgs.wait_seconds));
+        result = job
+          ? jobView(job)
+          : { job_id: validatedArgs.job_id, status: 'not_found', error: `No job with id ${validatedArgs.job_id}` };
+      } catch (error) {
+        console.error('Error in get_verification_result:', error);
+        result = { job_id: validatedArgs.job_id, status: 'unknown', error: `Error reading job: ${error.message}` };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    }
+  );
+
+  server.registerTool(
+    'cancel_verification',
+    {
+      description: 'Cancel a verification started with async: true. The job stops at its next model call and its status becomes cancelled; a batch keeps the items it finished.',
+      inputSchema: inputShape(CancelVerificationArgs)
+    },
+    async (args) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = CancelVerificationArgs.parse(args);
+
+      let result;
+      try {
+        result = await cancelJob(validatedArgs.job_id);
+      } catch (error) {
+        console.error('Error in cancel_verification:', error);
+        result = { job_id: validatedArgs.job_id, cancelled: false, status: 'unknown', error: `Error cancelling job: ${error.message}` };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    }
+  );
+
+  try {
+    await recoverJobs();
+  } catch (error) {
+    console.error('Error resuming jobs:', error);
+  }
+}
@@ -0,0 +1,226 @@
+import { VERDICT_RANK } from './chunking.mjs';
+
+/**
+ * Multi-judge panel for verify_with_gemini
+ *
+ * Every judge (a provider/model/temperature/prompt version combination)
+ * verifies the same artifact independently. Votes are counted by majority
+ * or weighted by judge weight x self-reported confidence; ties go to the
+ * stricter verdict. The panel's `confidence` is the winning verdict's share
+ * of the vote, so it measures agreement rather than any single model's
+ * self-assessment. How the verdict was reached - truncation, token budget,
+ * grounding, local evidence and rubric scores - is carried over from the
+ * first winning judge (verdictContext()).
+ */
+
+const DISSENT_REASONS = 5;
+
+/**
+ * Short label for a judge
+ * @param {Object} judge - Panel judge config
+ * @param {number} index - Position in the panel
+ * @returns {string}
+ */
+function judgeName(judge, index) {
+  if (judge.name) return judge.name;
+  const parts = [
+    judge.provider,
+    judge.model,
+    judge.temperature !== undefined && `t=${judge.temperature}`,
+    judge.prompt_version && `prompt@${judge.prompt_version}`
+  ].filter(Boolean);
+  return parts.length > 0 ? `judge-${index + 1} (${parts.join(', ')})` : `judge-${index + 1}`;
+}
+
+/**
+ * Aggregate judge verdicts
+ * @param {Array<Object>} ballots - [{ judge, weight, verdict }] where verdict is a verdict object or null on error
+ * @param {string} [aggregation='majority'] - 'majority' or 'weighted'
+ * @returns {Object} { verdict, confidence, agreement, dissent }
+ */
+export function aggregateVerdicts(ballots, aggregation = 'majority') {
+  // Judges that errored or never produced a schema-valid verdict abstain
+  const valid = ballots.filter(b =>
+    b.verdict && b.verdict.parse_status !== 'failed' && VERDICT_RANK[b.verdict.verdict] !== undefined);
+  if (valid.length === 0) {
+    return { verdict: null, confidence: 0, agreement: null, dissent: [] };
+  }
+
+  const counts = { PASS: 0, NEEDS_IMPROVEMENT: 0, FAIL: 0 };
+  const weighted = { PASS: 0, NEEDS_IMPROVEMENT: 0, FAIL: 0 };
+  for (const ballot of valid) {
+    counts[ballot.verdict.verdict] += 1;
+    weighted[ballot.verdict.verdict] += (ballot.weight ?? 1) * (ballot.verdict.confidence ?? 0);
+  }
+  
+  // A weighted vote where every judge reported zero confidence falls back to counting
+  const weightedTotal = Object.values(weighted).reduce((sum, w) => sum + w, 0);
+  const tally = aggregation === 'weighted' && weightedTotal > 0 ? weighted : counts;
+
+  // Highest tally wins; ties resolve to the stricter verdict
+  const winner = Object.keys(tally).reduce((best, verdict) => {
+    if (tally[verdict] > tally[best]) return verdict;
+    if (tally[verdict] === tally[best] && VERDICT_RANK[verdict] > VERDICT_RANK[best]) return verdict;
+    return best;
+  }, 'PASS');
+
+  const total = Object.values(tally).reduce((sum, w) => sum + w, 0);
+  const share = tally[winner] / total;
+
+  // Fraction of judge pairs that gave the same verdict
+  const n = valid.length;
+  const agreeingPairs = Object.values(counts).reduce((sum, c) => sum + c * (c - 1) / 2, 0);
+  const pairwise = n > 1 ? agreeingPairs / (n * (n - 1) / 2) : 1;
+
+  const round = (x) => Math.round(x * 1000) / 1000;
+
+  return {
+    verdict: winner,
+    confidence: round(share),
+    agreement: {
+      judges: ballots.length,
+      valid_votes: n,
+      distribution: counts,
+      weighted_tally: aggregation === 'weighted'
+        ? Object.fromEntries(Object.entries(weighted).map(([k, v]) => [k, round(v)]))
+        : undefined,
+      vote_share: round(share),
+      pairwise_agreement: round(pairwise),
+      unanimous: counts[winner] === n
+    },
+    dissent: valid
+      .filter(b => b.verdict.verdict !== winner)
+      .map(b => ({
+        judge: b.judge,
+        verdict: b.verdict.verdict,
+        confidence: b.verdict.confidence,
+        reasons: [...(b.verdict.analysis?.weaknesses || []), ...(b.verdict.analysis?.risks || [])]
+          .slice(0, DISSENT_REASONS),
+        detailed_feedback: b.verdict.detailed_feedback || ''
+      }))
+  };
+}
+
+/**
+ * Per-verdict context of a merged verdict
+ * Shared by panels and self-consistency sampling. Truncation, token budget,
+ * local evidence and the rubric block come from the representative verdict;
+ * evidence citations are the union of the winning verdicts and the grounding
+ * summary is recounted over the merged citations.
+ * @param {Object} base - Representative verdict (the first winning one)
+ * @param {Array<Object>} winning - Verdicts that agree with the merged verdict
+ * @param {Array<Object>} citations - The merged verdict's citations
+ * @param {Object} [label] - Added to the rubric block, e.g. { judge } or { sample }
+ * @returns {Object} Fields to spread into the merged verdict
+ */
+export function verdictContext(base, winning, citations, label = {}) {
+  const grounded = winning.filter(v => v.grounding);
+  const evidenceCitations = new Map();
+  for (const citation of winning.flatMap(v => v.evidence_citations || [])) {
+    const key = [citation.id, citation.start_line, citation.end_line, citation.claim].join('|');
+    if (!evidenceCitations.has(key)) evidenceCitations.set(key, citation);
+  }
+
+  return {
+    ...(base.truncation && { truncation: base.truncation }),
+    ...(base.token_budget && { token_budget: base.token_budget }),
+    ...(grounded.length > 0 && {
+      grounding: {
+        requested: grounded.some(v => v.grounding.requested),
+        searched: grounded.some(v => v.grounding.searched),
+        search_queries: [...new Set(grounded.flatMap(v => v.grounding.search_queries || []))],
+        verified_citations: citations.filter(c => c.verified).length,
+        unverified_citations: citations.filter(c => !c.verified).length
+      }
+    }),
+    ...(base.local_evidence && { local_evidence: base.local_evidence }),
+    ...(winning.some(v => v.evidence_citations) && { evidence_citations: [...evidenceCitations.values()] }),
+    ...(base.rubric && { rubric: { ...base.rubric, ...label } })
+  };
+}
+
+/**
+ * Run a panel verification
+ * @param {Object} validatedArgs - VerifyArgs with a `panel` block
+ * @param {Function} verify - Single-judge verification (runVerification)
+ * @returns {Promise<Object>} Panel verdict
+ */
+export async function runPanel(validatedArgs, verify) {
+  const { panel, ...baseArgs } = validatedArgs;
+
+  const ballots = await Promise.all(panel.judges.map(async (judge, index) => {
+    const name = judgeName(judge, index);
+    try {
+      const verdict = await verify({
+        ...baseArgs,
+        provider: judge.provider ?? baseArgs.provider,
+        model: judge.model ?? baseArgs.model,
+        prompt_version: judge.prompt_version ?? baseArgs.prompt_version,
+        temperature: judge.temperature
+      });
+      return { judge: name, config: judge, weight: judge.weight, verdict };
+    } catch (error) {
+      return { judge: name, config: judge, weight: judge.weight, verdict: null, error: error.message };
+    }
+  }));
+
+  const { verdict, confidence, agreement, dissent } = aggregateVerdicts(ballots, panel.aggregation);
+  if (!verdict) {
+    const reasons = ballots.map(b => `${b.judge}: ${b.error || 'no valid verdict'}`).join('; ');
+    throw new Error(`Every panel judge failed: ${reasons}`);
+  }
+
+  const winning = ballots.filter(b => b.verdict?.verdict === verdict && b.verdict.parse_status !== 'failed');
+  const majority = winning.map(b => b.verdict);
+  const union = (pick) => [...new Set(majority.flatMap(v => pick(v) || []))];
+
+  const citations = [];
+  const seenUrls = new Set();
+  for (const citation of ballots.flatMap(b => b.verdict?.citations || [])) {
+    if (!seenUrls.has(citation.url)) {
+      seenUrls.add(citation.url);
+      citations.push(citation);
+    }
+  }
+
+  return {
+    verdict,
+    confidence,
+    analysis: {
+      strengths: union(v => v.analysis?.strengths),
+      weaknesses: union(v => v.analysis?.weaknesses),
+      risks: union(v => v.analysis?.risks)
+    },
+    recommendations: union(v => v.recommendations),
+    detailed_feedback: [
+      `Panel verdict ${verdict}: ${agreement.distribution[verdict]} of ${agreement.valid_votes} judges (${panel.aggregation} vote)`,
+      ...winning.map(b => `[${b.judge}] ${b.verdict.detailed_feedback || ''}`.trim())
+    ].join('\n\n'),
+    test_coverage: {
+      scenarios_checked: union(v => v.test_coverage?.scenarios_checked),
+      scenarios_missing: union(v => v.test_coverage?.scenarios_missing)
+    },
+    citations,
+    parse_status: majority.some(v => v.parse_status === 'repaired') ? 'repaired' : 'ok',
+    ...verdictContext(majority[0], majority, citations, { judge: winning[0].judge }),
+    panel: {
+      aggregation: panel.aggregation,
+      agreement,
+      dissent,
+      judges: ballots.map(b => ({
+        judge: b.judge,
+        provider: b.config.provider,
+        model: b.config.model,
+        temperature: b.config.temperature,
+        prompt: b.verdict?.prompt,
+        weight: b.weight,
+        verdict: b.verdict?.verdict ?? null,
+        confidence: b.verdict?.confidence ?? null,
+        parse_status: b.verdict?.parse_status ?? 'error',
+        ...(b.verdict?.model_call && { answered_by: b.verdict.model_call.answered_by }),
+        ...(b.verdict?.rubric && { rubric_score: b.verdict.rubric.score }),
+        ...(b.error && { error: b.error })
+      }))
+    }
+  };
+}
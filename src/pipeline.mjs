@@ -0,0 +1,342 @@
+/**
+ * Deterministic verification pipeline
+ *
+ * Runs the same steps the shell hooks run - claim validation, adapters from
+ * config/adapter-plan.json, artifacts index and gate - and only escalates to
+ * the model when the gate cannot decide.
+ */
+
+import { promises as fs } from 'fs';
+import { join, dirname, resolve, relative, basename, isAbsolute, sep } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { buildCapabilityIndex } from '../tools/resolve-adapter.js';
+import { enforceGate } from '../tools/enforce-gate.mjs';
+import { validateClaimObject } from '../tools/validate-claim.mjs';
+import { buildIndex } from '../tools/build-artifacts-index.mjs';
+import { VerifyArgs, VerifyTaskDirectoryArgs, inputShape } from './schemas.mjs';
+import { verifyArtifact, verificationError } from './verify.mjs';
+import { outcomeFromVerdict } from './reliability.mjs';
+import { checkTaskId } from './resources.mjs';
+import { getServerStorage } from './storage-sqlite.mjs';
+
+const execFileAsync = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PACKAGE_ROOT = join(__dirname, '..');
+
+/**
+ * Where each capability writes its result inside the task directory, and
+ * how to shape it into the typed artifact entry enforce-gate expects
+ */
+const CAPABILITY_OUTPUTS = {
+  'code:diff': { file: 'diff.json' },
+  'code:lint': { file: 'lint.json' },
+  'code:tests': { file: 'tests.json' },
+  'code:coverage': { file: 'coverage.json', normalize: out => ({ percentage: out.pct, ...out }) },
+  'links:discover': { file: 'links/urlset.json' },
+  'links:check': {
+    file: 'links/check.json',
+    normalize: out => ({ failed_count: out.failed, total_count: out.total_checked, ...out })
+  },
+  'links:resample': { file: 'links/resample.json' },
+  'api:check': { file: 'api/schema_result.json' },
+  'api:latency': { file: 'api/latency.json' }
+};
+
+const CODE_TYPES = ['code', 'code_update', 'db_update'];
+
+export async function readJson(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function firstExisting(paths) {
+  for (const path of paths) {
+    try {
+      await fs.access(path);
+      return path;
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Resolve the task directory, writing commitment/claim objects into it
+ * when they were passed inline
+ * Task directories always live under <repo_root>/.artifacts.
+ * @throws {Error} On an unsafe task id or a task_dir outside .artifacts
+ */
+async function prepareTaskDir({ task_dir, commitment, claim }, repoRoot) {
+  const taskId = checkTaskId(String(commitment?.task_id || claim?.task_id || `T_${Date.now()}`));
+  const artifactsDir = join(repoRoot, '.artifacts');
+  const taskDir = resolve(repoRoot, task_dir || join('.artifacts', taskId));
+
+  const inside = relative(artifactsDir, taskDir);
+  if (!inside || inside.split(sep)[0] === '..' || isAbsolute(inside)) {
+    throw new Error(`Task directory must be inside ${artifactsDir}: ${task_dir}`);
+  }
+
+  await fs.mkdir(taskDir, { recursive: true });
+
+  if (commitment) {
+    await fs.writeFile(join(taskDir, 'commitment.json'), JSON.stringify(commitment, null, 2));
+  }
+  if (claim) {
+    await fs.writeFile(join(taskDir, 'claim.json'), JSON.stringify(claim, null, 2));
+  }
+
+  return {
+    taskDir,
+    commitment: commitment || await readJson(join(taskDir, 'commitment.json')) || {},
+    claim: claim || await readJson(join(taskDir, 'claim.json')) || {}
+  };
+}
+
+/**
+ * Run a single adapter capability as a child process
+ * @returns {Promise<Object>} { capability, status: ok|failed|missing, duration_ms, error? }
+ */
+export async function runCapability(capability, adapters, { taskDir, repoRoot, profilesPath }) {
+  const adapter = adapters[capability];
+  if (!adapter) {
+    return { capability, status: 'missing', duration_ms: 0, error: `NO_ADAPTER_FOR:${capability}` };
+  }
+
+  try {
+    await fs.access(adapter.entry);
+  } catch {
+    return { capability, status: 'missing', duration_ms: 0, error: `Adapter entry not found: ${adapter.entry}` };
+  }
+
+  const args = [adapter.entry, capability, '--task-dir', taskDir];
+  for (const [flag, file] of [['--commitment', 'commitment.json'], ['--claim', 'claim.json']]) {
+    if (await firstExisting([join(taskDir, file)])) {
+      args.push(flag, join(taskDir, file));
+    }
+  }
+  if (profilesPath) {
+    args.push('--profile', profilesPath);
+  }
+
+  const timeoutSec = adapter.manifest.sandbox?.timeout || 60;
+  const startTime = Date.now();
+
+  try {
+    await execFileAsync(process.execPath, args, {
+      cwd: repoRoot,
+      timeout: timeoutSec * 1000,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return { capability, status: 'ok', duration_ms: Date.now() - startTime };
+  } catch (error) {
+    const detail = error.killed ? `timed out after ${timeoutSec}s` : (error.stderr || error.message);
+    return { capability, status: 'failed', duration_ms: Date.now() - startTime, error: String(detail).slice(0, 1000) };
+  }
+}
+
+/**
+ * Collect adapter outputs into the typed artifact list used by the gate
+ */
+async function collectArtifacts(taskDir, capabilities) {
+  const artifacts = [];
+
+  for (const capability of capabilities) {
+    const output = CAPABILITY_OUTPUTS[capability];
+    if (!output) continue;
+
+    const data = await readJson(join(taskDir, output.file));
+    if (!data) continue;
+
+    artifacts.push({ type: capability, ...(output.normalize ? output.normalize(data) : data) });
+  }
+
+  return artifacts;
+}
+
+/**
+ * Ask the model to decide a task the gate left inconclusive
+ */
+async function escalate({ taskDir, taskType, commitment, claim, artifacts, gate }, options) {
+  const patch = await fs.readFile(join(taskDir, 'diffs.patch'), 'utf8').catch(() => null);
+  const isCode = CODE_TYPES.includes(taskType);
+
+  const artifact = patch && patch.trim()
+    ? patch
+    : JSON.stringify({ commitment, claim }, null, 2);
+
+  const args = VerifyArgs.parse({
+    artifact,
+    task: isCode ? 'code_review' : 'fact_check',
+    tests_json: JSON.stringify({ commitment, claim, gate, artifacts }, null, 2),
+    provider: options.provider,
+    model: options.model,
+    ...((commitment.task_id || claim.task_id) && { task_id: String(commitment.task_id || claim.task_id) })
+  });
+
+  // Usage is recorded, and the daily budget applied, like any verification
+  try {
+    return await verifyArtifact(args, 'verify_task_directory');
+  } catch (error) {
+    console.error('Error escalating task to model:', error);
+    return verificationError(error);
+  }
+}
+
+const MODEL_STATUS = { PASS: 'pass', FAIL: 'fail', NEEDS_IMPROVEMENT: 'inconclusive' };
+
+/**
+ * Run the full deterministic pipeline for a task
+ * @param {Object} validatedArgs - Arguments parsed with VerifyTaskDirectoryArgs
+ * @returns {Promise<Object>} Combined verdict (also written to <task_dir>/verdict.json)
+ */
+export async function runTaskPipeline(validatedArgs) {
+  const repoRoot = resolve(validatedArgs.repo_root || process.cwd());
+  const { taskDir, commitment, claim } = await prepareTaskDir(validatedArgs, repoRoot);
+
+  const profilesPath = validatedArgs.profiles_path
+    ? resolve(repoRoot, validatedArgs.profiles_path)
+    : await firstExisting([
+      join(repoRoot, 'verification.profiles.json'),
+      join(PACKAGE_ROOT, 'verification.profiles.json')
+    ]);
+
+  const taskType = commitment.type || claim.claim?.type || claim.claimed?.type || 'unknown';
+  const failures = [];
+
+  // Step 1: Claim validation (only v1.1 claims are held to the schema)
+  let claimValidation = null;
+  if (claim.schema) {
+    claimValidation = validateClaimObject(claim);
+    if (!claimValidation.valid) {
+      failures.push(...claimValidation.errors.map(e => `INVALID_CLAIM: ${e}`));
+    }
+  }
+
+  // Step 2: Adapters from the plan
+  const plans = JSON.parse(await fs.readFile(join(PACKAGE_ROOT, 'config', 'adapter-plan.json'), 'utf8'));
+  const plan = plans[taskType] || plans.unknown;
+  const adapters = buildCapabilityIndex();
+
+  const capabilities = [];
+  for (const capability of plan.order) {
+    const result = await runCapability(capability, adapters, { taskDir, repoRoot, profilesPath });
+    result.required = plan.required.includes(capability);
+    capabilities.push(result);
+
+    if (result.required && result.status !== 'ok') {
+      failures.push(`REQUIRED_CAPABILITY_${result.status.toUpperCase()}: ${capability}${result.error ? ` (${result.error.split('\n')[0]})` : ''}`);
+    }
+  }
+
+  // Step 3: Artifacts index, with typed entries for the gate
+  const artifacts = await collectArtifacts(taskDir, plan.order);
+  const index = await buildIndex(taskDir);
+  const artifactsPath = join(taskDir, 'artifacts.json');
+  await fs.writeFile(artifactsPath, JSON.stringify({
+    ...index,
+    task_id: commitment.task_id || claim.task_id,
+    artifacts
+  }, null, 2));
+
+  // Step 4: Gate
+  const gate = await enforceGate(artifactsPath, profilesPath);
+
+  let status = gate.status;
+  let decidedBy = 'gate';
+
+  if (failures.length > 0) {
+    // Pipeline-level failures (claim or required adapter) override the gate
+    status = 'fail';
+    decidedBy = 'pipeline';
+  }
+
+  // Step 5: Escalate only when the gate could not decide
+  let model = null;
+  if (status === 'inconclusive' && validatedArgs.escalate) {
+    model = await escalate({ taskDir, taskType, commitment, claim, artifacts, gate }, validatedArgs);
+    status = MODEL_STATUS[model.verdict] || 'inconclusive';
+    decidedBy = 'model';
+  }
+
+  const verdict = {
+    task_id: gate.task_id || commitment.task_id || claim.task_id,
+    task_dir: taskDir,
+    type: taskType,
+    profile: gate.profile,
+    status,
+    decided_by: decidedBy,
+    reasons: [...failures, ...gate.reasons],
+    claim_validation: claimValidation,
+    capabilities,
+    gate,
+    model_verdict: model,
+    timestamp: new Date().toISOString()
+  };
+
+  await fs.writeFile(join(taskDir, 'verdict.json'), JSON.stringify(verdict, null, 2));
+
+  // The claiming actor's track record feeds consensus weighting
+  const outcome = outcomeFromVerdict(verdict, claim);
+  if (outcome) {
+    try {
+      const storage = await getServerStorage();
+      storage.recordSourceOutcomes(verdict.task_id || basename(taskDir), 'verdict', [outcome]);
+    } catch (error) {
+      console.error('Error recording source outcome:', error);
+    }
+  }
+
+  return verdict;
+}
+
+/**
+ * Register the verify_task_directory tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerTaskDirectoryTool(server) {
+  server.registerTool(
+    'verify_task_directory',
+    {
+      description: 'Run the deterministic verification pipeline for a task: validate the claim, run the adapters from config/adapter-plan.json, apply the gate, and only escalate to the model when the gate is inconclusive. Returns the combined verdict.',
+      inputSchema: inputShape(VerifyTaskDirectoryArgs)
+    },
+    async (args) => {
+      // Validate arguments using Zod schema
+      const validatedArgs = VerifyTaskDirectoryArgs.parse(args);
+      
+      try {
+        const verdict = await runTaskPipeline(validatedArgs);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(verdict, null, 2)
+            }
+          ]
+        };
+        
+      } catch (error) {
+        console.error('Error in verify_task_directory:', error);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                status: 'inconclusive',
+                decided_by: 'error',
+                reasons: [`Pipeline error: ${error.message}`]
+              }, null, 2)
+            }
+          ]
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,124 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Progress reporting and cancellation of running tool calls
+ *
+ * A tool call runs under withCallControl() with an AbortSignal and a
+ * progress callback: the MCP request's own for calls answered directly,
+ * the job's for calls run as background jobs (jobs.mjs). The resilient model
+ * wrapper checks for cancellation before every attempt and reports each
+ * model call that answers, so any tool gets progress without threading a
+ * callback through. A model call already in flight is not interrupted; the
+ * tool stops at its next call. Tools that know their own units of work
+ * (verify_batch items) report them with reportProgress() and run the work
+ * under withCallControl({ onProgress: null }) so model calls are not
+ * counted twice.
+ */
+
+const contexts = new AsyncLocalStorage();
+
+/**
+ * Error thrown when the running tool call was cancelled
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Verification cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Progress callback that sends MCP progress notifications
+ * Does nothing unless the client asked for progress with a progress token.
+ * @param {Object} [extra] - Request handler extra from the MCP server
+ * @returns {Function} async (progress, total, message) => void
+ */
+export function progressNotifier(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || typeof extra.sendNotification !== 'function') {
+    return async () => {};
+  }
+
+  return (progress, total, message) => extra.sendNotification({
+    method: 'notifications/progress',
+    params: { progressToken, progress, ...(total !== undefined && { total }), ...(message && { message }) }
+  });
+}
+
+/**
+ * Run code under a cancellation signal and progress callback
+ * Options left out are inherited from the enclosing call.
+ * @param {Object} control - { signal?: AbortSignal, onProgress?: Function|null }
+ * @param {Function} run - Async function doing the work
+ * @returns {Promise<*>} What run resolves to
+ */
+export function withCallControl(control, run) {
+  const parent = contexts.getStore();
+  return contexts.run({
+    signal: 'signal' in control ? control.signal : parent?.signal,
+    onProgress: 'onProgress' in control ? control.onProgress : parent?.onProgress,
+    model_calls: 0
+  }, run);
+}
+
+/**
+ * Run an MCP request's work with its cancellation signal and progress token
+ * @param {Object} [extra] - Request handler extra from the MCP server
+ * @param {Function} run - Async function doing the work
+ * @returns {Promise<*>} What run resolves to
+ */
+export function withRequestControl(extra, run) {
+  return withCallControl({ signal: extra?.signal, onProgress: progressNotifier(extra) }, run);
+}
+
+// Progress is best effort: a failing callback never fails the call
+async function notify(context, progress, total, message) {
+  try {
+    await context.onProgress(progress, total, message);
+  } catch (error) {
+    console.error('Error reporting progress:', error);
+  }
+}
+
+/**
+ * Report progress of the running tool call
+ * @param {number} progress - Work done so far; must increase with every report
+ * @param {number} [total] - Work in total, when known
+ * @param {string} [message]
+ */
+export async function reportProgress(progress, total, message) {
+  const context = contexts.getStore();
+  if (context?.onProgress) await notify(context, progress, total, message);
+}
+
+/**
+ * Whether the running tool call was cancelled
+ * @returns {boolean}
+ */
+export function isCancelled() {
+  return Boolean(contexts.getStore()?.signal?.aborted);
+}
+
+/**
+ * Stop the running tool call if it was cancelled
+ * @throws {CancelledError}
+ */
+export function throwIfCancelled() {
+  if (isCancelled()) throw new CancelledError();
+}
+
+/**
+ * Count a model call that answered and report it as progress
+ * Called by the resilient model wrapper.
+ * @param {string} modelId - Model that answered
+ */
+export async function noteModelCall(modelId) {
+  const context = contexts.getStore();
+  if (!context) return;
+
+  context.model_calls += 1;
+  if (context.onProgress) {
+    const n = context.model_calls;
+    await notify(context, n, undefined, `${modelId} answered (${n} model call${n === 1 ? '' : 's'})`);
+  }
+}
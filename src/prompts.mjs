@@ -0,0 +1,236 @@
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Prompt templates for verify_with_gemini, one per task type
+ *
+ * Built-in templates live in the package's prompts/ directory. A project can
+ * override any of them by dropping a file with the same name into
+ * ADJUDICATOR_PROMPTS_DIR (default .adjudicator/prompts in the working
+ * directory). Pinned versions are stored as <task>@<version>.md next to the
+ * current <task>.md.
+ *
+ * Template files are Markdown with a small front matter block:
+ *
+ *   ---
+ *   version: 1.2.0
+ *   description: What the template checks
+ *   audience: internal reviewers      <- any other key is a variable default
+ *   ---
+ *   You are a critical evaluator performing {{task}} analysis ...
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BUILTIN_DIR = join(__dirname, '..', 'prompts');
+
+export const PROMPT_TASKS = ['fact_check', 'code_review', 'test_report_review', 'policy'];
+
+// Output schema injected as {{schema}} so overrides cannot drift from VerdictSchema
+export const VERDICT_SCHEMA_TEXT = `{
+  "verdict": "PASS" | "FAIL" | "NEEDS_IMPROVEMENT",
+  "confidence": number (0.0-1.0),
+  "analysis": {
+    "strengths": string[],
+    "weaknesses": string[],
+    "risks": string[]
+  },
+  "recommendations": string[],
+  "detailed_feedback": string,
+  "test_coverage": {
+    "scenarios_checked": string[],
+    "scenarios_missing": string[]
+  },
+  "citations": [{ "url": string, "title": string }] (only if ground_with_search is true)
+}`;
+
+const VERSION_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function overrideDir() {
+  return process.env.ADJUDICATOR_PROMPTS_DIR || join(process.cwd(), '.adjudicator', 'prompts');
+}
+
+/**
+ * Split a template file into front matter fields and body
+ * @param {string} text - File contents
+ * @returns {Object} { meta, body }
+ */
+export function parseTemplate(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { meta: {}, body: text.trim() };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^\s*([A-Za-z0-9_]+)\s*:\s*(.*?)\s*$/);
+    if (pair) {
+      meta[pair[1]] = pair[2];
+    }
+  }
+
+  return { meta, body: text.slice(match[0].length).trim() };
+}
+
+/**
+ * Replace {{name}} placeholders
+ * @param {string} body - Template body
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ * @throws {Error} If a placeholder has no value
+ */
+export function renderTemplate(body, variables) {
+  return body.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (_, name) => {
+    if (variables[name] === undefined) {
+      throw new Error(`Prompt variable "${name}" has no value`);
+    }
+    return String(variables[name]);
+  });
+}
+
+async function readIfExists(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Find the template for a task, preferring the project override
+ * @param {string} task - One of PROMPT_TASKS
+ * @param {string} [version] - Pinned version; defaults to the current template
+ * @returns {Promise<Object>} { task, version, description, source, path, defaults, body }
+ * @throws {Error} If the task or version is unknown
+ */
+export async function loadPrompt(task, version) {
+  if (!PROMPT_TASKS.includes(task)) {
+    throw new Error(`Unknown prompt task: ${task}`);
+  }
+  if (version && !VERSION_PATTERN.test(version)) {
+    throw new Error(`Invalid prompt version: ${version}`);
+  }
+
+  const file = version ? `${task}@${version}.md` : `${task}.md`;
+  const candidates = [
+    { dir: overrideDir(), source: 'project' },
+    { dir: BUILTIN_DIR, source: 'builtin' }
+  ];
+
+  for (const { dir, source } of candidates) {
+    const path = join(dir, file);
+    const text = await readIfExists(path);
+    if (text === null) continue;
+
+    const { meta, body } = parseTemplate(text);
+    const { version: metaVersion, description, ...defaults } = meta;
+
+    return {
+      task,
+      // A pinned file name is authoritative over its front matter
+      version: version || metaVersion || 'unversioned',
+      description: description || `${task} rubric`,
+      source,
+      path,
+      defaults,
+      body
+    };
+  }
+
+  throw new Error(version
+    ? `No ${task} prompt with version ${version}`
+    : `No ${task} prompt template found`);
+}
+
+/**
+ * Load and render the system prompt for a verification
+ * @param {string} task - One of PROMPT_TASKS
+ * @param {Object} [options]
+ * @param {string} [options.version] - Pinned template version
+ * @param {Object} [options.variables] - Values for {{placeholders}}
+ * @returns {Promise<Object>} { text, prompt } where prompt is the verdict's provenance record
+ */
+export async function resolvePrompt(task, { version, variables = {} } = {}) {
+  const template = await loadPrompt(task, version);
+
+  const text = renderTemplate(template.body, {
+    ...template.defaults,
+    ...variables,
+    task,
+    schema: VERDICT_SCHEMA_TEXT
+  });
+
+  return {
+    text,
+    prompt: {
+      id: task,
+      version: template.version,
+      source: template.source
+    }
+  };
+}
+
+const PromptVariables = z.record(z.string());
+
+/**
+ * Parse the JSON `variables` argument of an MCP prompt (prompt arguments are strings)
+ * @param {string} [json] - JSON object of template variables
+ * @returns {Object} Variable values, empty when not given
+ * @throws {Error} If the argument is not a JSON object of strings
+ */
+function parsePromptVariables(json) {
+  if (!json) return {};
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Prompt variables are not valid JSON: ${error.message}`);
+  }
+  const parsed = PromptVariables.safeParse(value);
+  if (!parsed.success) {
+    throw new Error('Prompt variables must be a JSON object of strings');
+  }
+  return parsed.data;
+}
+
+/**
+ * Register one MCP prompt per verification task
+ * @param {Object} server - MCP server instance
+ */
+export async function registerPrompts(server) {
+  for (const task of PROMPT_TASKS) {
+    const { description } = await loadPrompt(task);
+
+    server.registerPrompt(
+      task,
+      {
+        title: `Verify: ${task}`,
+        description,
+        argsSchema: {
+          artifact: z.string().describe('Text to check'),
+          tests_json: z.string().optional().describe('Optional JSON test results or metadata'),
+          version: z.string().optional().describe('Pinned template version'),
+          variables: z.string().optional().describe('Optional JSON object of values for {{placeholders}} in project templates')
+        }
+      },
+      async ({ artifact, tests_json, version, variables }) => {
+        const { text, prompt } = await resolvePrompt(task, { version, variables: parsePromptVariables(variables) });
+
+        let body = `${text}\n\nTASK: ${task}\n\nARTIFACT TO VERIFY:\n${artifact}`;
+        if (tests_json) {
+          body += `\n\nTEST RESULTS/METADATA:\n${tests_json}`;
+        }
+
+        return {
+          description: `${task} rubric v${prompt.version} (${prompt.source})`,
+          messages: [{
+            role: 'user',
+            content: { type: 'text', text: body }
+          }]
+        };
+      }
+    );
+  }
+}
@@ -0,0 +1,146 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Cassettes - record/replay of generateContent calls
+ *
+ * ADJUDICATOR_CASSETTE=record  wraps the real provider and writes every
+ *                              request/response pair to disk
+ * ADJUDICATOR_CASSETTE=replay  answers from disk only; no client is created
+ *                              and a missing cassette is an error
+ *
+ * Cassettes live in ADJUDICATOR_CASSETTE_DIR (default tests/cassettes) as
+ * <hash>.json, keyed on the requested model id and the prompt, so identical
+ * prompts to the same model always replay the same verdict - also when a
+ * fallback model answered while recording. Replayed calls report the model
+ * that actually answered.
+ */
+
+/**
+ * Current cassette mode
+ * @returns {string|null} 'record', 'replay' or null when disabled
+ */
+export function cassetteMode() {
+  const mode = process.env.ADJUDICATOR_CASSETTE;
+  if (!mode || mode === 'off') {
+    return null;
+  }
+
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Invalid ADJUDICATOR_CASSETTE "${mode}". Use record, replay or off`);
+  }
+
+  return mode;
+}
+
+function cassetteDir() {
+  return process.env.ADJUDICATOR_CASSETTE_DIR || join(process.cwd(), 'tests', 'cassettes');
+}
+
+/**
+ * Hash the parts of a request that determine the model's answer
+ * @param {Object} request - Gemini request ({ contents, generationConfig, tools })
+ * @param {string} modelId - Model the request is sent to
+ * @returns {string} sha256 hex digest
+ */
+export function cassetteKey(request, modelId) {
+  const material = JSON.stringify({
+    model: modelId,
+    contents: request.contents || [],
+    generationConfig: request.generationConfig || {},
+    tools: request.tools || []
+  });
+
+  return createHash('sha256').update(material).digest('hex');
+}
+
+function cassettePath(key) {
+  return join(cassetteDir(), `${key}.json`);
+}
+
+/**
+ * Rebuild a Gemini-shaped result from a stored cassette
+ */
+function toResult(cassette) {
+  const { text, candidates, usageMetadata } = cassette.response;
+
+  return {
+    response: {
+      text: () => text,
+      candidates: candidates || [{ content: { role: 'model', parts: [{ text }] } }],
+      usageMetadata: usageMetadata || {}
+    }
+  };
+}
+
+/**
+ * Wrap a provider so each call is recorded to a cassette
+ * The provider's model is the resilient one, so the cassette is keyed on the
+ * requested model and stores the one that answered, fallbacks included.
+ * @param {Object} provider - Provider from getProvider(), before recording
+ * @returns {Object} Provider with the same shape whose calls are recorded
+ */
+export function recordCassettes(provider) {
+  const model = {
+    ...provider.model,
+
+    async generateContent(request) {
+      const result = await provider.model.generateContent(request);
+      const key = cassetteKey(request, provider.modelId);
+
+      mkdirSync(cassetteDir(), { recursive: true });
+      writeFileSync(cassettePath(key), JSON.stringify({
+        key,
+        provider: provider.name,
+        model_id: provider.model.calls?.at(-1)?.answered_by || provider.modelId,
+        recorded_at: new Date().toISOString(),
+        request,
+        response: {
+          text: result.response.text(),
+          candidates: result.response.candidates,
+          usageMetadata: result.response.usageMetadata
+        }
+      }, null, 2));
+
+      return result;
+    }
+  };
+
+  return { ...provider, model };
+}
+
+/**
+ * Create a provider that answers from recorded cassettes only
+ * Each replayed call is listed in `model.calls` under the model that answered
+ * it when recording, like the resilient wrapper lists live calls (see
+ * modelCallReport()).
+ * @param {string} name - Provider name the caller asked for
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model id the cassettes were requested with
+ * @returns {Object} Object containing { name, model, modelId }
+ */
+export function createReplayProvider(name, options) {
+  const model = {
+    calls: [],
+
+    async generateContent(request) {
+      const key = cassetteKey(request, options.model);
+      const path = cassettePath(key);
+
+      if (!existsSync(path)) {
+        throw new Error(`No cassette recorded for ${options.model} and prompt ${key} in ${cassetteDir()}`);
+      }
+
+      const cassette = JSON.parse(readFileSync(path, 'utf8'));
+      model.calls.push({ answered_by: cassette.model_id || options.model, attempts: 1, errors: [] });
+      return toResult(cassette);
+    }
+  };
+
+  return {
+    name,
+    model,
+    modelId: options.model
+  };
+}
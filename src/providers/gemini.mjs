@@ -0,0 +1,17 @@
+import { getGemini } from '../gemini.mjs';
+
+/**
+ * Gemini provider - thin wrapper over the Google Generative AI client
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.model] - Model id override (defaults to GEMINI_MODEL)
+ * @returns {Object} Object containing { name, model, modelId }
+ */
+export function createGeminiProvider(options = {}) {
+  const { model, modelId } = getGemini(options.model);
+
+  return {
+    name: 'gemini',
+    model,
+    modelId
+  };
+}
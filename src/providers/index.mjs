@@ -0,0 +1,71 @@
+import { createGeminiProvider } from './gemini.mjs';
+import { createOpenAIProvider, defaultOpenAIModel } from './openai.mjs';
+import { defaultGeminiModel } from '../gemini.mjs';
+import { createMockProvider } from './mock.mjs';
+import { cassetteMode, recordCassettes, createReplayProvider } from './cassette.mjs';
+import { createResilientModel, resiliencePolicy } from './resilient.mjs';
+
+/**
+ * Registry of model providers
+ * Every provider returns { name, model, modelId } where `model` exposes a
+ * Gemini-compatible generateContent(request) method.
+ */
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Model each provider uses when none is given, known without creating a client
+const DEFAULT_MODELS = {
+  gemini: defaultGeminiModel,
+  openai: defaultOpenAIModel,
+  mock: () => 'mock'
+};
+
+/**
+ * Resolve a model provider
+ * Honours ADJUDICATOR_CASSETTE (see cassette.mjs) for record/replay. Live
+ * providers are wrapped with timeouts, retries, a circuit breaker and the
+ * provider's fallback models (see resilient.mjs); a replayed cassette never
+ * fails over.
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.provider] - Provider name (defaults to ADJUDICATOR_PROVIDER, then 'gemini')
+ * @param {string} [options.model] - Model id override for the provider
+ * @param {Object} [options.policy] - Resilience settings (defaults to resiliencePolicy(provider))
+ * @returns {Object} Object containing { name, model, modelId }
+ * @throws {Error} If the provider name is unknown
+ */
+export function getProvider(options = {}) {
+  const name = options.provider || process.env.ADJUDICATOR_PROVIDER || 'gemini';
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}". Available: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  const mode = cassetteMode();
+
+  if (mode === 'replay') {
+    return createReplayProvider(name, { model: options.model || DEFAULT_MODELS[name]() });
+  }
+
+  const primary = factory({ model: options.model });
+  const policy = options.policy || resiliencePolicy(name);
+  const candidates = [
+    { modelId: primary.modelId, load: () => primary.model },
+    ...policy.fallback_models
+      .filter(id => id !== primary.modelId)
+      .map(id => ({ modelId: id, load: () => factory({ model: id }).model }))
+  ];
+
+  const provider = {
+    ...primary,
+    model: createResilientModel(name, candidates, policy)
+  };
+
+  // Recorded on the requested model, whichever candidate answered
+  return mode === 'record' ? recordCassettes(provider) : provider;
+}
@@ -0,0 +1,139 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Mock provider - answers from canned responses without any network access
+ *
+ * Responses are read from the JSON file named by ADJUDICATOR_MOCK_RESPONSES:
+ *   [{ "match": "substring of prompt", "response": "..." | { ... },
+ *      "groundingMetadata": { ... } }]
+ * The first entry whose `match` occurs in the prompt wins; an entry without
+ * `match` acts as a catch-all. `groundingMetadata` is optional and is
+ * returned on the candidate as Gemini does for search-grounded calls.
+ * Built-in defaults cover every tool. Tokens are counted at 4 characters
+ * each, by countTokens() and in usageMetadata alike.
+ */
+
+const DEFAULT_RESPONSES = [
+  {
+    match: 'debate advocate',
+    response: { rebuttals: [] }
+  },
+  {
+    match: 'pairwise judge',
+    response: {
+      criteria: [],
+      overall: { winner: 'tie', strength: 0 },
+      summary: 'Mock comparison: no preference'
+    }
+  },
+  {
+    match: 'reference grader',
+    response: {
+      items: [],
+      missing_facts: [],
+      extra_facts: [],
+      summary: 'Mock grade: no model-scored items'
+    }
+  },
+  {
+    match: 'consensus analyzer',
+    response: {
+      consensus: 'agree',
+      agreement_ratio: 1,
+      summary: 'Mock consensus: all sources agree',
+      findings: [],
+      recommended_action: 'accept',
+      model_votes: [],
+      citations: []
+    }
+  },
+  {
+    match: 'critical evaluator',
+    response: {
+      verdict: 'PASS',
+      confidence: 1,
+      analysis: { strengths: ['Mock verification'], weaknesses: [], risks: [] },
+      recommendations: [],
+      detailed_feedback: 'Mock verdict from the local mock provider',
+      test_coverage: { scenarios_checked: [], scenarios_missing: [] },
+      citations: []
+    }
+  }
+];
+
+/**
+ * Load mock responses from disk, falling back to the built-in defaults
+ * @returns {Array} Ordered list of { match, response } entries
+ */
+function loadResponses() {
+  const file = process.env.ADJUDICATOR_MOCK_RESPONSES;
+  if (!file) {
+    return DEFAULT_RESPONSES;
+  }
+
+  const entries = JSON.parse(readFileSync(file, 'utf8'));
+  return [...entries, ...DEFAULT_RESPONSES];
+}
+
+/**
+ * Flatten a Gemini request into the prompt text used for matching
+ * @param {Object} request - Gemini request ({ contents })
+ * @returns {string} Concatenated prompt text
+ */
+function promptText(request) {
+  return (request.contents || [])
+    .flatMap(content => content.parts || [])
+    .map(part => part.text || '')
+    .join('\n');
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.model] - Model id reported back (defaults to 'mock')
+ * @returns {Object} Object containing { name, model, modelId }
+ */
+export function createMockProvider(options = {}) {
+  const responses = loadResponses();
+  const modelId = options.model || 'mock';
+
+  const model = {
+    async generateContent(request) {
+      const prompt = promptText(request);
+      const entry = responses.find(r => !r.match || prompt.includes(r.match));
+
+      if (!entry) {
+        throw new Error('No mock response matches the prompt');
+      }
+
+      const text = typeof entry.response === 'string'
+        ? entry.response
+        : JSON.stringify(entry.response);
+
+      return {
+        response: {
+          text: () => text,
+          candidates: [{
+            content: { role: 'model', parts: [{ text }] },
+            ...(entry.groundingMetadata && { groundingMetadata: entry.groundingMetadata })
+          }],
+          usageMetadata: {
+            promptTokenCount: Math.ceil(prompt.length / 4),
+            candidatesTokenCount: Math.ceil(text.length / 4),
+            totalTokenCount: Math.ceil((prompt.length + text.length) / 4)
+          }
+        }
+      };
+    },
+
+    async countTokens(request) {
+      return { totalTokens: Math.ceil(promptText(request).length / 4) };
+    }
+  };
+
+  return {
+    name: 'mock',
+    model,
+    modelId
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any /chat/completions endpoint (OpenAI, vLLM, Ollama, LM Studio,
+ * or a local stand-in server in CI) and adapts the result to the Gemini
+ * response shape so the tools don't need to know which backend answered.
+ */
+
+/**
+ * Convert a Gemini-style generateContent request into chat messages
+ * @param {Object} request - Gemini request ({ contents, generationConfig })
+ * @returns {Array} OpenAI chat messages
+ */
+export function toChatMessages(request) {
+  return (request.contents || []).map(content => ({
+    role: content.role === 'model' ? 'assistant' : 'user',
+    content: (content.parts || []).map(part => part.text || '').join('\n')
+  }));
+}
+
+/**
+ * Wrap an OpenAI chat completion in a Gemini-compatible result object
+ * @param {Object} completion - Parsed /chat/completions response body
+ * @returns {Object} Object shaped like a Gemini GenerateContentResult
+ */
+export function toGeminiResult(completion) {
+  const text = completion.choices?.[0]?.message?.content || '';
+  const usage = completion.usage || {};
+
+  return {
+    response: {
+      text: () => text,
+      candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+      usageMetadata: {
+        promptTokenCount: usage.prompt_tokens || 0,
+        candidatesTokenCount: usage.completion_tokens || 0,
+        totalTokenCount: usage.total_tokens || 0
+      }
+    }
+  };
+}
+
+/**
+ * Model used when no override is given
+ * @returns {string} OPENAI_MODEL, or gpt-4o-mini
+ */
+export function defaultOpenAIModel() {
+  return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.model] - Model id override (defaults to OPENAI_MODEL)
+ * @returns {Object} Object containing { name, model, modelId }
+ * @throws {Error} If OPENAI_BASE_URL is not set
+ */
+export function createOpenAIProvider(options = {}) {
+  const baseUrl = process.env.OPENAI_BASE_URL;
+
+  if (!baseUrl) {
+    throw new Error('OPENAI_BASE_URL environment variable is required for the openai provider');
+  }
+
+  const apiKey = process.env.OPENAI_API_KEY;
+  const modelId = options.model || defaultOpenAIModel();
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const model = {
+    async generateContent(request) {
+      const config = request.generationConfig || {};
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: modelId,
+          messages: toChatMessages(request),
+          temperature: config.temperature,
+          top_p: config.topP,
+          max_tokens: config.maxOutputTokens
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 500)}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return toGeminiResult(await response.json());
+    }
+  };
+
+  return {
+    name: 'openai',
+    model,
+    modelId
+  };
+}
@@ -0,0 +1,258 @@
+import { checkBudget, recordModelCall } from '../usage.mjs';
+import { acquireRateLimit } from '../rate-limit.mjs';
+import { throwIfCancelled, noteModelCall } from '../progress.mjs';
+
+/**
+ * Resilient model calls - timeouts, retries, circuit breaker, fallback models
+ *
+ * Every provider's generateContent is wrapped so that:
+ *   - each attempt is cut off after ADJUDICATOR_TIMEOUT_MS (default 60000)
+ *   - timeouts, 408/429/5xx and network errors are retried up to
+ *     ADJUDICATOR_MAX_RETRIES times (default 2) with exponential backoff and
+ *     full jitter (ADJUDICATOR_RETRY_BASE_MS, default 500, capped at
+ *     ADJUDICATOR_RETRY_MAX_MS, default 8000)
+ *   - a model that fails ADJUDICATOR_BREAKER_THRESHOLD times in a row
+ *     (default 5) is skipped for ADJUDICATOR_BREAKER_COOLDOWN_MS (default
+ *     30000), then let through for a single trial call
+ *   - when a model gives up, the next one in the fallback list is tried
+ *     (GEMINI_FALLBACK_MODELS / OPENAI_FALLBACK_MODELS, comma separated,
+ *     e.g. "gemini-2.0-flash,gemini-1.5-pro")
+ * Breaker state is shared by every call in the process. Which model answered
+ * and how many attempts it took is kept on the wrapped model and reported by
+ * modelCallReport(). Token usage and the daily budget are handled by
+ * usage.mjs, which sees every call made here; attempts made under a shared
+ * rate limiter (rate-limit.mjs) wait for it first. A cancelled tool call
+ * (progress.mjs) makes no further attempts.
+ */
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_MESSAGE = /timed out|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|overloaded|unavailable|rate limit|\b(?:408|429|500|502|503|504)\b/i;
+
+const breakers = new Map();
+
+/**
+ * Error thrown when every model and retry failed
+ */
+export class ModelUnavailableError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'ModelUnavailableError';
+    this.model_call = report;
+  }
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+}
+
+/**
+ * Resilience settings from the environment
+ * @param {string} providerName - Provider whose fallback list to read
+ * @returns {Object} { timeout_ms, max_retries, base_delay_ms, max_delay_ms, breaker_threshold, breaker_cooldown_ms, fallback_models }
+ */
+export function resiliencePolicy(providerName) {
+  const fallbackVar = `${providerName.toUpperCase()}_FALLBACK_MODELS`;
+
+  return {
+    timeout_ms: envNumber('ADJUDICATOR_TIMEOUT_MS', 60000),
+    max_retries: envNumber('ADJUDICATOR_MAX_RETRIES', 2),
+    base_delay_ms: envNumber('ADJUDICATOR_RETRY_BASE_MS', 500),
+    max_delay_ms: envNumber('ADJUDICATOR_RETRY_MAX_MS', 8000),
+    breaker_threshold: envNumber('ADJUDICATOR_BREAKER_THRESHOLD', 5),
+    breaker_cooldown_ms: envNumber('ADJUDICATOR_BREAKER_COOLDOWN_MS', 30000),
+    fallback_models: (process.env[fallbackVar] || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Whether an error is worth retrying
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  if (RETRYABLE_STATUS.has(error.status)) return true;
+  if (error.status >= 400 && error.status < 500) return false;
+  return RETRYABLE_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Backoff before retry number `retry` (0-based): uniform in [0, min(max, base * 2^retry)]
+ * @param {number} retry
+ * @param {Object} policy - From resiliencePolicy()
+ * @param {Function} [random=Math.random]
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(retry, policy, random = Math.random) {
+  return Math.round(random() * Math.min(policy.max_delay_ms, policy.base_delay_ms * 2 ** retry));
+}
+
+/**
+ * Circuit breaker state for a model
+ * @param {string} key - provider:model id
+ * @returns {Object} { failures, opened_at }
+ */
+function breakerFor(key) {
+  if (!breakers.has(key)) {
+    breakers.set(key, { failures: 0, opened_at: null });
+  }
+  return breakers.get(key);
+}
+
+function breakerAllows(breaker, policy, now = Date.now()) {
+  if (breaker.opened_at === null) return true;
+  // Half-open: one trial call once the cooldown has passed
+  if (now - breaker.opened_at >= policy.breaker_cooldown_ms) {
+    breaker.opened_at = now;
+    return true;
+  }
+  return false;
+}
+
+function breakerFailure(breaker, policy) {
+  breaker.failures += 1;
+  if (breaker.failures >= policy.breaker_threshold) {
+    breaker.opened_at = Date.now();
+  }
+}
+
+function breakerSuccess(breaker) {
+  breaker.failures = 0;
+  breaker.opened_at = null;
+}
+
+/**
+ * Current breaker states, for diagnostics
+ * @returns {Object} Map of provider:model -> { failures, open }
+ */
+export function breakerStates() {
+  return Object.fromEntries([...breakers].map(([key, b]) => [key, { failures: b.failures, open: b.opened_at !== null }]));
+}
+
+/**
+ * Forget all breaker state
+ */
+export function resetBreakers() {
+  breakers.clear();
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.name = 'TimeoutError';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wrap a provider's model with timeouts, retries, breaker and fallbacks
+ * @param {string} providerName - Provider name (breaker keys and fallback list)
+ * @param {Array<Object>} candidates - [{ modelId, load }] in preference order; load() returns a model
+ * @param {Object} [policy] - Defaults to resiliencePolicy(providerName)
+ * @returns {Object} Model with generateContent(request), a `calls` log, and countTokens(request) when
+ *   the first candidate has it
+ */
+export function createResilientModel(providerName, candidates, policy = resiliencePolicy(providerName)) {
+  const loaded = new Map();
+  const calls = [];
+
+  const load = (candidate) => {
+    if (!loaded.has(candidate.modelId)) {
+      loaded.set(candidate.modelId, candidate.load());
+    }
+    return loaded.get(candidate.modelId);
+  };
+
+  return {
+    calls,
+
+    async generateContent(request) {
+      throwIfCancelled();
+      checkBudget();
+
+      const errors = [];
+      let attempts = 0;
+
+      for (const candidate of candidates) {
+        const breaker = breakerFor(`${providerName}:${candidate.modelId}`);
+        if (!breakerAllows(breaker, policy)) {
+          errors.push(`${candidate.modelId}: circuit open`);
+          continue;
+        }
+
+        let model;
+        try {
+          model = load(candidate);
+        } catch (error) {
+          errors.push(`${candidate.modelId}: ${error.message}`);
+          continue;
+        }
+
+        for (let retry = 0; retry <= policy.max_retries; retry++) {
+          await acquireRateLimit();
+          throwIfCancelled();
+          attempts += 1;
+          try {
+            const result = await withTimeout(model.generateContent(request), policy.timeout_ms, candidate.modelId);
+            breakerSuccess(breaker);
+            recordModelCall(providerName, candidate.modelId, result);
+            calls.push({ answered_by: candidate.modelId, attempts, errors });
+            await noteModelCall(candidate.modelId);
+            return result;
+          } catch (error) {
+            breakerFailure(breaker, policy);
+            errors.push(`${candidate.modelId} attempt ${retry + 1}: ${error.message}`);
+
+            if (!isRetryable(error) || breaker.opened_at !== null || retry === policy.max_retries) break;
+            await sleep(backoffDelay(retry, policy));
+          }
+        }
+      }
+
+      calls.push({ answered_by: null, attempts, errors });
+      throw new ModelUnavailableError(
+        `No model answered after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${errors.join('; ')}`,
+        modelCallReport({ calls }, candidates[0].modelId)
+      );
+    },
+
+    // Counted on the requested model, without retries; present only when that model can count
+    ...(typeof load(candidates[0]).countTokens === 'function' && {
+      countTokens(request) {
+        return withTimeout(load(candidates[0]).countTokens(request), policy.timeout_ms, candidates[0].modelId);
+      }
+    })
+  };
+}
+
+/**
+ * Summarize the calls made through a resilient model
+ * @param {Object} model - Model from createResilientModel()
+ * @param {string} requested - Model id the caller asked for
+ * @returns {Object|null} { requested, answered_by, calls, attempts, fallback_used, errors }, or null
+ *   for models that are not wrapped
+ */
+export function modelCallReport(model, requested) {
+  if (!model?.calls) return null;
+
+  const answered = model.calls.filter(c => c.answered_by).map(c => c.answered_by);
+  const errors = model.calls.flatMap(c => c.errors);
+
+  return {
+    requested,
+    answered_by: answered.at(-1) ?? null,
+    calls: model.calls.length,
+    attempts: model.calls.reduce((sum, c) => sum + c.attempts, 0),
+    fallback_used: answered.some(id => id !== requested),
+    ...(errors.length > 0 && { errors: errors.slice(-10) })
+  };
+}
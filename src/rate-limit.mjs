@@ -0,0 +1,119 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Shared rate limiting of model calls
+ *
+ * A limiter is a token bucket: it holds up to `burst` requests and refills
+ * at `requests_per_minute`. Code run under withRateLimit() shares one
+ * limiter, and the resilient model wrapper waits for it before every
+ * attempt, retries and fallback models included. Waiters are served in
+ * arrival order. withRateLimit() calls nest: a call waits for every
+ * enclosing limiter, innermost first. Outside withRateLimit() calls are not
+ * limited.
+ *
+ * sharedRateLimiter() is the process-wide limiter at
+ * ADJUDICATOR_REQUESTS_PER_MINUTE, shared by every batch and HTTP session.
+ */
+
+const limiters = new AsyncLocalStorage();
+
+// Requests the shared limiter lets through at once
+const SHARED_BURST = 4;
+
+let shared = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Default rate from ADJUDICATOR_REQUESTS_PER_MINUTE
+ * @returns {number} Requests per minute (60 when unset or invalid)
+ */
+export function defaultRequestsPerMinute() {
+  const value = Number(process.env.ADJUDICATOR_REQUESTS_PER_MINUTE);
+  return process.env.ADJUDICATOR_REQUESTS_PER_MINUTE && Number.isFinite(value) && value > 0 ? value : 60;
+}
+
+/**
+ * The process-wide limiter
+ * Recreated when ADJUDICATOR_REQUESTS_PER_MINUTE changes.
+ * @returns {Object} Limiter from createRateLimiter()
+ */
+export function sharedRateLimiter() {
+  const rate = defaultRequestsPerMinute();
+  if (shared?.stats().requests_per_minute !== rate) {
+    shared = createRateLimiter(rate, SHARED_BURST);
+  }
+  return shared;
+}
+
+/**
+ * Create a token bucket limiter
+ * @param {number} requestsPerMinute - Sustained rate
+ * @param {number} [burst] - Requests allowed at once before the rate applies
+ * @returns {Object} { acquire(), stats() }
+ */
+export function createRateLimiter(requestsPerMinute, burst = 1) {
+  const interval = 60000 / requestsPerMinute;
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+  let requests = 0;
+  let waitedMs = 0;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - refilledAt) / interval);
+    refilledAt = now;
+  };
+
+  return {
+    /**
+     * Wait for a request slot
+     * @returns {Promise<void>}
+     */
+    acquire() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          const wait = Math.ceil((1 - tokens) * interval);
+          waitedMs += wait;
+          await sleep(wait);
+          refill();
+        }
+        tokens = Math.max(0, tokens - 1);
+        requests += 1;
+      });
+      queue = turn;
+      return turn;
+    },
+
+    /**
+     * @returns {Object} { requests_per_minute, burst, requests, waited_ms }
+     */
+    stats() {
+      return { requests_per_minute: requestsPerMinute, burst, requests, waited_ms: waitedMs };
+    }
+  };
+}
+
+/**
+ * Run code with every model call it makes going through a limiter
+ * The limiters of enclosing withRateLimit() calls still apply.
+ * @param {Object} limiter - From createRateLimiter()
+ * @param {Function} run - Async function making model calls
+ * @returns {Promise<*>} What run resolves to
+ */
+export function withRateLimit(limiter, run) {
+  return limiters.run([...(limiters.getStore() || []), limiter], run);
+}
+
+/**
+ * Wait for the current limiters, if any, innermost first
+ * Called by the resilient model wrapper before every attempt.
+ * @returns {Promise<void>}
+ */
+export async function acquireRateLimit() {
+  for (const limiter of [...(limiters.getStore() || [])].reverse()) {
+    await limiter.acquire();
+  }
+}
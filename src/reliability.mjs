@@ -0,0 +1,180 @@
+import { RecordOverrideArgs, inputShape } from './schemas.mjs';
+import { getServerStorage } from './storage-sqlite.mjs';
+
+/**
+ * Per-source reliability
+ *
+ * Outcomes are recorded per task and source in the SQLite store:
+ *   consensus  consensus_check with a task_id - share of the source's claims
+ *              that matched the consensus reading
+ *   verdict    verify_task_directory - 1 when the claiming actor's task
+ *              passed, 0 (and an over-claim) when it failed
+ *   override   record_override - a human's call, which replaces the
+ *              automatic outcomes for that task and source
+ *
+ * Reliability is the Laplace-smoothed mean score, so a source with no
+ * history starts at 0.5 and a single bad call cannot zero it out. It doubles
+ * as the source's vote weight in consensus_check.
+ */
+
+const round = (x) => Math.round(x * 1000) / 1000;
+
+/**
+ * Outcomes with human overrides replacing the automatic ones per task
+ */
+function effectiveOutcomes(rows) {
+  const overridden = new Set(rows.filter(r => r.origin === 'override').map(r => `${r.task_id}\u0000${r.source}`));
+  return rows.filter(r => r.origin === 'override' || !overridden.has(`${r.task_id}\u0000${r.source}`));
+}
+
+/**
+ * Summarize recorded outcomes per source
+ * @param {Array<Object>} rows - From storage.getSourceOutcomes()
+ * @returns {Array<Object>} One entry per source, unsorted
+ */
+export function summarizeReliability(rows) {
+  const effective = effectiveOutcomes(rows);
+  const sources = [...new Set(rows.map(r => r.source))];
+
+  return sources.map(source => {
+    const mine = effective.filter(r => r.source === source);
+    const byOrigin = (origin) => rows.filter(r => r.source === source && r.origin === origin);
+    const mean = (list) => list.length > 0 ? round(list.reduce((sum, r) => sum + r.score, 0) / list.length) : null;
+
+    const consensus = byOrigin('consensus');
+    const verdicts = byOrigin('verdict');
+    const overrides = byOrigin('override');
+    const claims = mine.filter(r => r.origin !== 'consensus');
+    const overClaims = claims.filter(r => r.over_claimed).length;
+
+    return {
+      source,
+      reliability: round((mine.reduce((sum, r) => sum + r.score, 0) + 1) / (mine.length + 2)),
+      observations: mine.length,
+      consensus_agreement: mean(consensus),
+      verdicts: { tasks: verdicts.length, passed: verdicts.filter(r => r.score === 1).length },
+      overrides: { tasks: overrides.length, correct: overrides.filter(r => r.score === 1).length },
+      over_claims: overClaims,
+      over_claim_rate: claims.length > 0 ? round(overClaims / claims.length) : null
+    };
+  });
+}
+
+/**
+ * Rank sources by reliability
+ * @param {Array<Object>} rows - From storage.getSourceOutcomes()
+ * @returns {Object} { ranking, most_reliable, most_over_claiming }
+ */
+export function buildLeaderboard(rows) {
+  const ranking = summarizeReliability(rows)
+    .sort((a, b) => b.reliability - a.reliability || b.observations - a.observations || a.source.localeCompare(b.source))
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+  const overClaiming = ranking
+    .filter(entry => entry.over_claims > 0)
+    .sort((a, b) => b.over_claim_rate - a.over_claim_rate || b.over_claims - a.over_claims);
+
+  return {
+    ranking,
+    most_reliable: ranking[0]?.source ?? null,
+    most_over_claiming: overClaiming[0]?.source ?? null
+  };
+}
+
+/**
+ * Vote weights for a set of sources; sources without history get 0.5
+ * @param {Array<Object>} rows - From storage.getSourceOutcomes()
+ * @param {Array<string>} sources - Sources to weight
+ * @returns {Object} Map of source -> { reliability, observations }
+ */
+export function reliabilityWeights(rows, sources) {
+  const known = new Map(summarizeReliability(rows).map(entry => [entry.source, entry]));
+  return Object.fromEntries(sources.map(source => [source, {
+    reliability: known.get(source)?.reliability ?? 0.5,
+    observations: known.get(source)?.observations ?? 0
+  }]));
+}
+
+/**
+ * Outcomes for each source from a claim matrix
+ * @param {Object} matrix - From buildClaimMatrix()
+ * @returns {Array<Object>} [{ source, score, note }]; sources without claims are skipped
+ */
+export function outcomesFromMatrix(matrix) {
+  return matrix.sources.flatMap((source, sourceIndex) => {
+    const cells = matrix.claims.map(claim => claim.cells[sourceIndex]);
+    const supports = cells.filter(c => c.status === 'supports').length;
+    const present = cells.filter(c => c.status !== 'absent').length;
+    if (present === 0) return [];
+    return [{ source, score: supports / present, note: `${supports}/${present} claims matched the consensus` }];
+  });
+}
+
+/**
+ * Outcome for the claiming actor from a pipeline verdict
+ * @param {Object} verdict - From runTaskPipeline()
+ * @param {Object} claim - Claim object with an `actor`
+ * @returns {Object|null} { source, score, over_claimed, note }, or null when undecided
+ */
+export function outcomeFromVerdict(verdict, claim) {
+  if (!claim?.actor || !['pass', 'fail'].includes(verdict.status)) return null;
+  return {
+    source: claim.actor,
+    score: verdict.status === 'pass' ? 1 : 0,
+    over_claimed: verdict.status === 'fail',
+    note: verdict.reasons?.[0] || null
+  };
+}
+
+/**
+ * Register the record_override tool with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerOverrideTool(server) {
+  server.registerTool(
+    'record_override',
+    {
+      description: 'Record a human judgement of which sources were right on a task or consensus. Overrides replace the automatic outcomes for that task in each source\'s reliability record. Returns the updated leaderboard.',
+      inputSchema: inputShape(RecordOverrideArgs)
+    },
+    async (args) => {
+      // Validate arguments using Zod schema
+      const { task_id, outcomes, note } = RecordOverrideArgs.parse(args);
+
+      try {
+        const storage = await getServerStorage();
+        storage.recordSourceOutcomes(task_id, 'override', outcomes.map(o => ({
+          source: o.source,
+          score: o.correct ? 1 : 0,
+          over_claimed: o.over_claimed,
+          note
+        })));
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                task_id,
+                recorded: outcomes.length,
+                leaderboard: buildLeaderboard(storage.getSourceOutcomes())
+              }, null, 2)
+            }
+          ]
+        };
+
+      } catch (error) {
+        console.error('Error in record_override:', error);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ task_id, recorded: 0, error: `Override failed: ${error.message}` }, null, 2)
+            }
+          ]
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,248 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getServerStorage } from './storage-sqlite.mjs';
+import { buildLeaderboard } from './reliability.mjs';
+
+/**
+ * MCP resources for browsing verification state without shelling out
+ *
+ *   adjudicator://tasks                         task directories under .artifacts
+ *   adjudicator://tasks/{task_id}/verdict       verdict.json
+ *   adjudicator://tasks/{task_id}/artifacts     artifacts.json
+ *   adjudicator://tasks/{task_id}/function_map  function_map.json
+ *   adjudicator://profiles                      all verification profiles
+ *   adjudicator://profiles/{profile}            a single profile
+ *   adjudicator://history/sessions              recent SQLite sessions
+ *   adjudicator://history/sessions/{task_id}    session with units and metrics
+ *   adjudicator://reliability/leaderboard       sources ranked by track record
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PACKAGE_ROOT = join(__dirname, '..');
+
+const TASK_FILES = {
+  verdict: 'verdict.json',
+  artifacts: 'artifacts.json',
+  function_map: 'function_map.json'
+};
+
+const PROFILE_FILES = ['config/profiles.json', 'verification.profiles.json'];
+
+// Task ids become path segments - keep them to a safe character set
+const TASK_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Same place the pipeline writes task directories to (<repo_root>/.artifacts)
+function artifactsRoot() {
+  return join(process.cwd(), '.artifacts');
+}
+
+function jsonContents(uri, data) {
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: 'application/json',
+      text: JSON.stringify(data, null, 2)
+    }]
+  };
+}
+
+/**
+ * Check that a task id is safe to use as a directory name
+ * @param {string} taskId
+ * @returns {string} The task id
+ * @throws {Error} When it is not
+ */
+export function checkTaskId(taskId) {
+  if (!TASK_ID_PATTERN.test(taskId) || taskId === '.' || taskId === '..') {
+    throw new Error(`Invalid task id: ${taskId}`);
+  }
+  return taskId;
+}
+
+/**
+ * List task directories, optionally only those containing a given file
+ */
+async function listTasks(file) {
+  let entries;
+  try {
+    entries = await fs.readdir(artifactsRoot(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const tasks = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !TASK_ID_PATTERN.test(entry.name)) continue;
+
+    const files = await fs.readdir(join(artifactsRoot(), entry.name)).catch(() => []);
+    if (file && !files.includes(file)) continue;
+
+    tasks.push({ task_id: entry.name, files });
+  }
+
+  return tasks.sort((a, b) => a.task_id.localeCompare(b.task_id));
+}
+
+/**
+ * Load every profile file, project copies first, then the package defaults
+ * @returns {Promise<Object>} Map of profile name -> { source, profile }
+ */
+async function loadProfiles() {
+  const profiles = {};
+
+  for (const root of [PACKAGE_ROOT, process.cwd()]) {
+    for (const file of PROFILE_FILES) {
+      try {
+        const data = JSON.parse(await fs.readFile(join(root, file), 'utf8'));
+        for (const [name, profile] of Object.entries(data)) {
+          profiles[name] = { source: join(root, file), profile };
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Register adjudicator:// resources with the MCP server
+ * @param {Object} server - MCP server instance
+ */
+export async function registerResources(server) {
+  server.registerResource(
+    'tasks',
+    'adjudicator://tasks',
+    {
+      title: 'Verification tasks',
+      description: 'Task directories under .artifacts and the files each contains',
+      mimeType: 'application/json'
+    },
+    async (uri) => jsonContents(uri, await listTasks())
+  );
+
+  for (const [kind, file] of Object.entries(TASK_FILES)) {
+    server.registerResource(
+      `task-${kind}`,
+      new ResourceTemplate(`adjudicator://tasks/{task_id}/${kind}`, {
+        list: async () => ({
+          resources: (await listTasks(file)).map(task => ({
+            uri: `adjudicator://tasks/${task.task_id}/${kind}`,
+            name: `${task.task_id} ${kind}`,
+            mimeType: 'application/json'
+          }))
+        }),
+        complete: {
+          task_id: async (value) => (await listTasks(file))
+            .map(task => task.task_id)
+            .filter(id => id.startsWith(value))
+        }
+      }),
+      {
+        title: `Task ${kind}`,
+        description: `${file} for a verification task`,
+        mimeType: 'application/json'
+      },
+      async (uri, { task_id }) => {
+        const path = join(artifactsRoot(), checkTaskId(task_id), file);
+        try {
+          return jsonContents(uri, JSON.parse(await fs.readFile(path, 'utf8')));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new Error(`No ${file} for task ${task_id}`);
+          }
+          throw error;
+        }
+      }
+    );
+  }
+
+  server.registerResource(
+    'profiles',
+    'adjudicator://profiles',
+    {
+      title: 'Verification profiles',
+      description: 'Profiles from config/profiles.json and verification.profiles.json',
+      mimeType: 'application/json'
+    },
+    async (uri) => jsonContents(uri, await loadProfiles())
+  );
+
+  server.registerResource(
+    'profile',
+    new ResourceTemplate('adjudicator://profiles/{profile}', {
+      list: async () => ({
+        resources: Object.keys(await loadProfiles()).map(name => ({
+          uri: `adjudicator://profiles/${name}`,
+          name: `Profile ${name}`,
+          mimeType: 'application/json'
+        }))
+      }),
+      complete: {
+        profile: async (value) => Object.keys(await loadProfiles()).filter(name => name.startsWith(value))
+      }
+    }),
+    {
+      title: 'Verification profile',
+      description: 'A single verification profile and the file it came from',
+      mimeType: 'application/json'
+    },
+    async (uri, { profile }) => {
+      const profiles = await loadProfiles();
+      if (!profiles[profile]) {
+        throw new Error(`Unknown profile: ${profile}`);
+      }
+      return jsonContents(uri, { name: profile, ...profiles[profile] });
+    }
+  );
+
+  server.registerResource(
+    'history-sessions',
+    'adjudicator://history/sessions',
+    {
+      title: 'Verification history',
+      description: 'Most recent verification sessions from the SQLite store',
+      mimeType: 'application/json'
+    },
+    async (uri) => {
+      const storage = await getServerStorage();
+      return jsonContents(uri, await storage.getHistory(50));
+    }
+  );
+
+  server.registerResource(
+    'history-session',
+    new ResourceTemplate('adjudicator://history/sessions/{task_id}', { list: undefined }),
+    {
+      title: 'Verification session',
+      description: 'A stored session with its per-unit results and metrics',
+      mimeType: 'application/json'
+    },
+    async (uri, { task_id }) => {
+      const storage = await getServerStorage();
+      return jsonContents(uri, {
+        session: await storage.getSession(task_id),
+        units: storage.getUnits(task_id),
+        metrics: storage.getTaskMetrics(task_id)
+      });
+    }
+  );
+
+  server.registerResource(
+    'reliability-leaderboard',
+    'adjudicator://reliability/leaderboard',
+    {
+      title: 'Source reliability leaderboard',
+      description: 'Sources ranked by agreement with consensus, verdicts and human overrides, with over-claim rates',
+      mimeType: 'application/json'
+    },
+    async (uri) => {
+      const storage = await getServerStorage();
+      return jsonContents(uri, buildLeaderboard(storage.getSourceOutcomes()));
+    }
+  );
+}
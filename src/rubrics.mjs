@@ -0,0 +1,211 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { RubricDefinition } from './schemas.mjs';
+import { formatZodErrors } from './structured-output.mjs';
+
+/**
+ * Custom rubrics for verify_with_gemini
+ *
+ * A rubric replaces the task template's generic checklist with weighted
+ * criteria. The model only scores each criterion (0-1); the verdict is then
+ * computed here from those scores, so the same scores always give the same
+ * verdict:
+ *   FAIL               a critical criterion is below its pass_threshold, or
+ *                      the weighted score is below the rubric's fail_threshold
+ *   PASS               the weighted score reaches pass_threshold and every
+ *                      criterion reaches its own pass_threshold
+ *   NEEDS_IMPROVEMENT  anything in between
+ * Criteria the model did not score count as 0; when none were scored the
+ * verdict is NEEDS_IMPROVEMENT.
+ *
+ * Named rubrics come from a JSON library file (ADJUDICATOR_RUBRICS_FILE,
+ * default .adjudicator/rubrics.json in the working directory):
+ *
+ *   {
+ *     "api-review": {
+ *       "description": "Public API changes",
+ *       "pass_threshold": 0.8,
+ *       "criteria": [
+ *         { "id": "compat", "description": "No breaking changes", "weight": 3, "critical": true },
+ *         { "id": "docs", "description": "New endpoints are documented" }
+ *       ]
+ *     }
+ *   }
+ */
+
+const round = (x) => Math.round(x * 1000) / 1000;
+
+function libraryPath() {
+  return process.env.ADJUDICATOR_RUBRICS_FILE || join(process.cwd(), '.adjudicator', 'rubrics.json');
+}
+
+/**
+ * Read and validate the rubric library
+ * @returns {Promise<Object>} { path, rubrics } where rubrics maps name -> parsed RubricDefinition
+ * @throws {Error} If the file is missing, is not JSON, or holds an invalid rubric
+ */
+export async function loadRubricLibrary() {
+  const path = libraryPath();
+
+  let text;
+  try {
+    text = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Rubric library not found: ${path}`);
+    throw error;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Rubric library ${path} is not valid JSON: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Rubric library ${path} must be an object mapping names to rubrics`);
+  }
+
+  const rubrics = {};
+  for (const [name, definition] of Object.entries(raw)) {
+    const parsed = RubricDefinition.safeParse(definition);
+    if (!parsed.success) {
+      throw new Error(`Rubric "${name}" in ${path} is invalid: ${formatZodErrors(parsed.error).join('; ')}`);
+    }
+    rubrics[name] = parsed.data;
+  }
+
+  return { path, rubrics };
+}
+
+/**
+ * Resolve the rubric argument of a verification
+ * @param {string|Object} rubric - Library name or parsed inline RubricDefinition
+ * @returns {Promise<Object>} Rubric with provenance: { name, source, path?, ...definition }
+ * @throws {Error} If a named rubric is not in the library
+ */
+export async function resolveRubric(rubric) {
+  if (typeof rubric !== 'string') {
+    return { name: 'inline', source: 'inline', ...rubric };
+  }
+
+  const { path, rubrics } = await loadRubricLibrary();
+  if (!rubrics[rubric]) {
+    const known = Object.keys(rubrics);
+    throw new Error(`Unknown rubric "${rubric}" in ${path}${known.length > 0 ? ` (available: ${known.join(', ')})` : ''}`);
+  }
+
+  return { name: rubric, source: 'library', path, ...rubrics[rubric] };
+}
+
+/**
+ * Prompt block asking the model to score each criterion
+ * @param {Object} rubric - From resolveRubric()
+ * @returns {string}
+ */
+export function rubricInstructions(rubric) {
+  const criteria = rubric.criteria
+    .map(c => `- ${c.id}: ${c.description}${c.critical ? ' (critical)' : ''}`)
+    .join('\n');
+
+  return `\nCUSTOM RUBRIC${rubric.description ? ` (${rubric.description})` : ''}: judge the artifact against these criteria instead of the checklist above.
+${criteria}
+
+Score every criterion in "criteria_scores":
+[{ "id": string (criterion id), "score": number (0.0 = not met at all, 1.0 = fully met), "reasoning": string }]
+The verdict is computed from these scores, so score each criterion on its own evidence.`;
+}
+
+/**
+ * Score a rubric and decide the verdict
+ * @param {Object} rubric - From resolveRubric()
+ * @param {Array<Object>} scoreSets - criteria_scores from each verdict (one per chunk); a
+ *   criterion scored in several chunks keeps its lowest score
+ * @returns {Object} { verdict, reason, score, criteria }
+ */
+export function scoreRubric(rubric, scoreSets) {
+  const lowest = new Map();
+  for (const entry of scoreSets.flat()) {
+    const current = lowest.get(entry.id);
+    if (!current || entry.score < current.score) lowest.set(entry.id, entry);
+  }
+
+  const criteria = rubric.criteria.map(criterion => {
+    const entry = lowest.get(criterion.id);
+    const score = entry ? round(entry.score) : 0;
+    return {
+      id: criterion.id,
+      description: criterion.description,
+      weight: criterion.weight,
+      pass_threshold: criterion.pass_threshold,
+      critical: criterion.critical,
+      score,
+      passed: score >= criterion.pass_threshold,
+      scored: Boolean(entry),
+      reasoning: entry?.reasoning || (entry ? '' : 'Not scored by the model')
+    };
+  });
+
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  const score = round(criteria.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+
+  const criticalMisses = criteria.filter(c => c.critical && !c.passed);
+  const misses = criteria.filter(c => !c.passed);
+  const describe = (list) => list.map(c => `${c.id} ${c.score} < ${c.pass_threshold}`).join(', ');
+
+  let verdict;
+  let reason;
+  if (criticalMisses.length > 0) {
+    verdict = 'FAIL';
+    reason = `Critical criteria below threshold: ${describe(criticalMisses)}`;
+  } else if (score < rubric.fail_threshold) {
+    verdict = 'FAIL';
+    reason = `Weighted score ${score} is below the fail threshold ${rubric.fail_threshold}`;
+  } else if (score < rubric.pass_threshold) {
+    verdict = 'NEEDS_IMPROVEMENT';
+    reason = `Weighted score ${score} is below the pass threshold ${rubric.pass_threshold}`;
+  } else if (misses.length > 0) {
+    verdict = 'NEEDS_IMPROVEMENT';
+    reason = `Criteria below threshold: ${describe(misses)}`;
+  } else {
+    verdict = 'PASS';
+    reason = `Weighted score ${score} meets the pass threshold ${rubric.pass_threshold} and every criterion passed`;
+  }
+
+  return { verdict, reason, score, criteria };
+}
+
+/**
+ * Replace a verdict's model-chosen outcome with the rubric's
+ * @param {Object} jsonResponse - Verdict to update in place
+ * @param {Object} rubric - From resolveRubric()
+ * @param {Array<Object>} verdicts - Chunk verdicts carrying criteria_scores
+ * @returns {Object} The updated verdict
+ */
+export function applyRubric(jsonResponse, rubric, verdicts) {
+  const scoreSets = verdicts.map(v => v.criteria_scores || []);
+  const scored = scoreRubric(rubric, scoreSets);
+  const modelVerdict = jsonResponse.verdict;
+
+  // Nothing scored (e.g. the response failed to parse) is undecided rather than a FAIL
+  if (scored.criteria.some(c => c.scored)) {
+    jsonResponse.verdict = scored.verdict;
+  } else {
+    jsonResponse.verdict = 'NEEDS_IMPROVEMENT';
+    scored.reason = 'No criterion was scored, so the rubric could not decide the verdict';
+  }
+
+  delete jsonResponse.criteria_scores;
+  jsonResponse.rubric = {
+    name: rubric.name,
+    source: rubric.source,
+    ...(rubric.path && { path: rubric.path }),
+    score: scored.score,
+    pass_threshold: rubric.pass_threshold,
+    fail_threshold: rubric.fail_threshold,
+    model_verdict: modelVerdict,
+    reason: scored.reason,
+    criteria: scored.criteria
+  };
+
+  return jsonResponse;
+}
@@ -1,5 +1,113 @@
 import { z } from 'zod';
 
+/**
+ * Schema for one judge in a verify_with_gemini panel
+ * Unset fields fall back to the call's own provider, model and prompt version
+ */
+export const PanelJudge = z.object({
+  name: z.string().optional(),
+  
+  provider: z.enum(['gemini', 'openai', 'mock']).optional(),
+  
+  model: z.string().optional(),
+  
+  temperature: z.number()
+    .min(0, 'temperature must be between 0 and 2')
+    .max(2, 'temperature must be between 0 and 2')
+    .optional(),
+  
+  prompt_version: z.string().optional(),
+  
+  weight: z.number()
+    .positive('weight must be positive')
+    .default(1)
+});
+
+/**
+ * Schema for one criterion of a custom verify_with_gemini rubric
+ */
+export const RubricCriterion = z.object({
+  id: z.string()
+    .regex(/^[A-Za-z0-9_.-]+$/, 'id may only contain letters, digits, _, . and -'),
+  
+  description: z.string()
+    .min(1, 'Criterion description cannot be empty'),
+  
+  weight: z.number()
+    .positive('weight must be positive')
+    .default(1),
+  
+  pass_threshold: z.number()
+    .min(0, 'pass_threshold must be between 0.0 and 1.0')
+    .max(1, 'pass_threshold must be between 0.0 and 1.0')
+    .default(0.7),
+  
+  critical: z.boolean()
+    .default(false)
+    .describe('Scoring below pass_threshold fails the whole verification')
+});
+
+/**
+ * Schema for a custom verify_with_gemini rubric, inline or in a rubric library
+ */
+export const RubricDefinition = z.object({
+  description: z.string().optional(),
+  
+  pass_threshold: z.number()
+    .min(0, 'pass_threshold must be between 0.0 and 1.0')
+    .max(1, 'pass_threshold must be between 0.0 and 1.0')
+    .default(0.7)
+    .describe('Weighted score needed to pass'),
+  
+  fail_threshold: z.number()
+    .min(0, 'fail_threshold must be between 0.0 and 1.0')
+    .max(1, 'fail_threshold must be between 0.0 and 1.0')
+    .default(0.4)
+    .describe('Weighted score below which the verdict is FAIL'),
+  
+  criteria: z.array(RubricCriterion)
+    .min(1, 'A rubric needs at least one criterion')
+    .max(30, 'A rubric can have at most 30 criteria')
+})
+  .refine(
+    rubric => new Set(rubric.criteria.map(c => c.id)).size === rubric.criteria.length,
+    'Rubric criterion ids must be unique'
+  )
+  .refine(
+    rubric => rubric.fail_threshold <= rubric.pass_threshold,
+    'fail_threshold cannot exceed pass_threshold'
+  );
+
+/**
+ * Schema for the result cache options of verify_with_gemini and consensus_check
+ * Passing the object (even empty) turns caching on for the call
+ */
+export const CacheOptions = z.object({
+  ttl_seconds: z.number()
+    .int()
+    .positive('ttl_seconds must be positive')
+    .max(30 * 24 * 3600, 'ttl_seconds cannot exceed 30 days')
+    .default(24 * 3600)
+    .describe('How long a stored result stays valid'),
+  
+  refresh: z.boolean()
+    .default(false)
+    .describe('Skip the lookup and overwrite the cached result')
+});
+
+/**
+ * Schema for one entry of the model price table (USD per million tokens)
+ */
+export const ModelPrice = z.object({
+  input: z.number()
+    .min(0, 'input price cannot be negative')
+    .describe('USD per million prompt tokens'),
+  
+  output: z.number()
+    .min(0, 'output price cannot be negative')
+    .describe('USD per million output tokens, thinking tokens included')
+});
+
 /**
  * Schema for verify tool arguments
  * Validates artifact verification requests with different task types
@@ -19,9 +127,144 @@ export const VerifyArgs = z.object({
   
   ground_with_search: z.boolean()
     .default(false)
-    .describe('Whether to ground verification with web search for additional context')
+    .describe('Whether to ground verification with web search for additional context'),
+  
+  provider: z.enum(['gemini', 'openai', 'mock'])
+    .optional()
+    .describe('Model provider to use (defaults to ADJUDICATOR_PROVIDER, then gemini)'),
+  
+  model: z.string()
+    .optional()
+    .describe('Model id override for the selected provider'),
+  
+  grounding_sources: z.array(z.string().min(1))
+    .optional()
+    .describe('Local files, directories or globs inside the server\'s working directory to retrieve numbered evidence from'),
+  
+  panel: z.object({
+    judges: z.array(PanelJudge)
+      .min(2, 'A panel needs at least 2 judges')
+      .max(9, 'A panel can have at most 9 judges'),
+    aggregation: z.enum(['majority', 'weighted']).default('majority')
+  })
+    .optional()
+    .describe('Verify with several judges and aggregate their verdicts'),
+  
+  prompt_version: z.string()
+    .optional()
+    .describe('Pinned prompt template version (defaults to the current template)'),
+  
+  prompt_variables: z.record(z.string())
+    .optional()
+    .describe('Values for {{placeholders}} in project prompt templates'),
+  
+  rubric: z.union([
+    z.string().regex(/^[A-Za-z0-9_.-]+$/, 'Rubric names may only contain letters, digits, _, . and -'),
+    RubricDefinition
+  ])
+    .optional()
+    .describe('Custom rubric, inline or by name from the rubric library; replaces the task checklist'),
+  
+  self_consistency: z.object({
+    samples: z.number()
+      .int()
+      .min(2, 'samples must be between 2 and 10')
+      .max(10, 'samples must be between 2 and 10')
+      .default(5),
+    temperature: z.number()
+      .min(0.1, 'temperature must be between 0.1 and 2')
+      .max(2, 'temperature must be between 0.1 and 2')
+      .default(0.8),
+    min_agreement: z.number()
+      .min(0.5, 'min_agreement must be between 0.5 and 1.0')
+      .max(1, 'min_agreement must be between 0.5 and 1.0')
+      .default(0.7)
+  })
+    .optional()
+    .describe('Sample the verdict several times and report empirical agreement as confidence'),
+  
+  cache: CacheOptions
+    .optional()
+    .describe('Reuse a stored result for identical inputs'),
+  
+  task_id: z.string()
+    .regex(/^[A-Za-z0-9_.-]+$/, 'task_id may only contain letters, digits, _, . and -')
+    .optional()
+    .describe('Record the call\'s token usage and cost under this id'),
+  
+  async: z.boolean()
+    .default(false)
+    .describe('Return a job id at once and verify in the background (see get_verification_result)')
+}).refine(
+  args => !(args.panel && args.self_consistency),
+  'panel and self_consistency cannot be combined'
+);
+
+// Fields of VerifyArgs reused by verify_batch
+const VerifyFields = VerifyArgs.innerType().shape;
+
+/**
+ * Schema for one artifact of a verify_batch call
+ */
+export const BatchItem = z.object({
+  id: z.string()
+    .min(1, 'Item id cannot be empty')
+    .optional()
+    .describe('Label for the item in the results (defaults to item-N)'),
+  
+  artifact: VerifyFields.artifact,
+  
+  task: VerifyFields.task,
+  
+  tests_json: VerifyFields.tests_json,
+  
+  grounding_sources: VerifyFields.grounding_sources,
+  
+  rubric: VerifyFields.rubric,
+  
+  prompt_variables: VerifyFields.prompt_variables
 });
 
+/**
+ * Schema for verify_batch tool arguments
+ * Options besides the items apply to every item
+ */
+export const VerifyBatchArgs = z.object({
+  items: z.array(BatchItem)
+    .min(1, 'At least one item is required')
+    .max(100, 'A batch can have at most 100 items')
+    .describe('Artifacts to verify, each with its own task type'),
+  
+  concurrency: z.number()
+    .int()
+    .min(1, 'concurrency must be between 1 and 10')
+    .max(10, 'concurrency must be between 1 and 10')
+    .default(4)
+    .describe('Items verified at the same time'),
+  
+  requests_per_minute: z.number()
+    .positive('requests_per_minute must be positive')
+    .optional()
+    .describe('Model calls per minute shared by all items (defaults to ADJUDICATOR_REQUESTS_PER_MINUTE, then 60). The server-wide ADJUDICATOR_REQUESTS_PER_MINUTE limit, shared by every batch, applies as well'),
+  
+  ground_with_search: VerifyFields.ground_with_search,
+  
+  provider: VerifyFields.provider,
+  
+  model: VerifyFields.model,
+  
+  prompt_version: VerifyFields.prompt_version,
+  
+  cache: VerifyFields.cache,
+  
+  task_id: VerifyFields.task_id,
+  
+  async: VerifyFields.async
+}).refine(
+  args => new Set(args.items.map((item, i) => item.id || `item-${i + 1}`)).size === args.items.length,
+  'Item ids must be unique'
+);
+
 /**
  * Schema for consensus tool arguments
  * Validates consensus building requests across multiple artifacts
@@ -51,9 +294,515 @@ export const ConsensusArgs = z.object({
   
   ground_with_search: z.boolean()
     .default(false)
-    .describe('Whether to ground consensus with web search for additional validation')
+    .describe('Whether to ground consensus with web search for additional validation'),
+  
+  provider: z.enum(['gemini', 'openai', 'mock'])
+    .optional()
+    .describe('Model provider to use (defaults to ADJUDICATOR_PROVIDER, then gemini)'),
+  
+  model: z.string()
+    .optional()
+    .describe('Model id override for the selected provider'),
+  
+  debate: z.object({
+    rounds: z.number()
+      .int()
+      .min(1, 'rounds must be between 1 and 5')
+      .max(5, 'rounds must be between 1 and 5')
+      .default(2),
+    token_budget: z.number()
+      .int()
+      .positive('token_budget must be positive')
+      .max(200000, 'token_budget cannot exceed 200000')
+      .default(20000)
+  })
+    .optional()
+    .describe('Challenge each source with its conflicts for up to `rounds` rebuttal rounds'),
+  
+  execute_patches: z.object({
+    repo_root: z.string()
+      .optional()
+      .describe('Git repository the patches apply to (defaults to the server working directory)'),
+  
+    ref: z.string()
+      .min(1, 'ref cannot be empty')
+      .default('HEAD')
+      .describe('Commit each patch is applied on top of')
+  })
+    .optional()
+    .describe('Apply each patch artifact in its own git worktree and run the code adapter tests and lint'),
+  
+  task_id: z.string()
+    .regex(/^[A-Za-z0-9_.-]+$/, 'task_id may only contain letters, digits, _, . and -')
+    .optional()
+    .describe('Record each source\'s agreement with the consensus, and the call\'s token usage, under this id'),
+  
+  weight_by_reliability: z.boolean()
+    .default(false)
+    .describe('Weight each source\'s vote by its recorded reliability'),
+  
+  cache: CacheOptions
+    .optional()
+    .describe('Reuse a stored result for identical inputs (not used with execute_patches)'),
+  
+  async: z.boolean()
+    .default(false)
+    .describe('Return a job id at once and check in the background (see get_verification_result)')
+});
+  
+// Dotted path into a JSON value, e.g. result.items[0].id
+const JsonPath = z.string()
+  .regex(/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*$/, 'path must look like a.b[0].c');
+
+/**
+ * Schema for a deterministic check on a grade_against_reference rubric item
+ */
+export const GradeCheck = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('exact'),
+    value: z.union([z.string().min(1), z.number(), z.boolean()]),
+    path: JsonPath.optional(),
+    case_sensitive: z.boolean().default(true)
+  }),
+  z.object({
+    type: z.literal('regex'),
+    pattern: z.string().min(1, 'pattern cannot be empty'),
+    flags: z.string()
+      .regex(/^[imsu]*$/, 'flags may only use i, m, s and u')
+      .default(''),
+    path: JsonPath.optional()
+  }),
+  z.object({
+    type: z.literal('json_equal'),
+    value: z.any().optional(),
+    path: JsonPath.optional()
+  })
+]);
+
+/**
+ * Schema for one grade_against_reference rubric item
+ * Items with a `check` are scored deterministically, the rest by the model
+ */
+export const RubricItem = z.object({
+  id: z.string()
+    .regex(/^[A-Za-z0-9_.-]+$/, 'id may only contain letters, digits, _, . and -')
+    .optional(),
+  
+  description: z.string()
+    .min(1, 'Rubric item description cannot be empty'),
+  
+  weight: z.number()
+    .positive('weight must be positive')
+    .default(1),
+  
+  check: GradeCheck.optional()
+}).superRefine((item, ctx) => {
+  if (item.check?.type === 'regex') {
+    try {
+      new RegExp(item.check.pattern, item.check.flags);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['check', 'pattern'], message: error.message });
+    }
+  }
+});
+
+/**
+ * Schema for grade_against_reference tool arguments
+ */
+export const GradeArgs = z.object({
+  artifact: z.string()
+    .min(1, 'Artifact text cannot be empty')
+    .describe('Answer being graded'),
+  
+  reference: z.string()
+    .min(1, 'Reference answer cannot be empty')
+    .describe('Gold answer to grade against'),
+  
+  rubric: z.array(RubricItem)
+    .min(1, 'At least one rubric item is required')
+    .max(50, 'At most 50 rubric items are supported')
+    .default([{ id: 'agreement', description: 'States the same facts as the reference answer' }])
+    .describe('Rubric items, each scored 0-1 and weighted into the overall score'),
+  
+  pass_threshold: z.number()
+    .min(0, 'pass_threshold must be between 0.0 and 1.0')
+    .max(1, 'pass_threshold must be between 0.0 and 1.0')
+    .default(0.7)
+    .describe('Weighted score needed to pass'),
+  
+  question: z.string()
+    .optional()
+    .describe('Question the reference answers'),
+  
+  provider: z.enum(['gemini', 'openai', 'mock'])
+    .optional()
+    .describe('Model provider to use (defaults to ADJUDICATOR_PROVIDER, then gemini)'),
+  
+  model: z.string()
+    .optional()
+    .describe('Model id override for the selected provider'),
+  
+  task_id: VerifyFields.task_id
+}).refine(
+  args => {
+    const ids = args.rubric.map(item => item.id).filter(Boolean);
+    return new Set(ids).size === ids.length;
+  },
+  'Rubric item ids must be unique'
+);
+
+/**
+ * Schema for compare_pair tool arguments
+ */
+export const CompareArgs = z.object({
+  artifact_a: z.string()
+    .min(1, 'artifact_a cannot be empty')
+    .describe('First candidate'),
+  
+  artifact_b: z.string()
+    .min(1, 'artifact_b cannot be empty')
+    .describe('Second candidate'),
+  
+  label_a: z.string()
+    .min(1)
+    .default('A')
+    .describe('Name reported for the first candidate'),
+  
+  label_b: z.string()
+    .min(1)
+    .default('B')
+    .describe('Name reported for the second candidate'),
+  
+  criteria: z.array(z.string().min(1))
+    .min(1, 'At least one criterion is required')
+    .max(12, 'At most 12 criteria are supported')
+    .default(['correctness', 'completeness', 'clarity', 'maintainability'])
+    .describe('Criteria the candidates are judged on'),
+  
+  question: z.string()
+    .optional()
+    .describe('Task both candidates answer'),
+  
+  provider: z.enum(['gemini', 'openai', 'mock'])
+    .optional()
+    .describe('Model provider to use (defaults to ADJUDICATOR_PROVIDER, then gemini)'),
+  
+  model: z.string()
+    .optional()
+    .describe('Model id override for the selected provider'),
+  
+  task_id: VerifyFields.task_id
+}).refine(args => args.label_a !== args.label_b, 'label_a and label_b must differ');
+
+/**
+ * Schema for record_override tool arguments
+ */
+export const RecordOverrideArgs = z.object({
+  task_id: z.string()
+    .regex(/^[A-Za-z0-9_.-]+$/, 'task_id may only contain letters, digits, _, . and -')
+    .describe('Task or consensus id being corrected'),
+  
+  outcomes: z.array(
+    z.object({
+      source: z.string()
+        .min(1, 'Source cannot be empty')
+        .describe('Actor or model name (claude, gpt, llama, ...)'),
+  
+      correct: z.boolean()
+        .describe('Whether the source turned out to be right'),
+  
+      over_claimed: z.boolean()
+        .default(false)
+        .describe('Whether the source claimed more than it delivered')
+    })
+  )
+    .min(1, 'At least one outcome is required')
+    .describe('Human judgement per source'),
+  
+  note: z.string()
+    .optional()
+    .describe('Why the outcome was overridden')
+});
+
+/**
+ * Schema for invalidate_cache tool arguments
+ * Every given filter must match; `all` is required to clear everything
+ */
+export const InvalidateCacheArgs = z.object({
+  artifact: z.string()
+    .optional()
+    .describe('Artifact text whose cached results should be dropped'),
+  
+  artifact_hash: z.string()
+    .regex(/^[0-9a-f]{64}$/, 'artifact_hash must be a sha256 hex digest')
+    .optional()
+    .describe('Artifact hash as reported in a cached response'),
+  
+  cache_key: z.string()
+    .regex(/^[0-9a-f]{64}$/, 'cache_key must be a sha256 hex digest')
+    .optional()
+    .describe('Single entry to drop'),
+  
+  tool: z.enum(['verify_with_gemini', 'consensus_check'])
+    .optional(),
+  
+  task: z.string()
+    .optional(),
+  
+  model_id: z.string()
+    .optional(),
+  
+  prompt_version: z.string()
+    .optional(),
+  
+  expired_only: z.boolean()
+    .default(false)
+    .describe('Only drop entries whose TTL has passed'),
+  
+  all: z.boolean()
+    .default(false)
+    .describe('Drop every entry')
+}).refine(
+  args => !(args.artifact && args.artifact_hash),
+  'Provide artifact or artifact_hash, not both'
+).refine(
+  args => args.all || args.expired_only ||
+    ['artifact', 'artifact_hash', 'cache_key', 'tool', 'task', 'model_id', 'prompt_version'].some(k => args[k] !== undefined),
+  'Provide at least one filter, expired_only, or all: true'
+);
+
+/**
+ * Schema for verify_task_directory tool arguments
+ * Either a task directory or inline commitment + claim objects is required
+ */
+export const VerifyTaskDirectoryArgs = z.object({
+  task_dir: z.string()
+    .min(1, 'Task directory cannot be empty')
+    .optional()
+    .describe('Task artifacts directory containing commitment.json and claim.json, inside <repo_root>/.artifacts'),
+  
+  commitment: z.object({}).passthrough()
+    .optional()
+    .describe('Commitment object written into the task directory'),
+  
+  claim: z.object({}).passthrough()
+    .optional()
+    .describe('Claim object written into the task directory'),
+  
+  profiles_path: z.string()
+    .optional()
+    .describe('Path to the verification profiles file'),
+  
+  repo_root: z.string()
+    .optional()
+    .describe('Repository root the adapters run against'),
+  
+  escalate: z.boolean()
+    .default(true)
+    .describe('Whether to ask the model when the gate is inconclusive'),
+  
+  provider: z.enum(['gemini', 'openai', 'mock'])
+    .optional()
+    .describe('Model provider used for escalation'),
+  
+  model: z.string()
+    .optional()
+    .describe('Model id override used for escalation')
+}).refine(
+  args => args.task_dir || (args.commitment && args.claim),
+  'Provide task_dir, or both commitment and claim'
+);
+
+/**
+ * Schema for get_verification_result tool arguments
+ */
+export const GetVerificationResultArgs = z.object({
+  job_id: z.string()
+    .min(1, 'job_id cannot be empty')
+    .describe('Job id returned by a call made with async: true'),
+  
+  wait_seconds: z.number()
+    .int()
+    .min(0, 'wait_seconds must be between 0 and 60')
+    .max(60, 'wait_seconds must be between 0 and 60')
+    .default(0)
+    .describe('Wait up to this long for the job to finish')
 });
 
+/**
+ * Schema for cancel_verification tool arguments
+ */
+export const CancelVerificationArgs = z.object({
+  job_id: z.string()
+    .min(1, 'job_id cannot be empty')
+    .describe('Job id returned by a call made with async: true')
+});
+
+/**
+ * Schema for verify_with_gemini model output
+ * Core verdict fields are required; descriptive lists default to empty
+ */
+export const VerdictSchema = z.object({
+  verdict: z.enum(['PASS', 'FAIL', 'NEEDS_IMPROVEMENT']),
+  
+  confidence: z.number()
+    .min(0, 'confidence must be between 0.0 and 1.0')
+    .max(1, 'confidence must be between 0.0 and 1.0'),
+  
+  analysis: z.object({
+    strengths: z.array(z.string()),
+    weaknesses: z.array(z.string()),
+    risks: z.array(z.string())
+  }),
+  
+  recommendations: z.array(z.string()).default([]),
+  
+  detailed_feedback: z.string().default(''),
+  
+  test_coverage: z.object({
+    scenarios_checked: z.array(z.string()).default([]),
+    scenarios_missing: z.array(z.string()).default([])
+  }).default({}),
+  
+  citations: z.array(
+    z.object({
+      url: z.string(),
+      title: z.string().optional()
+    }).passthrough()
+  ).default([]),
+  
+  evidence_citations: z.array(
+    z.object({
+      id: z.string(),
+      start_line: z.number().int().optional(),
+      end_line: z.number().int().optional(),
+      claim: z.string().optional(),
+      stance: z.enum(['supports', 'contradicts']).optional()
+    }).passthrough()
+  ).optional(),
+  
+  criteria_scores: z.array(
+    z.object({
+      id: z.string(),
+      score: z.number().min(0).max(1),
+      reasoning: z.string().default('')
+    }).passthrough()
+  ).optional()
+}).passthrough();
+
+/**
+ * Schema for consensus_check model output
+ */
+export const ConsensusResultSchema = z.object({
+  consensus: z.enum(['agree', 'partial', 'disagree']),
+  
+  agreement_ratio: z.number()
+    .min(0, 'agreement_ratio must be between 0.0 and 1.0')
+    .max(1, 'agreement_ratio must be between 0.0 and 1.0'),
+  
+  summary: z.string(),
+  
+  findings: z.array(
+    z.object({
+      type: z.enum(['agreement', 'conflict', 'gap']),
+      message: z.string(),
+      severity: z.enum(['low', 'med', 'high'])
+    }).passthrough()
+  ),
+  
+  recommended_action: z.enum(['accept', 'revise', 'escalate']),
+  
+  model_votes: z.array(
+    z.object({
+      source: z.string(),
+      confidence: z.number().min(0).max(1),
+      notes: z.string().default('')
+    }).passthrough()
+  ).default([]),
+  
+  citations: z.array(
+    z.object({
+      url: z.string(),
+      title: z.string().optional()
+    }).passthrough()
+  ).default([]),
+  
+  gemini_answer: z.string().optional()
+}).passthrough();
+
+// Positions as the judge saw them; models sometimes answer 1/2 as numbers
+const PairPosition = z.preprocess(
+  value => (typeof value === 'number' ? String(value) : value),
+  z.enum(['1', '2', 'tie'])
+);
+
+/**
+ * Schema for one ordering's model output in compare_pair
+ */
+export const PairJudgementSchema = z.object({
+  criteria: z.array(
+    z.object({
+      criterion: z.string(),
+      winner: PairPosition,
+      strength: z.number().min(0).max(1),
+      reasoning: z.string().default('')
+    }).passthrough()
+  ).default([]),
+  
+  overall: z.object({
+    winner: PairPosition,
+    strength: z.number().min(0).max(1)
+  }).passthrough(),
+  
+  summary: z.string().default('')
+}).passthrough();
+
+/**
+ * Schema for grade_against_reference model output
+ */
+export const GradeJudgementSchema = z.object({
+  items: z.array(
+    z.object({
+      id: z.string(),
+      score: z.number().min(0).max(1),
+      reasoning: z.string().default('')
+    }).passthrough()
+  ).default([]),
+  
+  missing_facts: z.array(z.string()).default([]),
+  
+  extra_facts: z.array(z.string()).default([]),
+  
+  summary: z.string().default('')
+}).passthrough();
+
+/**
+ * Schema for one debate round's model output in consensus_check
+ */
+export const RebuttalSchema = z.object({
+  rebuttals: z.array(
+    z.object({
+      claim_id: z.string(),
+      stance: z.enum(['maintain', 'concede', 'revise']),
+      statement: z.string().default(''),
+      argument: z.string().default('')
+    }).passthrough()
+  )
+}).passthrough();
+
+/**
+ * Object shape of a tool's argument schema, as registerTool() takes it
+ * The MCP SDK validates and lists tools from the shape alone; refinements
+ * run when the handler parses the arguments with the full schema.
+ * @param {z.ZodTypeAny} schema - Argument schema, possibly refined
+ * @returns {Object} Zod raw shape
+ */
+export function inputShape(schema) {
+  let inner = schema;
+  while (inner instanceof z.ZodEffects) inner = inner.innerType();
+  return inner.shape;
+}
+
 // Note: For TypeScript usage, you can infer types with:
 // type VerifyArgsType = z.infer<typeof VerifyArgs>;
 // type ConsensusArgsType = z.infer<typeof ConsensusArgs>;
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { aggregateVerdicts, verdictContext } from './panel.mjs';
+import { tokenize } from './evidence.mjs';
+
+/**
+ * Self-consistency sampling for verify_with_gemini
+ *
+ * The same verification is sampled K times at a non-zero temperature and the
+ * majority verdict is reported (ties go to the stricter verdict). Its
+ * `confidence` is the share of samples that returned it - an empirical
+ * agreement rate instead of the number the model writes. Weaknesses and
+ * risks are matched across samples by word overlap: findings raised in most
+ * samples are `consistent`, the rest `occasional`. When agreement is below
+ * `min_agreement` the result is marked `unstable` so callers (e.g. hooks)
+ * can escalate it to a human instead of blocking on it. Truncation, grounding,
+ * local evidence and rubric scores come from the first winning sample.
+ */
+
+// Cosine similarity over content words needed to treat two findings as the same
+const FINDING_MATCH = 0.5;
+
+const round = (x) => Math.round(x * 1000) / 1000;
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / Math.sqrt(a.size * b.size || 1);
+}
+
+/**
+ * Group the weaknesses and risks of several samples into recurring findings
+ * @param {Array<Object>} verdicts - Valid sample verdicts
+ * @returns {Array<Object>} [{ finding, kind, samples, frequency }], most frequent first
+ */
+export function clusterFindings(verdicts) {
+  const clusters = [];
+
+  verdicts.forEach((verdict, sampleIndex) => {
+    const findings = [
+      ...(verdict.analysis?.weaknesses || []).map(text => ({ kind: 'weakness', text })),
+      ...(verdict.analysis?.risks || []).map(text => ({ kind: 'risk', text }))
+    ];
+
+    for (const { kind, text } of findings) {
+      const terms = new Set(tokenize(text));
+      if (terms.size === 0) continue;
+
+      const match = clusters.find(c => c.kind === kind && similarity(c.terms, terms) >= FINDING_MATCH);
+      if (match) {
+        match.samples.add(sampleIndex);
+      } else {
+        clusters.push({ kind, text, terms, samples: new Set([sampleIndex]) });
+      }
+    }
+  });
+
+  return clusters
+    .map(c => ({
+      finding: c.text,
+      kind: c.kind,
+      samples: c.samples.size,
+      frequency: round(c.samples.size / verdicts.length)
+    }))
+    .sort((a, b) => b.samples - a.samples);
+}
+
+/**
+ * Combine sampled verdicts into one calibrated verdict
+ * @param {Array<Object>} samples - [{ verdict, error? }] where verdict is null on error
+ * @param {Object} options - Parsed self_consistency options { samples, temperature, min_agreement }
+ * @returns {Object} Verdict with a `self_consistency` block and an `unstable` flag
+ * @throws {Error} If no sample produced a valid verdict
+ */
+export function summarizeSamples(samples, options) {
+  const ballots = samples.map((s, i) => ({ judge: `sample-${i + 1}`, weight: 1, verdict: s.verdict }));
+  const { verdict, confidence, agreement } = aggregateVerdicts(ballots, 'majority');
+  if (!verdict) {
+    const reasons = samples.map((s, i) => `sample-${i + 1}: ${s.error || 'no valid verdict'}`).join('; ');
+    throw new Error(`Every sample failed: ${reasons}`);
+  }
+
+  const valid = samples.map(s => s.verdict).filter(v => v && v.parse_status !== 'failed' && v.verdict);
+  const winning = valid.filter(v => v.verdict === verdict);
+  const union = (pick) => [...new Set(winning.flatMap(v => pick(v) || []))];
+
+  const findings = clusterFindings(valid);
+  const consistent = findings.filter(f => f.samples > valid.length / 2);
+  const occasional = findings.filter(f => f.samples <= valid.length / 2);
+
+  const unstable = valid.length < 2 || confidence < options.min_agreement;
+  const base = winning[0];
+  const citations = base.citations || [];
+
+  return {
+    verdict,
+    confidence,
+    unstable,
+    analysis: {
+      strengths: union(v => v.analysis?.strengths),
+      weaknesses: consistent.filter(f => f.kind === 'weakness').map(f => f.finding),
+      risks: consistent.filter(f => f.kind === 'risk').map(f => f.finding)
+    },
+    recommendations: union(v => v.recommendations),
+    detailed_feedback: [
+      `Self-consistency verdict ${verdict}: ${agreement.distribution[verdict]} of ${valid.length} samples`,
+      base.detailed_feedback || ''
+    ].join('\n\n').trim(),
+    test_coverage: {
+      scenarios_checked: union(v => v.test_coverage?.scenarios_checked),
+      scenarios_missing: union(v => v.test_coverage?.scenarios_missing)
+    },
+    citations,
+    parse_status: winning.some(v => v.parse_status === 'repaired') ? 'repaired' : 'ok',
+    ...verdictContext(base, winning, citations, { sample: samples.findIndex(s => s.verdict === base) + 1 }),
+    ...(base.prompt && { prompt: base.prompt }),
+    self_consistency: {
+      samples: samples.length,
+      valid_samples: valid.length,
+      temperature: options.temperature,
+      distribution: agreement.distribution,
+      agreement: confidence,
+      min_agreement: options.min_agreement,
+      model_confidence: round(valid.reduce((sum, v) => sum + (v.confidence || 0), 0) / valid.length),
+      ...(unstable && {
+        escalate_reason: valid.length < 2
+          ? `Only ${valid.length} of ${samples.length} samples produced a verdict`
+          : `Only ${round(confidence * 100)}% of samples agreed on ${verdict} (minimum ${round(options.min_agreement * 100)}%)`
+      }),
+      consistent_findings: consistent,
+      occasional_findings: occasional,
+      sample_verdicts: samples.map((s, i) => ({
+        sample: i + 1,
+        verdict: s.verdict?.verdict ?? null,
+        confidence: s.verdict?.confidence ?? null,
+        parse_status: s.verdict?.parse_status ?? 'error',
+        ...(s.verdict?.rubric && { rubric_score: s.verdict.rubric.score }),
+        ...(s.error && { error: s.error })
+      }))
+    }
+  };
+}
+
+/**
+ * Run a self-consistency verification
+ * @param {Object} validatedArgs - VerifyArgs with a `self_consistency` block
+ * @param {Function} verify - Single verification (runVerification)
+ * @returns {Promise<Object>} Calibrated verdict
+ */
+export async function runSelfConsistency(validatedArgs, verify) {
+  const { self_consistency: options, ...baseArgs } = validatedArgs;
+
+  const samples = await Promise.all(Array.from({ length: options.samples }, async () => {
+    try {
+      return { verdict: await verify({ ...baseArgs, temperature: options.temperature }) };
+    } catch (error) {
+      return { verdict: null, error: error.message };
+    }
+  }));
+
+  return summarizeSamples(samples, options);
+}
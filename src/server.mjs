@@ -0,0 +1,41 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerVerifyTool } from './verify.mjs';
+import { registerBatchTool } from './batch.mjs';
+import { registerConsensusTool } from './consensus.mjs';
+import { registerCompareTool } from './compare.mjs';
+import { registerGradeTool } from './grade.mjs';
+import { registerTaskDirectoryTool } from './pipeline.mjs';
+import { registerOverrideTool } from './reliability.mjs';
+import { registerCacheTool } from './cache.mjs';
+import { registerJobTools } from './jobs.mjs';
+import { registerResources } from './resources.mjs';
+import { registerPrompts } from './prompts.mjs';
+
+export const SERVER_INFO = {
+  name: 'mcp-gemini-adjudicator',
+  version: '0.1.0',
+};
+
+/**
+ * Build an MCP server with every tool, resource and prompt registered
+ * An McpServer can only be connected to one transport, so the HTTP mode
+ * calls this once per client session.
+ * @returns {Promise<McpServer>} Configured, unconnected server
+ */
+export async function createAdjudicatorServer() {
+  const server = new McpServer(SERVER_INFO);
+
+  await registerVerifyTool(server);
+  await registerBatchTool(server);
+  await registerConsensusTool(server);
+  await registerCompareTool(server);
+  await registerGradeTool(server);
+  await registerTaskDirectoryTool(server);
+  await registerOverrideTool(server);
+  await registerCacheTool(server);
+  await registerJobTools(server);
+  await registerResources(server);
+  await registerPrompts(server);
+
+  return server;
+}
@@ -33,7 +33,8 @@ export class VerificationStorageSQLite {
         // Prepare statements for better performance
         this.prepareStatements();
 
-        console.log(`✅ SQLite database initialized at: ${this.dbPath}`);
+        // stderr: stdout carries the MCP protocol when used by the server
+        console.error(`✅ SQLite database initialized at: ${this.dbPath}`);
     }
 
     createTables() {
@@ -130,6 +131,98 @@ export class VerificationStorageSQLite {
             )
         `);
 
+        // Per-source outcomes: how each actor's answer compared with the final
+        // verdict, the consensus, or a human override
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS source_outcomes (
+                task_id      TEXT NOT NULL,
+                source       TEXT NOT NULL,
+                origin       TEXT NOT NULL CHECK(origin IN ('consensus', 'verdict', 'override')),
+                score        REAL NOT NULL CHECK(score >= 0 AND score <= 1),
+                over_claimed INTEGER NOT NULL DEFAULT 0,
+                note         TEXT,
+                created_at   TEXT DEFAULT (datetime('now')),
+                PRIMARY KEY (task_id, source, origin)
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_source_outcomes_source ON source_outcomes(source);
+        `);
+
+        // Content-addressed cache of verify_with_gemini / consensus_check results
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS verdict_cache (
+                cache_key      TEXT PRIMARY KEY,
+                tool           TEXT NOT NULL,
+                artifact_hash  TEXT NOT NULL,
+                task           TEXT NOT NULL,
+                model_id       TEXT NOT NULL,
+                prompt_version TEXT NOT NULL,
+                grounded       INTEGER NOT NULL DEFAULT 0,
+                result         TEXT NOT NULL,
+                hits           INTEGER NOT NULL DEFAULT 0,
+                created_at     TEXT DEFAULT (datetime('now')),
+                expires_at     TEXT NOT NULL,
+                last_hit_at    TEXT
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_verdict_cache_artifact ON verdict_cache(artifact_hash);
+            CREATE INDEX IF NOT EXISTS idx_verdict_cache_expires ON verdict_cache(expires_at);
+        `);
+
+        // Token usage and cost of each tool call, per model
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS usage_log (
+                id               INTEGER PRIMARY KEY AUTOINCREMENT,
+                task_id          TEXT,
+                tool             TEXT NOT NULL,
+                task             TEXT,
+                provider         TEXT NOT NULL,
+                model_id         TEXT NOT NULL,
+                calls            INTEGER NOT NULL,
+                prompt_tokens    INTEGER NOT NULL DEFAULT 0,
+                candidate_tokens INTEGER NOT NULL DEFAULT 0,
+                total_tokens     INTEGER NOT NULL DEFAULT 0,
+                cost_usd         REAL NOT NULL DEFAULT 0,
+                priced           INTEGER NOT NULL DEFAULT 1,
+                created_at       TEXT DEFAULT (datetime('now'))
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_usage_log_task ON usage_log(task_id);
+            CREATE INDEX IF NOT EXISTS idx_usage_log_created ON usage_log(created_at);
+        `);
+
+        // Tool calls run in the background (async: true)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                job_id           TEXT PRIMARY KEY,
+                tool             TEXT NOT NULL,
+                args             TEXT NOT NULL,
+                status           TEXT NOT NULL DEFAULT 'queued'
+                                 CHECK(status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+                owner            TEXT,
+                attempts         INTEGER NOT NULL DEFAULT 0,
+                progress         REAL NOT NULL DEFAULT 0,
+                total            REAL,
+                progress_message TEXT,
+                result           TEXT,
+                error            TEXT,
+                created_at       TEXT DEFAULT (datetime('now')),
+                started_at       TEXT,
+                finished_at      TEXT,
+                heartbeat_at     TEXT DEFAULT (datetime('now'))
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, heartbeat_at);
+        `);
+
         // Add trigger to update updated_at
         this.db.exec(`
             CREATE TRIGGER IF NOT EXISTS update_sessions_timestamp
@@ -624,6 +717,330 @@ export class VerificationStorageSQLite {
         return metrics;
     }
 
+    /**
+     * Record how sources fared on a task
+     * Re-recording the same task, source and origin replaces the earlier outcome.
+     * @param {string} taskId - Task or consensus id
+     * @param {string} origin - 'consensus', 'verdict' or 'override'
+     * @param {Array<Object>} outcomes - [{ source, score (0-1), over_claimed, note }]
+     */
+    recordSourceOutcomes(taskId, origin, outcomes = []) {
+        const up = this.db.prepare(`
+            INSERT INTO source_outcomes (task_id, source, origin, score, over_claimed, note)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(task_id, source, origin) DO UPDATE SET
+                score=excluded.score,
+                over_claimed=excluded.over_claimed,
+                note=excluded.note,
+                created_at=datetime('now')
+        `);
+
+        const tx = this.db.transaction(() => {
+            for (const outcome of outcomes) {
+                up.run(taskId, outcome.source, origin, outcome.score, outcome.over_claimed ? 1 : 0, outcome.note || null);
+            }
+        });
+
+        tx();
+    }
+
+    /**
+     * Get recorded source outcomes
+     * @param {Array<string>} [sources] - Only these sources (all when omitted)
+     */
+    getSourceOutcomes(sources = null) {
+        if (sources && sources.length === 0) return [];
+
+        const filter = sources ? `WHERE source IN (${sources.map(() => '?').join(', ')})` : '';
+        const stmt = this.db.prepare(`
+            SELECT task_id, source, origin, score, over_claimed, note, created_at
+            FROM source_outcomes
+            ${filter}
+            ORDER BY created_at, task_id
+        `);
+
+        return sources ? stmt.all(...sources) : stmt.all();
+    }
+
+    /**
+     * Get an unexpired cached result and count the hit
+     * @param {string} cacheKey - Key from the cache module
+     * @returns {Object|null} Cache row with `result` parsed, or null on a miss
+     */
+    getCachedResult(cacheKey) {
+        const row = this.db.prepare(`
+            SELECT * FROM verdict_cache
+            WHERE cache_key = ? AND expires_at > datetime('now')
+        `).get(cacheKey);
+
+        if (!row) return null;
+
+        this.db.prepare(`
+            UPDATE verdict_cache SET hits = hits + 1, last_hit_at = datetime('now')
+            WHERE cache_key = ?
+        `).run(cacheKey);
+
+        return { ...row, hits: row.hits + 1, result: JSON.parse(row.result) };
+    }
+
+    /**
+     * Store a result in the cache, replacing any entry with the same key
+     * @param {Object} entry - { cache_key, tool, artifact_hash, task, model_id, prompt_version, grounded, result }
+     * @param {number} ttlSeconds - Lifetime of the entry
+     * @returns {Object} { created_at, expires_at }
+     */
+    putCachedResult(entry, ttlSeconds) {
+        this.db.prepare(`
+            INSERT INTO verdict_cache
+                (cache_key, tool, artifact_hash, task, model_id, prompt_version, grounded, result, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+            ON CONFLICT(cache_key) DO UPDATE SET
+                result=excluded.result,
+                hits=0,
+                created_at=datetime('now'),
+                expires_at=excluded.expires_at,
+                last_hit_at=NULL
+        `).run(
+            entry.cache_key,
+            entry.tool,
+            entry.artifact_hash,
+            entry.task,
+            entry.model_id,
+            entry.prompt_version,
+            entry.grounded ? 1 : 0,
+            JSON.stringify(entry.result),
+            `+${Math.round(ttlSeconds)} seconds`
+        );
+
+        return this.db.prepare(`
+            SELECT created_at, expires_at FROM verdict_cache WHERE cache_key = ?
+        `).get(entry.cache_key);
+    }
+
+    /**
+     * Remove cache entries
+     * Every given filter must match; with no filters the whole cache is cleared.
+     * @param {Object} [filters] - { cache_key, tool, artifact_hash, task, model_id, prompt_version, expired_only }
+     * @returns {number} Entries removed
+     */
+    invalidateCache(filters = {}) {
+        const clauses = [];
+        const params = [];
+
+        for (const column of ['cache_key', 'tool', 'artifact_hash', 'task', 'model_id', 'prompt_version']) {
+            if (filters[column] !== undefined) {
+                clauses.push(`${column} = ?`);
+                params.push(filters[column]);
+            }
+        }
+        if (filters.expired_only) {
+            clauses.push(`expires_at <= datetime('now')`);
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        return this.db.prepare(`DELETE FROM verdict_cache ${where}`).run(...params).changes;
+    }
+
+    /**
+     * Record the token usage of one tool call
+     * @param {Array<Object>} entries - [{ task_id, tool, task, provider, model_id, calls, prompt_tokens,
+     *   candidate_tokens, total_tokens, cost_usd, priced }], one per model
+     */
+    recordUsage(entries = []) {
+        const ins = this.db.prepare(`
+            INSERT INTO usage_log
+                (task_id, tool, task, provider, model_id, calls, prompt_tokens, candidate_tokens, total_tokens, cost_usd, priced)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const tx = this.db.transaction(() => {
+            for (const e of entries) {
+                ins.run(
+                    e.task_id || null,
+                    e.tool,
+                    e.task || null,
+                    e.provider,
+                    e.model_id,
+                    e.calls,
+                    e.prompt_tokens,
+                    e.candidate_tokens,
+                    e.total_tokens,
+                    e.cost_usd,
+                    e.priced ? 1 : 0
+                );
+            }
+        });
+
+        tx();
+    }
+
+    /**
+     * Get the usage recorded under a task id
+     */
+    getUsage(taskId) {
+        return this.db.prepare(`
+            SELECT tool, task, provider, model_id, calls, prompt_tokens, candidate_tokens, total_tokens, cost_usd, priced, created_at
+            FROM usage_log
+            WHERE task_id = ?
+            ORDER BY id
+        `).all(taskId);
+    }
+
+    /**
+     * Totals recorded since midnight UTC
+     * @returns {Object} { cost_usd, total_tokens, calls }
+     */
+    getDailySpend() {
+        return this.db.prepare(`
+            SELECT
+                COALESCE(SUM(cost_usd), 0) as cost_usd,
+                COALESCE(SUM(total_tokens), 0) as total_tokens,
+                COALESCE(SUM(calls), 0) as calls
+            FROM usage_log
+            WHERE created_at >= date('now')
+        `).get();
+    }
+
+    /**
+     * Store a new job
+     * @param {Object} job - { job_id, tool, args, owner }
+     */
+    createJob({ job_id, tool, args, owner }) {
+        this.db.prepare(`
+            INSERT INTO jobs (job_id, tool, args, owner) VALUES (?, ?, ?, ?)
+        `).run(job_id, tool, JSON.stringify(args), owner);
+    }
+
+    /**
+     * Get a job
+     * @param {string} jobId
+     * @returns {Object|null} Job row with `args` and `result` parsed
+     */
+    getJob(jobId) {
+        const row = this.db.prepare('SELECT * FROM jobs WHERE job_id = ?').get(jobId);
+        if (!row) return null;
+
+        return {
+            ...row,
+            args: JSON.parse(row.args),
+            result: row.result === null ? null : JSON.parse(row.result)
+        };
+    }
+
+    /**
+     * Mark a job running, if it is still queued or running for this owner
+     * @returns {boolean} Whether the owner may run it
+     */
+    startJob(jobId, owner) {
+        return this.db.prepare(`
+            UPDATE jobs
+            SET status = 'running',
+                attempts = attempts + 1,
+                started_at = COALESCE(started_at, datetime('now')),
+                heartbeat_at = datetime('now')
+            WHERE job_id = ? AND owner = ? AND status IN ('queued', 'running')
+        `).run(jobId, owner).changes > 0;
+    }
+
+    /**
+     * Refresh a running job's heartbeat, optionally with new progress
+     * @param {string} jobId
+     * @param {string} owner
+     * @param {Object} [progress] - { progress, total, message }
+     * @returns {string|null} The job's status, or null when it is gone
+     */
+    touchJob(jobId, owner, progress = null) {
+        if (progress) {
+            this.db.prepare(`
+                UPDATE jobs
+                SET progress = ?, total = ?, progress_message = ?, heartbeat_at = datetime('now')
+                WHERE job_id = ? AND owner = ? AND status = 'running'
+            `).run(progress.progress, progress.total ?? null, progress.message || null, jobId, owner);
+        } else {
+            this.db.prepare(`
+                UPDATE jobs SET heartbeat_at = datetime('now')
+                WHERE job_id = ? AND owner = ? AND status = 'running'
+            `).run(jobId, owner);
+        }
+
+        return this.db.prepare('SELECT status FROM jobs WHERE job_id = ?').get(jobId)?.status ?? null;
+    }
+
+    /**
+     * Record how a running job ended
+     * A job taken over in the meantime is left alone, and so is a cancelled
+     * one unless the outcome is 'cancelled': that stores the partial result
+     * a cancelled job returned.
+     * @param {string} jobId
+     * @param {string} owner
+     * @param {Object} outcome - { status: 'completed' | 'failed' | 'cancelled', result?, error? }
+     * @returns {boolean} Whether the job was updated
+     */
+    finishJob(jobId, owner, { status, result = null, error = null }) {
+        return this.db.prepare(`
+            UPDATE jobs
+            SET status = ?, result = ?, error = ?, finished_at = COALESCE(finished_at, datetime('now')), heartbeat_at = datetime('now')
+            WHERE job_id = ? AND owner = ? AND status = ?
+        `).run(
+            status, result === null ? null : JSON.stringify(result), error, jobId, owner,
+            status === 'cancelled' ? 'cancelled' : 'running'
+        ).changes > 0;
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @returns {boolean} Whether the job was cancelled
+     */
+    cancelJob(jobId) {
+        return this.db.prepare(`
+            UPDATE jobs SET status = 'cancelled', finished_at = datetime('now')
+            WHERE job_id = ? AND status IN ('queued', 'running')
+        `).run(jobId).changes > 0;
+    }
+
+    /**
+     * Take over queued or running jobs whose heartbeat stopped
+     * @param {string} owner - New owner
+     * @param {number} staleSeconds - Heartbeat age after which a job counts as abandoned
+     * @param {Array<string>} tools - Tools the new owner can run
+     * @returns {Array<Object>} Claimed job rows, re-queued, with `previous_owner`
+     */
+    claimStaleJobs(owner, staleSeconds, tools) {
+        if (tools.length === 0) return [];
+
+        const select = this.db.prepare(`
+            SELECT job_id, owner FROM jobs
+            WHERE status IN ('queued', 'running')
+              AND heartbeat_at < datetime('now', ?)
+              AND tool IN (${tools.map(() => '?').join(', ')})
+        `);
+        const claim = this.db.prepare(`
+            UPDATE jobs SET owner = ?, status = 'queued', heartbeat_at = datetime('now')
+            WHERE job_id = ? AND status IN ('queued', 'running') AND heartbeat_at < datetime('now', ?)
+        `);
+
+        // Immediate, so two servers cannot claim the same job
+        const tx = this.db.transaction(() => {
+            const stale = `-${Math.round(staleSeconds)} seconds`;
+            return select.all(stale, ...tools)
+                .filter(row => claim.run(owner, row.job_id, stale).changes > 0)
+                .map(row => ({ ...this.getJob(row.job_id), previous_owner: row.owner }));
+        });
+
+        return tx.immediate();
+    }
+
+    /**
+     * Delete finished jobs older than the retention period
+     * @returns {number} Jobs deleted
+     */
+    purgeJobs(retentionDays) {
+        return this.db.prepare(`
+            DELETE FROM jobs
+            WHERE status IN ('completed', 'failed', 'cancelled') AND finished_at < datetime('now', ?)
+        `).run(`-${Math.round(retentionDays)} days`).changes;
+    }
+
     /**
      * Close database connection
      */
@@ -637,6 +1054,27 @@ export class VerificationStorageSQLite {
 // Export singleton instance
 export const verificationStorage = new VerificationStorageSQLite();
 
+let serverStorage = null;
+
+/**
+ * Get the initialized storage shared by the MCP server
+ * Uses VERIFY_DB_PATH (default verify.sqlite), the same database the
+ * monitoring server and persist-verdict-to-sqlite use
+ */
+export async function getServerStorage() {
+    // Concurrent first calls share one initialization
+    if (!serverStorage) {
+        serverStorage = (async () => {
+            const storage = new VerificationStorageSQLite(process.env.VERIFY_DB_PATH || join(process.cwd(), 'verify.sqlite'));
+            await storage.init();
+            return storage;
+        })();
+        serverStorage.catch(() => { serverStorage = null; });
+    }
+
+    return serverStorage;
+}
+
 // Export helper functions for external use
 export function saveUnits(db, taskId, perUnit = [], claim = null) {
     const storage = new VerificationStorageSQLite();
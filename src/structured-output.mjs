@@ -0,0 +1,151 @@
+/**
+ * Structured output enforcement for model responses
+ *
+ * Extracts JSON from a model reply (tolerating ```json fences and stray
+ * prose), validates it against a Zod schema, and on failure sends the
+ * validation errors back to the model for a bounded number of repair
+ * round-trips.
+ */
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+// Most repair round-trips ADJUDICATOR_MAX_REPAIRS may ask for
+const MAX_REPAIRS_CAP = 2;
+
+/**
+ * Repair round-trips from ADJUDICATOR_MAX_REPAIRS
+ * @returns {number} An integer from 0 to MAX_REPAIRS_CAP (DEFAULT_MAX_REPAIRS when unset, invalid or above the cap)
+ */
+function defaultMaxRepairs() {
+  const raw = process.env.ADJUDICATOR_MAX_REPAIRS;
+  const value = Number(raw);
+  return raw?.trim() && Number.isInteger(value) && value >= 0 && value <= MAX_REPAIRS_CAP ? value : DEFAULT_MAX_REPAIRS;
+}
+
+/**
+ * Pull a JSON value out of raw model text
+ * @param {string} text - Raw model output
+ * @returns {Object} { value } on success, { error } otherwise
+ */
+export function extractJson(text) {
+  const candidates = [];
+  const trimmed = (text || '').trim();
+
+  candidates.push(trimmed);
+
+  // ```json ... ``` or ``` ... ``` fences
+  const fence = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) {
+    candidates.push(fence[1].trim());
+  }
+
+  // Outermost object when the model wrapped it in prose
+  const first = trimmed.indexOf('{');
+  const last = trimmed.lastIndexOf('}');
+  if (first !== -1 && last > first) {
+    candidates.push(trimmed.slice(first, last + 1));
+  }
+
+  let lastError = 'Empty response';
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  return { error: `Invalid JSON: ${lastError}` };
+}
+
+/**
+ * Flatten a ZodError into readable "path: message" strings
+ * @param {Object} error - ZodError instance
+ * @returns {string[]} Validation errors
+ */
+export function formatZodErrors(error) {
+  return error.issues.map(issue => {
+    const path = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `${path}: ${issue.message}`;
+  });
+}
+
+/**
+ * Parse and validate model text against a schema
+ * @param {string} text - Raw model output
+ * @param {Object} schema - Zod schema
+ * @returns {Object} { data } on success, { errors } otherwise
+ */
+export function parseStructured(text, schema) {
+  const extracted = extractJson(text);
+  if (extracted.error) {
+    return { errors: [extracted.error] };
+  }
+
+  const validated = schema.safeParse(extracted.value);
+  if (!validated.success) {
+    return { errors: formatZodErrors(validated.error) };
+  }
+
+  return { data: validated.data };
+}
+
+/**
+ * Generate content and enforce that it matches a schema
+ * @param {Object} model - Provider model exposing generateContent()
+ * @param {Object} request - Gemini-style request ({ contents, generationConfig, ... })
+ * @param {Object} schema - Zod schema the response must satisfy
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxRepairs] - Repair round-trips (defaults to ADJUDICATOR_MAX_REPAIRS, then 2)
+ * @returns {Promise<Object>} { data, raw, parse_status, repair_attempts, errors, results }
+ *   parse_status is 'ok', 'repaired' or 'failed'; data is null when failed
+ */
+export async function generateStructured(model, request, schema, options = {}) {
+  const maxRepairs = options.maxRepairs ?? defaultMaxRepairs();
+  const contents = [...request.contents];
+  const results = [];
+
+  let raw = '';
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const result = await model.generateContent({ ...request, contents });
+    results.push(result);
+    raw = result.response.text();
+
+    const parsed = parseStructured(raw, schema);
+    if (parsed.data) {
+      return {
+        data: parsed.data,
+        raw,
+        parse_status: attempt === 0 ? 'ok' : 'repaired',
+        repair_attempts: attempt,
+        errors: [],
+        results
+      };
+    }
+
+    errors = parsed.errors;
+
+    // Feed the validation errors back for the next round-trip
+    contents.push(
+      { role: 'model', parts: [{ text: raw }] },
+      {
+        role: 'user',
+        parts: [{
+          text: `Your previous response did not match the required JSON schema:\n- ${errors.join('\n- ')}\n\nReply again with ONLY the corrected JSON object. No prose, no code fences.`
+        }]
+      }
+    );
+  }
+
+  return {
+    data: null,
+    raw,
+    parse_status: 'failed',
+    repair_attempts: maxRepairs,
+    errors,
+    results
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * Token budgeting for prompts
+ *
+ * Before a call, the prompt is measured with the provider's countTokens()
+ * (Gemini and the mock provider), or estimated at 4 characters per token
+ * where there is none (OpenAI-compatible endpoints, cassettes). When it does
+ * not fit the model's context window less the output allowance, sections are
+ * shrunk by priority:
+ *   1. the lowest-priority sections lose the unchanged context lines of their
+ *      diff hunks, so the changed lines survive
+ *   2. if that is not enough they are cut from the end - diffs hunk by hunk,
+ *      other text on a line boundary; sections of equal priority share what
+ *      is left fairly
+ *   3. then the next priority up gets the same treatment
+ * Priority 0 sections (instructions) are never cut. Every change is reported
+ * so the caller can say exactly what the model did not see.
+ *
+ * Context windows come from the table below by model id prefix;
+ * ADJUDICATOR_CONTEXT_TOKENS overrides it for every model (useful for local
+ * models with small windows).
+ */
+
+const CONTEXT_WINDOWS = {
+  'gemini-2.5-pro': 1048576,
+  'gemini-2.5-flash': 1048576,
+  'gemini-2.0-flash': 1048576,
+  'gemini-1.5-pro': 2097152,
+  'gemini-1.5-flash': 1048576,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000
+};
+
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Separators and labels added around the sections after fitting
+const SAFETY_MARGIN_TOKENS = 256;
+
+const CHARS_PER_TOKEN = 4;
+
+// Conservative ratio for sizing text before it can be counted (code runs denser than prose)
+const SAFE_CHARS_PER_TOKEN = 3;
+
+const MAX_CUT_ROUNDS = 3;
+
+const DIFF_MARKER = /^(?:diff --git |@@ )/m;
+
+/**
+ * Context window of a model
+ * @param {string} modelId
+ * @returns {number} Tokens
+ */
+export function contextWindow(modelId) {
+  const override = Number(process.env.ADJUDICATOR_CONTEXT_TOKENS);
+  if (process.env.ADJUDICATOR_CONTEXT_TOKENS && Number.isInteger(override) && override > 0) {
+    return override;
+  }
+
+  const key = Object.keys(CONTEXT_WINDOWS)
+    .filter(prefix => modelId === prefix || modelId.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? CONTEXT_WINDOWS[key] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Tokens available for the prompt
+ * @param {string} modelId
+ * @param {number} maxOutputTokens - Output allowance of the call
+ * @returns {number}
+ */
+export function inputBudget(modelId, maxOutputTokens) {
+  return contextWindow(modelId) - maxOutputTokens - SAFETY_MARGIN_TOKENS;
+}
+
+/**
+ * Token estimate for text that cannot be counted
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Characters of new text that safely fit next to some fixed text
+ * Used to size artifact chunks before anything is counted.
+ * @param {number} budget - Input tokens available
+ * @param {Array<string>} fixedTexts - Text sent alongside
+ * @returns {number}
+ */
+export function charsThatFit(budget, fixedTexts) {
+  const fixed = fixedTexts.reduce((sum, text) => sum + estimateTokens(text), 0);
+  return Math.max(0, Math.floor((budget - fixed) * SAFE_CHARS_PER_TOKEN));
+}
+
+/**
+ * Token counter for a model
+ * Falls back to estimating for good after the first failed count.
+ * @param {Object} model - Provider model
+ * @returns {Object} { method: 'countTokens' | 'estimate', count(texts) } where count takes a string or an array of prompt part texts
+ */
+export function tokenCounter(model) {
+  const counter = {
+    method: typeof model.countTokens === 'function' ? 'countTokens' : 'estimate'
+  };
+
+  counter.count = async (texts) => {
+    const list = (Array.isArray(texts) ? texts : [texts]).filter(Boolean);
+    if (list.length === 0) return 0;
+
+    if (counter.method === 'countTokens') {
+      try {
+        const { totalTokens } = await model.countTokens({
+          contents: [{ role: 'user', parts: list.map(text => ({ text })) }]
+        });
+        if (Number.isFinite(totalTokens)) return totalTokens;
+      } catch (error) {
+        console.error('countTokens failed, estimating instead:', error.message);
+      }
+      counter.method = 'estimate';
+    }
+
+    return list.reduce((sum, text) => sum + estimateTokens(text), 0);
+  };
+
+  return counter;
+}
+
+/**
+ * Drop the unchanged context lines from diff hunks
+ * Each run of context lines becomes a one-line note.
+ * @param {string} text - Unified diff
+ * @returns {Object} { text, dropped_lines }
+ */
+export function compactDiff(text) {
+  const out = [];
+  let inHunk = false;
+  let run = 0;
+  let dropped = 0;
+
+  const flush = () => {
+    if (run > 0) {
+      out.push(` [${run} unchanged line${run === 1 ? '' : 's'} omitted]`);
+      dropped += run;
+      run = 0;
+    }
+  };
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ') || line.startsWith('@@')) {
+      flush();
+      inHunk = line.startsWith('@@');
+      out.push(line);
+    } else if (inHunk && line.startsWith(' ')) {
+      run += 1;
+    } else {
+      flush();
+      out.push(line);
+    }
+  }
+  flush();
+
+  return { text: out.join('\n'), dropped_lines: dropped };
+}
+
+/**
+ * Keep the start of a text within a character limit
+ * Diffs keep whole hunks and report the ones dropped; other text is cut on a
+ * line boundary.
+ * @returns {Object} { text, kept_chars, dropped_hunks }
+ */
+function cutText(text, maxChars) {
+  if (text.length <= maxChars) return { text, kept_chars: text.length, dropped_hunks: [] };
+
+  const isDiff = DIFF_MARKER.test(text);
+  const pieces = isDiff ? text.split(/(?=^(?:diff --git |@@ ))/m) : [text];
+
+  let kept = '';
+  if (isDiff) {
+    for (const piece of pieces) {
+      if (kept.length + piece.length > maxChars) break;
+      kept += piece;
+    }
+  }
+
+  // No whole hunk fits (or not a diff): cut on a line boundary
+  if (kept.length === 0 && maxChars > 0) {
+    kept = text.slice(0, maxChars);
+    const newline = kept.lastIndexOf('\n');
+    if (newline > maxChars * 0.8) kept = kept.slice(0, newline + 1);
+  }
+
+  // Hunks the model sees none of
+  const droppedHunks = [];
+  let file = null;
+  let offset = 0;
+  for (const piece of pieces) {
+    file = piece.match(/^diff --git a\/(\S+)/)?.[1] || file;
+    if (isDiff && offset >= kept.length && piece.startsWith('@@')) {
+      const header = piece.match(/^@@[^@]*@@/)?.[0] || piece.split('\n')[0];
+      droppedHunks.push(file ? `${file} ${header}` : header);
+    }
+    offset += piece.length;
+  }
+
+  const omitted = text.length - kept.length;
+  return {
+    text: kept.length > 0 ? `${kept}\n[... ${omitted} characters omitted to fit the context window]` : '',
+    kept_chars: kept.length,
+    dropped_hunks: droppedHunks
+  };
+}
+
+/**
+ * Split an allowance fairly: small sections keep everything, the rest share
+ * what is left evenly
+ */
+function waterFill(sizes, allowance) {
+  const order = sizes.map((size, i) => ({ i, size })).sort((a, b) => a.size - b.size);
+  const kept = new Array(sizes.length);
+  let remaining = allowance;
+
+  order.forEach(({ i, size }, position) => {
+    kept[i] = Math.min(size, Math.floor(remaining / (order.length - position)));
+    remaining -= kept[i];
+  });
+
+  return kept;
+}
+
+/**
+ * Fit prompt sections into a token budget
+ * @param {Object} counter - From tokenCounter()
+ * @param {Array<Object>} sections - [{ name, text, priority, meta? }] in prompt order. Priority 0 is
+ *   never cut; higher numbers are cut first; `meta` is copied into the section's report entry
+ * @param {number} budget - Input tokens available
+ * @returns {Promise<Object>} { texts (in section order), original_tokens, prompt_tokens, dropped }
+ * @throws {Error} If the prompt does not fit even with every cuttable section emptied
+ */
+export async function fitSections(counter, sections, budget) {
+  const texts = sections.map(s => s.text);
+  const originalTokens = await counter.count(texts);
+
+  if (originalTokens <= budget) {
+    return { texts, original_tokens: originalTokens, prompt_tokens: originalTokens, dropped: [] };
+  }
+
+  const tokens = await Promise.all(texts.map(text => counter.count(text)));
+  const reports = new Map();
+  const report = (i) => {
+    if (!reports.has(i)) {
+      reports.set(i, {
+        field: sections[i].name,
+        ...sections[i].meta,
+        original_tokens: tokens[i],
+        original_chars: texts[i].length
+      });
+    }
+    return reports.get(i);
+  };
+
+  // Lowest priority first
+  const cuttable = sections
+    .map((section, i) => ({ i, priority: section.priority }))
+    .filter(s => s.priority > 0)
+    .sort((a, b) => b.priority - a.priority || a.i - b.i);
+
+  // Lowest priority group first: drop its unchanged diff context, then cut
+  // it. Later rounds cut the same full text shorter, so notes do not pile up.
+  const full = [...texts];
+  const allowedChars = texts.map(text => text.length);
+  const keptChars = texts.map(text => text.length);
+  const compacted = new Set();
+  const priorities = [...new Set(cuttable.map(s => s.priority))];
+  let total = originalTokens;
+
+  for (let round = 0; round < MAX_CUT_ROUNDS && total > budget; round++) {
+    let over = total - budget;
+
+    for (const priority of priorities) {
+      if (over <= 0) break;
+      const group = cuttable.filter(s => s.priority === priority).map(s => s.i);
+
+      // Changed lines over unchanged context
+      for (const i of group) {
+        if (over <= 0 || compacted.has(i) || !DIFF_MARKER.test(full[i])) continue;
+        compacted.add(i);
+
+        const { text, dropped_lines } = compactDiff(full[i]);
+        if (dropped_lines === 0) continue;
+
+        const after = Math.ceil(tokens[i] * text.length / full[i].length);
+        report(i).dropped_context_lines = dropped_lines;
+        over -= tokens[i] - after;
+        full[i] = texts[i] = text;
+        allowedChars[i] = keptChars[i] = text.length;
+        tokens[i] = after;
+      }
+      if (over <= 0) break;
+
+      // Cut from the end, sharing what is left fairly within the group
+      const sizes = group.map(i => tokens[i]);
+      const groupTokens = sizes.reduce((sum, size) => sum + size, 0);
+      const kept = waterFill(sizes, Math.max(0, groupTokens - over));
+
+      group.forEach((i, position) => {
+        if (kept[position] >= tokens[i]) return;
+
+        allowedChars[i] = tokens[i] > 0 ? Math.floor(allowedChars[i] * kept[position] / tokens[i]) : 0;
+        const { text, kept_chars, dropped_hunks } = cutText(full[i], allowedChars[i]);
+        const entry = report(i);
+        entry.cut = true;
+        entry.dropped_hunks = dropped_hunks;
+        over -= tokens[i] - kept[position];
+        texts[i] = text;
+        keptChars[i] = kept_chars;
+        tokens[i] = kept[position];
+      });
+    }
+
+    total = await counter.count(texts);
+  }
+
+  if (total > budget) {
+    throw new Error(`Prompt needs ${total} tokens but the context window leaves ${budget}, even after cutting every optional section`);
+  }
+
+  const dropped = [...reports].map(([i, { cut, dropped_hunks, ...entry }]) => {
+    return {
+      ...entry,
+      ...(dropped_hunks?.length > 0 && { dropped_hunks }),
+      kept_tokens: tokens[i],
+      kept_chars: keptChars[i],
+      reason: keptChars[i] === 0
+        ? 'Dropped to fit the context window'
+        : cut
+          ? `Cut to fit the context window${entry.dropped_context_lines ? ' after dropping unchanged diff context' : ''}`
+          : 'Unchanged diff context dropped to fit the context window'
+    };
+  }).sort((a, b) => sections.findIndex(s => s.name === a.field) - sections.findIndex(s => s.name === b.field));
+
+  return { texts, original_tokens: originalTokens, prompt_tokens: total, dropped };
+}
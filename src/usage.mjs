@@ -0,0 +1,348 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { ModelPrice } from './schemas.mjs';
+import { getServerStorage } from './storage-sqlite.mjs';
+import { formatZodErrors } from './structured-output.mjs';
+
+/**
+ * Token and cost accounting for the tools that call models
+ *
+ * While a tool call runs under trackUsage(), every model call that answers
+ * adds its usageMetadata to the call's ledger - panel judges, samples,
+ * chunks, debate rounds and fallback models included. Cost is priced per
+ * model from a table in USD per million tokens: the defaults below,
+ * overridden per model by a JSON file (ADJUDICATOR_PRICES_FILE, default
+ * .adjudicator/prices.json in the working directory):
+ *
+ *   { "gemini-2.5-pro": { "input": 1.25, "output": 10 } }
+ *
+ * A model id uses the longest table key it starts with, so
+ * gemini-2.5-flash-preview-05-20 is priced as gemini-2.5-flash; unknown
+ * models cost 0 and are listed as unpriced. Usage is stored per tool call
+ * and model in the usage_log table, under the call's task_id when given.
+ *
+ * ADJUDICATOR_DAILY_BUDGET_USD caps the spend per UTC day. Before every
+ * model call the recorded spend is added to what the tool calls still
+ * running have spent so far; once that reaches the budget the call throws
+ * BudgetExceededError and the response carries `budget_exceeded: true`. Only
+ * the model calls already in flight can overshoot it. Cache hits make no
+ * model calls and are still served; replayed cassettes cost nothing and are
+ * not counted.
+ */
+
+const DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'mock': { input: 0, output: 0 }
+};
+
+const ledgers = new AsyncLocalStorage();
+
+// Ledgers of the tool calls running now, whose usage is not recorded yet
+const activeLedgers = new Set();
+
+const roundUsd = (x) => Math.round(x * 1e6) / 1e6;
+
+/**
+ * Error thrown when the daily budget is spent
+ */
+export class BudgetExceededError extends Error {
+  constructor(message, budget) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+  }
+}
+
+/**
+ * Daily budget from ADJUDICATOR_DAILY_BUDGET_USD
+ * @returns {number|null} USD per UTC day, or null when unlimited
+ */
+export function dailyBudget() {
+  const value = Number(process.env.ADJUDICATOR_DAILY_BUDGET_USD);
+  return process.env.ADJUDICATOR_DAILY_BUDGET_USD && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+function pricesPath() {
+  return process.env.ADJUDICATOR_PRICES_FILE || join(process.cwd(), '.adjudicator', 'prices.json');
+}
+
+/**
+ * Read the price table
+ * A missing file leaves the defaults in place.
+ * @returns {Promise<Object>} Map of model id prefix -> { input, output }
+ * @throws {Error} If the file is not JSON or holds an invalid price
+ */
+export async function loadPrices() {
+  const path = pricesPath();
+
+  let text;
+  try {
+    text = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.ADJUDICATOR_PRICES_FILE) return { ...DEFAULT_PRICES };
+    if (error.code === 'ENOENT') throw new Error(`Price table not found: ${path}`);
+    throw error;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Price table ${path} is not valid JSON: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Price table ${path} must be an object mapping model ids to prices`);
+  }
+
+  const prices = { ...DEFAULT_PRICES };
+  for (const [modelId, price] of Object.entries(raw)) {
+    const parsed = ModelPrice.safeParse(price);
+    if (!parsed.success) {
+      throw new Error(`Price for "${modelId}" in ${path} is invalid: ${formatZodErrors(parsed.error).join('; ')}`);
+    }
+    prices[modelId] = parsed.data;
+  }
+
+  return prices;
+}
+
+/**
+ * Price of a model
+ * @param {Object} prices - From loadPrices()
+ * @param {string} modelId
+ * @returns {Object|null} { input, output }, or null when the model is not in the table
+ */
+export function priceFor(prices, modelId) {
+  const key = Object.keys(prices)
+    .filter(prefix => modelId === prefix || modelId.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Note a model call's token usage in the running tool call's ledger
+ * Called by the resilient model wrapper for every call that answers.
+ * @param {string} provider - Provider name
+ * @param {string} modelId - Model that answered
+ * @param {Object} result - generateContent() result
+ */
+export function recordModelCall(provider, modelId, result) {
+  const ledger = ledgers.getStore();
+  if (!ledger) return;
+
+  const usage = result?.response?.usageMetadata || {};
+  const prompt = usage.promptTokenCount || 0;
+  // Thinking tokens are billed as output
+  const candidates = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+
+  ledger.calls.push({
+    provider,
+    model_id: modelId,
+    prompt_tokens: prompt,
+    candidate_tokens: candidates,
+    total_tokens: usage.totalTokenCount || prompt + candidates
+  });
+}
+
+/**
+ * Spend today as seen by a running tool call
+ * Refreshes `ledger.spent_today` to the recorded spend plus the running
+ * cost of the other tool calls; the last known figure is kept when the
+ * usage log cannot be read.
+ * @param {Object} ledger - The tool call's ledger
+ * @returns {number} USD, this call's running cost included
+ */
+function spentToday(ledger) {
+  try {
+    let others = 0;
+    for (const other of activeLedgers) {
+      if (other !== ledger) others += summarizeCalls(other.calls, other.prices).cost_usd;
+    }
+    ledger.spent_today = ledger.storage.getDailySpend().cost_usd + others;
+  } catch (error) {
+    console.error('Error reading usage log:', error);
+  }
+  return ledger.spent_today + summarizeCalls(ledger.calls, ledger.prices).cost_usd;
+}
+
+/**
+ * Refuse a model call once the daily budget is spent
+ * Called by the resilient model wrapper before every call; outside a tracked
+ * tool call it does nothing.
+ * @throws {BudgetExceededError}
+ */
+export function checkBudget() {
+  const ledger = ledgers.getStore();
+  if (!ledger || ledger.budget === null) return;
+
+  if (!ledger.blocked) {
+    const spent = roundUsd(spentToday(ledger));
+    if (spent >= ledger.budget) {
+      ledger.blocked = new BudgetExceededError(
+        `Daily budget of $${ledger.budget} is spent ($${spent} today); no model was called`,
+        { daily_usd: ledger.budget, spent_today_usd: spent, remaining_usd: 0 }
+      );
+    }
+  }
+  if (ledger.blocked) throw ledger.blocked;
+}
+
+/**
+ * Total up ledger calls per model
+ * @param {Array<Object>} calls - Ledger entries from recordModelCall()
+ * @param {Object} prices - From loadPrices()
+ * @returns {Object} { calls, prompt_tokens, candidate_tokens, total_tokens, cost_usd, by_model, unpriced_models? }
+ */
+export function summarizeCalls(calls, prices) {
+  const byModel = new Map();
+  for (const call of calls) {
+    const key = `${call.provider}:${call.model_id}`;
+    if (!byModel.has(key)) {
+      byModel.set(key, { provider: call.provider, model_id: call.model_id, calls: 0, prompt_tokens: 0, candidate_tokens: 0, total_tokens: 0 });
+    }
+    const entry = byModel.get(key);
+    entry.calls += 1;
+    entry.prompt_tokens += call.prompt_tokens;
+    entry.candidate_tokens += call.candidate_tokens;
+    entry.total_tokens += call.total_tokens;
+  }
+
+  const models = [...byModel.values()].map(entry => {
+    const price = priceFor(prices, entry.model_id);
+    return {
+      ...entry,
+      cost_usd: price ? roundUsd((entry.prompt_tokens * price.input + entry.candidate_tokens * price.output) / 1e6) : 0,
+      priced: Boolean(price)
+    };
+  });
+  const sum = (field) => models.reduce((total, m) => total + m[field], 0);
+  const unpriced = models.filter(m => !m.priced).map(m => m.model_id);
+
+  return {
+    calls: sum('calls'),
+    prompt_tokens: sum('prompt_tokens'),
+    candidate_tokens: sum('candidate_tokens'),
+    total_tokens: sum('total_tokens'),
+    cost_usd: roundUsd(sum('cost_usd')),
+    by_model: models,
+    ...(unpriced.length > 0 && { unpriced_models: unpriced })
+  };
+}
+
+/**
+ * Run a tool call with token accounting and the daily budget
+ * Usage is recorded even when the call fails. Storage errors are reported in
+ * the usage block and never fail the call; without storage the budget cannot
+ * be checked and is not enforced.
+ * @param {Object} context - { tool, task, task_id } stored with the usage
+ * @param {Function} run - Async function making the model calls
+ * @returns {Promise<Object>} { result, usage }
+ * @throws {BudgetExceededError} When the budget stopped a model call
+ */
+export async function trackUsage(context, run) {
+  const prices = await loadPrices();
+  const budget = dailyBudget();
+  const ledger = { budget, prices, storage: null, spent_today: 0, calls: [], blocked: null };
+
+  let storage = null;
+  let storageError = null;
+  try {
+    storage = await getServerStorage();
+    ledger.storage = storage;
+    ledger.spent_today = storage.getDailySpend().cost_usd;
+  } catch (error) {
+    console.error('Error reading usage log:', error);
+    storageError = `Usage log unavailable: ${error.message}`;
+    ledger.budget = null;
+  }
+
+  let result;
+  let failure = null;
+  activeLedgers.add(ledger);
+  try {
+    result = await ledgers.run(ledger, run);
+  } catch (error) {
+    failure = error;
+  }
+
+  const usage = { task_id: context.task_id || null, ...summarizeCalls(ledger.calls, prices) };
+
+  if (storage && usage.by_model.length > 0) {
+    try {
+      storage.recordUsage(usage.by_model.map(entry => ({ ...context, ...entry })));
+    } catch (error) {
+      console.error('Error writing usage log:', error);
+      storageError = `Usage not recorded: ${error.message}`;
+    }
+  }
+  // Recorded now, or never: either way no longer counted as running
+  activeLedgers.delete(ledger);
+  if (storageError) usage.error = storageError;
+
+  if (budget !== null) {
+    const spent = roundUsd(ledger.spent_today + usage.cost_usd);
+    usage.budget = { daily_usd: budget, spent_today_usd: spent, remaining_usd: roundUsd(Math.max(0, budget - spent)) };
+  }
+
+  // A refused call wins over whatever error it caused further up
+  if (ledger.blocked) throw ledger.blocked;
+  if (failure) throw failure;
+
+  return { result, usage };
+}
+
+/**
+ * Summarize usage_log rows for the monitoring API
+ * @param {Array<Object>} rows - usage_log rows
+ * @param {Object} [options]
+ * @param {number|null} [options.budget] - Daily budget in USD
+ * @param {string} [options.today] - UTC day (YYYY-MM-DD), defaults to the current one
+ * @returns {Object} { today, budget, totals, daily, by_model, by_tool }
+ */
+export function summarizeUsageLog(rows, { budget = null, today = new Date().toISOString().slice(0, 10) } = {}) {
+  const group = (keyOf) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!groups.has(key)) {
+        groups.set(key, { calls: 0, prompt_tokens: 0, candidate_tokens: 0, total_tokens: 0, cost_usd: 0 });
+      }
+      const g = groups.get(key);
+      for (const field of ['calls', 'prompt_tokens', 'candidate_tokens', 'total_tokens', 'cost_usd']) {
+        g[field] += row[field];
+      }
+    }
+    return [...groups].map(([key, g]) => ({ key, ...g, cost_usd: roundUsd(g.cost_usd) }));
+  };
+
+  const [totals = { calls: 0, prompt_tokens: 0, candidate_tokens: 0, total_tokens: 0, cost_usd: 0 }] =
+    group(() => 'all').map(({ key, ...g }) => g);
+  const daily = group(row => row.created_at.slice(0, 10)).sort((a, b) => a.key.localeCompare(b.key));
+  const spentToday = daily.find(d => d.key === today)?.cost_usd || 0;
+
+  return {
+    today,
+    budget: budget === null ? null : {
+      daily_usd: budget,
+      spent_today_usd: spentToday,
+      remaining_usd: roundUsd(Math.max(0, budget - spentToday)),
+      exceeded: spentToday >= budget
+    },
+    totals,
+    daily: daily.map(({ key: day, ...g }) => ({ day, ...g })),
+    by_model: group(row => row.model_id)
+      .map(({ key: model_id, ...g }) => ({ model_id, ...g }))
+      .sort((a, b) => b.cost_usd - a.cost_usd),
+    by_tool: group(row => row.tool)
+      .map(({ key: tool, ...g }) => ({ tool, ...g }))
+      .sort((a, b) => b.cost_usd - a.cost_usd),
+    unpriced_models: [...new Set(rows.filter(r => !r.priced).map(r => r.model_id))]
+  };
+}
@@ -1,5 +1,347 @@
-import { VerifyArgs } from './schemas.mjs';
-import { getGemini } from './gemini.mjs';
+import { VerifyArgs, VerdictSchema, inputShape } from './schemas.mjs';
+import { getProvider } from './providers/index.mjs';
+import { modelCallReport } from './providers/resilient.mjs';
+import { generateStructured } from './structured-output.mjs';
+import { splitArtifact, mergeChunkVerdicts } from './chunking.mjs';
+import { resolvePrompt } from './prompts.mjs';
+import { searchTools, applyGrounding } from './grounding.mjs';
+import { retrieveEvidence, formatEvidence, resolveEvidenceCitations } from './evidence.mjs';
+import { runPanel } from './panel.mjs';
+import { resolveRubric, rubricInstructions, applyRubric } from './rubrics.mjs';
+import { runSelfConsistency } from './self-consistency.mjs';
+import { cacheIdentity, hashText, withCache } from './cache.mjs';
+import { trackUsage } from './usage.mjs';
+import { tokenCounter, inputBudget, contextWindow, charsThatFit, fitSections } from './token-budget.mjs';
+import { defineJobKind, submitJob } from './jobs.mjs';
+import { withRequestControl } from './progress.mjs';
+
+// Chunk size bounds (characters); within them chunks are sized to the context window
+const ARTIFACT_CHAR_LIMIT = 120000;
+const MIN_CHUNK_CHARS = 2000;
+const MAX_CHUNKS = Number(process.env.ADJUDICATOR_MAX_CHUNKS || 20);
+
+/**
+ * Turn a structured generation result into a verdict object
+ * @param {Object} structured - Result of generateStructured()
+ * @returns {Object} Verdict, with an explicit parse failure when the schema was not met
+ */
+function toVerdict(structured) {
+  if (structured.data) {
+    return {
+      ...structured.data,
+      parse_status: structured.parse_status,
+      repair_attempts: structured.repair_attempts
+    };
+  }
+
+  // Schema still not satisfied after repairs - say so explicitly
+  return {
+    verdict: 'NEEDS_IMPROVEMENT',
+    confidence: 0,
+    analysis: {
+      strengths: [],
+      weaknesses: ['Model response did not match the verdict schema'],
+      risks: ['Verdict could not be determined from the model output']
+    },
+    recommendations: ['Retry verification with clearer inputs'],
+    detailed_feedback: `Raw response: ${structured.raw.slice(0, 1000)}`,
+    test_coverage: {
+      scenarios_checked: [],
+      scenarios_missing: ['Unable to determine due to parsing error']
+    },
+    citations: [],
+    parse_status: 'failed',
+    repair_attempts: structured.repair_attempts,
+    parse_errors: structured.errors
+  };
+}
+
+/**
+ * Prompt block presenting local evidence and how to cite it
+ * @param {Array<Object>} evidence - From retrieveEvidence()
+ * @param {string} passages - formatEvidence() output, possibly cut to fit the context window
+ * @returns {string}
+ */
+function evidenceInstructions(evidence, passages) {
+  if (evidence.length === 0) {
+    return '\nLOCAL EVIDENCE: none of the grounding sources matched. Treat claims about them as unverified.';
+  }
+  
+  return `\nLOCAL EVIDENCE (numbered passages from the project's own files):
+${passages || '(all passages omitted to fit the context window)'}
+
+Judge claims against this evidence. For every claim you check, add an entry to "evidence_citations":
+[{ "id": "E1", "start_line": number, "end_line": number, "claim": string, "stance": "supports" | "contradicts" }]
+Cite only ids listed above, with line numbers inside that passage. A claim no passage supports is unverified.`;
+}
+
+/**
+ * Run a verification without going through MCP
+ * @param {Object} validatedArgs - Arguments already parsed with VerifyArgs, plus an
+ *   optional `temperature` set by panel judges
+ * @returns {Promise<Object>} Verdict JSON
+ * @throws {Error} If the provider cannot be created or the model call fails
+ */
+export async function runVerification(validatedArgs) {
+  const {
+    artifact, task, tests_json, ground_with_search,
+    provider, model: modelOverride, prompt_version, prompt_variables, grounding_sources, rubric,
+    temperature = 0.3
+  } = validatedArgs;
+  
+  const { model, modelId } = getProvider({ provider, model: modelOverride });
+  
+  // Task rubric from the prompt templates (project overrides win)
+  const { text: systemPrompt, prompt } = await resolvePrompt(task, {
+    version: prompt_version,
+    variables: prompt_variables
+  });
+  
+  // Custom rubric replaces the template checklist; the verdict is computed from its scores
+  const customRubric = rubric ? await resolveRubric(rubric) : null;
+  
+  // Retrieve numbered local evidence once for the whole artifact
+  const local = grounding_sources?.length
+    ? await retrieveEvidence(grounding_sources, artifact)
+    : null;
+  
+  // Configure generation with optional search grounding
+  const generationConfig = {
+    temperature,
+    topP: 0.95,
+    topK: 20,
+    maxOutputTokens: 8192,
+  };
+  
+  const counter = tokenCounter(model);
+  const budget = inputBudget(modelId, generationConfig.maxOutputTokens);
+  const rubricText = customRubric ? rubricInstructions(customRubric) : '';
+  const passages = local ? formatEvidence(local.evidence) : '';
+  
+  // Split oversized artifacts on file/hunk/paragraph boundaries, into chunks
+  // that fit the context window next to the instructions
+  const chunkChars = Math.min(ARTIFACT_CHAR_LIMIT, Math.max(MIN_CHUNK_CHARS, charsThatFit(budget, [systemPrompt, rubricText])));
+  let chunks = splitArtifact(artifact, chunkChars);
+  const truncation = [];
+  
+  if (chunks.length > MAX_CHUNKS) {
+    truncation.push({
+      field: 'artifact',
+      original_chars: artifact.length,
+      kept_chars: chunks[MAX_CHUNKS - 1].end,
+      reason: `Artifact needs ${chunks.length} chunks; only the first ${MAX_CHUNKS} were verified`
+    });
+    chunks = chunks.slice(0, MAX_CHUNKS);
+  }
+  
+  // Map: verify each chunk independently
+  const results = [];
+  const rawResults = [];
+  let promptTokens = 0;
+  for (const chunk of chunks) {
+    const chunkNote = chunks.length > 1
+      ? `\nCHUNK ${chunk.index} of ${chunks.length} (${chunk.label}). This is one part of a larger artifact: judge only this part and list anything that depends on other parts as a risk.`
+      : '';
+    
+    // Fit the context window: test results are cut first, then evidence, the artifact last
+    const sections = [
+      { name: 'instructions', text: systemPrompt + rubricText + chunkNote, priority: 0 },
+      { name: 'artifact', text: chunk.text, priority: 1 },
+      { name: 'local_evidence', text: passages, priority: 2 },
+      { name: 'tests_json', text: tests_json || '', priority: 3 }
+    ];
+    const fitted = await fitSections(counter, sections, budget);
+    const [, artifactText, passagesText, testsText] = fitted.texts;
+    truncation.push(...fitted.dropped.map(entry => (chunks.length > 1 ? { ...entry, chunk: chunk.index } : entry)));
+    promptTokens = Math.max(promptTokens, fitted.prompt_tokens);
+    
+    const parts = [
+      { text: systemPrompt },
+      { text: `\nTASK: ${task}` }
+    ];
+    
+    if (customRubric) {
+      parts.push({ text: rubricText });
+    }
+    
+    if (chunkNote) {
+      parts.push({ text: chunkNote });
+    }
+    
+    if (local) {
+      parts.push({ text: evidenceInstructions(local.evidence, passagesText) });
+    }
+    
+    parts.push({ text: `\nARTIFACT TO VERIFY:\n${artifactText}` });
+    
+    if (testsText) {
+      parts.push({ text: `\nTEST RESULTS/METADATA:\n${testsText}` });
+    }
+    
+    // Generate content and enforce the verdict schema (with repair round-trips)
+    const structured = await generateStructured(model, {
+      contents: [{ role: 'user', parts }],
+      generationConfig: ground_with_search
+        ? generationConfig
+        : { ...generationConfig, responseMimeType: 'application/json' },
+      tools: ground_with_search ? searchTools(modelId) : undefined
+    }, VerdictSchema);
+    
+    results.push({ chunk, verdict: toVerdict(structured) });
+    rawResults.push(...structured.results);
+  }
+  
+  // Reduce: merge chunk verdicts (worst verdict wins)
+  const jsonResponse = results.length === 1
+    ? results[0].verdict
+    : mergeChunkVerdicts(results);
+  
+  if (customRubric) {
+    applyRubric(jsonResponse, customRubric, results.map(r => r.verdict));
+  }
+  
+  if (local) {
+    jsonResponse.evidence_citations = resolveEvidenceCitations(
+      results.flatMap(r => r.verdict.evidence_citations || []),
+      local.evidence
+    );
+    jsonResponse.local_evidence = {
+      files_searched: local.files_searched,
+      files_truncated: local.files_truncated,
+      passages: local.evidence.map(({ text, ...passage }) => passage)
+    };
+  }
+  
+  // Citations are only trusted when a search actually retrieved them
+  applyGrounding(jsonResponse, rawResults, ground_with_search);
+  
+  jsonResponse.truncation = {
+    truncated: truncation.length > 0,
+    details: truncation
+  };
+  jsonResponse.token_budget = {
+    context_window: contextWindow(modelId),
+    input_budget: budget,
+    counted_with: counter.method,
+    prompt_tokens: promptTokens
+  };
+  jsonResponse.prompt = prompt;
+  
+  // Which model answered, after retries and fallbacks
+  const modelCall = modelCallReport(model, modelId);
+  if (modelCall) {
+    jsonResponse.model_call = modelCall;
+  }
+  
+  return jsonResponse;
+}
+
+/**
+ * Verdict returned when verification could not run at all
+ * When every model and retry failed, `model_unavailable` is set so callers
+ * can tell an outage from a judgement on the artifact; when the daily budget
+ * stopped the call, `budget_exceeded` is, and `cancelled` when the call was
+ * cancelled.
+ * @param {Error} error - The failure
+ * @returns {Object} NEEDS_IMPROVEMENT verdict with confidence 0
+ */
+export function verificationError(error) {
+  return {
+    verdict: 'NEEDS_IMPROVEMENT',
+    confidence: 0,
+    analysis: {
+      strengths: [],
+      weaknesses: ['Verification failed'],
+      risks: ['Error during verification process']
+    },
+    recommendations: ['Check API configuration and retry'],
+    detailed_feedback: `Error: ${error.message}`,
+    test_coverage: {
+      scenarios_checked: [],
+      scenarios_missing: ['All scenarios due to error']
+    },
+    citations: [],
+    parse_status: 'error',
+    ...(error.model_call && { model_unavailable: true, model_call: error.model_call }),
+    ...(error.budget && { budget_exceeded: true, budget: error.budget }),
+    ...(error.name === 'CancelledError' && { cancelled: true })
+  };
+}
+
+/**
+ * Cache identity of a verification
+ * The prompt version is the resolved template version, so a new template
+ * version never reuses results produced with the old one. Grounding sources
+ * count by the evidence they retrieve, so editing those files does too.
+ * @param {Object} validatedArgs - Arguments parsed with VerifyArgs
+ * @returns {Promise<Object>} From cacheIdentity()
+ */
+async function verifyCacheIdentity(validatedArgs) {
+  const {
+    artifact, task, tests_json, ground_with_search, provider, model, prompt_version, prompt_variables,
+    grounding_sources, panel, rubric, self_consistency
+  } = validatedArgs;
+  
+  const { modelId } = getProvider({ provider, model });
+  const { prompt } = await resolvePrompt(task, { version: prompt_version, variables: prompt_variables });
+  const evidence = grounding_sources?.length
+    ? (await retrieveEvidence(grounding_sources, artifact)).evidence
+      .map(({ id, path, start_line, end_line, text }) => ({ id, path, start_line, end_line, text }))
+    : null;
+  
+  return cacheIdentity({
+    tool: 'verify_with_gemini',
+    artifact,
+    task,
+    model_id: modelId,
+    prompt_version: prompt.version,
+    grounded: ground_with_search,
+    options: {
+      tests_json, prompt_source: prompt.source, prompt_variables, grounding_sources, panel, rubric, self_consistency,
+      evidence_hash: evidence && hashText(JSON.stringify(evidence))
+    }
+  });
+}
+
+/**
+ * Verify an artifact the way verify_with_gemini does: with a panel or
+ * self-consistency sampling when asked, through the cache, and with token
+ * usage recorded
+ * @param {Object} validatedArgs - Arguments parsed with VerifyArgs
+ * @param {string} [tool] - Tool the usage is recorded under
+ * @returns {Promise<Object>} Verification result with `usage`
+ */
+export async function verifyArtifact(validatedArgs, tool = 'verify_with_gemini') {
+  const verify = () => {
+    if (validatedArgs.panel) return runPanel(validatedArgs, runVerification);
+    if (validatedArgs.self_consistency) return runSelfConsistency(validatedArgs, runVerification);
+    return runVerification(validatedArgs);
+  };
+  
+  const { result: jsonResponse, usage } = await trackUsage(
+    { tool, task: validatedArgs.task, task_id: validatedArgs.task_id },
+    async () => validatedArgs.cache
+      ? withCache(await verifyCacheIdentity(validatedArgs), validatedArgs.cache, verify)
+      : verify()
+  );
+  jsonResponse.usage = usage;
+  
+  return jsonResponse;
+}
+
+/**
+ * verify_with_gemini's response: the verification result, or an error verdict
+ * @param {Object} validatedArgs - Arguments parsed with VerifyArgs
+ * @returns {Promise<Object>}
+ */
+async function verifyResponse(validatedArgs) {
+  try {
+    return await verifyArtifact(validatedArgs);
+  } catch (error) {
+    console.error('Error in verify_with_gemini:', error);
+    return verificationError(error);
+  }
+}
 
 /**
  * Register the verify_with_gemini tool with the MCP server
@@ -8,164 +350,28 @@ import { getGemini } from './gemini.mjs';
 export async function registerVerifyTool(server) {
   server.registerTool(
     'verify_with_gemini',
-    'Critical evaluation of code, decisions, or implementations using Gemini API. Returns structured JSON verdict with detailed analysis, recommendations, and confidence scoring.',
     {
-      artifact: {
-        type: 'string',
-        description: 'Text to check (answer, code, spec, etc.)',
-        required: true
-      },
-      task: {
-        type: 'string',
-        enum: ['fact_check', 'code_review', 'test_report_review', 'policy'],
-        default: 'fact_check',
-        description: 'Type of verification task'
-      },
-      tests_json: {
-        type: 'string',
-        description: 'Optional JSON test results or metadata'
-      },
-      ground_with_search: {
-        type: 'boolean',
-        default: false,
-        description: 'Use Google Search for grounding'
-      }
+      description: 'Critical evaluation of code, decisions, or implementations using Gemini API. Returns structured JSON verdict with detailed analysis, recommendations, and confidence scoring.',
+      inputSchema: inputShape(VerifyArgs)
     },
-    async (args) => {
+    async (args, extra) => {
       // Validate arguments using Zod schema
       const validatedArgs = VerifyArgs.parse(args);
       
-      const { artifact, task, tests_json, ground_with_search } = validatedArgs;
+      const jsonResponse = validatedArgs.async
+        ? await submitJob('verify_with_gemini', args)
+        : await withRequestControl(extra, () => verifyResponse(validatedArgs));
       
-      try {
-        const { model, modelId } = getGemini();
-        
-        // Define the strict JSON schema for Gemini response
-        const systemPrompt = `You are a critical evaluator performing ${task} analysis.
-        
-Output ONLY valid JSON following this exact schema:
-{
-  "verdict": "PASS" | "FAIL" | "NEEDS_IMPROVEMENT",
-  "confidence": number (0.0-1.0),
-  "analysis": {
-    "strengths": string[],
-    "weaknesses": string[],
-    "risks": string[]
-  },
-  "recommendations": string[],
-  "detailed_feedback": string,
-  "test_coverage": {
-    "scenarios_checked": string[],
-    "scenarios_missing": string[]
-  },
-  "citations": [{ "url": string, "title": string }] (only if ground_with_search is true)
-}
-
-Be thorough, critical, and objective. Focus on:
-- Correctness and accuracy
-- Security implications
-- Performance considerations
-- Edge cases and error handling
-- Best practices and standards`;
-
-        // Build the prompt parts
-        const parts = [
-          { text: systemPrompt },
-          { text: `\nTASK: ${task}` },
-          { text: `\nARTIFACT TO VERIFY:\n${artifact.slice(0, 120000)}` }
-        ];
-        
-        if (tests_json) {
-          parts.push({ text: `\nTEST RESULTS/METADATA:\n${tests_json.slice(0, 80000)}` });
-        }
-        
-        // Configure generation with optional search grounding
-        const generationConfig = {
-          temperature: 0.3,
-          topP: 0.95,
-          topK: 20,
-          maxOutputTokens: 8192,
-        };
-        
-        // Add Google Search if requested
-        const toolConfig = ground_with_search ? {
-          functionCallingConfig: {
-            mode: 'AUTO',
-            allowedFunctionNames: ['google_search']
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(jsonResponse, null, 2)
           }
-        } : undefined;
-        
-        // Generate content with Gemini
-        const result = await model.generateContent({
-          contents: [{ role: 'user', parts }],
-          generationConfig,
-          tools: ground_with_search ? [{ googleSearchRetrieval: {} }] : undefined,
-          toolConfig
-        });
-        
-        const response = result.response;
-        const text = response.text();
-        
-        // Parse JSON response
-        let jsonResponse;
-        try {
-          jsonResponse = JSON.parse(text);
-        } catch (parseError) {
-          // Fallback response if JSON parsing fails
-          jsonResponse = {
-            verdict: 'NEEDS_IMPROVEMENT',
-            confidence: 0.5,
-            analysis: {
-              strengths: [],
-              weaknesses: ['Response parsing failed'],
-              risks: ['Incomplete analysis due to parsing error']
-            },
-            recommendations: ['Retry verification with clearer inputs'],
-            detailed_feedback: `Raw response: ${text.slice(0, 1000)}`,
-            test_coverage: {
-              scenarios_checked: [],
-              scenarios_missing: ['Unable to determine due to parsing error']
-            },
-            citations: []
-          };
-        }
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(jsonResponse, null, 2)
-            }
-          ]
-        };
-        
-      } catch (error) {
-        console.error('Error in verify_with_gemini:', error);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                verdict: 'NEEDS_IMPROVEMENT',
-                confidence: 0,
-                analysis: {
-                  strengths: [],
-                  weaknesses: ['Verification failed'],
-                  risks: ['Error during verification process']
-                },
-                recommendations: ['Check API configuration and retry'],
-                detailed_feedback: `Error: ${error.message}`,
-                test_coverage: {
-                  scenarios_checked: [],
-                  scenarios_missing: ['All scenarios due to error']
-                },
-                citations: []
-              }, null, 2)
-            }
-          ]
-        };
-      }
+        ]
+      };
     }
   );
-}
\ No newline at end of file
+  
+  defineJobKind('verify_with_gemini', { schema: VerifyArgs, run: verifyResponse });
+}
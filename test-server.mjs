@@ -11,19 +11,63 @@ console.log("=====================================\n");
 console.log("📋 Server Configuration:");
 console.log("- Name: mcp-gemini-adjudicator");
 console.log("- Version: 0.1.0");
-console.log("- Transport: stdio\n");
+console.log("- Transport: stdio");
+console.log(`- Provider: ${process.env.ADJUDICATOR_PROVIDER || 'gemini'}`);
+console.log(`- Cassettes: ${process.env.ADJUDICATOR_CASSETTE || 'off'}`);
+console.log(`- Fallback models: ${process.env.GEMINI_FALLBACK_MODELS || 'none'}`);
+console.log(`- Daily budget: ${process.env.ADJUDICATOR_DAILY_BUDGET_USD ? `$${process.env.ADJUDICATOR_DAILY_BUDGET_USD}` : 'unlimited'}`);
+console.log(`- Context window: ${process.env.ADJUDICATOR_CONTEXT_TOKENS ? `${process.env.ADJUDICATOR_CONTEXT_TOKENS} tokens` : 'per model'}\n`);
 
 console.log("🛠️ Available Tools:");
 console.log("1. verify_with_gemini");
 console.log("   - Evaluates artifacts (code, answers, specs)");
 console.log("   - Returns structured JSON verdict");
-console.log("   - Optional Google Search grounding\n");
+console.log("   - Optional Google Search grounding");
+console.log("   - Custom weighted rubrics decide the verdict from per-criterion scores");
+console.log("   - Self-consistency sampling reports empirical agreement and flags unstable verdicts\n");
 
 console.log("2. consensus_check");
 console.log("   - Compares multiple model answers");
 console.log("   - Identifies agreements and conflicts");
 console.log("   - Optional triangulation with Gemini's answer\n");
 
+console.log("3. verify_task_directory");
+console.log("   - Runs claim validation, adapters and the gate");
+console.log("   - Escalates to the model only when the gate is inconclusive\n");
+
+console.log("4. record_override");
+console.log("   - Records a human judgement of which sources were right");
+console.log("   - Feeds the reliability leaderboard and consensus vote weights\n");
+
+console.log("5. compare_pair");
+console.log("   - Judges two artifacts against criteria in both orderings");
+console.log("   - Flags position bias when the orderings disagree\n");
+
+console.log("6. grade_against_reference");
+console.log("   - Scores an artifact against a gold answer and a weighted rubric");
+console.log("   - Exact, regex and JSON checks run deterministically; the model scores the rest\n");
+
+console.log("7. invalidate_cache");
+console.log("   - Drops cached verify_with_gemini / consensus_check results");
+console.log("   - Filter by artifact, task, model id or prompt version, or clear expired entries\n");
+
+console.log("8. verify_batch");
+console.log("   - Verifies many artifacts with per-item task types in one call");
+console.log("   - Bounded concurrency, a shared rate limiter and per-item progress notifications");
+console.log("   - Aggregate summary: counts by verdict, items needing attention, worst risks\n");
+
+console.log("9. get_verification_result");
+console.log("   - verify_with_gemini, consensus_check and verify_batch accept async: true and return a job id");
+console.log("   - Reports the job's status, progress and result; wait_seconds relays progress notifications");
+console.log("   - Jobs persist in SQLite and resume after a server restart\n");
+
+console.log("10. cancel_verification");
+console.log("   - Stops a running job at its next model call\n");
+
+console.log("📜 Prompts: fact_check, code_review, test_report_review, policy\n");
+
+console.log("🌐 Shared instance: ADJUDICATOR_HTTP_TOKEN=... npm run start:http\n");
+
 console.log("📝 Example Usage in Claude Desktop:");
 console.log('```json');
 console.log(JSON.stringify({
@@ -41,5 +85,6 @@ console.log(JSON.stringify({
 console.log('```\n');
 
 console.log("✅ Server is ready for integration!");
+console.log("💾 Offline runs: ADJUDICATOR_CASSETTE=record once, then ADJUDICATOR_CASSETTE=replay");
 console.log("⚠️  Remember to set your GEMINI_API_KEY before using with real requests.");
 console.log("🔑 Get your API key from: https://aistudio.google.com/app/apikey");
\ No newline at end of file
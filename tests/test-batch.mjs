@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for batch verification: bounded concurrency, the shared rate
+ * limiters, progress notifications, cancellation and the aggregate summary
+ */
+
+import http from 'http';
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { mapWithConcurrency, summarizeBatch, registerBatchTool } from '../src/batch.mjs';
+import { createRateLimiter, withRateLimit, acquireRateLimit } from '../src/rate-limit.mjs';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+
+const TEST_DIR = `/tmp/test-batch-${Date.now()}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const verdict = (verdict, confidence, risks) => ({
+    verdict,
+    confidence,
+    analysis: { strengths: [], weaknesses: [], risks }
+});
+
+class BatchTests {
+    constructor() {
+        this.testResults = [];
+        this.stubServer = null;
+        this.inFlight = 0;
+        this.maxInFlight = 0;
+    }
+
+    async setup() {
+        console.log('🔧 Setting up batch tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+        process.env.ADJUDICATOR_REQUESTS_PER_MINUTE = '60000';
+
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([
+            { match: 'BROKEN_LOGIN', response: verdict('FAIL', 0.9, ['SQL injection in login', 'No tests']) },
+            { match: 'BROKEN_SIGNUP', response: verdict('FAIL', 0.6, ['No tests']) },
+            { match: 'VAGUE_DOCS', response: verdict('NEEDS_IMPROVEMENT', 0.7, ['Docs drift from code']) }
+        ]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+
+        // Slow OpenAI-compatible stand-in that counts requests in flight
+        this.stubServer = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', async () => {
+                this.inFlight += 1;
+                this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+                await sleep(40);
+                this.inFlight -= 1;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    choices: [{ message: { role: 'assistant', content: JSON.stringify(verdict('PASS', 0.8, [])) } }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+                }));
+            });
+        });
+        await new Promise(resolve => this.stubServer.listen(0, '127.0.0.1', resolve));
+        process.env.OPENAI_BASE_URL = `http://127.0.0.1:${this.stubServer.address().port}/v1`;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        delete process.env.OPENAI_BASE_URL;
+        delete process.env.ADJUDICATOR_REQUESTS_PER_MINUTE;
+        await new Promise(resolve => this.stubServer.close(resolve));
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async handler() {
+        let handler;
+        await registerBatchTool({ registerTool: (name, config, h) => { handler = h; } });
+        return async (args, extra) => JSON.parse((await handler(args, extra)).content[0].text);
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Worker pool bounds and token bucket spacing
+    async testPrimitives() {
+        let running = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (ms, i) => {
+            running += 1;
+            peak = Math.max(peak, running);
+            await sleep(ms * 5);
+            running -= 1;
+            return i;
+        });
+        assert.deepStrictEqual(results, [0, 1, 2, 3, 4], 'results keep item order');
+        assert.strictEqual(peak, 2);
+
+        // 600/min is one request per 100ms after a burst of 1
+        const limiter = createRateLimiter(600);
+        const start = Date.now();
+        await Promise.all([1, 2, 3].map(() => withRateLimit(limiter, acquireRateLimit)));
+        assert(Date.now() - start >= 190, 'second and third requests wait their turn');
+        assert.strictEqual(limiter.stats().requests, 3);
+        assert(limiter.stats().waited_ms >= 190);
+
+        await acquireRateLimit();
+        assert.strictEqual(limiter.stats().requests, 3, 'calls outside withRateLimit are not limited');
+
+        const outer = createRateLimiter(600, 5);
+        await withRateLimit(outer, () => withRateLimit(limiter, acquireRateLimit));
+        assert.strictEqual(outer.stats().requests, 1, 'enclosing limiters still apply');
+        assert.strictEqual(limiter.stats().requests, 4);
+    }
+
+    // Test 2: Per-item tasks and verdicts, progress and the summary
+    async testBatch() {
+        const call = await this.handler();
+        const notifications = [];
+        const extra = {
+            _meta: { progressToken: 'batch-1' },
+            sendNotification: async (notification) => { notifications.push(notification); }
+        };
+
+        const result = await call({
+            items: [
+                { id: 'login.js', artifact: 'BROKEN_LOGIN', task: 'code_review' },
+                { artifact: 'Water boils at 100 C at sea level.' },
+                { id: 'README.md', artifact: 'VAGUE_DOCS', task: 'policy' },
+                { id: 'signup.js', artifact: 'BROKEN_SIGNUP', task: 'code_review' }
+            ],
+            provider: 'mock',
+            requests_per_minute: 6000,
+            task_id: 'batch-usage'
+        }, extra);
+
+        assert.deepStrictEqual(
+            result.items.map(item => [item.id, item.task, item.verdict]),
+            [['login.js', 'code_review', 'FAIL'], ['item-2', 'fact_check', 'PASS'], ['README.md', 'policy', 'NEEDS_IMPROVEMENT'], ['signup.js', 'code_review', 'FAIL']]
+        );
+
+        const { summary } = result;
+        assert.deepStrictEqual(summary.by_verdict, { PASS: 1, FAIL: 2, NEEDS_IMPROVEMENT: 1 });
+        assert.strictEqual(summary.all_passed, false);
+        assert.deepStrictEqual(summary.needs_attention.map(item => item.id), ['login.js', 'signup.js', 'README.md']);
+        assert.deepStrictEqual(summary.worst_risks.map(r => [r.risk, r.verdict, r.items]), [
+            ['No tests', 'FAIL', ['login.js', 'signup.js']],
+            ['SQL injection in login', 'FAIL', ['login.js']],
+            ['Docs drift from code', 'NEEDS_IMPROVEMENT', ['README.md']]
+        ]);
+        assert.strictEqual(summary.usage.calls, 4);
+        assert.strictEqual(result.rate_limit.requests, 4);
+
+        // Usage is recorded per item under the batch's task id
+        const rows = (await getServerStorage()).getUsage('batch-usage');
+        assert.strictEqual(rows.length, 4);
+        assert(rows.every(row => row.tool === 'verify_batch'));
+
+        assert.strictEqual(notifications.length, 5);
+        assert(notifications.every(n => n.method === 'notifications/progress' && n.params.progressToken === 'batch-1'));
+        assert.deepStrictEqual(notifications.map(n => n.params.progress), [0, 1, 2, 3, 4]);
+        assert(notifications.every(n => n.params.total === 4));
+        assert.match(notifications[4].params.message, /\(4\/4\)$/);
+
+        // No progress token, no notifications
+        await call({ items: [{ artifact: 'x' }], provider: 'mock' }, { sendNotification: async (n) => notifications.push(n) });
+        assert.strictEqual(notifications.length, 5);
+    }
+
+    // Test 3: Concurrency and the rate limit bound the provider's load
+    async testConcurrency() {
+        const call = await this.handler();
+        const items = Array.from({ length: 6 }, (_, i) => ({ artifact: `File ${i}` }));
+
+        const result = await call({ items, provider: 'openai', model: 'slow-model', concurrency: 3, requests_per_minute: 6000 });
+        assert.strictEqual(result.summary.by_verdict.PASS, 6);
+        assert.strictEqual(this.maxInFlight, 3);
+
+        // 600/min with a burst of 2: after the first two, one request every 100ms
+        this.maxInFlight = 0;
+        const limited = await call({ items: items.slice(0, 4), provider: 'openai', model: 'slow-model', concurrency: 2, requests_per_minute: 600 });
+        assert.strictEqual(limited.summary.by_verdict.PASS, 4);
+        assert.deepStrictEqual({ ...limited.rate_limit, waited_ms: undefined, shared: undefined },
+            { requests_per_minute: 600, burst: 2, requests: 4, waited_ms: undefined, shared: undefined });
+        assert.strictEqual(limited.rate_limit.shared.requests_per_minute, 60000);
+        assert(limited.rate_limit.waited_ms > 0);
+        assert(limited.duration_ms >= 150);
+    }
+
+    // Test 4: A failing item does not stop the batch
+    async testItemErrors() {
+        const call = await this.handler();
+        process.env.ADJUDICATOR_RUBRICS_FILE = join(TEST_DIR, 'rubrics.json');
+        await fs.writeFile(process.env.ADJUDICATOR_RUBRICS_FILE, '{}');
+
+        const result = await call({
+            items: [
+                { id: 'ok', artifact: 'Fine.' },
+                { id: 'bad-rubric', artifact: 'Fine.', rubric: 'no-such-rubric' }
+            ],
+            provider: 'mock'
+        });
+
+        assert.deepStrictEqual(result.items.map(item => item.status), ['ok', 'error']);
+        assert.strictEqual(result.items[1].verdict, 'NEEDS_IMPROVEMENT');
+        assert.strictEqual(result.summary.verified, 1);
+        assert.strictEqual(result.summary.errors, 1);
+        assert.strictEqual(result.summary.by_verdict.NEEDS_IMPROVEMENT, 0, 'errors are not counted as verdicts');
+        assert.strictEqual(result.summary.error_items[0].id, 'bad-rubric');
+        assert.match(result.summary.error_items[0].error, /Unknown rubric "no-such-rubric"/);
+        delete process.env.ADJUDICATOR_RUBRICS_FILE;
+
+        await assert.rejects(call({ items: [{ id: 'a', artifact: 'x' }, { id: 'a', artifact: 'y' }] }), /Item ids must be unique/);
+
+        assert.strictEqual(summarizeBatch([]).all_passed, false);
+        assert.strictEqual(summarizeBatch([]).mean_confidence, null);
+    }
+
+    // Test 5: Batches share the server-wide limit; a cancel keeps finished items
+    async testSharedLimitAndCancel() {
+        const call = await this.handler();
+        const items = Array.from({ length: 4 }, (_, i) => ({ artifact: `File ${i}` }));
+
+        // 600/min with a burst of 4 across both batches: eight requests take at least 400ms
+        process.env.ADJUDICATOR_REQUESTS_PER_MINUTE = '600';
+        const start = Date.now();
+        const batches = await Promise.all([1, 2].map(() =>
+            call({ items, provider: 'openai', model: 'slow-model', concurrency: 4, requests_per_minute: 60000 })));
+        assert(batches.every(batch => batch.summary.by_verdict.PASS === 4));
+        assert(Date.now() - start >= 350, 'the second batch waits for the first');
+        assert.strictEqual(batches[0].rate_limit.requests, 4, 'each batch counts its own requests');
+        assert.strictEqual(batches[1].rate_limit.shared.requests, 8);
+        process.env.ADJUDICATOR_REQUESTS_PER_MINUTE = '60000';
+
+        // Cancelled once the first item is done
+        const controller = new AbortController();
+        const result = await call({ items, provider: 'openai', model: 'slow-model', concurrency: 1 }, {
+            signal: controller.signal,
+            _meta: { progressToken: 'cancel-1' },
+            sendNotification: async (n) => { if (n.params.progress === 1) controller.abort(); }
+        });
+        assert.strictEqual(result.cancelled, true);
+        assert.deepStrictEqual(result.items.map(item => item.status), ['ok', 'cancelled', 'cancelled', 'cancelled']);
+        assert.strictEqual(result.items[0].verdict, 'PASS');
+        assert.deepStrictEqual(result.items[3], { id: 'item-4', task: 'fact_check', status: 'cancelled' });
+        assert.strictEqual(result.summary.verified, 1);
+        assert.strictEqual(result.summary.cancelled, 3);
+        assert.strictEqual(result.summary.errors, 0);
+        assert.deepStrictEqual(result.summary.error_items, []);
+    }
+
+    async runAll() {
+        console.log('🧪 Batch Verification Tests');
+        console.log('===========================');
+
+        await this.setup();
+
+        await this.runTest('Concurrency and rate limit primitives', this.testPrimitives);
+        await this.runTest('verify_batch results and progress', this.testBatch);
+        await this.runTest('Bounded provider load', this.testConcurrency);
+        await this.runTest('Item errors', this.testItemErrors);
+        await this.runTest('Shared limit and cancellation', this.testSharedLimitAndCancel);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n===========================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new BatchTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
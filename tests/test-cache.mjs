@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for the verify_with_gemini / consensus_check result cache
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+import { cacheIdentity, hashText, registerCacheTool } from '../src/cache.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+import { InvalidateCacheArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-cache-${Date.now()}`;
+
+const verdict = (v, feedback) => ({
+    verdict: v,
+    confidence: 0.9,
+    analysis: { strengths: [], weaknesses: [], risks: [] },
+    recommendations: [],
+    detailed_feedback: feedback
+});
+
+class CacheTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up cache tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async useMockResponses(entries) {
+        const mockFile = join(TEST_DIR, `mock-${Date.now()}-${Math.random()}.json`);
+        await fs.writeFile(mockFile, JSON.stringify(entries));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async handlers() {
+        const handlers = {};
+        const server = { registerTool: (name, config, h) => { handlers[name] = h; } };
+        await registerVerifyTool(server);
+        await registerConsensusTool(server);
+        await registerCacheTool(server);
+        const call = async (name, args) => JSON.parse((await handlers[name](args)).content[0].text);
+        return call;
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Every key component and option changes the key; option order does not
+    async testIdentity() {
+        const base = { tool: 'verify_with_gemini', artifact: 'x', task: 'fact_check', model_id: 'm', prompt_version: '1.0.0', grounded: false };
+        const key = cacheIdentity(base).cache_key;
+
+        assert.strictEqual(cacheIdentity(base).artifact_hash, hashText('x'));
+        for (const change of [{ artifact: 'y' }, { task: 'policy' }, { model_id: 'n' }, { prompt_version: '1.1.0' }, { grounded: true }, { options: { tests_json: '{}' } }]) {
+            assert.notStrictEqual(cacheIdentity({ ...base, ...change }).cache_key, key, JSON.stringify(change));
+        }
+        assert.strictEqual(
+            cacheIdentity({ ...base, options: { a: 1, b: { c: 2, d: 3 } } }).cache_key,
+            cacheIdentity({ ...base, options: { b: { d: 3, c: 2 }, a: 1 } }).cache_key
+        );
+    }
+
+    // Test 2: Repeat calls hit the cache; refresh and prompt changes miss it
+    async testVerifyCache() {
+        const call = await this.handlers();
+        const args = { artifact: 'The Eiffel Tower is in Paris.', provider: 'mock', cache: {} };
+
+        await this.useMockResponses([{ match: 'Eiffel', response: verdict('PASS', 'first call') }]);
+        const first = await call('verify_with_gemini', args);
+        assert.strictEqual(first.cache.hit, false);
+        assert.strictEqual(first.cache.stored, true);
+
+        await this.useMockResponses([{ match: 'Eiffel', response: verdict('FAIL', 'second call') }]);
+        const second = await call('verify_with_gemini', args);
+        assert.strictEqual(second.cache.hit, true);
+        assert.strictEqual(second.cache.hits, 1);
+        assert.strictEqual(second.detailed_feedback, 'first call');
+        assert.strictEqual(second.cache.key, first.cache.key);
+
+        const otherTask = await call('verify_with_gemini', { ...args, task: 'policy' });
+        assert.strictEqual(otherTask.cache.hit, false);
+
+        const uncached = await call('verify_with_gemini', { ...args, cache: undefined });
+        assert(!('cache' in uncached), 'no marker without the cache option');
+
+        const refreshed = await call('verify_with_gemini', { ...args, cache: { refresh: true } });
+        assert.strictEqual(refreshed.cache.refreshed, true);
+        assert.strictEqual(refreshed.detailed_feedback, 'second call');
+        assert.strictEqual((await call('verify_with_gemini', args)).detailed_feedback, 'second call');
+
+        // Grounding evidence is part of the identity: editing the files misses the cache
+        const cwd = process.cwd();
+        process.chdir(TEST_DIR);
+        try {
+            await fs.writeFile(join(TEST_DIR, 'facts.md'), 'The Eiffel Tower is in Paris.\n');
+            const grounded = { ...args, grounding_sources: ['facts.md'] };
+            assert.strictEqual((await call('verify_with_gemini', grounded)).cache.hit, false);
+            assert.strictEqual((await call('verify_with_gemini', grounded)).cache.hit, true);
+
+            await fs.writeFile(join(TEST_DIR, 'facts.md'), 'The Eiffel Tower is in Paris, France.\n');
+            assert.strictEqual((await call('verify_with_gemini', grounded)).cache.hit, false);
+        } finally {
+            process.chdir(cwd);
+        }
+
+        // Unparseable results are never stored
+        await this.useMockResponses([{ match: 'Eiffel', response: 'not json at all' }]);
+        const broken = await call('verify_with_gemini', { ...args, artifact: 'The Eiffel Tower is in Rome.' });
+        assert.strictEqual(broken.cache.stored, false);
+        assert.match(broken.cache.reason, /parse_status is failed/);
+    }
+
+    // Test 3: TTL expiry and manual invalidation
+    async testInvalidation() {
+        const call = await this.handlers();
+        const storage = await getServerStorage();
+        await this.useMockResponses([{ match: 'Eiffel', response: verdict('PASS', 'fresh') }]);
+
+        const args = { artifact: 'The Eiffel Tower is 330 m tall.', provider: 'mock', cache: { ttl_seconds: 60 } };
+        const stored = await call('verify_with_gemini', args);
+
+        storage.db.prepare(`UPDATE verdict_cache SET expires_at = datetime('now', '-1 seconds') WHERE cache_key = ?`).run(stored.cache.key);
+        assert.strictEqual((await call('verify_with_gemini', args)).cache.hit, false, 'expired entries are not served');
+
+        storage.db.prepare(`UPDATE verdict_cache SET expires_at = datetime('now', '-1 seconds') WHERE cache_key = ?`).run(stored.cache.key);
+        assert.strictEqual((await call('invalidate_cache', { expired_only: true })).removed, 1);
+
+        await call('verify_with_gemini', args);
+        assert.strictEqual((await call('verify_with_gemini', args)).cache.hit, true);
+        const removed = await call('invalidate_cache', { artifact: args.artifact });
+        assert.strictEqual(removed.removed, 1);
+        assert.strictEqual(removed.filters.artifact_hash, hashText(args.artifact));
+        assert.strictEqual((await call('verify_with_gemini', args)).cache.hit, false);
+
+        assert.throws(() => InvalidateCacheArgs.parse({}), /at least one filter/);
+        assert((await call('invalidate_cache', { all: true })).removed >= 1);
+    }
+
+    // Test 4: consensus_check is cached, except when patches are executed
+    async testConsensusCache() {
+        const call = await this.handlers();
+        const artifacts = [
+            { source: 'a', content: 'Node.js 20 was released in April 2023.' },
+            { source: 'b', content: 'Node.js 20 was released in April 2023.' }
+        ];
+
+        const first = await call('consensus_check', { artifacts, provider: 'mock', cache: {} });
+        const second = await call('consensus_check', { artifacts, provider: 'mock', cache: {} });
+        assert.strictEqual(first.cache.hit, false);
+        assert.strictEqual(second.cache.hit, true);
+        assert.strictEqual(second.consensus, first.consensus);
+
+        // The task id is not part of the identity, as with verify_with_gemini
+        const tracked = await call('consensus_check', { artifacts, provider: 'mock', cache: {}, task_id: 'C_cached' });
+        assert.strictEqual(tracked.cache.hit, true);
+        assert.strictEqual(tracked.reliability.task_id, 'C_cached');
+        assert.strictEqual(tracked.reliability.recorded, 2);
+        assert.strictEqual(second.reliability, undefined, 'no reliability block from another call');
+
+        const debated = await call('consensus_check', { artifacts, provider: 'mock', cache: {}, debate: { rounds: 1 } });
+        assert.strictEqual(debated.cache.hit, false);
+
+        const executed = await call('consensus_check', {
+            artifacts, provider: 'mock', cache: {}, execute_patches: { repo_root: TEST_DIR }
+        });
+        assert(!('cache' in executed), 'patch execution bypasses the cache');
+    }
+
+    async runAll() {
+        console.log('🧪 Cache Tests');
+        console.log('==============');
+
+        await this.setup();
+
+        await this.runTest('Cache identity', this.testIdentity);
+        await this.runTest('verify_with_gemini cache', this.testVerifyCache);
+        await this.runTest('TTL and invalidation', this.testInvalidation);
+        await this.runTest('consensus_check cache', this.testConsensusCache);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==============');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new CacheTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for chunked map-reduce verification
+ */
+
+import assert from 'assert';
+import { splitArtifact, mergeChunkVerdicts } from '../src/chunking.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+
+function fileDiff(name, lines) {
+    const body = Array.from({ length: lines }, (_, i) => `+line ${i} of ${name}`).join('\n');
+    return `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n@@ -0,0 +1,${lines} @@\n${body}\n`;
+}
+
+function verdict(v, confidence, weakness) {
+    return {
+        verdict: v,
+        confidence,
+        analysis: { strengths: ['ok'], weaknesses: weakness ? [weakness] : [], risks: [] },
+        recommendations: [],
+        detailed_feedback: v,
+        test_coverage: { scenarios_checked: [], scenarios_missing: [] },
+        citations: [],
+        parse_status: 'ok'
+    };
+}
+
+class ChunkingTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Small artifacts stay whole
+    async testSingleChunk() {
+        const chunks = splitArtifact('hello\nworld', 100);
+        assert.strictEqual(chunks.length, 1);
+        assert.strictEqual(chunks[0].label, 'lines 1-2');
+    }
+
+    // Test 2: Diffs split on file boundaries and reassemble exactly
+    async testFileBoundaries() {
+        const diff = fileDiff('a.js', 50) + fileDiff('b.js', 50) + fileDiff('c.js', 50);
+        const chunks = splitArtifact(diff, 1500);
+
+        assert(chunks.length >= 3, `expected >= 3 chunks, got ${chunks.length}`);
+        assert.strictEqual(chunks.map(c => c.text).join(''), diff);
+        assert(chunks.every(c => c.text.length <= 1500));
+        assert(chunks.every(c => c.text.startsWith('diff --git')), 'each chunk should start at a file boundary');
+        assert.deepStrictEqual(chunks[0].files, ['a.js']);
+    }
+
+    // Test 3: Oversized files fall back to paragraphs and lines
+    async testFinerBoundaries() {
+        const text = Array.from({ length: 200 }, (_, i) => `paragraph ${i} `.repeat(5)).join('\n\n');
+        const chunks = splitArtifact(text, 1000);
+
+        assert.strictEqual(chunks.map(c => c.text).join(''), text);
+        assert(chunks.every(c => c.text.length <= 1000));
+        assert.strictEqual(chunks[1].start_line, chunks[0].end_line + 1);
+    }
+
+    // Test 4: Merge picks worst verdict and attributes findings
+    async testMerge() {
+        const merged = mergeChunkVerdicts([
+            { chunk: { index: 1, label: 'a.js', files: ['a.js'] }, verdict: verdict('PASS', 0.9) },
+            { chunk: { index: 2, label: 'b.js', files: ['b.js'] }, verdict: verdict('FAIL', 0.8, 'SQL injection') }
+        ]);
+
+        assert.strictEqual(merged.verdict, 'FAIL');
+        assert.strictEqual(merged.confidence, 0.8);
+        assert.deepStrictEqual(merged.analysis.weaknesses, ['[chunk 2/2 b.js] SQL injection']);
+        assert.deepStrictEqual(merged.chunks[1].weaknesses, ['SQL injection']);
+        assert.deepStrictEqual(merged.analysis.strengths, ['ok']);
+    }
+
+    // Test 5: verify_with_gemini verifies every chunk
+    async testVerifyToolChunks() {
+        let handler;
+        await registerVerifyTool({ registerTool: (name, config, h) => { handler = h; } });
+
+        const artifact = fileDiff('big.js', 8000) + fileDiff('other.js', 8000);
+        const result = JSON.parse((await handler({ artifact, task: 'code_review', provider: 'mock' })).content[0].text);
+
+        assert(result.chunks.length >= 2, 'large artifact should be chunked');
+        assert.strictEqual(result.verdict, 'PASS');
+        assert.strictEqual(result.truncation.truncated, false);
+    }
+
+    async runAll() {
+        console.log('🧪 Chunking Tests');
+        console.log('=================');
+
+        await this.runTest('Single chunk', this.testSingleChunk);
+        await this.runTest('File boundaries', this.testFileBoundaries);
+        await this.runTest('Paragraph and line boundaries', this.testFinerBoundaries);
+        await this.runTest('Merge chunk verdicts', this.testMerge);
+        await this.runTest('verify_with_gemini chunks large artifacts', this.testVerifyToolChunks);
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new ChunkingTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for the deterministic claim x source consensus matrix
+ */
+
+import assert from 'assert';
+import { splitClaims, buildClaimMatrix } from '../src/claim-matrix.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+
+const ARTIFACTS = [
+    {
+        source: 'claude',
+        content: 'Node.js 20 was released in April 2023. It includes a stable test runner.\n- The permission model is experimental.'
+    },
+    {
+        source: 'gpt',
+        content: 'Node.js 20 was released in April 2022. Node 20 includes a stable built-in test runner.'
+    },
+    {
+        source: 'gemini',
+        content: 'Node.js 20 was released in April 2023.\n\n```js\nconst x = 1;\n```\nThe permission model is not experimental.'
+    }
+];
+
+class ClaimMatrixTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Answers split into atomic claims
+    async testSplitClaims() {
+        assert.deepStrictEqual(
+            splitClaims('# Summary\nNode 20 uses V8 11.3. It ships fetch.\n1. Yes.\n* The test runner is stable in Node 20.\n```\ncode here is ignored entirely\n```'),
+            ['Node 20 uses V8 11.3.', 'The test runner is stable in Node 20.']
+        );
+    }
+
+    // Test 2: Matrix rows, cell statuses and computed agreement
+    async testMatrix() {
+        const matrix = buildClaimMatrix(ARTIFACTS);
+        const statuses = matrix.claims.map(c => c.cells.map(cell => cell.status));
+
+        assert.deepStrictEqual(matrix.sources, ['claude', 'gpt', 'gemini']);
+        assert.deepStrictEqual(statuses, [
+            ['supports', 'contradicts', 'supports'],   // released 2023 vs 2022
+            ['supports', 'supports', 'absent'],        // test runner, "20" is only extra detail
+            ['supports', 'absent', 'contradicts']      // permission model, negated
+        ]);
+        assert.strictEqual(matrix.claims[0].cells[1].text, 'Node.js 20 was released in April 2022.');
+        assert.deepStrictEqual(matrix.summary, {
+            claims: 3,
+            agreed: 0,
+            conflicts: 2,
+            gaps: 1,
+            agreement_ratio: 0.556,
+            consensus: 'disagree'
+        });
+
+        // Same inputs, same numbers
+        assert.deepStrictEqual(buildClaimMatrix(ARTIFACTS), matrix);
+
+        const agreeing = buildClaimMatrix([ARTIFACTS[0], { source: 'copy', content: ARTIFACTS[0].content }]);
+        assert.strictEqual(agreeing.summary.agreement_ratio, 1);
+        assert.strictEqual(agreeing.summary.consensus, 'agree');
+    }
+
+    // Test 3: consensus_check reports the matrix instead of the model's numbers
+    async testConsensusTool() {
+        process.env.ADJUDICATOR_PROVIDER = 'mock';
+        let handler;
+        await registerConsensusTool({ registerTool: (name, config, h) => { handler = h; } });
+
+        try {
+            const result = JSON.parse((await handler({ question: 'Node 20?', artifacts: ARTIFACTS })).content[0].text);
+
+            assert.strictEqual(result.agreement_ratio, 0.556);
+            assert.strictEqual(result.consensus, 'disagree');
+            assert.deepStrictEqual(result.model_reported, { consensus: 'agree', agreement_ratio: 1 });
+            assert.strictEqual(result.claim_matrix.claims.length, 3);
+            assert.strictEqual(result.summary, 'Mock consensus: all sources agree');
+        } finally {
+            delete process.env.ADJUDICATOR_PROVIDER;
+        }
+    }
+
+    async runAll() {
+        console.log('🧪 Claim Matrix Tests');
+        console.log('=====================');
+
+        await this.runTest('Claim splitting', this.testSplitClaims);
+        await this.runTest('Claim x source matrix', this.testMatrix);
+        await this.runTest('consensus_check uses the matrix', this.testConsensusTool);
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=====================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new ClaimMatrixTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for compare_pair pairwise comparison
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { combineOrderings, registerCompareTool } from '../src/compare.mjs';
+import { CompareArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-compare-${Date.now()}`;
+
+const LABELS = { a: 'A', b: 'B' };
+
+const judgement = (winner, strength, criteria = []) => ({
+    criteria: criteria.map(([criterion, w, s]) => ({ criterion, winner: w, strength: s, reasoning: `${criterion}: ${w}` })),
+    overall: { winner, strength },
+    summary: `Response ${winner} wins`
+});
+
+class CompareTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up compare tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async useMockResponses(entries) {
+        const mockFile = join(TEST_DIR, `mock-${Date.now()}.json`);
+        await fs.writeFile(mockFile, JSON.stringify(entries));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Consistent orderings give a preference with a margin
+    async testConsistent() {
+        const result = combineOrderings([
+            { order: ['a', 'b'], parse_status: 'ok', judgement: judgement('1', 0.8, [['correctness', '1', 0.9], ['clarity', '2', 0.4]]) },
+            { order: ['b', 'a'], parse_status: 'ok', judgement: judgement('2', 0.6, [['Correctness', '2', 0.7], ['clarity', '2', 0.2]]) }
+        ], { criteria: ['correctness', 'clarity', 'performance'], labels: LABELS });
+
+        assert.strictEqual(result.preference, 'A');
+        assert.strictEqual(result.margin, 0.7);
+        assert.strictEqual(result.orderings_disagree, false);
+        assert.strictEqual(result.position_bias, null);
+        assert.deepStrictEqual(result.orderings.map(o => [o.order.join(','), o.winner]), [['A,B', 'A'], ['B,A', 'A']]);
+
+        const [correctness, clarity, performance] = result.criteria;
+        assert.deepStrictEqual([correctness.winner, correctness.margin, correctness.consistent], ['A', 0.8, true]);
+        assert.deepStrictEqual([clarity.winner, clarity.margin, clarity.consistent], ['tie', 0.1, false]);
+        assert.deepStrictEqual([performance.winner, performance.judged_in, performance.consistent], ['tie', 0, false]);
+    }
+
+    // Test 2: A judge that always picks the first response cancels out and is flagged
+    async testPositionBias() {
+        const result = combineOrderings([
+            { order: ['a', 'b'], parse_status: 'ok', judgement: judgement('1', 0.6) },
+            { order: ['b', 'a'], parse_status: 'ok', judgement: judgement('1', 0.6) }
+        ], { criteria: ['correctness'], labels: LABELS });
+
+        assert.strictEqual(result.preference, 'tie');
+        assert.strictEqual(result.margin, 0);
+        assert.strictEqual(result.orderings_disagree, true);
+        assert.strictEqual(result.position_bias, 'first');
+
+        // One ordering failing to parse leaves the bias undetermined
+        const partial = combineOrderings([
+            { order: ['a', 'b'], parse_status: 'ok', judgement: judgement('2', 0.5) },
+            { order: ['b', 'a'], parse_status: 'failed', judgement: null, errors: ['Invalid JSON'] }
+        ], { criteria: ['correctness'], labels: LABELS });
+        assert.strictEqual(partial.preference, 'B');
+        assert.strictEqual(partial.orderings_disagree, null);
+        assert.deepStrictEqual(partial.orderings[1].parse_errors, ['Invalid JSON']);
+    }
+
+    // Test 3: compare_pair runs both orderings through the provider
+    async testTool() {
+        let handler;
+        await registerCompareTool({ registerTool: (name, config, h) => { handler = h; } });
+        const call = async (args) => JSON.parse((await handler(args)).content[0].text);
+
+        // No configured responses: the built-in mock has no preference
+        const neutral = await call({ artifact_a: 'x = 1', artifact_b: 'x = 2', provider: 'mock' });
+        assert.strictEqual(neutral.preference, 'tie');
+        assert.strictEqual(neutral.orderings.length, 2);
+        assert.strictEqual(neutral.criteria.length, 4);
+
+        await this.useMockResponses([
+            {
+                match: 'RESPONSE 1:\nconst cache = new Map()',
+                response: judgement('1', 0.9, [['performance', '1', 1], ['readability', '2', 0.3]])
+            },
+            {
+                match: 'RESPONSE 1:\nfunction lookup',
+                response: judgement('2', 0.7, [['performance', '2', 0.8], ['readability', '1', 0.5]])
+            }
+        ]);
+
+        const result = await call({
+            artifact_a: 'function lookup(id) { return db.find(id); }',
+            artifact_b: 'const cache = new Map(); function lookup(id) { ... }',
+            label_a: 'plain',
+            label_b: 'cached',
+            criteria: ['performance', 'readability'],
+            provider: 'mock'
+        });
+
+        assert.strictEqual(result.preference, 'cached');
+        assert.strictEqual(result.margin, 0.8);
+        assert.strictEqual(result.orderings_disagree, false);
+        assert.deepStrictEqual(result.criteria.map(c => [c.criterion, c.winner]), [['performance', 'cached'], ['readability', 'plain']]);
+        assert.strictEqual(result.parse_status, 'ok');
+
+        assert.throws(() => CompareArgs.parse({ artifact_a: 'x', artifact_b: 'y', label_a: 'same', label_b: 'same' }), /must differ/);
+    }
+
+    // Test 4: Long candidates are cut alike by counted tokens
+    async testTokenBudget() {
+        let handler;
+        await registerCompareTool({ registerTool: (name, config, h) => { handler = h; } });
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = '8192';
+        try {
+            const result = JSON.parse((await handler({
+                artifact_a: 'a'.repeat(40000),
+                artifact_b: 'b'.repeat(40000),
+                provider: 'mock'
+            })).content[0].text);
+
+            assert.strictEqual(result.truncation.truncated, true);
+            assert.deepStrictEqual(result.truncation.details.map(d => d.field), ['artifact_a', 'artifact_b']);
+            const [keptA, keptB] = result.truncation.details.map(d => d.kept_tokens);
+            assert.ok(Math.abs(keptA - keptB) <= 1, `uneven cut: ${keptA} vs ${keptB}`);
+            assert.strictEqual(result.token_budget.context_window, 8192);
+            assert.strictEqual(result.token_budget.input_budget, 8192 - 4096 - 256);
+            assert.ok(result.token_budget.prompt_tokens <= result.token_budget.input_budget);
+        } finally {
+            delete process.env.ADJUDICATOR_CONTEXT_TOKENS;
+        }
+    }
+
+    async runAll() {
+        console.log('🧪 Compare Tests');
+        console.log('================');
+
+        await this.setup();
+
+        await this.runTest('Consistent orderings', this.testConsistent);
+        await this.runTest('Position bias', this.testPositionBias);
+        await this.runTest('compare_pair tool', this.testTool);
+        await this.runTest('Token budget', this.testTokenBudget);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new CompareTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for consensus_check debate / rebuttal rounds
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { buildClaimMatrix } from '../src/claim-matrix.mjs';
+import { runDebate } from '../src/debate.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+import { getProvider } from '../src/providers/index.mjs';
+
+const TEST_DIR = `/tmp/test-debate-${Date.now()}`;
+
+const ARTIFACTS = [
+    {
+        source: 'claude',
+        content: 'Node.js 20 was released in April 2023. It includes a stable test runner.\n- The permission model is experimental.'
+    },
+    {
+        source: 'gpt',
+        content: 'Node.js 20 was released in April 2022. Node 20 includes a stable built-in test runner.'
+    },
+    {
+        source: 'gemini',
+        content: 'Node.js 20 was released in April 2023.\nThe permission model is not experimental.'
+    }
+];
+
+class DebateTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up debate tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([
+            {
+                match: 'advocate for SOURCE gpt',
+                response: {
+                    rebuttals: [{
+                        claim_id: 'C1',
+                        stance: 'concede',
+                        statement: 'Node.js 20 was released in April 2023.',
+                        argument: 'The release blog post is dated April 18, 2023.'
+                    }]
+                }
+            },
+            {
+                match: 'advocate for SOURCE',
+                response: {
+                    rebuttals: [
+                        { claim_id: 'C1', stance: 'maintain', argument: 'Release notes agree.' },
+                        { claim_id: 'C3', stance: 'maintain', argument: 'The docs mark it experimental.' }
+                    ]
+                }
+            }
+        ]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Concessions resolve disputes; maintained positions stay unresolved
+    async testRounds() {
+        const { model } = getProvider({ provider: 'mock' });
+        const debate = await runDebate(model, {
+            question: 'What shipped in Node 20?',
+            matrix: buildClaimMatrix(ARTIFACTS),
+            rounds: 2,
+            token_budget: 100000
+        });
+
+        assert.strictEqual(debate.rounds_run, 2);
+        assert.strictEqual(debate.stopped_reason, 'max_rounds');
+        assert.deepStrictEqual(debate.resolved, [{ claim_id: 'C1', round: 1 }]);
+        assert.deepStrictEqual(debate.position_shifts, [{
+            round: 1,
+            source: 'gpt',
+            claim_id: 'C1',
+            stance: 'concede',
+            from: 'Node.js 20 was released in April 2022.',
+            to: 'Node.js 20 was released in April 2023.'
+        }]);
+        assert.deepStrictEqual(debate.unresolved.map(u => u.claim_id), ['C3']);
+        assert.deepStrictEqual(debate.unresolved[0].positions.map(p => p.source), ['claude', 'gemini']);
+
+        // Round 2 only challenges the sources still in a dispute
+        assert.deepStrictEqual([...new Set(debate.rounds[1].rebuttals.map(r => r.source))], ['claude', 'gemini']);
+        assert(debate.tokens_used > 0);
+        assert.strictEqual(debate.post_debate_agreement_ratio, 0.667);
+    }
+
+    // Test 2: Token budget stops the debate before a turn would overrun it
+    async testTokenBudget() {
+        const { model: mock } = getProvider({ provider: 'mock' });
+        const outputCaps = [];
+        const model = {
+            generateContent: (request) => {
+                outputCaps.push(request.generationConfig.maxOutputTokens);
+                return mock.generateContent(request);
+            },
+            countTokens: (request) => mock.countTokens(request)
+        };
+
+        const broke = await runDebate(model, { matrix: buildClaimMatrix(ARTIFACTS), rounds: 5, token_budget: 1 });
+        assert.strictEqual(broke.stopped_reason, 'token_budget');
+        assert.strictEqual(broke.rounds_run, 0);
+        assert.strictEqual(broke.tokens_used, 0);
+        assert.deepStrictEqual(outputCaps, [], 'a prompt that does not fit is never sent');
+
+        const debate = await runDebate(model, { matrix: buildClaimMatrix(ARTIFACTS), rounds: 5, token_budget: 700 });
+        assert.strictEqual(debate.stopped_reason, 'token_budget');
+        assert.strictEqual(debate.rounds_run, 1);
+        assert.strictEqual(new Set(debate.rounds[0].rebuttals.map(r => r.source)).size, 1);
+        assert.strictEqual(outputCaps.length, 1);
+        assert(outputCaps[0] < 700, 'output is capped at the remaining budget');
+        assert(debate.tokens_used <= 700);
+    }
+
+    // Test 3: consensus_check runs the debate only when asked
+    async testTool() {
+        let handler;
+        await registerConsensusTool({ registerTool: (name, config, h) => { handler = h; } });
+        const call = async (args) => JSON.parse((await handler(args)).content[0].text);
+
+        const plain = await call({ artifacts: ARTIFACTS, provider: 'mock' });
+        assert(!('debate' in plain));
+
+        const agreeing = await call({
+            artifacts: [ARTIFACTS[0], { source: 'copy', content: ARTIFACTS[0].content }],
+            provider: 'mock',
+            debate: {}
+        });
+        assert.strictEqual(agreeing.debate.stopped_reason, 'no_conflicts');
+        assert.strictEqual(agreeing.debate.rounds_run, 0);
+
+        const debated = await call({ artifacts: ARTIFACTS, provider: 'mock', debate: { rounds: 1 } });
+        assert.strictEqual(debated.debate.max_rounds, 1);
+        assert.strictEqual(debated.debate.token_budget, 20000);
+        assert.strictEqual(debated.debate.resolved.length, 1);
+        assert.strictEqual(debated.agreement_ratio, 0.556, 'headline ratio stays deterministic');
+    }
+
+    async runAll() {
+        console.log('🧪 Debate Tests');
+        console.log('===============');
+
+        await this.setup();
+
+        await this.runTest('Rebuttal rounds', this.testRounds);
+        await this.runTest('Token budget', this.testTokenBudget);
+        await this.runTest('consensus_check debate option', this.testTool);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n===============');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new DebateTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for local evidence grounding (grounding_sources)
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import {
+    globToRegExp,
+    expandSources,
+    retrieveEvidence,
+    formatEvidence,
+    resolveEvidenceCitations
+} from '../src/evidence.mjs';
+import { runVerification } from '../src/verify.mjs';
+import { VerifyArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-evidence-${Date.now()}`;
+
+const filler = (n, word) => Array.from({ length: n }, (_, i) => `${word} line ${i + 1}`).join('\n');
+
+class EvidenceTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up evidence tests...');
+        await fs.mkdir(join(TEST_DIR, 'docs', 'guides'), { recursive: true });
+        await fs.mkdir(join(TEST_DIR, 'node_modules', 'pkg'), { recursive: true });
+
+        await fs.writeFile(join(TEST_DIR, 'docs', 'config.md'), [
+            filler(30, 'intro'),
+            'The retry limit is configured with MAX_RETRIES and defaults to 5.',
+            'Retries use exponential backoff.',
+            filler(30, 'outro')
+        ].join('\n'));
+        await fs.writeFile(join(TEST_DIR, 'docs', 'guides', 'deploy.md'), 'Deploy with docker compose up.\n');
+        await fs.writeFile(join(TEST_DIR, 'docs', 'logo.png'), 'PNG\u0000binary');
+        await fs.writeFile(join(TEST_DIR, 'node_modules', 'pkg', 'README.md'), 'MAX_RETRIES retry limit');
+
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([{
+            match: 'LOCAL EVIDENCE (numbered',
+            response: {
+                verdict: 'FAIL',
+                confidence: 0.8,
+                analysis: { strengths: [], weaknesses: ['Retry limit is 5, not 10'], risks: [] },
+                evidence_citations: [
+                    { id: 'E1', start_line: 31, end_line: 31, claim: 'retry limit is 10', stance: 'contradicts' },
+                    { id: 'E9', claim: 'made up', stance: 'supports' }
+                ]
+            }
+        }]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Paths, directories and globs expand to files
+    async testExpandSources() {
+        assert(globToRegExp('docs/**/*.md').test('docs/a.md'));
+        assert(globToRegExp('docs/**/*.md').test('docs/guides/b.md'));
+        assert(!globToRegExp('docs/*.md').test('docs/guides/b.md'));
+
+        const rel = async (patterns) =>
+            (await expandSources(patterns, TEST_DIR)).files.map(f => f.slice(TEST_DIR.length + 1));
+
+        assert.deepStrictEqual(await rel(['docs/**/*.md']), ['docs/config.md', 'docs/guides/deploy.md']);
+        assert.deepStrictEqual(await rel(['docs/*.md']), ['docs/config.md']);
+        assert.deepStrictEqual(await rel(['.']), ['docs/config.md', 'docs/guides/deploy.md', 'docs/logo.png', 'mock-responses.json']);
+        assert.deepStrictEqual(await rel(['missing.md']), []);
+    }
+
+    // Test 2: The file cap counts matches only, and sources stay inside the root
+    async testSourceLimits() {
+        const big = join(TEST_DIR, 'big');
+        await fs.mkdir(join(big, 'z'), { recursive: true });
+        for (let i = 0; i < 600; i++) {
+            await fs.writeFile(join(big, `note-${String(i).padStart(3, '0')}.txt`), 'x');
+        }
+        await fs.writeFile(join(big, 'z', 'readme.md'), 'Readme');
+
+        const matched = await expandSources(['**/*.md'], big);
+        assert.deepStrictEqual(matched.files, [join(big, 'z', 'readme.md')]);
+        assert.strictEqual(matched.truncated, false);
+
+        const everything = await expandSources(['.'], big);
+        assert.strictEqual(everything.files.length, 500);
+        assert.strictEqual(everything.truncated, true);
+
+        await assert.rejects(expandSources(['../docs/config.md'], big), /outside the repository root/);
+        await assert.rejects(expandSources(['/etc/passwd'], big), /outside the repository root/);
+        await assert.rejects(expandSources(['../**/*.md'], big), /outside the repository root/);
+
+        await fs.symlink('/etc', join(big, 'etc-link'));
+        await assert.rejects(expandSources(['etc-link'], big), /outside the repository root/);
+        await assert.rejects(expandSources(['etc-link/*'], big), /outside the repository root/);
+        await fs.symlink(join(big, 'z'), join(big, 'z-link'));
+        assert.deepStrictEqual((await expandSources(['z-link/*.md'], big)).files, [join(big, 'z-link', 'readme.md')],
+            'links that stay inside the root are fine');
+        assert.strictEqual((await expandSources(['.'], join(big, 'z'))).files.length, 1);
+
+        // Absolute paths inside the root are fine
+        assert.deepStrictEqual((await expandSources([join(big, 'z')], big)).files, [join(big, 'z', 'readme.md')]);
+        await fs.rm(big, { recursive: true, force: true });
+    }
+
+    // Test 3: BM25 finds the passage with the claim's terms
+    async testRetrieval() {
+        const { evidence, files_searched, files_truncated } = await retrieveEvidence(
+            ['docs'], 'The retry limit (MAX_RETRIES) defaults to 10', { root: TEST_DIR }
+        );
+
+        assert.strictEqual(files_searched, 3);
+        assert.strictEqual(files_truncated, false);
+        assert.strictEqual(evidence[0].id, 'E1');
+        assert.strictEqual(evidence[0].path, 'docs/config.md');
+        assert(evidence[0].start_line <= 31 && evidence[0].end_line >= 31);
+        assert(evidence.every(e => e.path !== 'docs/logo.png'), 'binary files are skipped');
+
+        // Windows of the same file never overlap
+        const config = evidence.filter(e => e.path === 'docs/config.md');
+        for (let i = 1; i < config.length; i++) {
+            assert(config.every((other, j) => j === i ||
+                other.end_line < config[i].start_line || config[i].end_line < other.start_line));
+        }
+
+        const formatted = formatEvidence(evidence.slice(0, 1));
+        assert(formatted.startsWith(`[E1] docs/config.md (lines ${evidence[0].start_line}-${evidence[0].end_line})`));
+        assert(formatted.includes('31: The retry limit is configured with MAX_RETRIES'));
+    }
+
+    // Test 4: Model citations are checked against the evidence table
+    async testResolveCitations() {
+        const evidence = [{ id: 'E1', path: 'docs/a.md', start_line: 10, end_line: 29 }];
+        const [inside, outside, unknown] = resolveEvidenceCitations([
+            { id: '[e1]', start_line: 12, end_line: 14, path: 'wrong.md' },
+            { id: 'E1', start_line: 2, end_line: 99 },
+            { id: 'E7' }
+        ], evidence);
+
+        assert.deepStrictEqual(inside, { id: 'E1', path: 'docs/a.md', start_line: 12, end_line: 14, verified: true });
+        assert.deepStrictEqual([outside.start_line, outside.end_line], [10, 29]);
+        assert.deepStrictEqual(unknown, { id: 'E7', verified: false });
+    }
+
+    // Test 5: verify_with_gemini cites evidence ids and line ranges
+    async testVerifyWithEvidence() {
+        const savedCwd = process.cwd();
+        process.chdir(TEST_DIR);
+        let verdict;
+        try {
+            verdict = await runVerification(VerifyArgs.parse({
+                artifact: 'The retry limit (MAX_RETRIES) defaults to 10.',
+                task: 'fact_check',
+                provider: 'mock',
+                grounding_sources: ['docs/**/*.md']
+            }));
+        } finally {
+            process.chdir(savedCwd);
+        }
+
+        assert.strictEqual(verdict.verdict, 'FAIL');
+        assert.deepStrictEqual(verdict.evidence_citations[0], {
+            id: 'E1',
+            start_line: 31,
+            end_line: 31,
+            claim: 'retry limit is 10',
+            stance: 'contradicts',
+            path: 'docs/config.md',
+            verified: true
+        });
+        assert.strictEqual(verdict.evidence_citations[1].verified, false);
+        assert.strictEqual(verdict.local_evidence.files_searched, 2);
+        assert.strictEqual(verdict.local_evidence.passages[0].path, 'docs/config.md');
+        assert(!('text' in verdict.local_evidence.passages[0]));
+    }
+
+    async runAll() {
+        console.log('🧪 Local Evidence Tests');
+        console.log('=======================');
+
+        await this.setup();
+
+        await this.runTest('Source expansion', this.testExpandSources);
+        await this.runTest('Source limits and confinement', this.testSourceLimits);
+        await this.runTest('BM25 retrieval', this.testRetrieval);
+        await this.runTest('Citation resolution', this.testResolveCitations);
+        await this.runTest('Verification with evidence', this.testVerifyWithEvidence);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=======================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new EvidenceTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
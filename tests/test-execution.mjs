@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for execution-based consensus over patch artifacts
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { extractPatch, rankCandidates, executePatches } from '../src/execution.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+
+const TEST_DIR = `/tmp/test-execution-${Date.now()}`;
+const REPO = join(TEST_DIR, 'repo');
+
+const git = (...args) => execFileSync('git', args, { cwd: REPO, encoding: 'utf8' });
+
+/**
+ * Edit lib.js, capture the diff and restore the file
+ */
+async function patchFor(source) {
+    await fs.writeFile(join(REPO, 'lib.js'), source);
+    const patch = git('diff');
+    git('checkout', '--', 'lib.js');
+    return patch;
+}
+
+class ExecutionTests {
+    constructor() {
+        this.testResults = [];
+        this.artifacts = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up execution tests...');
+        await fs.mkdir(REPO, { recursive: true });
+
+        await fs.writeFile(join(REPO, 'package.json'), JSON.stringify({
+            name: 'execution-fixture',
+            private: true,
+            scripts: { test: 'node test.js', lint: 'node lint.js' }
+        }, null, 2));
+        await fs.writeFile(join(REPO, 'lib.js'), 'module.exports.add = (a, b) => a - b;\n');
+        await fs.writeFile(join(REPO, 'test.js'), [
+            "const { add } = require('./lib.js');",
+            'const cases = [[0, 0, 0], [2, 2, 4], [1, 2, 3]];',
+            'const failed = cases.filter(([a, b, sum]) => add(a, b) !== sum).length;',
+            'console.log(`${cases.length - failed} passed, ${failed} failed`);',
+            'process.exit(failed > 0 ? 1 : 0);',
+            ''
+        ].join('\n'));
+        await fs.writeFile(join(REPO, 'lint.js'), [
+            "const source = require('fs').readFileSync('lib.js', 'utf8');",
+            'const errors = (source.match(/\\bvar\\b/g) || []).length;',
+            'console.log(`${errors} errors, 0 warnings`);',
+            'process.exit(errors > 0 ? 1 : 0);',
+            ''
+        ].join('\n'));
+
+        git('init', '-q');
+        git('add', '-A');
+        git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'fixture');
+
+        const fixed = await patchFor('module.exports.add = (a, b) => a + b;\n');
+        const sloppy = await patchFor('module.exports.add = (a, b) => { var sum = a + b; return sum; };\n');
+        const partial = await patchFor('module.exports.add = (a, b) => (a === b ? a + b : a - b);\n');
+
+        this.artifacts = [
+            { source: 'claude', content: `Fix the operator:\n\n\`\`\`diff\n${fixed}\`\`\`\n` },
+            { source: 'gpt', content: sloppy },
+            { source: 'gemini', content: partial },
+            { source: 'stale', content: fixed.replace('a - b', 'a * b') },
+            { source: 'prose', content: 'Change the minus sign in add() to a plus sign.' }
+        ];
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Patches are found in fenced blocks and bare answers
+    async testExtractPatch() {
+        const fenced = extractPatch(this.artifacts[0].content);
+        assert(fenced.startsWith('diff --git a/lib.js b/lib.js'));
+        assert(fenced.endsWith('\n'));
+
+        assert(extractPatch(`Here you go:\n${this.artifacts[1].content}`).startsWith('diff --git'));
+        assert.strictEqual(extractPatch(this.artifacts[4].content), null);
+        assert.strictEqual(extractPatch('--- a/x\n+++ b/x\nno hunks here'), null);
+    }
+
+    // Test 2: Ranking is lexicographic and ties name no winner
+    async testRanking() {
+        const executed = (source, failed, errors) => ({
+            source,
+            status: 'executed',
+            files: ['lib.js'],
+            tests: { passed: 3 - failed, failed, total: 3, skipped: 0 },
+            lint: { errors, warnings: 0, exit_code: errors > 0 ? 1 : 0 }
+        });
+
+        const candidates = [
+            executed('a', 1, 0),
+            executed('b', 0, 2),
+            { source: 'c', status: 'apply_failed', apply_error: 'patch does not apply' }
+        ];
+        const winner = rankCandidates(candidates);
+        assert.strictEqual(winner.source, 'b');
+        assert.strictEqual(winner.decided_by, 'tests_failed');
+        assert.deepStrictEqual(candidates.map(c => c.rank), [2, 1, 3]);
+        assert.strictEqual(winner.evidence[winner.evidence.length - 1], 'Beat a on failing tests: 0 vs 1');
+
+        const tie = rankCandidates([executed('a', 0, 0), executed('b', 0, 0)]);
+        assert.strictEqual(tie.source, null);
+        assert.deepStrictEqual(tie.tied, ['a', 'b']);
+
+        assert.strictEqual(rankCandidates([{ source: 'x', status: 'apply_failed', apply_error: '' }]).reason, 'No patch applied cleanly');
+        assert.strictEqual(rankCandidates([{ source: 'x', status: 'not_a_patch' }]).reason, 'No artifact contained a patch');
+    }
+
+    // Test 3: Each patch runs in its own worktree through the code adapter
+    async testExecutePatches() {
+        const execution = await executePatches(this.artifacts, { repo_root: REPO });
+        const bySource = Object.fromEntries(execution.candidates.map(c => [c.source, c]));
+
+        assert.strictEqual(execution.commit, git('rev-parse', 'HEAD').trim());
+
+        assert.strictEqual(bySource.claude.status, 'executed');
+        assert.deepStrictEqual(bySource.claude.files, ['lib.js']);
+        assert.strictEqual(bySource.claude.tests.passed, 3);
+        assert.strictEqual(bySource.claude.tests.failed, 0);
+        assert.strictEqual(bySource.claude.tests.command, 'npm test');
+        assert.strictEqual(bySource.claude.lint.errors, 0);
+
+        assert.strictEqual(bySource.gpt.tests.failed, 0);
+        assert.strictEqual(bySource.gpt.lint.errors, 1);
+
+        assert.strictEqual(bySource.gemini.tests.passed, 2);
+        assert.strictEqual(bySource.gemini.tests.failed, 1);
+
+        assert.strictEqual(bySource.stale.status, 'apply_failed');
+        assert.match(bySource.stale.apply_error, /patch failed|does not apply/);
+        assert.strictEqual(bySource.prose.status, 'not_a_patch');
+
+        assert.strictEqual(execution.winner.source, 'claude');
+        assert.strictEqual(execution.winner.decided_by, 'lint_errors');
+        assert(execution.winner.evidence.includes('3/3 tests passed, 0 failed (npm test)'));
+        assert(execution.winner.evidence.includes('Beat gpt on lint errors: 0 vs 1'));
+
+        // The repository itself is untouched and no worktrees are left behind
+        assert.strictEqual(git('status', '--porcelain'), '');
+        assert.strictEqual(git('worktree', 'list').trim().split('\n').length, 1);
+    }
+
+    // Test 4: consensus_check reports execution results only when asked
+    async testTool() {
+        let handler;
+        await registerConsensusTool({ registerTool: (name, config, h) => { handler = h; } });
+        const call = async (args) => JSON.parse((await handler(args)).content[0].text);
+
+        const artifacts = [this.artifacts[0], this.artifacts[3]];
+
+        const plain = await call({ artifacts, provider: 'mock' });
+        assert(!('execution' in plain));
+
+        const executed = await call({ artifacts, provider: 'mock', execute_patches: { repo_root: REPO } });
+        assert.strictEqual(executed.execution.winner.source, 'claude');
+        assert.strictEqual(executed.execution.winner.decided_by, 'applied');
+        assert(executed.execution.winner.evidence.includes('Only patch that applied; stale did not'));
+
+        const missing = await call({ artifacts, provider: 'mock', execute_patches: { repo_root: REPO, ref: 'no-such-ref' } });
+        assert.match(missing.execution.error, /Cannot resolve no-such-ref/);
+    }
+
+    async runAll() {
+        console.log('🧪 Execution Tests');
+        console.log('==================');
+
+        await this.setup();
+
+        await this.runTest('Patch extraction', this.testExtractPatch);
+        await this.runTest('Candidate ranking', this.testRanking);
+        await this.runTest('Worktree execution', this.testExecutePatches);
+        await this.runTest('consensus_check execute_patches option', this.testTool);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new ExecutionTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for grade_against_reference
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { runCheck, getPath, combineGrades, registerGradeTool } from '../src/grade.mjs';
+import { GradeArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-grade-${Date.now()}`;
+
+const REFERENCE = 'The Eiffel Tower is 330 metres tall and was completed in 1889 for the World\'s Fair.';
+
+class GradeTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up grade tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async useMockResponses(entries) {
+        const mockFile = join(TEST_DIR, `mock-${Date.now()}.json`);
+        await fs.writeFile(mockFile, JSON.stringify(entries));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Deterministic checks
+    async testChecks() {
+        const exact = (value, artifact, extra = {}) => runCheck({ type: 'exact', value, case_sensitive: true, ...extra }, artifact, '').passed;
+        assert.strictEqual(exact('330', 'It is 330 metres tall.'), true);
+        assert.strictEqual(exact('330', 'It is 3300 metres tall.'), false);
+        assert.strictEqual(exact('3.14', 'pi is about 3.145'), false);
+        assert.strictEqual(exact('1889', 'Completed in 1889.'), true, 'a trailing full stop is not a decimal');
+        assert.strictEqual(exact('paris', 'Paris, France'), false);
+        assert.strictEqual(exact('paris', 'Paris, France', { case_sensitive: false }), true);
+        assert.strictEqual(exact(200, '{"status": 200}', { path: 'status' }), true);
+
+        const regex = runCheck({ type: 'regex', pattern: '\\b18\\d\\d\\b', flags: '' }, 'Built in 1889.', '');
+        assert.deepStrictEqual(regex, { passed: true, detail: '/\\b18\\d\\d\\b/ matched 1889' });
+
+        const artifact = '```json\n{"result": {"items": [{"id": "a"}, {"id": "b"}]}}\n```';
+        assert.strictEqual(getPath({ a: [{ b: 1 }] }, 'a[0].b'), 1);
+        assert.strictEqual(runCheck({ type: 'json_equal', path: 'result.items[1]', value: { id: 'b' } }, artifact, '').passed, true);
+        assert.strictEqual(runCheck({ type: 'json_equal' }, '{"a": [1, 2]}', '{ "a": [1, 2] }').passed, true, 'defaults to the reference');
+        assert.strictEqual(runCheck({ type: 'json_equal' }, '{"a": [2, 1]}', '{"a": [1, 2]}').passed, false);
+
+        const missing = runCheck({ type: 'json_equal', path: 'result.count', value: 2 }, artifact, '');
+        assert.deepStrictEqual(missing, { passed: false, detail: 'Artifact has no value at result.count' });
+        assert.match(runCheck({ type: 'regex', pattern: 'x', flags: '', path: 'a' }, 'not json', '').detail, /Artifact is not JSON/);
+    }
+
+    // Test 2: Weighted score; unscored model items count as zero
+    async testCombine() {
+        const items = [
+            { id: 'height', description: 'Height', weight: 2, check: { type: 'exact' }, passed: true, detail: 'found' },
+            { id: 'date', description: 'Date', weight: 1, check: { type: 'regex' }, passed: false, detail: 'no match' },
+            { id: 'context', description: 'Context', weight: 1 }
+        ];
+
+        const grade = combineGrades(items, {
+            items: [{ id: 'context', score: 0.5, reasoning: 'Mentions the fair only vaguely' }, { id: 'height', score: 0, reasoning: 'ignored' }],
+            missing_facts: ['Completed in 1889'],
+            extra_facts: [],
+            summary: 'Partly correct'
+        }, 0.7);
+
+        assert.deepStrictEqual(grade.items.map(i => [i.id, i.method, i.score]), [['height', 'exact', 1], ['date', 'regex', 0], ['context', 'model', 0.5]]);
+        assert.strictEqual(grade.score, 0.625, '(2 * 1 + 1 * 0 + 1 * 0.5) / 4');
+        assert.strictEqual(grade.passed, false);
+        assert.deepStrictEqual(grade.missing_facts, ['Completed in 1889']);
+
+        const failed = combineGrades(items, null, 0.5);
+        assert.strictEqual(failed.items[2].graded, false);
+        assert.strictEqual(failed.score, 0.5);
+        assert.strictEqual(failed.passed, true);
+    }
+
+    // Test 3: grade_against_reference through the provider, and argument validation
+    async testTool() {
+        let handler;
+        await registerGradeTool({ registerTool: (name, config, h) => { handler = h; } });
+        const call = async (args) => JSON.parse((await handler(args)).content[0].text);
+
+        await this.useMockResponses([{
+            match: 'reference grader',
+            response: {
+                items: [{ id: 'purpose', score: 1, reasoning: 'Names the World\'s Fair' }],
+                missing_facts: ['Completed in 1889'],
+                extra_facts: ['Designed by Gustave Eiffel himself'],
+                summary: 'Correct height, wrong year'
+            }
+        }]);
+
+        const result = await call({
+            artifact: 'Designed by Gustave Eiffel himself, the 330 m tower opened in 1887 for the World\'s Fair.',
+            reference: REFERENCE,
+            rubric: [
+                { id: 'height', description: 'States the height', check: { type: 'exact', value: 330 } },
+                { id: 'year', description: 'States the completion year', weight: 2, check: { type: 'regex', pattern: '\\b1889\\b' } },
+                { id: 'purpose', description: 'Explains why it was built' }
+            ],
+            provider: 'mock'
+        });
+
+        assert.deepStrictEqual(result.items.map(i => [i.id, i.score]), [['height', 1], ['year', 0], ['purpose', 1]]);
+        assert.strictEqual(result.score, 0.5);
+        assert.strictEqual(result.passed, false);
+        assert.deepStrictEqual(result.extra_facts, ['Designed by Gustave Eiffel himself']);
+        assert.strictEqual(result.parse_status, 'ok');
+        assert.strictEqual(result.truncation.truncated, false);
+
+        // Default rubric: one model-scored item
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        const fallback = await call({ artifact: 'x', reference: 'y', provider: 'mock' });
+        assert.deepStrictEqual(fallback.items.map(i => [i.id, i.graded]), [['agreement', false]]);
+
+        assert.throws(() => GradeArgs.parse({ artifact: 'x', reference: 'y', rubric: [{ description: 'd', check: { type: 'regex', pattern: '(' } }] }), /Invalid regular expression/);
+        assert.throws(() => GradeArgs.parse({ artifact: 'x', reference: 'y', rubric: [{ description: 'd', check: { type: 'exact', value: 1, path: 'a..b' } }] }), /path must look like/);
+        assert.throws(() => GradeArgs.parse({ artifact: 'x', reference: 'y', rubric: [{ id: 'a', description: 'd' }, { id: 'a', description: 'e' }] }), /must be unique/);
+    }
+
+    // Test 4: Long texts are cut by counted tokens; checks still read the full artifact
+    async testTokenBudget() {
+        let handler;
+        await registerGradeTool({ registerTool: (name, config, h) => { handler = h; } });
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = '8192';
+        try {
+            const result = JSON.parse((await handler({
+                artifact: `${'filler '.repeat(6000)}It was completed in 1889.`,
+                reference: REFERENCE.repeat(200),
+                rubric: [
+                    { id: 'year', description: 'States the completion year', check: { type: 'regex', pattern: '\\b1889\\b' } },
+                    { id: 'purpose', description: 'Explains why it was built' }
+                ],
+                provider: 'mock'
+            })).content[0].text);
+
+            assert.strictEqual(result.items.find(i => i.id === 'year').score, 1);
+            assert.strictEqual(result.truncation.truncated, true);
+            assert.deepStrictEqual(result.truncation.details.map(d => d.field), ['reference', 'artifact']);
+            assert.strictEqual(result.token_budget.context_window, 8192);
+            assert.ok(result.token_budget.prompt_tokens <= result.token_budget.input_budget);
+        } finally {
+            delete process.env.ADJUDICATOR_CONTEXT_TOKENS;
+        }
+    }
+
+    async runAll() {
+        console.log('🧪 Grade Tests');
+        console.log('==============');
+
+        await this.setup();
+
+        await this.runTest('Deterministic checks', this.testChecks);
+        await this.runTest('Combined grade', this.testCombine);
+        await this.runTest('grade_against_reference tool', this.testTool);
+        await this.runTest('Token budget', this.testTokenBudget);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==============');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new GradeTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for Google Search grounding and citation verification
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { searchTools, extractGrounding, reconcileCitations } from '../src/grounding.mjs';
+import { runVerification } from '../src/verify.mjs';
+import { VerifyArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-grounding-${Date.now()}`;
+
+const GROUNDING_METADATA = {
+    webSearchQueries: ['node 20 release date'],
+    groundingChunks: [
+        { web: { uri: 'https://vertexaisearch.cloud.google.com/grounding-api-redirect/abc', title: 'nodejs.org' } },
+        { web: { uri: 'https://en.wikipedia.org/wiki/Node.js', title: 'wikipedia.org' } }
+    ],
+    groundingSupports: [
+        { segment: { text: 'Node.js 20 was released in April 2023.' }, groundingChunkIndices: [0, 1] },
+        { segment: { text: 'It became LTS in October 2023.' }, groundingChunkIndices: [0] }
+    ]
+};
+
+class GroundingTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up grounding tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([{
+            match: 'Node.js 20',
+            response: {
+                verdict: 'PASS',
+                confidence: 0.9,
+                analysis: { strengths: ['Dates are correct'], weaknesses: [], risks: [] },
+                citations: [
+                    { url: 'https://nodejs.org/en/blog/release/v20.0.0', title: 'Node v20.0.0' },
+                    { url: 'https://made-up.example.com/node', title: 'Invented source' }
+                ]
+            },
+            groundingMetadata: GROUNDING_METADATA
+        }]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Search tool matches the model generation
+    async testSearchTools() {
+        assert.deepStrictEqual(searchTools('gemini-2.5-flash'), [{ googleSearch: {} }]);
+        assert.deepStrictEqual(searchTools('gemini-1.5-pro'), [{ googleSearchRetrieval: {} }]);
+    }
+
+    // Test 2: Grounding chunks become verified citations with snippets
+    async testExtract() {
+        const { citations, search_queries } = extractGrounding([
+            { response: { candidates: [{ groundingMetadata: GROUNDING_METADATA }] } }
+        ]);
+
+        assert.deepStrictEqual(search_queries, ['node 20 release date']);
+        assert.strictEqual(citations.length, 2);
+        assert.strictEqual(citations[0].snippet,
+            'Node.js 20 was released in April 2023. … It became LTS in October 2023.');
+        assert.strictEqual(citations[1].snippet, 'Node.js 20 was released in April 2023.');
+        assert(citations.every(c => c.verified && c.source === 'google_search'));
+
+        assert.deepStrictEqual(extractGrounding([{ response: { candidates: [{}] } }]).citations, []);
+    }
+
+    // Test 3: Model citations without a grounding chunk are flagged
+    async testReconcile() {
+        const { citations: grounded } = extractGrounding([
+            { response: { candidates: [{ groundingMetadata: GROUNDING_METADATA }] } }
+        ]);
+
+        const merged = reconcileCitations([
+            { url: 'https://en.wikipedia.org/wiki/Node.js/', title: 'Wikipedia' },
+            { url: 'https://docs.nodejs.org/api', title: 'Docs' },
+            { url: 'https://blog.example.com/post', title: 'Blog' }
+        ], grounded);
+
+        assert.strictEqual(merged.length, 3);
+        assert.deepStrictEqual(merged[2], {
+            url: 'https://blog.example.com/post',
+            title: 'Blog',
+            verified: false,
+            source: 'model'
+        });
+    }
+
+    // Test 4: Verdicts carry verified and unverified citations end to end
+    async testVerifyGrounded() {
+        const verdict = await runVerification(VerifyArgs.parse({
+            artifact: 'Node.js 20 was released in April 2023.',
+            task: 'fact_check',
+            ground_with_search: true,
+            provider: 'mock'
+        }));
+
+        assert.strictEqual(verdict.citations.filter(c => c.verified).length, 2);
+        const unverified = verdict.citations.filter(c => !c.verified);
+        assert.deepStrictEqual(unverified.map(c => c.url), ['https://made-up.example.com/node']);
+        assert.deepStrictEqual(verdict.grounding, {
+            requested: true,
+            searched: true,
+            search_queries: ['node 20 release date'],
+            verified_citations: 2,
+            unverified_citations: 1
+        });
+    }
+
+    async runAll() {
+        console.log('🧪 Grounding Tests');
+        console.log('==================');
+
+        await this.setup();
+
+        await this.runTest('Search tool selection', this.testSearchTools);
+        await this.runTest('Grounding extraction', this.testExtract);
+        await this.runTest('Citation reconciliation', this.testReconcile);
+        await this.runTest('Grounded verification', this.testVerifyGrounded);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new GroundingTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for the shared HTTP transport
+ * Starts the adjudicator on a free port with a capture server standing in
+ * for the monitoring dashboard.
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { startHttpServer } from '../src/http-transport.mjs';
+import { createAdjudicatorServer } from '../src/server.mjs';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+
+const TOKEN = 'test-token-123';
+const TEST_DIR = `/tmp/test-http-transport-${Date.now()}`;
+
+class HttpTransportTests {
+    constructor() {
+        this.testResults = [];
+        this.monitorEvents = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up HTTP transport tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+
+        this.monitor = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                this.monitorEvents.push(JSON.parse(body));
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => this.monitor.listen(0, '127.0.0.1', resolve));
+        process.env.MONITOR_URL = `http://127.0.0.1:${this.monitor.address().port}/log`;
+
+        this.adjudicator = await startHttpServer(createAdjudicatorServer, { token: TOKEN, port: 0 });
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        await this.adjudicator.close();
+        await new Promise(resolve => this.monitor.close(resolve));
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async connect(TransportClass, path, token = TOKEN) {
+        const transport = new TransportClass(new URL(`${this.adjudicator.url}${path}`), {
+            requestInit: { headers: { Authorization: `Bearer ${token}` } },
+            eventSourceInit: {
+                fetch: (url, init) => fetch(url, {
+                    ...init,
+                    headers: { ...init?.headers, Authorization: `Bearer ${token}` }
+                })
+            }
+        });
+        const client = new Client({ name: 'test-client', version: '0.0.0' });
+        await client.connect(transport);
+        return client;
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Requests without the right bearer token are rejected
+    async testAuth() {
+        const missing = await fetch(`${this.adjudicator.url}/mcp`, { method: 'POST' });
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer realm="adjudicator"');
+
+        await assert.rejects(this.connect(StreamableHTTPClientTransport, '/mcp', 'wrong-token'));
+
+        const health = await fetch(`${this.adjudicator.url}/health`);
+        assert.strictEqual((await health.json()).status, 'ok');
+    }
+
+    // Test 2: Two clients share one instance over Streamable HTTP
+    async testStreamableHttp() {
+        const first = await this.connect(StreamableHTTPClientTransport, '/mcp');
+        const second = await this.connect(StreamableHTTPClientTransport, '/mcp');
+
+        try {
+            const { tools } = await first.listTools();
+            assert(tools.some(t => t.name === 'verify_with_gemini'));
+
+            const { prompts } = await second.listPrompts();
+            assert(prompts.some(p => p.name === 'code_review'));
+
+            const health = await (await fetch(`${this.adjudicator.url}/health`)).json();
+            assert.strictEqual(health.sessions, 2);
+        } finally {
+            await first.close();
+            await second.close();
+        }
+    }
+
+    // Test 3: Legacy SSE clients still work
+    async testSse() {
+        const client = await this.connect(SSEClientTransport, '/sse');
+        try {
+            const { resources } = await client.listResources();
+            assert(resources.some(r => r.uri.startsWith('adjudicator://profiles/')));
+        } finally {
+            await client.close();
+        }
+    }
+
+    // Test 4: Tools are listed with their schemas and answer real calls
+    async testToolCall() {
+        const client = await this.connect(StreamableHTTPClientTransport, '/mcp');
+        try {
+            const { tools } = await client.listTools();
+            const verify = tools.find(t => t.name === 'verify_with_gemini');
+            assert(verify.inputSchema.properties.artifact, 'inputSchema lists the arguments');
+            assert(verify.inputSchema.required.includes('artifact'));
+            assert(tools.find(t => t.name === 'verify_batch').inputSchema.properties.items);
+
+            const result = await client.callTool({
+                name: 'verify_with_gemini',
+                arguments: { artifact: 'Water boils at 100 C at sea level.', provider: 'mock' }
+            });
+            assert(!result.isError, result.content?.[0]?.text);
+            const verdict = JSON.parse(result.content[0].text);
+            assert(['PASS', 'FAIL', 'NEEDS_IMPROVEMENT'].includes(verdict.verdict));
+            assert.strictEqual(verdict.parse_status, 'ok');
+
+            // Arguments the schema rejects never reach the handler
+            const invalid = await client.callTool({ name: 'verify_with_gemini', arguments: { task: 'fact_check' } })
+                .catch(error => ({ isError: true, content: [{ text: error.message }] }));
+            assert(invalid.isError);
+            assert.match(invalid.content[0].text, /artifact/);
+        } finally {
+            await client.close();
+        }
+    }
+
+    // Test 5: Idle and surplus sessions are closed
+    async testSessionEviction() {
+        const server = await startHttpServer(createAdjudicatorServer, { token: TOKEN, port: 0, maxSessions: 2, idleTimeoutMs: 400 });
+        const connect = async () => {
+            const client = new Client({ name: 'test-client', version: '0.0.0' });
+            await client.connect(new StreamableHTTPClientTransport(new URL(`${server.url}/mcp`), {
+                requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+            }));
+            return client;
+        };
+        const sessions = async () => (await (await fetch(`${server.url}/health`)).json()).sessions;
+
+        try {
+            const first = await connect();
+            const second = await connect();
+            await second.listTools();
+            const third = await connect();
+
+            assert.strictEqual(await sessions(), 2);
+            await assert.rejects(first.listTools(), 'the least recently used session was closed');
+            await second.listTools();
+            await third.listTools();
+            assert(this.monitorEvents.some(e => e.type === 'mcp_session_evicted'));
+
+            // Requests keep a session alive; silence closes it
+            for (let i = 0; i < 8; i++) {
+                await new Promise(resolve => setTimeout(resolve, 150));
+                await third.listTools();
+            }
+            assert.strictEqual(await sessions(), 1);
+            await assert.rejects(second.listTools());
+            await third.listTools();
+
+            await new Promise(resolve => setTimeout(resolve, 1200));
+            assert.strictEqual(await sessions(), 0);
+            await assert.rejects(third.listTools());
+
+            await Promise.all([first, second, third].map(client => client.close().catch(() => {})));
+        } finally {
+            await server.close();
+        }
+    }
+
+    // Test 6: Calls are reported to the monitoring server in the dashboard's shape
+    async testMonitorLog() {
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const listed = this.monitorEvents.find(e => e.type === 'mcp_request' && e.method === 'tools/list');
+        assert(listed, 'tools/list should be logged');
+        assert(listed.taskId.startsWith('mcp-'));
+        assert.strictEqual(listed.status, 'INFO');
+        assert(listed.feedback.includes('HTTP 200'));
+
+        assert(this.monitorEvents.some(e => e.type === 'mcp_auth_failed' && e.status === 'FAIL'));
+        assert(this.monitorEvents.some(e => e.type === 'mcp_session_opened'));
+    }
+
+    async runAll() {
+        console.log('🧪 HTTP Transport Tests');
+        console.log('=======================');
+
+        await this.setup();
+
+        await this.runTest('Bearer token auth', this.testAuth);
+        await this.runTest('Shared Streamable HTTP instance', this.testStreamableHttp);
+        await this.runTest('Legacy SSE transport', this.testSse);
+        await this.runTest('Tool calls end to end', this.testToolCall);
+        await this.runTest('Session eviction', this.testSessionEviction);
+        await this.runTest('Monitoring log', this.testMonitorLog);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=======================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new HttpTransportTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
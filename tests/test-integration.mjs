@@ -131,40 +131,61 @@ class IntegrationTester {
 
     /**
      * Test 4: Test MCP server verification call
+     * Records a verdict to a cassette, then replays it with no API key
+     * and no network so the verdict is stable across runs.
      */
     async testMCPVerification() {
-        const mockRequest = {
-            jsonrpc: "2.0",
-            method: "tools/call",
-            params: {
-                name: "verify_with_gemini",
-                arguments: {
-                    task: "Create 5 documentation files",
-                    artifact: "Created files: doc1.md, doc2.md",
-                    tests_json: JSON.stringify({
-                        expected_count: 5,
-                        actual_count: 2
-                    })
-                }
-            }
+        const args = {
+            task: "fact_check",
+            artifact: "Created files: doc1.md, doc2.md",
+            tests_json: JSON.stringify({
+                expected_count: 5,
+                actual_count: 2
+            })
         };
 
-        // Here we would normally call the actual MCP server
-        // For testing, we simulate the expected response
-        const mockResponse = {
-            verdict: "FAIL",
-            confidence: 1.0,
-            detailed_feedback: "Only 2 out of 5 files created",
-            analysis: {
-                expected: 5,
-                actual: 2,
-                missing: 3
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([{
+            match: 'critical evaluator',
+            response: {
+                verdict: "FAIL",
+                confidence: 1.0,
+                detailed_feedback: "Only 2 out of 5 files created",
+                analysis: { strengths: [], weaknesses: ["3 files missing"], risks: [] }
             }
-        };
+        }]));
+
+        process.env.ADJUDICATOR_CASSETTE_DIR = join(TEST_DIR, 'cassettes');
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+
+        // Record against the mock provider, under two model ids
+        process.env.ADJUDICATOR_CASSETTE = 'record';
+        const recorded = await this.callTool('verify_with_gemini', { ...args, provider: 'mock' });
+        await this.callTool('verify_with_gemini', { ...args, provider: 'mock', model: 'mock-judge-2' });
+        const cassettes = await fs.readdir(process.env.ADJUDICATOR_CASSETTE_DIR);
+
+        // Replay without credentials or network
+        const savedKey = process.env.GEMINI_API_KEY;
+        delete process.env.GEMINI_API_KEY;
+        process.env.ADJUDICATOR_CASSETTE = 'replay';
+        let replayed, replayedJudge, unrecorded;
+        try {
+            replayed = await this.callTool('verify_with_gemini', { ...args, provider: 'mock' });
+            replayedJudge = await this.callTool('verify_with_gemini', { ...args, provider: 'mock', model: 'mock-judge-2' });
+            unrecorded = await this.callTool('verify_with_gemini', { ...args, provider: 'mock', model: 'mock-judge-3' });
+        } finally {
+            delete process.env.ADJUDICATOR_CASSETTE;
+            if (savedKey) process.env.GEMINI_API_KEY = savedKey;
+        }
 
         return {
-            success: mockResponse.verdict === 'FAIL' && mockResponse.analysis.missing === 3,
-            message: `MCP verification correctly identified 3 missing files`
+            success: recorded.verdict === 'FAIL' && replayed.verdict === 'FAIL' &&
+                replayed.detailed_feedback === recorded.detailed_feedback &&
+                cassettes.length === 2 &&
+                replayed.model_call?.answered_by === 'mock' &&
+                replayedJudge.model_call?.answered_by === 'mock-judge-2' &&
+                /No cassette recorded for mock-judge-3/.test(unrecorded.detailed_feedback),
+            message: `Replayed verdict ${replayed.verdict} matches recorded verdict offline; one cassette per model (${cassettes.length})`
         };
     }
 
@@ -239,6 +260,23 @@ class IntegrationTester {
     }
 
     // Helper methods
+    async callTool(name, args) {
+        const { registerVerifyTool } = await import('../src/verify.mjs');
+        const { registerConsensusTool } = await import('../src/consensus.mjs');
+
+        const tools = {};
+        const server = {
+            registerTool: (toolName, config, handler) => {
+                tools[toolName] = handler;
+            }
+        };
+        await registerVerifyTool(server);
+        await registerConsensusTool(server);
+
+        const result = await tools[name](args);
+        return JSON.parse(result.content[0].text);
+    }
+
     extractQuantity(prompt) {
         const match = prompt.match(/\d+/);
         return match ? parseInt(match[0]) : 0;
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for background verification jobs, progress notifications and
+ * cancellation
+ */
+
+import http from 'http';
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { registerVerifyTool } from '../src/verify.mjs';
+import { registerBatchTool } from '../src/batch.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+import { registerJobTools, recoverJobs } from '../src/jobs.mjs';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+
+const TEST_DIR = `/tmp/test-jobs-${Date.now()}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const verdict = (verdict, confidence) => ({
+    verdict,
+    confidence,
+    analysis: { strengths: [], weaknesses: [], risks: [] }
+});
+
+class JobTests {
+    constructor() {
+        this.testResults = [];
+        this.stubServer = null;
+        this.requests = 0;
+        this.tools = {};
+    }
+
+    async setup() {
+        console.log('🔧 Setting up job tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([
+            { match: 'BROKEN_LOGIN', response: verdict('FAIL', 0.9) }
+        ]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+
+        // Slow OpenAI-compatible stand-in that counts requests
+        this.stubServer = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', async () => {
+                this.requests += 1;
+                await sleep(150);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    choices: [{ message: { role: 'assistant', content: JSON.stringify(verdict('PASS', 0.8)) } }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+                }));
+            });
+        });
+        await new Promise(resolve => this.stubServer.listen(0, '127.0.0.1', resolve));
+        process.env.OPENAI_BASE_URL = `http://127.0.0.1:${this.stubServer.address().port}/v1`;
+
+        const server = { registerTool: (name, config, handler) => { this.tools[name] = handler; } };
+        await registerVerifyTool(server);
+        await registerBatchTool(server);
+        await registerConsensusTool(server);
+        await registerJobTools(server);
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        delete process.env.OPENAI_BASE_URL;
+        await new Promise(resolve => this.stubServer.close(resolve));
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async call(tool, args, extra) {
+        return JSON.parse((await this.tools[tool](args, extra)).content[0].text);
+    }
+
+    progressExtra(token, notifications) {
+        return {
+            _meta: { progressToken: token },
+            sendNotification: async (notification) => { notifications.push(notification); }
+        };
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: An async call returns a job id and the result is fetched later
+    async testAsyncJob() {
+        const submitted = await this.call('verify_with_gemini', {
+            artifact: 'Water boils at 100 C at sea level.',
+            provider: 'openai',
+            model: 'slow-model',
+            async: true
+        });
+        assert.strictEqual(submitted.status, 'queued');
+        assert.strictEqual(submitted.tool, 'verify_with_gemini');
+        assert(submitted.job_id);
+
+        const notifications = [];
+        const job = await this.call('get_verification_result',
+            { job_id: submitted.job_id, wait_seconds: 10 },
+            this.progressExtra('wait-1', notifications));
+
+        assert.strictEqual(job.status, 'completed');
+        assert.strictEqual(job.attempts, 1);
+        assert.strictEqual(job.result.verdict, 'PASS');
+        assert.strictEqual(job.result.usage.calls, 1);
+        assert.strictEqual(job.progress.progress, 1);
+        assert.match(job.progress.message, /slow-model answered \(1 model call\)/);
+        assert(job.finished_at);
+
+        assert(notifications.length >= 1, 'waiting relays progress');
+        assert(notifications.every(n => n.method === 'notifications/progress' && n.params.progressToken === 'wait-1'));
+
+        // Reading a finished job does not wait
+        const again = await this.call('get_verification_result', { job_id: submitted.job_id });
+        assert.deepStrictEqual(again, job);
+
+        const missing = await this.call('get_verification_result', { job_id: 'no-such-job' });
+        assert.strictEqual(missing.status, 'not_found');
+    }
+
+    // Test 2: Cancelling a running batch stops it before its next model call and keeps finished items
+    async testCancel() {
+        const items = Array.from({ length: 6 }, (_, i) => ({ id: `file-${i}`, artifact: `File ${i}` }));
+        const submitted = await this.call('verify_batch', {
+            items, provider: 'openai', model: 'slow-model', concurrency: 1, requests_per_minute: 6000, async: true
+        });
+        const before = this.requests;
+
+        let job;
+        do {
+            await sleep(50);
+            job = await this.call('get_verification_result', { job_id: submitted.job_id });
+        } while (job.progress.progress < 1);
+        assert.strictEqual(job.status, 'running');
+        assert.strictEqual(job.progress.total, 6);
+        assert.match(job.progress.message, /file-0: PASS \(1\/6\)/);
+
+        const cancelled = await this.call('cancel_verification', { job_id: submitted.job_id });
+        assert.deepStrictEqual(cancelled, { job_id: submitted.job_id, cancelled: true, status: 'cancelled' });
+
+        await sleep(400);
+        job = await this.call('get_verification_result', { job_id: submitted.job_id });
+        assert.strictEqual(job.status, 'cancelled');
+        assert(this.requests - before <= 2, 'no further items run after the cancel');
+
+        // Items finished before the cancel are kept
+        assert.strictEqual(job.result.cancelled, true);
+        assert.strictEqual(job.result.items.length, 6);
+        assert.strictEqual(job.result.items[0].status, 'ok');
+        assert.strictEqual(job.result.items[0].verdict, 'PASS');
+        assert(job.result.items.slice(2).every(item => item.status === 'cancelled'));
+        assert.strictEqual(job.result.summary.verified + job.result.summary.cancelled, 6);
+
+        const twice = await this.call('cancel_verification', { job_id: submitted.job_id });
+        assert.strictEqual(twice.cancelled, false);
+        assert.strictEqual(twice.message, 'Job already cancelled');
+
+        const unknown = await this.call('cancel_verification', { job_id: 'no-such-job' });
+        assert.strictEqual(unknown.status, 'not_found');
+    }
+
+    // Test 3: Jobs left behind by a stopped server are taken over
+    async testRecovery() {
+        const storage = await getServerStorage();
+        const leave = (jobId, tool, owner, age) => {
+            storage.createJob({ job_id: jobId, tool, args: { artifact: 'BROKEN_LOGIN', provider: 'mock' }, owner });
+            storage.db.prepare(`
+                UPDATE jobs SET status = 'running', attempts = 1, heartbeat_at = datetime('now', ?) WHERE job_id = ?
+            `).run(age, jobId);
+        };
+        leave('stale-job', 'verify_with_gemini', 'stopped-server', '-5 minutes');
+        leave('busy-job', 'verify_with_gemini', 'other-server', '-1 seconds');
+        leave('foreign-job', 'unknown_tool', 'stopped-server', '-5 minutes');
+
+        storage.createJob({ job_id: 'old-job', tool: 'verify_with_gemini', args: {}, owner: 'stopped-server' });
+        storage.db.prepare(`
+            UPDATE jobs SET status = 'completed', finished_at = datetime('now', '-30 days') WHERE job_id = 'old-job'
+        `).run();
+
+        assert.strictEqual(await recoverJobs(), 1);
+
+        const job = await this.call('get_verification_result', { job_id: 'stale-job', wait_seconds: 5 });
+        assert.strictEqual(job.status, 'completed');
+        assert.strictEqual(job.attempts, 2);
+        assert.strictEqual(job.result.verdict, 'FAIL');
+
+        assert.strictEqual(storage.getJob('busy-job').status, 'running', 'live jobs are not taken over');
+        assert.strictEqual(storage.getJob('busy-job').owner, 'other-server');
+        assert.strictEqual(storage.getJob('foreign-job').status, 'running', 'jobs for unknown tools are left alone');
+        assert.strictEqual(storage.getJob('old-job'), null, 'finished jobs past retention are deleted');
+
+        // Another server cancelling the job is noticed at the next heartbeat
+        assert.strictEqual(storage.cancelJob('busy-job'), true);
+        assert.strictEqual(storage.touchJob('busy-job', 'other-server'), 'cancelled');
+        assert.strictEqual(storage.finishJob('busy-job', 'other-server', { status: 'completed', result: {} }), false);
+    }
+
+    // Test 4: Direct calls report progress and honour cancellation
+    async testDirectCalls() {
+        const notifications = [];
+        const result = await this.call('verify_with_gemini',
+            { artifact: 'Fine.', provider: 'openai', model: 'slow-model' },
+            this.progressExtra('direct-1', notifications));
+        assert.strictEqual(result.verdict, 'PASS');
+        assert.strictEqual(notifications.length, 1);
+        assert.strictEqual(notifications[0].params.progress, 1);
+        assert.match(notifications[0].params.message, /slow-model answered \(1 model call\)/);
+
+        const controller = new AbortController();
+        controller.abort();
+        const before = this.requests;
+
+        const cancelled = await this.call('verify_with_gemini',
+            { artifact: 'Fine.', provider: 'openai', model: 'slow-model' },
+            { signal: controller.signal });
+        assert.strictEqual(cancelled.cancelled, true);
+        assert.strictEqual(cancelled.verdict, 'NEEDS_IMPROVEMENT');
+        assert.strictEqual(cancelled.model_unavailable, undefined, 'a cancel is not an outage');
+
+        const consensus = await this.call('consensus_check', {
+            artifacts: [{ source: 'a', content: 'The sky is blue.' }, { source: 'b', content: 'The sky is blue.' }],
+            provider: 'openai',
+            model: 'slow-model'
+        }, { signal: controller.signal });
+        assert.strictEqual(consensus.cancelled, true);
+        assert.strictEqual(consensus.parse_status, 'error');
+
+        const batch = await this.call('verify_batch', { items: [{ artifact: 'Fine.' }], provider: 'openai' }, { signal: controller.signal });
+        assert.strictEqual(batch.cancelled, true);
+        assert.deepStrictEqual(batch.items.map(item => item.status), ['cancelled']);
+        assert.strictEqual(batch.summary.cancelled, 1);
+
+        assert.strictEqual(this.requests, before, 'cancelled calls reach no model');
+    }
+
+    async runAll() {
+        console.log('🧪 Verification Job Tests');
+        console.log('=========================');
+
+        await this.setup();
+
+        await this.runTest('Async job lifecycle', this.testAsyncJob);
+        await this.runTest('Cancelling a running job', this.testCancel);
+        await this.runTest('Recovering abandoned jobs', this.testRecovery);
+        await this.runTest('Progress and cancellation of direct calls', this.testDirectCalls);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=========================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new JobTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
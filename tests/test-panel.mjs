@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for multi-judge panel verification
+ */
+
+import assert from 'assert';
+import { aggregateVerdicts, runPanel, verdictContext } from '../src/panel.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+import { VerifyArgs } from '../src/schemas.mjs';
+
+const verdict = (v, confidence, weaknesses = []) => ({
+    verdict: v,
+    confidence,
+    analysis: { strengths: [], weaknesses, risks: [] },
+    recommendations: [],
+    detailed_feedback: `${v} at ${confidence}`,
+    parse_status: 'ok'
+});
+
+class PanelTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Majority vote, agreement statistics and dissent
+    async testMajority() {
+        const result = aggregateVerdicts([
+            { judge: 'a', weight: 1, verdict: verdict('PASS', 0.9) },
+            { judge: 'b', weight: 1, verdict: verdict('PASS', 0.6) },
+            { judge: 'c', weight: 1, verdict: verdict('FAIL', 0.95, ['SQL injection in login']) },
+            { judge: 'd', weight: 1, verdict: null },
+            { judge: 'e', weight: 1, verdict: { ...verdict('NEEDS_IMPROVEMENT', 0), parse_status: 'failed' } }
+        ]);
+
+        assert.strictEqual(result.verdict, 'PASS');
+        assert.strictEqual(result.confidence, 0.667);
+        assert.deepStrictEqual(result.agreement.distribution, { PASS: 2, NEEDS_IMPROVEMENT: 0, FAIL: 1 });
+        assert.strictEqual(result.agreement.judges, 5);
+        assert.strictEqual(result.agreement.valid_votes, 3);
+        assert.strictEqual(result.agreement.pairwise_agreement, 0.333);
+        assert.strictEqual(result.agreement.unanimous, false);
+        assert.deepStrictEqual(result.dissent.map(d => [d.judge, d.verdict, d.reasons]), [
+            ['c', 'FAIL', ['SQL injection in login']]
+        ]);
+
+        // Ties go to the stricter verdict
+        const tie = aggregateVerdicts([
+            { judge: 'a', verdict: verdict('PASS', 1) },
+            { judge: 'b', verdict: verdict('NEEDS_IMPROVEMENT', 1) }
+        ]);
+        assert.strictEqual(tie.verdict, 'NEEDS_IMPROVEMENT');
+        assert.strictEqual(tie.confidence, 0.5);
+    }
+
+    // Test 2: Weighted vote uses weight x confidence
+    async testWeighted() {
+        const ballots = [
+            { judge: 'a', weight: 1, verdict: verdict('PASS', 0.5) },
+            { judge: 'b', weight: 1, verdict: verdict('PASS', 0.5) },
+            { judge: 'c', weight: 3, verdict: verdict('FAIL', 0.8) }
+        ];
+
+        assert.strictEqual(aggregateVerdicts(ballots, 'majority').verdict, 'PASS');
+
+        const weighted = aggregateVerdicts(ballots, 'weighted');
+        assert.strictEqual(weighted.verdict, 'FAIL');
+        assert.strictEqual(weighted.confidence, 0.706);
+        assert.deepStrictEqual(weighted.agreement.weighted_tally, { PASS: 1, NEEDS_IMPROVEMENT: 0, FAIL: 2.4 });
+    }
+
+    // Test 3: Judges get their own model, temperature and prompt version
+    async testRunPanel() {
+        const calls = [];
+        const fakeVerify = async (args) => {
+            calls.push(args);
+            if (args.model === 'broken') throw new Error('quota exceeded');
+            return args.temperature > 0.5 ? verdict('FAIL', 0.7, ['Off by one']) : verdict('PASS', 0.9);
+        };
+
+        const result = await runPanel(VerifyArgs.parse({
+            artifact: 'for (i = 0; i <= n; i++)',
+            task: 'code_review',
+            provider: 'mock',
+            panel: {
+                judges: [
+                    { model: 'm1', temperature: 0 },
+                    { name: 'creative', model: 'm2', temperature: 0.9, prompt_version: '1.0.0' },
+                    { model: 'm3', temperature: 0.2 },
+                    { model: 'broken' }
+                ]
+            }
+        }), fakeVerify);
+
+        assert.deepStrictEqual(calls.map(c => [c.provider, c.model, c.temperature, c.prompt_version]), [
+            ['mock', 'm1', 0, undefined],
+            ['mock', 'm2', 0.9, '1.0.0'],
+            ['mock', 'm3', 0.2, undefined],
+            ['mock', 'broken', undefined, undefined]
+        ]);
+        assert(calls.every(c => !('panel' in c)), 'judges must not recurse into panels');
+
+        assert.strictEqual(result.verdict, 'PASS');
+        assert.strictEqual(result.confidence, 0.667);
+        assert.strictEqual(result.panel.dissent[0].judge, 'creative');
+        assert.strictEqual(result.panel.judges[0].judge, 'judge-1 (m1, t=0)');
+        assert.strictEqual(result.panel.judges[3].error, 'quota exceeded');
+        assert(result.detailed_feedback.startsWith('Panel verdict PASS: 2 of 3 judges (majority vote)'));
+
+        await assert.rejects(
+            runPanel(VerifyArgs.parse({ artifact: 'x', panel: { judges: [{ model: 'broken' }, { model: 'broken' }] } }), fakeVerify),
+            /Every panel judge failed/
+        );
+    }
+
+    // Test 4: verify_with_gemini runs a panel end to end
+    async testTool() {
+        let handler;
+        await registerVerifyTool({ registerTool: (name, config, h) => { handler = h; } });
+
+        const result = JSON.parse((await handler({
+            artifact: 'Water boils at 100C at sea level.',
+            panel: { judges: [{ provider: 'mock' }, { provider: 'mock', temperature: 1 }] }
+        })).content[0].text);
+
+        assert.strictEqual(result.verdict, 'PASS');
+        assert.strictEqual(result.confidence, 1);
+        assert.strictEqual(result.panel.agreement.unanimous, true);
+        assert.deepStrictEqual(result.panel.judges.map(j => j.prompt.id), ['fact_check', 'fact_check']);
+        assert.strictEqual(result.truncation.truncated, false);
+        assert(result.token_budget.input_budget > 0);
+        assert.strictEqual(result.grounding.requested, false);
+
+        assert.throws(() => VerifyArgs.parse({ artifact: 'x', panel: { judges: [{}] } }), /at least 2 judges/);
+    }
+
+    // Test 5: Truncation, grounding, evidence and rubric scores survive the merge
+    async testContext() {
+        const judge = (v, extra) => ({ ...verdict(v, 0.8), ...extra });
+        const grounding = (queries) => ({ requested: true, searched: true, search_queries: queries, verified_citations: 1, unverified_citations: 0 });
+        const cite = (id, claim) => ({ id, start_line: 1, end_line: 2, claim, stance: 'supports', verified: true });
+        const judges = [
+            judge('PASS', {
+                truncation: { truncated: true, details: [{ name: 'tests' }] },
+                token_budget: { input_budget: 1000 },
+                grounding: grounding(['a']),
+                local_evidence: { files_searched: 2, passages: [] },
+                evidence_citations: [cite('E1', 'x')],
+                rubric: { score: 0.9, criteria: [{ id: 'docs', score: 0.9 }] }
+            }),
+            judge('PASS', { grounding: grounding(['a', 'b']), evidence_citations: [cite('E1', 'x'), cite('E2', 'y')] }),
+            judge('FAIL', { evidence_citations: [cite('E3', 'z')] })
+        ];
+        const citations = [{ url: 'https://a', verified: true }, { url: 'https://b', verified: false }];
+
+        const context = verdictContext(judges[0], judges.slice(0, 2), citations, { judge: 'first' });
+        assert.deepStrictEqual(context.truncation, judges[0].truncation);
+        assert.strictEqual(context.token_budget.input_budget, 1000);
+        assert.deepStrictEqual(context.grounding.search_queries, ['a', 'b']);
+        assert.strictEqual(context.grounding.verified_citations, 1);
+        assert.strictEqual(context.grounding.unverified_citations, 1);
+        assert.strictEqual(context.local_evidence.files_searched, 2);
+        assert.deepStrictEqual(context.evidence_citations.map(c => c.id), ['E1', 'E2'], 'dissenting citations are left out');
+        assert.deepStrictEqual(context.rubric, { ...judges[0].rubric, judge: 'first' });
+
+        assert.deepStrictEqual(verdictContext(verdict('PASS', 1), [verdict('PASS', 1)], []), {});
+    }
+
+    async runAll() {
+        console.log('🧪 Panel Tests');
+        console.log('==============');
+
+        await this.runTest('Majority vote', this.testMajority);
+        await this.runTest('Weighted vote', this.testWeighted);
+        await this.runTest('Judge configuration', this.testRunPanel);
+        await this.runTest('verify_with_gemini panel mode', this.testTool);
+        await this.runTest('Merged verdict context', this.testContext);
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==============');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new PanelTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
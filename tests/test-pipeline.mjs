@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for the verify_task_directory pipeline
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { runTaskPipeline } from '../src/pipeline.mjs';
+import { VerifyTaskDirectoryArgs } from '../src/schemas.mjs';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+
+const TEST_DIR = `/tmp/test-pipeline-${Date.now()}`;
+
+function claimFor(taskId, type, units) {
+    return {
+        schema: 'verify.claim/v1.1',
+        actor: 'claude',
+        task_id: taskId,
+        timestamp: new Date().toISOString(),
+        claim: {
+            type,
+            units_total: units.length,
+            units_list: units,
+            scope: { repo_root: TEST_DIR },
+            declared: { intent: 'test' }
+        }
+    };
+}
+
+class PipelineTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up pipeline tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Argument validation
+    async testArgs() {
+        assert.throws(() => VerifyTaskDirectoryArgs.parse({ commitment: {} }), /task_dir/);
+        assert.strictEqual(VerifyTaskDirectoryArgs.parse({ task_dir: 'x' }).escalate, true);
+
+        // Task directories stay under <repo_root>/.artifacts
+        const run = (args) => runTaskPipeline(VerifyTaskDirectoryArgs.parse({ repo_root: TEST_DIR, escalate: false, ...args }));
+        await assert.rejects(run({
+            commitment: { task_id: '../../etc', type: 'unknown' },
+            claim: claimFor('../../etc', 'unknown', [])
+        }), /Invalid task id/);
+        await assert.rejects(run({ task_dir: '../outside' }), /must be inside/);
+        await assert.rejects(run({ task_dir: '/etc' }), /must be inside/);
+        await assert.rejects(run({ task_dir: '.artifacts' }), /must be inside/);
+        await assert.rejects(fs.access(join(TEST_DIR, '..', 'outside')));
+    }
+
+    // Test 2: Gate failure is decided without the model
+    async testGateFail() {
+        const verdict = await runTaskPipeline(VerifyTaskDirectoryArgs.parse({
+            commitment: { task_id: 'T_gate_fail', type: 'unknown', commitments: { expected_total: 3 } },
+            claim: claimFor('T_gate_fail', 'unknown', ['a']),
+            repo_root: TEST_DIR,
+            provider: 'mock'
+        }));
+
+        assert.strictEqual(verdict.status, 'fail');
+        assert.strictEqual(verdict.decided_by, 'gate');
+        assert.strictEqual(verdict.model_verdict, null);
+
+        const written = JSON.parse(await fs.readFile(join(TEST_DIR, '.artifacts', 'T_gate_fail', 'verdict.json'), 'utf8'));
+        assert.strictEqual(written.status, 'fail');
+    }
+
+    // Test 3: Inconclusive gate escalates to the model
+    async testEscalation() {
+        const verdict = await runTaskPipeline(VerifyTaskDirectoryArgs.parse({
+            commitment: { task_id: 'T_escalate', type: 'unknown' },
+            claim: claimFor('T_escalate', 'unknown', []),
+            repo_root: TEST_DIR,
+            provider: 'mock'
+        }));
+
+        assert.strictEqual(verdict.gate.status, 'inconclusive');
+        assert.strictEqual(verdict.decided_by, 'model');
+        assert.strictEqual(verdict.model_verdict.verdict, 'PASS');
+        assert.strictEqual(verdict.status, 'pass');
+
+        // The escalation's model call is accounted like any verification
+        assert.strictEqual(verdict.model_verdict.usage.calls, 1);
+        const rows = (await getServerStorage()).getUsage('T_escalate');
+        assert.deepStrictEqual(rows.map(row => [row.tool, row.calls]), [['verify_task_directory', 1]]);
+    }
+
+    // Test 4: Missing required adapter fails the pipeline
+    async testMissingAdapter() {
+        const verdict = await runTaskPipeline(VerifyTaskDirectoryArgs.parse({
+            commitment: { task_id: 'T_content', type: 'content' },
+            claim: claimFor('T_content', 'content', []),
+            repo_root: TEST_DIR,
+            escalate: false
+        }));
+
+        assert.strictEqual(verdict.status, 'fail');
+        assert.strictEqual(verdict.decided_by, 'pipeline');
+        assert(verdict.reasons.some(r => r.includes('content:scan')));
+    }
+
+    async runAll() {
+        console.log('🧪 Task Pipeline Tests');
+        console.log('======================');
+
+        await this.setup();
+
+        await this.runTest('Argument validation', this.testArgs);
+        await this.runTest('Gate failure skips the model', this.testGateFail);
+        await this.runTest('Inconclusive gate escalates', this.testEscalation);
+        await this.runTest('Missing required adapter fails', this.testMissingAdapter);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n======================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new PipelineTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for verification prompt templates
+ * Covers built-in rubrics, project overrides, pinned versions and MCP prompts.
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { resolvePrompt, registerPrompts, PROMPT_TASKS } from '../src/prompts.mjs';
+import { runVerification } from '../src/verify.mjs';
+import { VerifyArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-prompts-${Date.now()}`;
+
+class PromptTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up prompt tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.ADJUDICATOR_PROMPTS_DIR = TEST_DIR;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_PROMPTS_DIR;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Every task has its own built-in rubric
+    async testBuiltins() {
+        const texts = new Set();
+        for (const task of PROMPT_TASKS) {
+            const { text, prompt } = await resolvePrompt(task);
+            assert.deepStrictEqual(prompt, { id: task, version: '1.0.0', source: 'builtin' });
+            assert(text.includes(`performing ${task} analysis`));
+            assert(text.includes('"verdict": "PASS" | "FAIL" | "NEEDS_IMPROVEMENT"'));
+            assert(!text.includes('{{'), 'all placeholders should be rendered');
+            texts.add(text);
+        }
+        assert.strictEqual(texts.size, PROMPT_TASKS.length);
+    }
+
+    // Test 2: Project overrides, variables and pinned versions
+    async testOverrides() {
+        await fs.writeFile(join(TEST_DIR, 'code_review.md'),
+            '---\nversion: 2.0.0\naudience: payments team\n---\nAs a critical evaluator, review for {{audience}} in {{language}}.\n{{schema}}');
+        await fs.writeFile(join(TEST_DIR, 'code_review@1.5.0.md'),
+            '---\nversion: ignored\n---\nOld rubric for {{task}}');
+
+        const current = await resolvePrompt('code_review', { variables: { language: 'Go' } });
+        assert(current.text.startsWith('As a critical evaluator, review for payments team in Go.'));
+        assert.deepStrictEqual(current.prompt, { id: 'code_review', version: '2.0.0', source: 'project' });
+
+        await assert.rejects(resolvePrompt('code_review'), /"language" has no value/);
+
+        const pinned = await resolvePrompt('code_review', { version: '1.5.0' });
+        assert.strictEqual(pinned.text, 'Old rubric for code_review');
+        assert.strictEqual(pinned.prompt.version, '1.5.0');
+
+        await assert.rejects(resolvePrompt('code_review', { version: '9.9.9' }), /No code_review prompt/);
+        await assert.rejects(resolvePrompt('code_review', { version: '../x' }), /Invalid prompt version/);
+
+        // Other tasks still fall back to the built-in template
+        assert.strictEqual((await resolvePrompt('policy')).prompt.source, 'builtin');
+    }
+
+    // Test 3: Verdicts record which prompt produced them
+    async testVerdictProvenance() {
+        const verdict = await runVerification(VerifyArgs.parse({
+            artifact: 'func main() {}',
+            task: 'code_review',
+            provider: 'mock',
+            prompt_variables: { language: 'Go' }
+        }));
+        assert.deepStrictEqual(verdict.prompt, { id: 'code_review', version: '2.0.0', source: 'project' });
+    }
+
+    // Test 4: Templates are served as named MCP prompts
+    async testMcpPrompts() {
+        const server = new McpServer({ name: 'test', version: '0.0.0' });
+        await registerPrompts(server);
+
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        const client = new Client({ name: 'test-client', version: '0.0.0' });
+        await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+        try {
+            const { prompts } = await client.listPrompts();
+            assert.deepStrictEqual(prompts.map(p => p.name).sort(), [...PROMPT_TASKS].sort());
+
+            const result = await client.getPrompt({
+                name: 'fact_check',
+                arguments: { artifact: 'The moon is made of cheese.' }
+            });
+            assert.strictEqual(result.description, 'fact_check rubric v1.0.0 (builtin)');
+            assert(result.messages[0].content.text.endsWith('ARTIFACT TO VERIFY:\nThe moon is made of cheese.'));
+
+            // Project templates with their own placeholders take a JSON variables argument
+            const review = await client.getPrompt({
+                name: 'code_review',
+                arguments: { artifact: 'func main() {}', variables: JSON.stringify({ language: 'Go' }) }
+            });
+            assert(review.messages[0].content.text.startsWith('As a critical evaluator, review for payments team in Go.'));
+            await assert.rejects(client.getPrompt({ name: 'code_review', arguments: { artifact: 'x' } }), /"language" has no value/);
+            await assert.rejects(client.getPrompt({ name: 'code_review', arguments: { artifact: 'x', variables: '{"language": 1}' } }), /JSON object of strings/);
+        } finally {
+            await client.close();
+        }
+    }
+
+    async runAll() {
+        console.log('🧪 Prompt Template Tests');
+        console.log('========================');
+
+        await this.setup();
+
+        await this.runTest('Built-in rubrics', this.testBuiltins);
+        await this.runTest('Project overrides', this.testOverrides);
+        await this.runTest('Verdict provenance', this.testVerdictProvenance);
+        await this.runTest('MCP prompts', this.testMcpPrompts);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n========================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new PromptTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for per-source reliability tracking
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+import { summarizeReliability, buildLeaderboard, outcomeFromVerdict, registerOverrideTool } from '../src/reliability.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+import { registerResources } from '../src/resources.mjs';
+import { runTaskPipeline } from '../src/pipeline.mjs';
+import { VerifyTaskDirectoryArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-reliability-${Date.now()}`;
+
+const row = (task_id, source, origin, score, over_claimed = 0) => ({ task_id, source, origin, score, over_claimed });
+
+class ReliabilityTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up reliability tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([{
+            match: 'consensus analyzer',
+            response: {
+                consensus: 'disagree',
+                agreement_ratio: 0.3,
+                summary: 'Sources disagree on the release year',
+                findings: [],
+                recommended_action: 'revise',
+                model_votes: [
+                    { source: 'oracle', confidence: 0.9, notes: '' },
+                    { source: 'echo-a', confidence: 0.8, notes: '' }
+                ],
+                citations: []
+            }
+        }]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Overrides replace automatic outcomes; over-claims come from claims
+    async testSummary() {
+        const rows = [
+            row('T1', 'claude', 'verdict', 1),
+            row('T2', 'claude', 'verdict', 0, 1),
+            row('T2', 'claude', 'override', 1),
+            row('C1', 'claude', 'consensus', 0.5),
+            row('T3', 'gpt', 'verdict', 0, 1),
+            row('T4', 'gpt', 'verdict', 0, 1),
+            row('C1', 'gpt', 'consensus', 1)
+        ];
+
+        const [claude, gpt] = summarizeReliability(rows);
+        assert.strictEqual(claude.observations, 3);
+        assert.strictEqual(claude.reliability, 0.7, '(1 + 1 + 0.5 + 1) / (3 + 2)');
+        assert.deepStrictEqual(claude.verdicts, { tasks: 2, passed: 1 });
+        assert.deepStrictEqual(claude.overrides, { tasks: 1, correct: 1 });
+        assert.strictEqual(claude.over_claims, 0, 'the override cleared the over-claim');
+        assert.strictEqual(gpt.over_claim_rate, 1);
+        assert.strictEqual(gpt.consensus_agreement, 1);
+
+        const leaderboard = buildLeaderboard(rows);
+        assert.deepStrictEqual(leaderboard.ranking.map(e => [e.rank, e.source]), [[1, 'claude'], [2, 'gpt']]);
+        assert.strictEqual(leaderboard.most_reliable, 'claude');
+        assert.strictEqual(leaderboard.most_over_claiming, 'gpt');
+
+        assert.deepStrictEqual(buildLeaderboard([]), { ranking: [], most_reliable: null, most_over_claiming: null });
+    }
+
+    // Test 2: Outcomes are upserted per task, source and origin
+    async testStorage() {
+        const storage = await getServerStorage();
+        storage.recordSourceOutcomes('S1', 'verdict', [{ source: 'llama', score: 0, over_claimed: true }]);
+        storage.recordSourceOutcomes('S1', 'verdict', [{ source: 'llama', score: 1, note: 'rerun passed' }]);
+
+        const rows = storage.getSourceOutcomes(['llama']);
+        assert.strictEqual(rows.length, 1);
+        assert.strictEqual(rows[0].score, 1);
+        assert.strictEqual(rows[0].over_claimed, 0);
+        assert.strictEqual(rows[0].note, 'rerun passed');
+        assert.deepStrictEqual(storage.getSourceOutcomes([]), []);
+
+        assert.throws(() => storage.recordSourceOutcomes('S2', 'guess', [{ source: 'llama', score: 1 }]), /CHECK constraint/);
+    }
+
+    // Test 3: Verdicts record the claiming actor
+    async testVerdictOutcomes() {
+        assert.strictEqual(outcomeFromVerdict({ status: 'inconclusive' }, { actor: 'claude' }), null);
+        assert.strictEqual(outcomeFromVerdict({ status: 'pass' }, {}), null);
+
+        const repo = join(TEST_DIR, 'repo');
+        await fs.mkdir(repo, { recursive: true });
+        await runTaskPipeline(VerifyTaskDirectoryArgs.parse({
+            commitment: { task_id: 'T_overclaim', type: 'unknown', commitments: { expected_total: 3 } },
+            claim: {
+                schema: 'verify.claim/v1.1',
+                actor: 'gpt',
+                task_id: 'T_overclaim',
+                timestamp: new Date().toISOString(),
+                claim: { type: 'content', units_total: 1, units_list: ['a'], scope: { repo_root: repo } }
+            },
+            repo_root: repo,
+            provider: 'mock'
+        }));
+
+        const [outcome] = (await getServerStorage()).getSourceOutcomes(['gpt']);
+        assert.strictEqual(outcome.task_id, 'T_overclaim');
+        assert.strictEqual(outcome.origin, 'verdict');
+        assert.strictEqual(outcome.score, 0);
+        assert.strictEqual(outcome.over_claimed, 1);
+    }
+
+    // Test 4: Overrides build a track record that re-weights consensus votes
+    async testWeightedConsensus() {
+        let consensus;
+        let override;
+        await registerConsensusTool({ registerTool: (name, config, h) => { consensus = h; } });
+        await registerOverrideTool({ registerTool: (name, config, h) => { override = h; } });
+        const call = async (handler, args) => JSON.parse((await handler(args)).content[0].text);
+
+        const artifacts = [
+            { source: 'oracle', content: 'Node.js 20 was released in April 2023.' },
+            { source: 'echo-a', content: 'Node.js 20 was released in April 2022.' },
+            { source: 'echo-b', content: 'Node.js 20 was released in April 2022.' }
+        ];
+
+        const plain = await call(consensus, { artifacts, provider: 'mock', task_id: 'C_plain' });
+        assert.deepStrictEqual(plain.claim_matrix.claims[0].cells.map(c => c.status), ['contradicts', 'supports', 'supports']);
+        assert.deepStrictEqual(plain.reliability, { weighted: false, task_id: 'C_plain', recorded: 3 });
+
+        for (const task_id of ['H1', 'H2', 'H3', 'H4']) {
+            const result = await call(override, {
+                task_id,
+                outcomes: [
+                    { source: 'oracle', correct: true },
+                    { source: 'echo-a', correct: false },
+                    { source: 'echo-b', correct: false, over_claimed: true }
+                ],
+                note: 'Checked against the release notes'
+            });
+            assert.strictEqual(result.recorded, 3);
+        }
+
+        const weighted = await call(consensus, { artifacts, provider: 'mock', weight_by_reliability: true });
+        assert.deepStrictEqual(weighted.claim_matrix.claims[0].cells.map(c => c.status), ['supports', 'contradicts', 'contradicts']);
+        // 4 overrides plus the recorded C_plain outcome: (4 + 0 + 1) / (5 + 2) and (0 + 1 + 1) / (5 + 2)
+        assert.strictEqual(weighted.reliability.sources.oracle.reliability, 0.714);
+        assert.strictEqual(weighted.reliability.sources['echo-a'].reliability, 0.286);
+        assert.strictEqual(weighted.agreement_ratio, 0.555);
+        assert.strictEqual(weighted.model_votes[0].weight, 0.714);
+        assert(!('recorded' in weighted.reliability), 'nothing is recorded without a task_id');
+
+        // The leaderboard resource reflects the overrides
+        let readLeaderboard;
+        await registerResources({
+            registerResource: (name, uri, metadata, read) => {
+                if (name === 'reliability-leaderboard') readLeaderboard = read;
+            }
+        });
+        const uri = new URL('adjudicator://reliability/leaderboard');
+        const leaderboard = JSON.parse((await readLeaderboard(uri)).contents[0].text);
+        assert.strictEqual(leaderboard.most_reliable, 'oracle');
+        assert.strictEqual(leaderboard.most_over_claiming, 'echo-b');
+    }
+
+    async runAll() {
+        console.log('🧪 Reliability Tests');
+        console.log('====================');
+
+        await this.setup();
+
+        await this.runTest('Reliability summary', this.testSummary);
+        await this.runTest('Outcome storage', this.testStorage);
+        await this.runTest('Verdict outcomes', this.testVerdictOutcomes);
+        await this.runTest('Reliability-weighted consensus', this.testWeightedConsensus);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n====================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new ReliabilityTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
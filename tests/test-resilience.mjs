@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for resilient model calls: retries, timeouts, circuit breaker
+ * and fallback models
+ */
+
+import http from 'http';
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    createResilientModel, modelCallReport, isRetryable, backoffDelay, resetBreakers, breakerStates
+} from '../src/providers/resilient.mjs';
+import { getProvider } from '../src/providers/index.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+
+const FAST = {
+    timeout_ms: 50,
+    max_retries: 2,
+    base_delay_ms: 1,
+    max_delay_ms: 2,
+    breaker_threshold: 3,
+    breaker_cooldown_ms: 60000,
+    fallback_models: []
+};
+
+const ok = (text) => ({ response: { text: () => text, candidates: [], usageMetadata: {} } });
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+/**
+ * Model that fails with the given errors in turn, then answers
+ */
+function scripted(failures, text = 'ok') {
+    const model = {
+        calls: 0,
+        async generateContent() {
+            const failure = failures[model.calls++];
+            if (failure === 'hang') return new Promise(() => {});
+            if (failure) throw failure;
+            return ok(text);
+        }
+    };
+    return model;
+}
+
+class ResilienceTests {
+    constructor() {
+        this.testResults = [];
+        this.stubServer = null;
+        this.hits = [];
+    }
+
+    async setup() {
+        console.log('🔧 Starting flaky OpenAI-compatible stand-in server...');
+        // Every request for "flaky-model" is overloaded; "backup-model" answers
+        this.stubServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const { model } = JSON.parse(body);
+                this.hits.push(model);
+                if (model === 'flaky-model') {
+                    res.writeHead(503, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'overloaded' }));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    choices: [{ message: { role: 'assistant', content: JSON.stringify({
+                        verdict: 'PASS',
+                        confidence: 0.9,
+                        analysis: { strengths: ['Answered by the backup'], weaknesses: [], risks: [] }
+                    }) } }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+                }));
+            });
+        });
+
+        await new Promise(resolve => this.stubServer.listen(0, '127.0.0.1', resolve));
+        process.env.OPENAI_BASE_URL = `http://127.0.0.1:${this.stubServer.address().port}/v1`;
+        process.env.ADJUDICATOR_RETRY_BASE_MS = '1';
+        process.env.ADJUDICATOR_RETRY_MAX_MS = '2';
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        for (const name of ['OPENAI_BASE_URL', 'OPENAI_FALLBACK_MODELS', 'ADJUDICATOR_RETRY_BASE_MS', 'ADJUDICATOR_RETRY_MAX_MS']) {
+            delete process.env[name];
+        }
+        await new Promise(resolve => this.stubServer.close(resolve));
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        resetBreakers();
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Error classification and backoff bounds
+    async testPolicy() {
+        assert.strictEqual(isRetryable(httpError(429)), true);
+        assert.strictEqual(isRetryable(httpError(503)), true);
+        assert.strictEqual(isRetryable(httpError(400)), false);
+        assert.strictEqual(isRetryable(new Error('[GoogleGenerativeAI Error]: [503 Service Unavailable] The model is overloaded')), true);
+        assert.strictEqual(isRetryable(new Error('fetch failed')), true);
+        assert.strictEqual(isRetryable(new Error('GEMINI_API_KEY environment variable is required')), false);
+
+        const policy = { base_delay_ms: 500, max_delay_ms: 8000 };
+        assert.strictEqual(backoffDelay(0, policy, () => 1), 500);
+        assert.strictEqual(backoffDelay(3, policy, () => 1), 4000);
+        assert.strictEqual(backoffDelay(10, policy, () => 1), 8000, 'capped');
+        assert.strictEqual(backoffDelay(3, policy, () => 0), 0, 'full jitter starts at zero');
+    }
+
+    // Test 2: Retries, timeouts and fallbacks are reported
+    async testRetryAndFallback() {
+        const flaky = scripted([httpError(429), 'hang']);
+        const model = createResilientModel('test', [{ modelId: 'flash', load: () => flaky }], FAST);
+        assert.strictEqual((await model.generateContent({})).response.text(), 'ok');
+        assert.deepStrictEqual(
+            { ...modelCallReport(model, 'flash'), errors: undefined },
+            { requested: 'flash', answered_by: 'flash', calls: 1, attempts: 3, fallback_used: false, errors: undefined }
+        );
+        assert.match(modelCallReport(model, 'flash').errors[1], /flash attempt 2: flash timed out after 50ms/);
+
+        // A non-retryable error moves straight on to the fallback
+        const broken = scripted([httpError(404), httpError(404)]);
+        const pro = scripted([], 'from pro');
+        const chain = createResilientModel('test', [
+            { modelId: 'flash', load: () => broken },
+            { modelId: 'pro', load: () => pro }
+        ], FAST);
+        assert.strictEqual((await chain.generateContent({})).response.text(), 'from pro');
+        assert.strictEqual(broken.calls, 1);
+        const report = modelCallReport(chain, 'flash');
+        assert.strictEqual(report.answered_by, 'pro');
+        assert.strictEqual(report.fallback_used, true);
+        assert.strictEqual(report.attempts, 2);
+    }
+
+    // Test 3: The breaker skips a failing model until its cooldown passes
+    async testBreaker() {
+        const down = scripted(Array(10).fill(httpError(503)));
+        const backup = scripted([], 'backup');
+        const candidates = [
+            { modelId: 'flash', load: () => down },
+            { modelId: 'pro', load: () => backup }
+        ];
+
+        await createResilientModel('test', candidates, FAST).generateContent({});
+        assert.strictEqual(down.calls, 3);
+        assert.deepStrictEqual(breakerStates()['test:flash'], { failures: 3, open: true });
+
+        // Open breaker: no call reaches the failing model
+        const next = createResilientModel('test', candidates, FAST);
+        await next.generateContent({});
+        assert.strictEqual(down.calls, 3);
+        assert.match(modelCallReport(next, 'flash').errors[0], /flash: circuit open/);
+
+        // After the cooldown one trial call goes through and re-opens it
+        await createResilientModel('test', candidates, { ...FAST, breaker_cooldown_ms: 0 }).generateContent({});
+        assert.strictEqual(down.calls, 4);
+
+        const alone = createResilientModel('test', [candidates[0]], FAST);
+        await assert.rejects(alone.generateContent({}), (error) => {
+            assert.strictEqual(error.name, 'ModelUnavailableError');
+            assert.strictEqual(error.model_call.answered_by, null);
+            return /No model answered after 0 attempts: flash: circuit open/.test(error.message);
+        });
+    }
+
+    // Test 4: getProvider wires fallbacks from the environment; verify reports them
+    async testVerifyFallback() {
+        process.env.OPENAI_FALLBACK_MODELS = 'backup-model';
+
+        let handler;
+        await registerVerifyTool({ registerTool: (name, config, h) => { handler = h; } });
+        const verdict = JSON.parse((await handler({ artifact: 'x', provider: 'openai', model: 'flaky-model' })).content[0].text);
+
+        assert.strictEqual(verdict.verdict, 'PASS');
+        assert.deepStrictEqual(this.hits, ['flaky-model', 'flaky-model', 'flaky-model', 'backup-model']);
+        assert.strictEqual(verdict.model_call.requested, 'flaky-model');
+        assert.strictEqual(verdict.model_call.answered_by, 'backup-model');
+        assert.strictEqual(verdict.model_call.attempts, 4);
+        assert.strictEqual(verdict.model_call.fallback_used, true);
+
+        // A cassette is keyed on the requested model, so a fallback answer replays without the fallback
+        resetBreakers();
+        process.env.ADJUDICATOR_CASSETTE_DIR = join(tmpdir(), `test-resilience-cassettes-${Date.now()}`);
+        process.env.ADJUDICATOR_CASSETTE = 'record';
+        try {
+            await handler({ artifact: 'recorded', provider: 'openai', model: 'flaky-model' });
+            delete process.env.OPENAI_FALLBACK_MODELS;
+            process.env.ADJUDICATOR_CASSETTE = 'replay';
+            const replayed = JSON.parse((await handler({ artifact: 'recorded', provider: 'openai', model: 'flaky-model' })).content[0].text);
+            assert.strictEqual(replayed.verdict, 'PASS');
+            assert.strictEqual(replayed.model_call.requested, 'flaky-model');
+            assert.strictEqual(replayed.model_call.answered_by, 'backup-model');
+        } finally {
+            delete process.env.ADJUDICATOR_CASSETTE;
+            await fs.rm(process.env.ADJUDICATOR_CASSETTE_DIR, { recursive: true, force: true });
+            delete process.env.ADJUDICATOR_CASSETTE_DIR;
+        }
+
+        // Without a fallback the outage is reported as such
+        resetBreakers();
+        const outage = JSON.parse((await handler({ artifact: 'x', provider: 'openai', model: 'flaky-model' })).content[0].text);
+        assert.strictEqual(outage.verdict, 'NEEDS_IMPROVEMENT');
+        assert.strictEqual(outage.model_unavailable, true);
+        assert.strictEqual(outage.model_call.attempts, 3);
+
+        assert.strictEqual(getProvider({ provider: 'mock' }).modelId, 'mock');
+    }
+
+    async runAll() {
+        console.log('🧪 Resilience Tests');
+        console.log('===================');
+
+        await this.setup();
+
+        await this.runTest('Retry policy', this.testPolicy);
+        await this.runTest('Retries and fallbacks', this.testRetryAndFallback);
+        await this.runTest('Circuit breaker', this.testBreaker);
+        await this.runTest('verify_with_gemini fallback', this.testVerifyFallback);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n===================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new ResilienceTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
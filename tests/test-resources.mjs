@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for adjudicator:// MCP resources
+ * Talks to a real McpServer through an in-memory transport.
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { registerResources } from '../src/resources.mjs';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+
+const TEST_DIR = `/tmp/test-resources-${Date.now()}`;
+const TASKS_DIR = join(TEST_DIR, '.artifacts');
+
+class ResourceTests {
+    constructor() {
+        this.testResults = [];
+        this.client = null;
+    }
+
+    async setup() {
+        console.log('🔧 Setting up resource tests...');
+        await fs.mkdir(join(TASKS_DIR, 'T_one'), { recursive: true });
+        await fs.writeFile(join(TASKS_DIR, 'T_one', 'verdict.json'), JSON.stringify({ task_id: 'T_one', status: 'pass' }));
+        await fs.writeFile(join(TASKS_DIR, 'T_one', 'artifacts.json'), JSON.stringify({ task_id: 'T_one', artifacts: [] }));
+
+        // Tasks are read from .artifacts in the working directory
+        this.savedCwd = process.cwd();
+        process.chdir(TEST_DIR);
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+
+        const storage = await getServerStorage();
+        await storage.storeRequirements('T_one', { prompt: 'Do one thing', expectedCount: 1 });
+        storage.saveUnits('T_one', [{ id: 'file:a.js', ok: true }]);
+
+        const server = new McpServer({ name: 'test', version: '0.0.0' });
+        await registerResources(server);
+
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        this.client = new Client({ name: 'test-client', version: '0.0.0' });
+        await Promise.all([server.connect(serverTransport), this.client.connect(clientTransport)]);
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        await this.client.close();
+        (await getServerStorage()).close();
+        process.chdir(this.savedCwd);
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async read(uri) {
+        const result = await this.client.readResource({ uri });
+        return JSON.parse(result.contents[0].text);
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Listing includes task files that exist
+    async testList() {
+        const { resources } = await this.client.listResources();
+        const uris = resources.map(r => r.uri);
+
+        assert(uris.includes('adjudicator://tasks/T_one/verdict'));
+        assert(uris.includes('adjudicator://tasks/T_one/artifacts'));
+        assert(!uris.includes('adjudicator://tasks/T_one/function_map'), 'missing files should not be listed');
+        assert(uris.includes('adjudicator://profiles/code_update'));
+    }
+
+    // Test 2: Task files
+    async testTaskFiles() {
+        assert.strictEqual((await this.read('adjudicator://tasks/T_one/verdict')).status, 'pass');
+        assert.deepStrictEqual((await this.read('adjudicator://tasks')).map(t => t.task_id), ['T_one']);
+        await assert.rejects(this.read('adjudicator://tasks/T_one/function_map'));
+        await assert.rejects(this.read('adjudicator://tasks/../verdict'));
+    }
+
+    // Test 3: Profiles
+    async testProfiles() {
+        const profile = await this.read('adjudicator://profiles/code_update');
+        assert.strictEqual(profile.name, 'code_update');
+        assert(profile.source.endsWith('verification.profiles.json'));
+        assert('api_strict' in await this.read('adjudicator://profiles'));
+    }
+
+    // Test 4: SQLite history
+    async testHistory() {
+        const sessions = await this.read('adjudicator://history/sessions');
+        assert.strictEqual(sessions[0].task_id, 'T_one');
+
+        const session = await this.read('adjudicator://history/sessions/T_one');
+        assert.strictEqual(session.units[0].unit_id, 'file:a.js');
+    }
+
+    async runAll() {
+        console.log('🧪 MCP Resource Tests');
+        console.log('=====================');
+
+        await this.setup();
+
+        await this.runTest('Resource listing', this.testList);
+        await this.runTest('Task files', this.testTaskFiles);
+        await this.runTest('Profiles', this.testProfiles);
+        await this.runTest('SQLite history', this.testHistory);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=====================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new ResourceTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for custom verify_with_gemini rubrics
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { scoreRubric, resolveRubric } from '../src/rubrics.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+import { RubricDefinition, VerifyArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-rubrics-${Date.now()}`;
+
+const RUBRIC = RubricDefinition.parse({
+    pass_threshold: 0.75,
+    criteria: [
+        { id: 'compat', description: 'No breaking API changes', weight: 3, critical: true, pass_threshold: 0.8 },
+        { id: 'docs', description: 'New endpoints are documented', weight: 1 },
+        { id: 'tests', description: 'New endpoints have tests', weight: 1 }
+    ]
+});
+
+const scores = (compat, docs, tests) => [
+    { id: 'compat', score: compat, reasoning: 'compat' },
+    { id: 'docs', score: docs, reasoning: 'docs' },
+    { id: 'tests', score: tests, reasoning: 'tests' }
+];
+
+const modelVerdict = (verdict, criteria_scores) => ({
+    verdict,
+    confidence: 0.8,
+    analysis: { strengths: [], weaknesses: [], risks: [] },
+    recommendations: [],
+    detailed_feedback: 'Reviewed against the custom rubric',
+    criteria_scores
+});
+
+class RubricTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up rubric tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.ADJUDICATOR_RUBRICS_FILE = join(TEST_DIR, 'rubrics.json');
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        delete process.env.ADJUDICATOR_RUBRICS_FILE;
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async useMockResponses(entries) {
+        const mockFile = join(TEST_DIR, `mock-${Date.now()}.json`);
+        await fs.writeFile(mockFile, JSON.stringify(entries));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: The verdict follows from the scores and thresholds alone
+    async testScoring() {
+        const pass = scoreRubric({ ...RUBRIC, name: 'inline' }, [scores(0.9, 0.8, 0.7)]);
+        assert.strictEqual(pass.verdict, 'PASS');
+        assert.strictEqual(pass.score, 0.84, '(3 * 0.9 + 0.8 + 0.7) / 5');
+
+        const critical = scoreRubric(RUBRIC, [scores(0.7, 1, 1)]);
+        assert.strictEqual(critical.verdict, 'FAIL', 'critical criterion below its threshold');
+        assert.match(critical.reason, /compat 0.7 < 0.8/);
+
+        const oneMiss = scoreRubric(RUBRIC, [scores(1, 1, 0.5)]);
+        assert.strictEqual(oneMiss.verdict, 'NEEDS_IMPROVEMENT');
+        assert.match(oneMiss.reason, /tests 0.5 < 0.7/);
+
+        assert.strictEqual(scoreRubric({ ...RUBRIC, criteria: RUBRIC.criteria.slice(1) }, [scores(1, 0.2, 0.3)]).verdict, 'FAIL',
+            'weighted score below the fail threshold');
+
+        // Chunks keep each criterion's lowest score; unscored criteria count as 0
+        const chunked = scoreRubric(RUBRIC, [scores(1, 0.9, 0.9), [{ id: 'docs', score: 0.4, reasoning: 'chunk 2' }]]);
+        assert.strictEqual(chunked.criteria[1].score, 0.4);
+        const partial = scoreRubric(RUBRIC, [[{ id: 'compat', score: 1 }]]);
+        assert.deepStrictEqual(partial.criteria.map(c => c.scored), [true, false, false]);
+        assert.strictEqual(partial.score, 0.6);
+    }
+
+    // Test 2: Named rubrics come from the library file
+    async testLibrary() {
+        await assert.rejects(resolveRubric('api-review'), /Rubric library not found/);
+
+        await fs.writeFile(process.env.ADJUDICATOR_RUBRICS_FILE, JSON.stringify({
+            'api-review': { criteria: [{ id: 'compat', description: 'No breaking changes', critical: true }] },
+            'docs-only': { criteria: [{ id: 'docs', description: 'Documented' }] }
+        }));
+        const rubric = await resolveRubric('api-review');
+        assert.strictEqual(rubric.source, 'library');
+        assert.strictEqual(rubric.pass_threshold, 0.7);
+        assert.strictEqual(rubric.criteria[0].weight, 1);
+        await assert.rejects(resolveRubric('security'), /Unknown rubric "security".*available: api-review, docs-only/);
+
+        await fs.writeFile(process.env.ADJUDICATOR_RUBRICS_FILE, JSON.stringify({ broken: { criteria: [] } }));
+        await assert.rejects(resolveRubric('broken'), /Rubric "broken" in .* is invalid: criteria: A rubric needs at least one criterion/);
+
+        assert.throws(() => VerifyArgs.parse({ artifact: 'x', rubric: { fail_threshold: 0.8, criteria: [{ id: 'a', description: 'a' }] } }),
+            /fail_threshold cannot exceed pass_threshold/);
+        assert.throws(() => VerifyArgs.parse({ artifact: 'x', rubric: '../secrets' }), /Rubric names may only contain/);
+    }
+
+    // Test 3: verify_with_gemini replaces the model's verdict with the rubric's
+    async testVerify() {
+        let handler;
+        await registerVerifyTool({ registerTool: (name, config, h) => { handler = h; } });
+        const call = async (args) => JSON.parse((await handler(args)).content[0].text);
+
+        await this.useMockResponses([
+            { match: 'CUSTOM RUBRIC', response: modelVerdict('PASS', scores(0.6, 1, 1)) }
+        ]);
+
+        const result = await call({
+            artifact: 'diff --git a/api.js b/api.js\n-export function get(id)\n+export function get(id, opts)',
+            task: 'code_review',
+            rubric: { criteria: RUBRIC.criteria, pass_threshold: 0.75 },
+            provider: 'mock'
+        });
+
+        assert.strictEqual(result.verdict, 'FAIL');
+        assert.strictEqual(result.rubric.model_verdict, 'PASS');
+        assert.strictEqual(result.rubric.source, 'inline');
+        assert.strictEqual(result.rubric.score, 0.76);
+        assert.deepStrictEqual(result.rubric.criteria.map(c => [c.id, c.passed]), [['compat', false], ['docs', true], ['tests', true]]);
+        assert(!('criteria_scores' in result), 'raw scores are folded into the rubric block');
+
+        // A model that ignores the rubric cannot pass
+        await this.useMockResponses([{ match: 'CUSTOM RUBRIC', response: modelVerdict('PASS', undefined) }]);
+        const unscored = await call({ artifact: 'x', rubric: { criteria: RUBRIC.criteria }, provider: 'mock' });
+        assert.strictEqual(unscored.verdict, 'NEEDS_IMPROVEMENT');
+        assert.match(unscored.rubric.reason, /No criterion was scored/);
+
+        // Panels and self-consistency keep the per-criterion scores
+        await this.useMockResponses([{ match: 'CUSTOM RUBRIC', response: modelVerdict('PASS', scores(0.6, 1, 1)) }]);
+        const rubric = { criteria: RUBRIC.criteria, pass_threshold: 0.75 };
+        const panel = await call({ artifact: 'x', rubric, panel: { judges: [{ provider: 'mock' }, { provider: 'mock', temperature: 1 }] } });
+        assert.strictEqual(panel.verdict, 'FAIL');
+        assert.strictEqual(panel.rubric.judge, 'judge-1 (mock)');
+        assert.deepStrictEqual(panel.rubric.criteria.map(c => [c.id, c.score]), [['compat', 0.6], ['docs', 1], ['tests', 1]]);
+
+        const sampled = await call({ artifact: 'x', rubric, provider: 'mock', self_consistency: { samples: 2 } });
+        assert.strictEqual(sampled.rubric.sample, 1);
+        assert.strictEqual(sampled.rubric.score, 0.76);
+        assert.deepStrictEqual(sampled.rubric.criteria.map(c => c.passed), [false, true, true]);
+    }
+
+    async runAll() {
+        console.log('🧪 Rubric Tests');
+        console.log('===============');
+
+        await this.setup();
+
+        await this.runTest('Deterministic verdict', this.testScoring);
+        await this.runTest('Rubric library', this.testLibrary);
+        await this.runTest('verify_with_gemini with a rubric', this.testVerify);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n===============');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new RubricTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
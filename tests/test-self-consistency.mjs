@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for self-consistency sampling in verify_with_gemini
+ */
+
+import assert from 'assert';
+import { clusterFindings, summarizeSamples, runSelfConsistency } from '../src/self-consistency.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+import { VerifyArgs } from '../src/schemas.mjs';
+
+const OPTIONS = { samples: 5, temperature: 0.8, min_agreement: 0.7 };
+
+const verdict = (v, confidence, weaknesses = [], risks = []) => ({
+    verdict: v,
+    confidence,
+    analysis: { strengths: [], weaknesses, risks },
+    recommendations: [],
+    detailed_feedback: `${v} at ${confidence}`,
+    parse_status: 'ok'
+});
+
+class SelfConsistencyTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Findings are matched across samples by wording
+    async testClusters() {
+        const findings = clusterFindings([
+            verdict('FAIL', 0.9, ['SQL injection in the login query'], ['Session tokens never expire']),
+            verdict('FAIL', 0.8, ['The login query is open to SQL injection']),
+            verdict('PASS', 0.7, ['Missing docstring on helper'])
+        ]);
+
+        assert.deepStrictEqual(findings.map(f => [f.kind, f.samples]), [['weakness', 2], ['risk', 1], ['weakness', 1]]);
+        assert.strictEqual(findings[0].finding, 'SQL injection in the login query');
+        assert.strictEqual(findings[0].frequency, 0.667);
+    }
+
+    // Test 2: Confidence is empirical agreement; low agreement is unstable
+    async testSummary() {
+        const stable = summarizeSamples([
+            { verdict: verdict('FAIL', 0.95, ['SQL injection in the login query']) },
+            { verdict: verdict('FAIL', 0.9, ['The login query allows SQL injection', 'Unused import']) },
+            { verdict: verdict('FAIL', 0.6, ['SQL injection in login query']) },
+            { verdict: verdict('NEEDS_IMPROVEMENT', 0.5, ['Unused import']) },
+            { verdict: null, error: 'timeout' }
+        ], OPTIONS);
+
+        assert.strictEqual(stable.verdict, 'FAIL');
+        assert.strictEqual(stable.confidence, 0.75);
+        assert.strictEqual(stable.unstable, false);
+        assert.deepStrictEqual(stable.self_consistency.distribution, { PASS: 0, NEEDS_IMPROVEMENT: 1, FAIL: 3 });
+        assert.strictEqual(stable.self_consistency.model_confidence, 0.738);
+        assert.deepStrictEqual(stable.analysis.weaknesses, ['SQL injection in the login query']);
+        assert.deepStrictEqual(stable.self_consistency.occasional_findings.map(f => [f.finding, f.samples]), [['Unused import', 2]]);
+        assert.deepStrictEqual(stable.self_consistency.sample_verdicts[4], { sample: 5, verdict: null, confidence: null, parse_status: 'error', error: 'timeout' });
+
+        const split = summarizeSamples([
+            { verdict: verdict('PASS', 0.9) },
+            { verdict: verdict('FAIL', 0.9) },
+            { verdict: verdict('PASS', 0.9) },
+            { verdict: verdict('FAIL', 0.9) }
+        ], OPTIONS);
+        assert.strictEqual(split.verdict, 'FAIL', 'ties go to the stricter verdict');
+        assert.strictEqual(split.confidence, 0.5);
+        assert.strictEqual(split.unstable, true);
+        assert.match(split.self_consistency.escalate_reason, /Only 50% of samples agreed on FAIL \(minimum 70%\)/);
+
+        assert.throws(() => summarizeSamples([{ verdict: null, error: 'quota' }, { verdict: null, error: 'quota' }], OPTIONS),
+            /Every sample failed: sample-1: quota/);
+    }
+
+    // Test 3: Every sample runs at the sampling temperature; the tool wires it up
+    async testRun() {
+        const temperatures = [];
+        const result = await runSelfConsistency(
+            VerifyArgs.parse({ artifact: 'x', self_consistency: { samples: 3, temperature: 1.1 } }),
+            async (args) => {
+                temperatures.push(args.temperature);
+                assert(!('self_consistency' in args));
+                return verdict('PASS', 0.4);
+            }
+        );
+        assert.deepStrictEqual(temperatures, [1.1, 1.1, 1.1]);
+        assert.strictEqual(result.confidence, 1);
+
+        let handler;
+        await registerVerifyTool({ registerTool: (name, config, h) => { handler = h; } });
+        const output = JSON.parse((await handler({ artifact: 'The sky is blue.', provider: 'mock', self_consistency: { samples: 2 } })).content[0].text);
+        assert.strictEqual(output.self_consistency.samples, 2);
+        assert.strictEqual(output.self_consistency.valid_samples, 2);
+        assert.strictEqual(output.unstable, false);
+        assert.strictEqual(output.prompt.id, 'fact_check');
+        assert.strictEqual(output.truncation.truncated, false);
+        assert(output.token_budget.input_budget > 0);
+        assert.strictEqual(output.grounding.requested, false);
+
+        assert.throws(() => VerifyArgs.parse({ artifact: 'x', self_consistency: { samples: 1 } }), /samples must be between 2 and 10/);
+        assert.throws(() => VerifyArgs.parse({
+            artifact: 'x',
+            self_consistency: {},
+            panel: { judges: [{ provider: 'mock' }, { provider: 'mock' }] }
+        }), /cannot be combined/);
+    }
+
+    async runAll() {
+        console.log('🧪 Self-Consistency Tests');
+        console.log('=========================');
+
+        await this.runTest('Finding clusters', this.testClusters);
+        await this.runTest('Sample summary', this.testSummary);
+        await this.runTest('Sampling run', this.testRun);
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=========================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new SelfConsistencyTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for structured output enforcement and self-repair
+ */
+
+import assert from 'assert';
+import { extractJson, generateStructured } from '../src/structured-output.mjs';
+import { VerdictSchema, ConsensusResultSchema } from '../src/schemas.mjs';
+
+const VALID_VERDICT = {
+    verdict: 'PASS',
+    confidence: 0.9,
+    analysis: { strengths: ['clear'], weaknesses: [], risks: [] }
+};
+
+/**
+ * Model stub that answers with a fixed sequence of texts
+ */
+function scriptedModel(replies) {
+    const calls = [];
+    return {
+        calls,
+        async generateContent(request) {
+            calls.push(request);
+            const text = replies[Math.min(calls.length - 1, replies.length - 1)];
+            return { response: { text: () => text, usageMetadata: {} } };
+        }
+    };
+}
+
+class StructuredOutputTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Fenced and prose-wrapped JSON
+    async testExtractJson() {
+        assert.deepStrictEqual(extractJson('```json\n{"a": 1}\n```').value, { a: 1 });
+        assert.deepStrictEqual(extractJson('Here you go: {"a": 2} hope that helps').value, { a: 2 });
+        assert(extractJson('no json here').error.startsWith('Invalid JSON'));
+    }
+
+    // Test 2: Valid first response
+    async testParseOk() {
+        const model = scriptedModel([JSON.stringify(VALID_VERDICT)]);
+        const result = await generateStructured(model, { contents: [{ role: 'user', parts: [{ text: 'x' }] }] }, VerdictSchema);
+
+        assert.strictEqual(result.parse_status, 'ok');
+        assert.strictEqual(result.repair_attempts, 0);
+        assert.deepStrictEqual(result.data.recommendations, []);
+        assert.strictEqual(model.calls.length, 1);
+    }
+
+    // Test 3: Repair round-trip feeds validation errors back
+    async testRepair() {
+        const model = scriptedModel([
+            JSON.stringify({ ...VALID_VERDICT, confidence: 7 }),
+            JSON.stringify(VALID_VERDICT)
+        ]);
+        const result = await generateStructured(model, { contents: [{ role: 'user', parts: [{ text: 'x' }] }] }, VerdictSchema);
+
+        assert.strictEqual(result.parse_status, 'repaired');
+        assert.strictEqual(result.repair_attempts, 1);
+
+        const repairTurn = model.calls[1].contents.at(-1).parts[0].text;
+        assert(repairTurn.includes('confidence'), 'repair prompt should name the failing field');
+        assert.strictEqual(model.calls[1].contents.at(-2).role, 'model');
+    }
+
+    // Test 4: Bounded repairs then explicit failure
+    async testRepairExhausted() {
+        const model = scriptedModel(['not json at all']);
+        const result = await generateStructured(model, { contents: [{ role: 'user', parts: [{ text: 'x' }] }] }, ConsensusResultSchema, { maxRepairs: 1 });
+
+        assert.strictEqual(result.parse_status, 'failed');
+        assert.strictEqual(result.data, null);
+        assert.strictEqual(model.calls.length, 2);
+        assert(result.errors.length > 0);
+    }
+
+    // Test 5: ADJUDICATOR_MAX_REPAIRS falls back to the default unless it is a count from 0 to 2
+    async testMaxRepairsEnv() {
+        const attempts = async (value) => {
+            process.env.ADJUDICATOR_MAX_REPAIRS = value;
+            const model = scriptedModel(['not json at all']);
+            await generateStructured(model, { contents: [{ role: 'user', parts: [{ text: 'x' }] }] }, VerdictSchema);
+            return model.calls.length;
+        };
+
+        try {
+            assert.strictEqual(await attempts('0'), 1);
+            assert.strictEqual(await attempts('1'), 2);
+            for (const invalid of ['lots', '', ' ', '-1', '1.5', 'Infinity', '3', '50']) {
+                assert.strictEqual(await attempts(invalid), 3, `"${invalid}" uses the default of 2 repairs`);
+            }
+        } finally {
+            delete process.env.ADJUDICATOR_MAX_REPAIRS;
+        }
+    }
+
+    async runAll() {
+        console.log('🧪 Structured Output Tests');
+        console.log('==========================');
+
+        await this.runTest('Extract fenced JSON', this.testExtractJson);
+        await this.runTest('Valid response parses first time', this.testParseOk);
+        await this.runTest('Invalid response is repaired', this.testRepair);
+        await this.runTest('Repairs are bounded', this.testRepairExhausted);
+        await this.runTest('ADJUDICATOR_MAX_REPAIRS validation', this.testMaxRepairsEnv);
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==========================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new StructuredOutputTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
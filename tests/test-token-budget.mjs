@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for pre-call token budgeting: context windows, token counting
+ * and fitting prompt sections by priority
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { contextWindow, inputBudget, compactDiff, tokenCounter, fitSections } from '../src/token-budget.mjs';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+import { runVerification } from '../src/verify.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+import { VerifyArgs } from '../src/schemas.mjs';
+
+const TEST_DIR = `/tmp/test-token-budget-${Date.now()}`;
+
+// Output allowance and safety margin of verify and consensus calls
+const RESERVED_TOKENS = 8192 + 256;
+
+/**
+ * Unified diff with `hunks` hunks of 18 context lines and one changed line each
+ */
+function sampleDiff(hunks) {
+    const lines = ['diff --git a/src/retry.js b/src/retry.js', '--- a/src/retry.js', '+++ b/src/retry.js'];
+    for (let h = 0; h < hunks; h++) {
+        lines.push(`@@ -${h * 100 + 1},19 +${h * 100 + 1},19 @@`);
+        for (let k = 0; k < 18; k++) lines.push(` const unchanged${h}_${k} = computeSomething(${k});`);
+        lines.push(`-const limit${h} = 5;`, `+const limit${h} = 10;`);
+    }
+    return lines.join('\n');
+}
+
+class TokenBudgetTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up token budget tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+
+        // The verdict shows which parts of the prompt the model saw
+        const mockFile = join(TEST_DIR, 'mock-responses.json');
+        await fs.writeFile(mockFile, JSON.stringify([
+            {
+                match: 'END_OF_TEST_RESULTS',
+                response: { verdict: 'FAIL', confidence: 0.9, analysis: { strengths: [], weaknesses: ['Saw every test result'], risks: [] } }
+            },
+            {
+                match: 'RETRY_LIMIT_CHANGE',
+                response: { verdict: 'PASS', confidence: 0.9, analysis: { strengths: ['Saw the artifact'], weaknesses: [], risks: [] } }
+            }
+        ]));
+        process.env.ADJUDICATOR_MOCK_RESPONSES = mockFile;
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_MOCK_RESPONSES;
+        delete process.env.ADJUDICATOR_CONTEXT_TOKENS;
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        delete process.env.ADJUDICATOR_CONTEXT_TOKENS;
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Context windows by model and diff compaction
+    async testWindows() {
+        assert.strictEqual(contextWindow('gemini-2.5-pro'), 1048576);
+        assert.strictEqual(contextWindow('gpt-4o-mini-2024-07-18'), 128000, 'longest prefix wins');
+        assert.strictEqual(contextWindow('local-llama'), 128000, 'unknown models get the default');
+        assert.strictEqual(inputBudget('gpt-4o', 8192), 128000 - RESERVED_TOKENS);
+
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = '32768';
+        assert.strictEqual(contextWindow('gemini-2.5-pro'), 32768, 'override applies to every model');
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = 'lots';
+        assert.strictEqual(contextWindow('gemini-2.5-pro'), 1048576, 'invalid override is ignored');
+
+        const { text, dropped_lines } = compactDiff(sampleDiff(2));
+        assert.strictEqual(dropped_lines, 36);
+        assert.match(text, /^@@ -101,19 \+101,19 @@\n \[18 unchanged lines omitted\]\n-const limit1 = 5;\n\+const limit1 = 10;$/m);
+        assert(!text.includes('unchanged0_'));
+    }
+
+    // Test 2: Lowest priority goes first; diffs lose context before hunks
+    async testFitSections() {
+        const counter = tokenCounter({});
+        assert.strictEqual(counter.method, 'estimate');
+
+        const diff = sampleDiff(5);
+        const sections = [
+            { name: 'instructions', text: 'i'.repeat(400), priority: 0 },
+            { name: 'artifact', text: diff, priority: 1 },
+            { name: 'tests_json', text: 't'.repeat(8000), priority: 2 }
+        ];
+
+        // Room for the whole artifact: only the test results are cut
+        let fitted = await fitSections(counter, sections, 100 + Math.ceil(diff.length / 4) + 500);
+        assert.strictEqual(fitted.texts[1], diff);
+        assert.deepStrictEqual(fitted.dropped.map(d => d.field), ['tests_json']);
+        assert.match(fitted.dropped[0].reason, /^Cut to fit/);
+        assert.match(fitted.texts[2], /\[\.\.\. \d+ characters omitted to fit the context window\]$/);
+
+        // Less room: the test results go and the diff keeps only its changed lines
+        fitted = await fitSections(counter, sections, 300);
+        assert.strictEqual(fitted.texts[2], '');
+        assert.strictEqual(fitted.dropped[0].field, 'artifact');
+        assert.strictEqual(fitted.dropped[0].dropped_context_lines, 90);
+        assert.strictEqual(fitted.dropped[0].reason, 'Unchanged diff context dropped to fit the context window');
+        assert.strictEqual(fitted.dropped[1].reason, 'Dropped to fit the context window');
+        assert.match(fitted.texts[1], /\+const limit4 = 10;/);
+        assert(fitted.prompt_tokens <= 300);
+
+        // Even less: whole trailing hunks are dropped and named
+        fitted = await fitSections(counter, sections, 160);
+        assert.match(fitted.texts[1], /\+const limit0 = 10;/);
+        assert.match(fitted.dropped[0].reason, /^Cut to fit the context window after dropping unchanged diff context$/);
+        assert(fitted.dropped[0].dropped_hunks.includes('src/retry.js @@ -401,19 +401,19 @@'));
+        assert(fitted.prompt_tokens <= 160);
+
+        // Equal priorities share the room: the short section is kept whole
+        fitted = await fitSections(counter, [
+            { name: 'instructions', text: 'i'.repeat(400), priority: 0 },
+            { name: 'a', text: 'a\n'.repeat(4000), priority: 1, meta: { source: 'long' } },
+            { name: 'b', text: 'b\n'.repeat(100), priority: 1, meta: { source: 'short' } }
+        ], 600);
+        assert.deepStrictEqual(fitted.dropped.map(d => d.source), ['long']);
+        assert.strictEqual(fitted.texts[2], 'b\n'.repeat(100));
+
+        await assert.rejects(fitSections(counter, sections, 50), /Prompt needs \d+ tokens but the context window leaves 50/);
+    }
+
+    // Test 3: verify_with_gemini cuts test results before the artifact
+    async testVerify() {
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = String(RESERVED_TOKENS + 3000);
+        const tests = JSON.stringify({ results: Array.from({ length: 800 }, (_, i) => ({ name: `test ${i}`, status: 'passed' })) });
+
+        const result = await runVerification(VerifyArgs.parse({
+            artifact: 'RETRY_LIMIT_CHANGE: the retry limit goes from 5 to 10.',
+            tests_json: `${tests} END_OF_TEST_RESULTS`,
+            provider: 'mock'
+        }));
+
+        assert.strictEqual(result.verdict, 'PASS', 'the model saw the artifact but not the end of the test results');
+        assert.strictEqual(result.truncation.truncated, true);
+        assert.strictEqual(result.truncation.details.length, 1);
+        const [entry] = result.truncation.details;
+        assert.strictEqual(entry.field, 'tests_json');
+        assert(entry.kept_chars > 0 && entry.kept_chars < entry.original_chars);
+        assert.deepStrictEqual(
+            { ...result.token_budget, prompt_tokens: undefined },
+            { context_window: RESERVED_TOKENS + 3000, input_budget: 3000, counted_with: 'countTokens', prompt_tokens: undefined }
+        );
+        assert(result.token_budget.prompt_tokens <= 3000);
+
+        // Nothing to cut when the window is large
+        delete process.env.ADJUDICATOR_CONTEXT_TOKENS;
+        const whole = await runVerification(VerifyArgs.parse({ artifact: 'RETRY_LIMIT_CHANGE', tests_json: `${tests} END_OF_TEST_RESULTS`, provider: 'mock' }));
+        assert.strictEqual(whole.verdict, 'FAIL');
+        assert.strictEqual(whole.truncation.truncated, false);
+
+        // The instructions alone do not fit
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = String(RESERVED_TOKENS + 50);
+        await assert.rejects(
+            runVerification(VerifyArgs.parse({ artifact: 'RETRY_LIMIT_CHANGE', provider: 'mock' })),
+            /context window leaves 50/
+        );
+    }
+
+    // Test 4: consensus_check shares the window between sources
+    async testConsensus() {
+        let handler;
+        await registerConsensusTool({ registerTool: (name, config, h) => { handler = h; } });
+        process.env.ADJUDICATOR_CONTEXT_TOKENS = String(RESERVED_TOKENS + 4000);
+
+        const result = JSON.parse((await handler({
+            artifacts: [
+                { source: 'verbose', content: 'The deploy succeeded.\n'.repeat(2000) },
+                { source: 'terse', content: 'The deploy failed.' }
+            ],
+            provider: 'mock'
+        })).content[0].text);
+
+        assert.strictEqual(result.truncation.truncated, true);
+        assert.deepStrictEqual(result.truncation.details.map(d => [d.field, d.source]), [['artifacts[0]', 'verbose']]);
+        assert(result.truncation.details[0].kept_chars > 0);
+        assert.strictEqual(result.token_budget.input_budget, 4000);
+        assert(result.token_budget.prompt_tokens <= 4000);
+    }
+
+    async runAll() {
+        console.log('🧪 Token Budget Tests');
+        console.log('=====================');
+
+        await this.setup();
+
+        await this.runTest('Context windows', this.testWindows);
+        await this.runTest('Fitting sections', this.testFitSections);
+        await this.runTest('verify_with_gemini budgeting', this.testVerify);
+        await this.runTest('consensus_check budgeting', this.testConsensus);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n=====================');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new TokenBudgetTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for token and cost accounting and the daily budget
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { getServerStorage } from '../src/storage-sqlite.mjs';
+import { loadPrices, priceFor, summarizeCalls, summarizeUsageLog, trackUsage, checkBudget, recordModelCall } from '../src/usage.mjs';
+import { registerVerifyTool } from '../src/verify.mjs';
+import { registerConsensusTool } from '../src/consensus.mjs';
+import { registerCompareTool } from '../src/compare.mjs';
+import { registerGradeTool } from '../src/grade.mjs';
+
+const TEST_DIR = `/tmp/test-usage-${Date.now()}`;
+
+class UsageTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async setup() {
+        console.log('🔧 Setting up usage tests...');
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.VERIFY_DB_PATH = join(TEST_DIR, 'verify.sqlite');
+
+        // Give the mock model a price so its calls cost something
+        process.env.ADJUDICATOR_PRICES_FILE = join(TEST_DIR, 'prices.json');
+        await fs.writeFile(process.env.ADJUDICATOR_PRICES_FILE, JSON.stringify({ mock: { input: 1000, output: 2000 } }));
+    }
+
+    async cleanup() {
+        console.log('🧹 Cleaning up...');
+        delete process.env.ADJUDICATOR_PRICES_FILE;
+        delete process.env.ADJUDICATOR_DAILY_BUDGET_USD;
+        (await getServerStorage()).close();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    async handlers() {
+        const handlers = {};
+        const server = { registerTool: (name, config, h) => { handlers[name] = h; } };
+        await registerVerifyTool(server);
+        await registerConsensusTool(server);
+        await registerCompareTool(server);
+        await registerGradeTool(server);
+        return async (name, args) => JSON.parse((await handlers[name](args)).content[0].text);
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\nTesting: ${name}`);
+        try {
+            await testFn.call(this);
+            console.log(`✅ PASS: ${name}`);
+            this.testResults.push({ name, passed: true });
+        } catch (error) {
+            console.log(`❌ FAIL: ${name}`);
+            console.error(`  Error: ${error.message}`);
+            this.testResults.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    // Test 1: Price table lookup and per-model totals
+    async testPricing() {
+        const prices = await loadPrices();
+        assert.deepStrictEqual(priceFor(prices, 'mock'), { input: 1000, output: 2000 }, 'file overrides defaults');
+        assert.deepStrictEqual(priceFor(prices, 'gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 }, 'longest prefix wins');
+        assert.deepStrictEqual(priceFor(prices, 'gemini-2.0-flash-exp'), prices['gemini-2.0-flash']);
+        assert.strictEqual(priceFor(prices, 'gemini-2.0-flashy'), null, 'prefixes end at a dash');
+
+        const usage = summarizeCalls([
+            { provider: 'gemini', model_id: 'gemini-2.5-pro', prompt_tokens: 1000000, candidate_tokens: 100000, total_tokens: 1100000 },
+            { provider: 'gemini', model_id: 'gemini-2.5-pro', prompt_tokens: 1000000, candidate_tokens: 0, total_tokens: 1000000 },
+            { provider: 'openai', model_id: 'local-llama', prompt_tokens: 10, candidate_tokens: 5, total_tokens: 15 }
+        ], prices);
+        assert.strictEqual(usage.calls, 3);
+        assert.strictEqual(usage.cost_usd, 3.5);
+        assert.strictEqual(usage.by_model[0].calls, 2);
+        assert.deepStrictEqual(usage.unpriced_models, ['local-llama']);
+
+        const badFile = join(TEST_DIR, 'bad-prices.json');
+        await fs.writeFile(badFile, JSON.stringify({ mock: { input: -1, output: 0 } }));
+        process.env.ADJUDICATOR_PRICES_FILE = badFile;
+        await assert.rejects(loadPrices(), /Price for "mock" .* input price cannot be negative/);
+        process.env.ADJUDICATOR_PRICES_FILE = join(TEST_DIR, 'prices.json');
+    }
+
+    // Test 2: Every call is counted, returned and stored under the task id
+    async testRecording() {
+        const call = await this.handlers();
+        const storage = await getServerStorage();
+
+        const verdict = await call('verify_with_gemini', { artifact: 'Water boils at 100 C at sea level.', provider: 'mock', task_id: 'usage-1' });
+        assert.strictEqual(verdict.usage.task_id, 'usage-1');
+        assert.strictEqual(verdict.usage.calls, 1);
+        assert(verdict.usage.prompt_tokens > 0 && verdict.usage.candidate_tokens > 0);
+        const expected = (verdict.usage.prompt_tokens * 1000 + verdict.usage.candidate_tokens * 2000) / 1e6;
+        assert(Math.abs(verdict.usage.cost_usd - expected) < 1e-6);
+
+        const rows = storage.getUsage('usage-1');
+        assert.strictEqual(rows.length, 1);
+        assert.strictEqual(rows[0].tool, 'verify_with_gemini');
+        assert.strictEqual(rows[0].task, 'fact_check');
+        assert.strictEqual(rows[0].total_tokens, verdict.usage.total_tokens);
+
+        // Panel judges are separate models; their calls add up in one entry per model
+        const panel = await call('verify_with_gemini', {
+            artifact: 'Water boils at 100 C at sea level.',
+            provider: 'mock',
+            task_id: 'usage-2',
+            panel: { judges: [{ provider: 'mock' }, { provider: 'mock' }, { provider: 'mock' }] }
+        });
+        assert.strictEqual(panel.usage.calls, 3);
+        assert.strictEqual(storage.getUsage('usage-2')[0].calls, 3);
+
+        const consensus = await call('consensus_check', {
+            artifacts: [{ source: 'a', content: 'Paris is the capital.' }, { source: 'b', content: 'Lyon is the capital.' }],
+            provider: 'mock',
+            task_id: 'usage-3'
+        });
+        assert(consensus.usage.calls >= 1);
+        assert.strictEqual(storage.getUsage('usage-3')[0].tool, 'consensus_check');
+
+        const comparison = await call('compare_pair', { artifact_a: 'x = 1', artifact_b: 'x = 2', provider: 'mock', task_id: 'usage-5' });
+        assert.strictEqual(comparison.usage.calls, 2, 'one call per ordering');
+        assert.deepStrictEqual(storage.getUsage('usage-5').map(row => [row.tool, row.task, row.calls]), [['compare_pair', 'compare', 2]]);
+
+        const grade = await call('grade_against_reference', { artifact: 'Paris', reference: 'Paris', provider: 'mock', task_id: 'usage-6' });
+        assert.strictEqual(grade.usage.calls, 1);
+        assert.strictEqual(storage.getUsage('usage-6')[0].tool, 'grade_against_reference');
+    }
+
+    // Test 3: Over the daily budget no model is called, but cache hits are served
+    async testBudget() {
+        const call = await this.handlers();
+        const storage = await getServerStorage();
+        const args = { artifact: 'The Moon orbits the Earth.', provider: 'mock', cache: {} };
+
+        process.env.ADJUDICATOR_DAILY_BUDGET_USD = '1000';
+        const cached = await call('verify_with_gemini', args);
+        assert.strictEqual(cached.usage.budget.daily_usd, 1000);
+        assert(cached.usage.budget.remaining_usd < 1000);
+
+        const spent = storage.getDailySpend();
+        process.env.ADJUDICATOR_DAILY_BUDGET_USD = String(spent.cost_usd);
+
+        const refused = await call('verify_with_gemini', { artifact: 'The Sun is a star.', provider: 'mock', task_id: 'usage-4' });
+        assert.strictEqual(refused.budget_exceeded, true);
+        assert.strictEqual(refused.verdict, 'NEEDS_IMPROVEMENT');
+        assert.strictEqual(refused.budget.remaining_usd, 0);
+        assert.match(refused.detailed_feedback, /Daily budget .* is spent/);
+        assert.strictEqual(storage.getUsage('usage-4').length, 0);
+        assert.deepStrictEqual(storage.getDailySpend(), spent, 'nothing was spent');
+
+        const consensus = await call('consensus_check', {
+            artifacts: [{ source: 'a', content: 'x' }, { source: 'b', content: 'y' }],
+            provider: 'mock'
+        });
+        assert.strictEqual(consensus.budget_exceeded, true);
+        assert.strictEqual(consensus.recommended_action, 'escalate');
+
+        const comparison = await call('compare_pair', { artifact_a: 'x = 1', artifact_b: 'x = 2', provider: 'mock', task_id: 'usage-7' });
+        assert.strictEqual(comparison.budget_exceeded, true);
+        assert.strictEqual(comparison.preference, 'tie');
+        assert.strictEqual(storage.getUsage('usage-7').length, 0);
+
+        const grade = await call('grade_against_reference', { artifact: 'Paris', reference: 'Paris', provider: 'mock' });
+        assert.strictEqual(grade.budget_exceeded, true);
+        assert.strictEqual(grade.passed, false);
+        assert.deepStrictEqual(storage.getDailySpend(), spent, 'nothing was spent');
+
+        const hit = await call('verify_with_gemini', args);
+        assert.strictEqual(hit.cache.hit, true);
+        assert.strictEqual(hit.usage.calls, 0);
+
+        delete process.env.ADJUDICATOR_DAILY_BUDGET_USD;
+        assert(!('budget' in (await call('verify_with_gemini', { artifact: 'The Sun is a star.', provider: 'mock' })).usage));
+    }
+
+    // Test 4: The budget counts what running tool calls have spent so far
+    async testRunningSpend() {
+        const storage = await getServerStorage();
+        // 100 prompt tokens of mock at $1000 per million: $0.1 a call
+        const modelCall = { response: { usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 0, totalTokenCount: 100 } } };
+        const spend = (calls) => async () => {
+            for (;;) {
+                checkBudget();
+                recordModelCall('mock', 'mock', modelCall);
+                calls.push(1);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        };
+
+        process.env.ADJUDICATOR_DAILY_BUDGET_USD = String(storage.getDailySpend().cost_usd + 0.25);
+        const calls = [];
+        await assert.rejects(trackUsage({ tool: 'test', task_id: 'usage-8' }, spend(calls)), /Daily budget .* is spent/);
+        assert.strictEqual(calls.length, 3, 'one tool call stops once its own calls reach the budget');
+        assert.strictEqual(storage.getUsage('usage-8')[0].calls, 3);
+
+        // Concurrent tool calls see each other's spend
+        process.env.ADJUDICATOR_DAILY_BUDGET_USD = String(storage.getDailySpend().cost_usd + 0.25);
+        const shared = [];
+        const results = await Promise.allSettled([1, 2].map(() => trackUsage({ tool: 'test' }, spend(shared))));
+        assert(results.every(r => r.status === 'rejected' && r.reason.name === 'BudgetExceededError'));
+        assert.strictEqual(shared.length, 3);
+
+        delete process.env.ADJUDICATOR_DAILY_BUDGET_USD;
+    }
+
+    // Test 5: Monitoring summary of the usage log
+    async testSummary() {
+        const row = (day, model_id, cost_usd, priced = 1) => ({
+            task_id: null, tool: 'verify_with_gemini', task: 'fact_check', provider: 'gemini', model_id,
+            calls: 1, prompt_tokens: 100, candidate_tokens: 10, total_tokens: 110, cost_usd, priced,
+            created_at: `${day} 12:00:00`
+        });
+        const summary = summarizeUsageLog([
+            row('2026-10-18', 'gemini-2.5-pro', 2),
+            row('2026-10-19', 'gemini-2.5-pro', 3),
+            row('2026-10-19', 'local', 0, 0)
+        ], { budget: 2.5, today: '2026-10-19' });
+
+        assert.strictEqual(summary.totals.cost_usd, 5);
+        assert.strictEqual(summary.totals.calls, 3);
+        assert.deepStrictEqual(summary.daily.map(d => [d.day, d.cost_usd]), [['2026-10-18', 2], ['2026-10-19', 3]]);
+        assert.deepStrictEqual(summary.budget, { daily_usd: 2.5, spent_today_usd: 3, remaining_usd: 0, exceeded: true });
+        assert.strictEqual(summary.by_model[0].model_id, 'gemini-2.5-pro');
+        assert.deepStrictEqual(summary.unpriced_models, ['local']);
+        assert.strictEqual(summarizeUsageLog([]).totals.calls, 0);
+    }
+
+    async runAll() {
+        console.log('🧪 Usage Tests');
+        console.log('==============');
+
+        await this.setup();
+
+        await this.runTest('Pricing', this.testPricing);
+        await this.runTest('Usage recording', this.testRecording);
+        await this.runTest('Daily budget', this.testBudget);
+        await this.runTest('Running spend', this.testRunningSpend);
+        await this.runTest('Usage summary', this.testSummary);
+
+        await this.cleanup();
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const failed = this.testResults.length - passed;
+
+        console.log('\n==============');
+        console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+
+        process.exit(failed > 0 ? 1 : 0);
+    }
+}
+
+const tests = new UsageTests();
+tests.runAll().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+});
@@ -8,7 +8,12 @@ import { promises as fs } from 'fs';
 import { join, relative } from 'path';
 import { createHash } from 'crypto';
 
-async function buildIndex(taskDir) {
+/**
+ * Index every file in a task directory with checksums and summaries
+ * @param {string} taskDir - Task artifacts directory
+ * @returns {Promise<Object>} Artifacts index
+ */
+export async function buildIndex(taskDir) {
     const artifacts = {
         task_dir: taskDir,
         timestamp: new Date().toISOString(),
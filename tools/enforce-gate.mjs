@@ -7,10 +7,17 @@
  * Returns verdict JSON with status: pass|fail|inconclusive
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, realpathSync } from 'fs';
 import { basename } from 'path';
+import { pathToFileURL } from 'url';
 
-async function enforceGate(artifactsPath, profilesPath, dryRun = false) {
+/**
+ * Apply the deterministic gate to a task's artifacts
+ * @param {string} artifactsPath - Path to <task_dir>/artifacts.json
+ * @param {string} [profilesPath] - Path to verification profiles JSON
+ * @returns {Promise<Object>} Verdict with status pass|fail|inconclusive
+ */
+export async function enforceGate(artifactsPath, profilesPath) {
     // Load artifacts and profiles
     const artifacts = JSON.parse(await fs.readFile(artifactsPath, 'utf8'));
     const profiles = profilesPath ? JSON.parse(await fs.readFile(profilesPath, 'utf8')) : {};
@@ -377,29 +384,34 @@ async function enforceGate(artifactsPath, profilesPath, dryRun = false) {
         }
     }
 
-    // Output verdict
-    console.log(JSON.stringify(verdict, null, 2));
+    return verdict;
+}
 
-    // Exit with appropriate code unless dry-run
-    if (!dryRun) {
-        if (verdict.status === 'fail') {
-            process.exit(1);
-        }
+// CLI entry point
+// argv[1] may be a symlink or a path that needs URL-encoding
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    const args = process.argv.slice(2);
+    const artifactsPath = args[0];
+    const profilesPath = args[1] === '--dry-run' ? undefined : args[1];
+    const dryRun = args.includes('--dry-run');
+
+    if (!artifactsPath) {
+        console.error('Usage: node enforce-gate.mjs <artifacts.json> [profiles.json] [--dry-run]');
+        process.exit(1);
     }
-}
 
-// Main execution
-const args = process.argv.slice(2);
-const artifactsPath = args[0];
-const profilesPath = args[1];
-const dryRun = args.includes('--dry-run');
+    try {
+        const verdict = await enforceGate(artifactsPath, profilesPath);
 
-if (!artifactsPath) {
-    console.error('Usage: node enforce-gate.mjs <artifacts.json> [profiles.json] [--dry-run]');
-    process.exit(1);
-}
+        // Output verdict
+        console.log(JSON.stringify(verdict, null, 2));
 
-enforceGate(artifactsPath, profilesPath, dryRun).catch(error => {
-    console.error('ERROR:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+        // Exit with appropriate code unless dry-run
+        if (!dryRun && verdict.status === 'fail') {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('ERROR:', error.message);
+        process.exit(1);
+    }
+}
@@ -7,16 +7,21 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Build capability index from manifest files
-const caps = {};
-const adaptersDir = path.join(__dirname, '..', 'adapters');
+const DEFAULT_ADAPTERS_DIR = path.join(__dirname, '..', 'adapters');
+
+/**
+ * Build capability index from manifest files
+ * @param {string} [adaptersDir] - Directory containing adapter folders
+ * @returns {Object} Map of capability -> { entry, manifest }
+ */
+export function buildCapabilityIndex(adaptersDir = DEFAULT_ADAPTERS_DIR) {
+  const caps = {};
 
-try {
   for (const dir of fs.readdirSync(adaptersDir)) {
     const manifestPath = path.join(adaptersDir, dir, 'manifest.json');
     if (!fs.existsSync(manifestPath)) continue;
@@ -26,26 +31,52 @@ try {
 
     // Map each capability to the adapter's entry point
     for (const capability of manifest.capabilities) {
-      caps[capability] = path.join(adaptersDir, dir, manifest.entry);
+      caps[capability] = {
+        entry: path.join(adaptersDir, dir, manifest.entry),
+        manifest
+      };
     }
   }
-} catch (error) {
-  console.error(`ERROR_SCANNING_ADAPTERS: ${error.message}`);
-  process.exit(1);
-}
 
-// Get requested capability from command line
-const capability = process.argv[2];
-
-if (!capability) {
-  console.error('USAGE: node resolve-adapter.js <capability>');
-  process.exit(1);
+  return caps;
 }
 
-if (!caps[capability]) {
-  console.error(`NO_ADAPTER_FOR:${capability}`);
-  process.exit(1);
+/**
+ * Resolve the adapter binary for a capability
+ * @param {string} capability - Capability name, e.g. "code:lint"
+ * @param {string} [adaptersDir] - Directory containing adapter folders
+ * @returns {string|null} Adapter entry path, or null if no adapter provides it
+ */
+export function resolveAdapter(capability, adaptersDir = DEFAULT_ADAPTERS_DIR) {
+  const caps = buildCapabilityIndex(adaptersDir);
+  return caps[capability]?.entry || null;
 }
 
-// Output the adapter binary path
-console.log(caps[capability]);
\ No newline at end of file
+// CLI entry point
+// argv[1] may be a symlink or a path that needs URL-encoding
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  let caps;
+
+  try {
+    caps = buildCapabilityIndex();
+  } catch (error) {
+    console.error(`ERROR_SCANNING_ADAPTERS: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Get requested capability from command line
+  const capability = process.argv[2];
+
+  if (!capability) {
+    console.error('USAGE: node resolve-adapter.js <capability>');
+    process.exit(1);
+  }
+
+  if (!caps[capability]) {
+    console.error(`NO_ADAPTER_FOR:${capability}`);
+    process.exit(1);
+  }
+
+  // Output the adapter binary path
+  console.log(caps[capability].entry);
+}
\ No newline at end of file
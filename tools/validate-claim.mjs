@@ -7,8 +7,8 @@
  * Returns 0 if valid, 1 if invalid
  */
 
-import { promises as fs } from 'fs';
-import { fileURLToPath } from 'url';
+import { promises as fs, realpathSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -58,85 +58,95 @@ function findForbiddenFields(obj, path = '') {
     return violations;
 }
 
-async function validateClaim(claimPath, strict = false) {
-    try {
-        // Read claim file
-        const claimData = await fs.readFile(claimPath, 'utf8');
-        const claim = JSON.parse(claimData);
+/**
+ * Validate a parsed claim object
+ * @param {Object} claim - Claim JSON
+ * @returns {Object} { valid, errors, warnings }
+ */
+export function validateClaimObject(claim) {
+    const errors = [];
+
+    // Check required fields
+    if (claim.schema !== 'verify.claim/v1.1') {
+        errors.push(`Invalid schema: expected "verify.claim/v1.1", got "${claim.schema}"`);
+    }
+
+    if (!claim.actor) {
+        errors.push('Missing required field: actor');
+    }
 
-        const errors = [];
+    if (!claim.task_id) {
+        errors.push('Missing required field: task_id');
+    }
 
-        // Check required fields
-        if (claim.schema !== 'verify.claim/v1.1') {
-            errors.push(`Invalid schema: expected "verify.claim/v1.1", got "${claim.schema}"`);
+    if (!claim.timestamp) {
+        errors.push('Missing required field: timestamp');
+    } else {
+        // Validate ISO 8601 format
+        const date = new Date(claim.timestamp);
+        if (isNaN(date.getTime())) {
+            errors.push(`Invalid timestamp format: ${claim.timestamp}`);
         }
+    }
 
-        if (!claim.actor) {
-            errors.push('Missing required field: actor');
+    if (!claim.claim) {
+        errors.push('Missing required field: claim');
+    } else {
+        // Validate claim structure
+        const c = claim.claim;
+
+        if (!c.type) {
+            errors.push('Missing required field: claim.type');
         }
 
-        if (!claim.task_id) {
-            errors.push('Missing required field: task_id');
+        if (typeof c.units_total !== 'number') {
+            errors.push('claim.units_total must be a number');
         }
 
-        if (!claim.timestamp) {
-            errors.push('Missing required field: timestamp');
+        if (!Array.isArray(c.units_list)) {
+            errors.push('claim.units_list must be an array');
         } else {
-            // Validate ISO 8601 format
-            const date = new Date(claim.timestamp);
-            if (isNaN(date.getTime())) {
-                errors.push(`Invalid timestamp format: ${claim.timestamp}`);
+            // Critical validation: units_total must equal units_list.length
+            if (c.units_total !== c.units_list.length) {
+                errors.push(`units_total (${c.units_total}) must equal units_list.length (${c.units_list.length})`);
             }
         }
 
-        if (!claim.claim) {
-            errors.push('Missing required field: claim');
-        } else {
-            // Validate claim structure
-            const c = claim.claim;
+        if (!c.scope || !c.scope.repo_root) {
+            errors.push('Missing required field: claim.scope.repo_root');
+        }
+    }
 
-            if (!c.type) {
-                errors.push('Missing required field: claim.type');
-            }
+    // Check for forbidden measured fields
+    const violations = findForbiddenFields(claim);
+    if (violations.length > 0) {
+        for (const v of violations) {
+            errors.push(`Forbidden measured field "${v.field}" at ${v.path}: ${v.reason}`);
+        }
+    }
 
-            if (typeof c.units_total !== 'number') {
-                errors.push('claim.units_total must be a number');
-            }
+    const result = {
+        valid: errors.length === 0,
+        errors: errors,
+        warnings: []
+    };
 
-            if (!Array.isArray(c.units_list)) {
-                errors.push('claim.units_list must be an array');
-            } else {
-                // Critical validation: units_total must equal units_list.length
-                if (c.units_total !== c.units_list.length) {
-                    errors.push(`units_total (${c.units_total}) must equal units_list.length (${c.units_list.length})`);
-                }
-            }
+    // Add warnings for best practices
+    if (claim.claim && !claim.claim.declared) {
+        result.warnings.push('Consider adding claim.declared with intent and approach');
+    }
 
-            if (!c.scope || !c.scope.repo_root) {
-                errors.push('Missing required field: claim.scope.repo_root');
-            }
-        }
+    return result;
+}
 
-        // Check for forbidden measured fields
-        const violations = findForbiddenFields(claim);
-        if (violations.length > 0) {
-            for (const v of violations) {
-                errors.push(`Forbidden measured field "${v.field}" at ${v.path}: ${v.reason}`);
-            }
-        }
+async function validateClaim(claimPath, strict = false) {
+    try {
+        // Read claim file
+        const claimData = await fs.readFile(claimPath, 'utf8');
+        const claim = JSON.parse(claimData);
 
         // Output result
-        const result = {
-            valid: errors.length === 0,
-            errors: errors,
-            warnings: []
-        };
-
-        // Add warnings for best practices
-        if (claim.claim && !claim.claim.declared) {
-            result.warnings.push('Consider adding claim.declared with intent and approach');
-        }
-
+        const result = validateClaimObject(claim);
         console.log(JSON.stringify(result, null, 2));
 
         // Exit with appropriate code
@@ -154,13 +164,16 @@ async function validateClaim(claimPath, strict = false) {
 }
 
 // Main execution
-const args = process.argv.slice(2);
-const claimPath = args[0];
-const strict = args.includes('--strict');
-
-if (!claimPath) {
-    console.error('Usage: node validate-claim.mjs <claim.json> [--strict]');
-    process.exit(1);
-}
+// argv[1] may be a symlink or a path that needs URL-encoding
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    const args = process.argv.slice(2);
+    const claimPath = args[0];
+    const strict = args.includes('--strict');
+
+    if (!claimPath) {
+        console.error('Usage: node validate-claim.mjs <claim.json> [--strict]');
+        process.exit(1);
+    }
 
-validateClaim(claimPath, strict);
\ No newline at end of file
+    validateClaim(claimPath, strict);
+}
\ No newline at end of file